@@ -0,0 +1,169 @@
+using System.Text.Json;
+using HnHMapperServer.Services.Interfaces;
+
+namespace HnHMapperServer.Api.BackgroundServices;
+
+/// <summary>
+/// Feeds the /map/updates replay log: drains the broadcast channels of every event a client
+/// must not miss while reconnecting (markers, roads, pings, timers, overlays, map merges and
+/// metadata) and appends them to <see cref="IMapEventLog"/>, which assigns the SSE event IDs.
+/// SSE connections read these events from the log instead of the raw channels, so every
+/// connection sends the same ID for the same event.
+///
+/// Not logged (resent or recomputed on every connect instead): tile batches (?since=),
+/// character snapshots, map revisions, map deletions (the client refetches its map list on
+/// resume) and user-scoped notifications.
+/// </summary>
+public class MapEventLogService : BackgroundService
+{
+    private readonly IUpdateNotificationService _updateNotificationService;
+    private readonly IMapEventLog _eventLog;
+    private readonly HnHMapperServer.Api.Services.MapRevisionCache _revisionCache;
+    private readonly ILogger<MapEventLogService> _logger;
+
+    // Same casing as the rest of the SSE stream
+    private static readonly JsonSerializerOptions JsonOptions = new()
+    {
+        PropertyNamingPolicy = JsonNamingPolicy.CamelCase
+    };
+
+    public MapEventLogService(
+        IUpdateNotificationService updateNotificationService,
+        IMapEventLog eventLog,
+        HnHMapperServer.Api.Services.MapRevisionCache revisionCache,
+        ILogger<MapEventLogService> logger)
+    {
+        _updateNotificationService = updateNotificationService;
+        _eventLog = eventLog;
+        _revisionCache = revisionCache;
+        _logger = logger;
+    }
+
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+    {
+        // Subscribe immediately (no startup delay): events published before this point
+        // would never reach any SSE connection.
+        using var mergeUpdatesSub = _updateNotificationService.SubscribeToMergeUpdates();
+        using var mapUpdatesSub = _updateNotificationService.SubscribeToMapUpdates();
+        using var customMarkerCreatedSub = _updateNotificationService.SubscribeToCustomMarkerCreated();
+        using var customMarkerUpdatedSub = _updateNotificationService.SubscribeToCustomMarkerUpdated();
+        using var customMarkerDeletedSub = _updateNotificationService.SubscribeToCustomMarkerDeleted();
+        using var pingCreatedSub = _updateNotificationService.SubscribeToPingCreated();
+        using var pingDeletedSub = _updateNotificationService.SubscribeToPingDeleted();
+        using var roadCreatedSub = _updateNotificationService.SubscribeToRoadCreated();
+        using var roadUpdatedSub = _updateNotificationService.SubscribeToRoadUpdated();
+        using var roadDeletedSub = _updateNotificationService.SubscribeToRoadDeleted();
+        using var sketchCreatedSub = _updateNotificationService.SubscribeToSketchCreated();
+        using var sketchDeletedSub = _updateNotificationService.SubscribeToSketchDeleted();
+        using var overlayUpdatedSub = _updateNotificationService.SubscribeToOverlayUpdated();
+        using var timerCreatedSub = _updateNotificationService.SubscribeToTimerCreated();
+        using var timerUpdatedSub = _updateNotificationService.SubscribeToTimerUpdated();
+        using var timerCompletedSub = _updateNotificationService.SubscribeToTimerCompleted();
+        using var timerDeletedSub = _updateNotificationService.SubscribeToTimerDeleted();
+        using var markerCreatedSub = _updateNotificationService.SubscribeToMarkerCreated();
+        using var markerUpdatedSub = _updateNotificationService.SubscribeToMarkerUpdated();
+        using var markerDeletedSub = _updateNotificationService.SubscribeToMarkerDeleted();
+
+        _logger.LogInformation("Map event log started (replay window: {Entries} events / {Minutes} min per tenant)",
+            HnHMapperServer.Services.Services.MapEventLog.DefaultMaxEntriesPerTenant,
+            HnHMapperServer.Services.Services.MapEventLog.DefaultMaxAge.TotalMinutes);
+
+        // Short tick so logging adds little to the SSE loops' own 500ms drain interval
+        using var timer = new PeriodicTimer(TimeSpan.FromMilliseconds(100));
+
+        try
+        {
+            while (await timer.WaitForNextTickAsync(stoppingToken))
+            {
+                try
+                {
+                    // Same order as the SSE loop used to drain these channels in
+                    while (mergeUpdatesSub.Reader.TryRead(out var merge))
+                    {
+                        Append(merge.TenantId, "merge", merge, new[] { merge.To, merge.From });
+                    }
+
+                    while (mapUpdatesSub.Reader.TryRead(out var mapInfo))
+                    {
+                        // Same nested shape as a GET /map/api/maps item so the client can
+                        // upsert it straight into its map list. IsMainMap is deliberately
+                        // omitted (config lookup here would be stale on this long-lived
+                        // service) — the client preserves its known value.
+                        var mapUpdateDto = new
+                        {
+                            ID = mapInfo.Id,
+                            MapInfo = new
+                            {
+                                Name = mapInfo.Name,
+                                Hidden = mapInfo.Hidden,
+                                Priority = mapInfo.Priority,
+                                Revision = _revisionCache.Get(mapInfo.Id),
+                                DefaultStartX = mapInfo.DefaultStartX,
+                                DefaultStartY = mapInfo.DefaultStartY
+                            },
+                            Size = 0
+                        };
+                        Append(mapInfo.TenantId, "mapUpdate", mapUpdateDto, new[] { mapInfo.Id });
+                    }
+
+                    while (customMarkerCreatedSub.Reader.TryRead(out var customMarker))
+                        Append(customMarker.TenantId, "customMarkerCreated", customMarker);
+                    while (customMarkerUpdatedSub.Reader.TryRead(out var customMarkerUpdate))
+                        Append(customMarkerUpdate.TenantId, "customMarkerUpdated", customMarkerUpdate);
+                    while (customMarkerDeletedSub.Reader.TryRead(out var customMarkerDelete))
+                        Append(customMarkerDelete.TenantId, "customMarkerDeleted", new { Id = customMarkerDelete.Id });
+
+                    while (pingCreatedSub.Reader.TryRead(out var ping))
+                        Append(ping.TenantId, "pingCreated", ping);
+                    while (pingDeletedSub.Reader.TryRead(out var pingDelete))
+                        Append(pingDelete.TenantId, "pingDeleted", new { Id = pingDelete.Id });
+
+                    while (roadCreatedSub.Reader.TryRead(out var road))
+                        Append(road.TenantId, "roadCreated", road);
+                    while (roadUpdatedSub.Reader.TryRead(out var roadUpdate))
+                        Append(roadUpdate.TenantId, "roadUpdated", roadUpdate);
+                    while (roadDeletedSub.Reader.TryRead(out var roadDelete))
+                        Append(roadDelete.TenantId, "roadDeleted", new { Id = roadDelete.Id });
+
+                    while (sketchCreatedSub.Reader.TryRead(out var sketch))
+                        Append(sketch.TenantId, "sketchCreated", sketch);
+                    while (sketchDeletedSub.Reader.TryRead(out var sketchDelete))
+                        Append(sketchDelete.TenantId, "sketchDeleted", new { Id = sketchDelete.Id, MapId = sketchDelete.MapId });
+
+                    while (overlayUpdatedSub.Reader.TryRead(out var overlay))
+                        Append(overlay.TenantId, "overlayUpdated", overlay);
+
+                    while (timerCreatedSub.Reader.TryRead(out var timerEvent))
+                        Append(timerEvent.TenantId, "timerCreated", timerEvent);
+                    while (timerUpdatedSub.Reader.TryRead(out var timerUpdate))
+                        Append(timerUpdate.TenantId, "timerUpdated", timerUpdate);
+                    while (timerCompletedSub.Reader.TryRead(out var timerDone))
+                        Append(timerDone.TenantId, "timerCompleted", timerDone);
+                    // Timer deletions carry no tenant and have always gone to every connection
+                    while (timerDeletedSub.Reader.TryRead(out var timerId))
+                        Append(null, "timerDeleted", new { Id = timerId });
+
+                    while (markerCreatedSub.Reader.TryRead(out var gameMarker))
+                        Append(gameMarker.TenantId, "markerCreated", gameMarker);
+                    while (markerUpdatedSub.Reader.TryRead(out var gameMarkerUpdate))
+                        Append(gameMarkerUpdate.TenantId, "markerUpdated", gameMarkerUpdate);
+                    while (markerDeletedSub.Reader.TryRead(out var gameMarkerDelete))
+                        Append(gameMarkerDelete.TenantId, "markerDeleted", gameMarkerDelete);
+                }
+                catch (Exception ex)
+                {
+                    _logger.LogError(ex, "Error appending to the map event log");
+                }
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            // Shutting down
+        }
+    }
+
+    private void Append<T>(string? tenantId, string eventName, T payload, IReadOnlyList<int>? mapIds = null)
+    {
+        _eventLog.Append(tenantId, eventName, JsonSerializer.Serialize(payload, JsonOptions), mapIds);
+    }
+}
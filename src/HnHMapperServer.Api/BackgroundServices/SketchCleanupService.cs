@@ -0,0 +1,79 @@
+using System.Diagnostics;
+using HnHMapperServer.Core.DTOs;
+using HnHMapperServer.Services.Interfaces;
+
+namespace HnHMapperServer.Api.BackgroundServices;
+
+/// <summary>
+/// Background service that removes expired sketches every 30 seconds
+/// Publishes SSE events for deleted sketches; sketches drawn without a lifetime are kept
+/// Multi-tenancy: Cleans expired sketches for all tenants
+/// </summary>
+public class SketchCleanupService : BackgroundService
+{
+    private readonly IServiceScopeFactory _scopeFactory;
+    private readonly ILogger<SketchCleanupService> _logger;
+
+    public SketchCleanupService(
+        IServiceScopeFactory scopeFactory,
+        ILogger<SketchCleanupService> logger)
+    {
+        _scopeFactory = scopeFactory;
+        _logger = logger;
+    }
+
+    protected override async Task ExecuteAsync(CancellationToken stoppingToken)
+    {
+        // Randomized startup delay to prevent all services starting simultaneously
+        var startupDelay = TimeSpan.FromSeconds(Random.Shared.Next(0, 60));
+        _logger.LogInformation("Sketch Cleanup Service starting in {Delay:F1}s", startupDelay.TotalSeconds);
+        await Task.Delay(startupDelay, stoppingToken);
+
+        _logger.LogInformation("Sketch Cleanup Service started (runs every 30 seconds)");
+
+        while (!stoppingToken.IsCancellationRequested)
+        {
+            var sw = Stopwatch.StartNew();
+            try
+            {
+                using var scope = _scopeFactory.CreateScope();
+                var sketchService = scope.ServiceProvider.GetRequiredService<ISketchService>();
+                var updateNotificationService = scope.ServiceProvider.GetRequiredService<IUpdateNotificationService>();
+
+                // Delete expired sketches across all tenants
+                var expiredSketches = await sketchService.DeleteExpiredAsync();
+
+                // Publish SSE events for each deleted sketch (with correct tenant ID)
+                foreach (var (id, mapId, tenantId) in expiredSketches)
+                {
+                    updateNotificationService.NotifySketchDeleted(new SketchDeleteEventDto
+                    {
+                        Id = id,
+                        MapId = mapId,
+                        TenantId = tenantId
+                    });
+                }
+
+                sw.Stop();
+                if (expiredSketches.Any())
+                {
+                    _logger.LogInformation("Cleaned up {Count} expired sketches across all tenants in {ElapsedMs}ms", expiredSketches.Count, sw.ElapsedMilliseconds);
+                }
+
+                await Task.Delay(TimeSpan.FromSeconds(30), stoppingToken);
+            }
+            catch (OperationCanceledException)
+            {
+                break;
+            }
+            catch (Exception ex)
+            {
+                sw.Stop();
+                _logger.LogError(ex, "Error in sketch cleanup service after {ElapsedMs}ms", sw.ElapsedMilliseconds);
+                await Task.Delay(TimeSpan.FromSeconds(30), stoppingToken);
+            }
+        }
+
+        _logger.LogInformation("Sketch Cleanup Service stopped");
+    }
+}
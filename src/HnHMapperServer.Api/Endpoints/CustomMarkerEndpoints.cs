@@ -5,6 +5,7 @@ using HnHMapperServer.Services.Interfaces;
 using Microsoft.AspNetCore.Mvc;
 using HnHMapperServer.Core.Extensions;
 using HnHMapperServer.Core.Constants;
+using HnHMapperServer.Api.Filters;
 
 namespace HnHMapperServer.Api.Endpoints;
 
@@ -26,7 +27,8 @@ public static class CustomMarkerEndpoints
 
         // Create a new custom marker
         group.MapPost("", CreateCustomMarker)
-            .RequireAuthorization("TenantMarkersAccess"); // Require Markers permission to create markers
+            .RequireAuthorization("TenantMarkersAccess") // Require Markers permission to create markers
+            .AddEndpointFilter<IdempotencyFilter>();
 
         // Update an existing custom marker
         group.MapPut("{id:int}", UpdateCustomMarker);
@@ -219,6 +221,11 @@ public static class CustomMarkerEndpoints
         {
             return Results.BadRequest(new { error = ex.Message });
         }
+        catch (InvalidOperationException ex)
+        {
+            // Moved onto a grid that doesn't exist
+            return Results.BadRequest(new { error = ex.Message });
+        }
         catch (Exception ex)
         {
             return Results.Problem(ex.Message);
@@ -8,6 +8,7 @@ using Microsoft.AspNetCore.Mvc;
 using System.Text.Json;
 using System.Text;
 using HnHMapperServer.Core.DTOs;
+using HnHMapperServer.Api.Services;
 using System.Security.Claims;
 using Microsoft.AspNetCore.Http.Features;
 using Microsoft.AspNetCore.Server.Kestrel.Core.Features;
@@ -44,6 +45,10 @@ public static class MapEndpoints
         group.MapGet("/v1/overlay-offset", GetOverlayOffset);
         group.MapPost("/v1/overlay-offset", SaveOverlayOffset);
 
+        // Marker highlight rules (per user, not per tenant)
+        group.MapGet("/v1/highlight-rules", GetHighlightRules);
+        group.MapPut("/v1/highlight-rules", SaveHighlightRules);
+
         app.MapGet("/map/updates", WatchGridUpdates).RequireAuthorization("TenantMapAccess");
         app.MapGet("/map/grids/{**path}", ServeGridTile)
             .RequireAuthorization("TenantMapAccess")
@@ -441,6 +446,7 @@ public static class MapEndpoints
         ICharacterService characterService,
         HnHMapperServer.Api.Services.MapRevisionCache revisionCache,
         IMapRepository mapRepository,
+        IMapEventLog eventLog,
         ILogger<Program> logger)
     {
         if (!context.User.Identity?.IsAuthenticated ?? true)
@@ -480,6 +486,74 @@ public static class MapEndpoints
             return;
         }
 
+        await StreamMapUpdatesAsync(context, new SseMapUpdateSink(context.Response), tenantId, hasPointerAuth,
+            updateNotificationService, tileCacheService, characterService, revisionCache, mapRepository, eventLog, logger);
+    }
+
+    /// <summary>
+    /// Body of a /map/updates stream, shared by SSE (WatchGridUpdates) and the /map/ws WebSocket:
+    /// Last-Event-ID replay, initial tiles/revisions/characters, then the 500ms event loop until
+    /// the request or <paramref name="cancellationToken"/> is cancelled. Resume parameters come
+    /// from the request (Last-Event-ID header, ?lastEventId=, ?since=).
+    /// </summary>
+    internal static async Task StreamMapUpdatesAsync(
+        HttpContext context,
+        MapUpdateSink sink,
+        string tenantId,
+        bool hasPointerAuth,
+        IUpdateNotificationService updateNotificationService,
+        TileCacheService tileCacheService,
+        ICharacterService characterService,
+        HnHMapperServer.Api.Services.MapRevisionCache revisionCache,
+        IMapRepository mapRepository,
+        IMapEventLog eventLog,
+        ILogger logger,
+        CancellationToken cancellationToken = default)
+    {
+        // Resumable stream: replayable events (markers, roads, pings, timers, overlays, merges,
+        // map metadata) come from the shared IMapEventLog, which assigns their SSE IDs. A
+        // reconnecting client names the last ID it saw - via the Last-Event-ID header on native
+        // EventSource reconnects, or ?lastEventId= when the client opens a new EventSource - and
+        // gets everything after it replayed, or a `resync` event when that point is too old.
+        // Subscribing before the initial payload means nothing published meanwhile is lost.
+        long? requestedLastEventId = null;
+        var lastEventIdValue = context.Request.Headers["Last-Event-ID"].ToString();
+        if (string.IsNullOrEmpty(lastEventIdValue))
+        {
+            lastEventIdValue = context.Request.Query["lastEventId"].ToString();
+        }
+        if (long.TryParse(lastEventIdValue, out var parsedLastEventId) && parsedLastEventId > 0)
+        {
+            requestedLastEventId = parsedLastEventId;
+        }
+
+        using var eventLogSub = eventLog.Subscribe(tenantId, requestedLastEventId);
+
+        // Every message carries the ID of the newest log event this connection has delivered, so
+        // Last-Event-ID always tracks the replay position (non-logged events repeat the same ID).
+        // Until the replay is written that is still the client's own value.
+        var lastSentEventId = requestedLastEventId ?? eventLogSub.StartEventId;
+
+        if (eventLogSub.ResyncRequired)
+        {
+            logger.LogInformation("SSE: Last-Event-ID {LastEventId} is outside the replay window for tenant {TenantId}, requesting resync",
+                requestedLastEventId, tenantId);
+            lastSentEventId = eventLogSub.StartEventId;
+            await sink.SendAsync("resync", lastSentEventId, "{\"reason\":\"gap\"}");
+            await sink.FlushAsync();
+        }
+        else if (eventLogSub.Replay.Count > 0)
+        {
+            logger.LogInformation("SSE: Replaying {Count} events after {LastEventId} for tenant {TenantId}",
+                eventLogSub.Replay.Count, requestedLastEventId, tenantId);
+            foreach (var entry in eventLogSub.Replay)
+            {
+                await sink.SendAsync(entry.EventName, entry.Id, entry.Data);
+            }
+            await sink.FlushAsync();
+        }
+        lastSentEventId = Math.Max(lastSentEventId, eventLogSub.StartEventId);
+
         // Optional client-side resync optimization:
         // The web UI may reconnect its SSE EventSource when the tab is backgrounded/foregrounded.
         // Re-sending the entire tile cache (~300k entries) on every reconnect can:
@@ -553,8 +627,8 @@ public static class MapEndpoints
                 if (chunk.Count >= initialTileChunkSize)
                 {
                     var json = JsonSerializer.Serialize(chunk);
-                    await context.Response.WriteAsync($"data: {json}\n\n");
-                    await context.Response.Body.FlushAsync();
+                    await sink.SendAsync(null, lastSentEventId, json);
+                    await sink.FlushAsync();
                     chunk.Clear();
                 }
             }
@@ -563,8 +637,8 @@ public static class MapEndpoints
             if (chunk.Count > 0)
             {
                 var json = JsonSerializer.Serialize(chunk);
-                await context.Response.WriteAsync($"data: {json}\n\n");
-                await context.Response.Body.FlushAsync();
+                await sink.SendAsync(null, lastSentEventId, json);
+                await sink.FlushAsync();
             }
         }
 
@@ -584,9 +658,9 @@ public static class MapEndpoints
             foreach (var kv in tenantRevisions)
             {
                 var irJson = JsonSerializer.Serialize(new { MapId = kv.Key, Revision = kv.Value }, initialJsonOptions);
-                await context.Response.WriteAsync($"event: mapRevision\ndata: {irJson}\n\n");
+                await sink.SendAsync("mapRevision", lastSentEventId, irJson);
             }
-            await context.Response.Body.FlushAsync();
+            await sink.FlushAsync();
         }
 
         // Send initial character snapshot if user has Pointer auth
@@ -605,76 +679,40 @@ public static class MapEndpoints
             // to match what the frontend expects
             var snapshotJson = JsonSerializer.Serialize(allCharacters);
             logger.LogWarning("SSE: Snapshot JSON length: {Length}", snapshotJson.Length);
-            await context.Response.WriteAsync($"event: charactersSnapshot\ndata: {snapshotJson}\n\n");
-            await context.Response.Body.FlushAsync();
+            await sink.SendAsync("charactersSnapshot", lastSentEventId, snapshotJson);
+            await sink.FlushAsync();
         }
         else
         {
             logger.LogWarning("SSE: User lacks Pointer auth, not sending character snapshot");
         }
 
-        // Subscribe to updates. `using var` is load-bearing: disposal is the only
-        // thing that unregisters a subscription — an undisposed one stays in the
-        // service forever, buffering every future event after this connection dies.
+        // Subscribe to the events that are not in the replay log. `using var` is load-bearing:
+        // disposal is the only thing that unregisters a subscription — an undisposed one stays
+        // in the service forever, buffering every future event after this connection dies.
         using var tileUpdatesSub = updateNotificationService.SubscribeToTileUpdates();
-        using var mergeUpdatesSub = updateNotificationService.SubscribeToMergeUpdates();
-        using var mapUpdatesSub = updateNotificationService.SubscribeToMapUpdates();
         using var mapDeletesSub = updateNotificationService.SubscribeToMapDeletes();
         using var mapRevisionsSub = updateNotificationService.SubscribeToMapRevisions();
-        using var customMarkerCreatedSub = updateNotificationService.SubscribeToCustomMarkerCreated();
-        using var customMarkerUpdatedSub = updateNotificationService.SubscribeToCustomMarkerUpdated();
-        using var customMarkerDeletedSub = updateNotificationService.SubscribeToCustomMarkerDeleted();
-        using var pingCreatedSub = updateNotificationService.SubscribeToPingCreated();
-        using var pingDeletedSub = updateNotificationService.SubscribeToPingDeleted();
-        using var roadCreatedSub = updateNotificationService.SubscribeToRoadCreated();
-        using var roadUpdatedSub = updateNotificationService.SubscribeToRoadUpdated();
-        using var roadDeletedSub = updateNotificationService.SubscribeToRoadDeleted();
-        using var overlayUpdatedSub = updateNotificationService.SubscribeToOverlayUpdated();
         using var notificationCreatedSub = updateNotificationService.SubscribeToNotificationCreated();
         using var notificationUpdatedSub = updateNotificationService.SubscribeToNotificationUpdated();
         using var notificationReadSub = updateNotificationService.SubscribeToNotificationRead();
         using var notificationDismissedSub = updateNotificationService.SubscribeToNotificationDismissed();
-        using var timerCreatedSub = updateNotificationService.SubscribeToTimerCreated();
-        using var timerUpdatedSub = updateNotificationService.SubscribeToTimerUpdated();
-        using var timerCompletedSub = updateNotificationService.SubscribeToTimerCompleted();
-        using var timerDeletedSub = updateNotificationService.SubscribeToTimerDeleted();
-        using var markerCreatedSub = updateNotificationService.SubscribeToMarkerCreated();
-        using var markerUpdatedSub = updateNotificationService.SubscribeToMarkerUpdated();
-        using var markerDeletedSub = updateNotificationService.SubscribeToMarkerDeleted();
         using var characterDeltasSub = hasPointerAuth ? updateNotificationService.SubscribeToCharacterDelta() : null;
 
         var tileUpdates = tileUpdatesSub.Reader;
-        var mergeUpdates = mergeUpdatesSub.Reader;
-        var mapUpdates = mapUpdatesSub.Reader;
         var mapDeletes = mapDeletesSub.Reader;
         var mapRevisions = mapRevisionsSub.Reader;
-        var customMarkerCreated = customMarkerCreatedSub.Reader;
-        var customMarkerUpdated = customMarkerUpdatedSub.Reader;
-        var customMarkerDeleted = customMarkerDeletedSub.Reader;
-        var pingCreated = pingCreatedSub.Reader;
-        var pingDeleted = pingDeletedSub.Reader;
-        var roadCreated = roadCreatedSub.Reader;
-        var roadUpdated = roadUpdatedSub.Reader;
-        var roadDeleted = roadDeletedSub.Reader;
-        var overlayUpdated = overlayUpdatedSub.Reader;
         var notificationCreated = notificationCreatedSub.Reader;
         var notificationUpdated = notificationUpdatedSub.Reader;
         var notificationRead = notificationReadSub.Reader;
         var notificationDismissed = notificationDismissedSub.Reader;
-        var timerCreated = timerCreatedSub.Reader;
-        var timerUpdated = timerUpdatedSub.Reader;
-        var timerCompleted = timerCompletedSub.Reader;
-        var timerDeleted = timerDeletedSub.Reader;
-        var markerCreated = markerCreatedSub.Reader;
-        var markerUpdated = markerUpdatedSub.Reader;
-        var markerDeleted = markerDeletedSub.Reader;
         var characterDeltas = characterDeltasSub?.Reader;
 
         var tileBatch = new List<TileCacheDto>();
         // Character delta coalescing: accumulate latest state per character ID for 500ms batching
         var characterDeltaBatch = new Dictionary<int, Character>(); // characterId -> latest state
         var characterDeletions = new HashSet<int>(); // characterIds to delete
-        using var cts = CancellationTokenSource.CreateLinkedTokenSource(context.RequestAborted);
+        using var cts = CancellationTokenSource.CreateLinkedTokenSource(context.RequestAborted, cancellationToken);
 
         // Use CamelCase serialization for SSE events to match API behavior and client expectations
         var jsonOptions = new JsonSerializerOptions
@@ -719,54 +757,26 @@ public static class MapEndpoints
                     }
                 }
 
-                // Check for merge updates
-                // SECURITY: Filter by tenant to prevent cross-tenant merge confusion
-                while (mergeUpdates.TryRead(out var merge))
+                // Replayable events from the shared log (merges, map metadata, markers, roads,
+                // pings, overlays, timers). Entries at or below StartEventId were covered by
+                // the replay or predate this connection.
+                while (eventLogSub.Reader.TryRead(out var logEntry))
                 {
-                    if (merge.TenantId == tenantId)
+                    if (logEntry.Id <= eventLogSub.StartEventId)
                     {
-                        // Track both sides so the follow-up mapDelete for the merged-away
-                        // source and later mapRevision events aren't filtered out
-                        tenantMapIds.Add(merge.To);
-                        tenantMapIds.Add(merge.From);
-                        var mergeJson = JsonSerializer.Serialize(merge, jsonOptions);
-                        await context.Response.WriteAsync($"event: merge\ndata: {mergeJson}\n\n");
-                        await context.Response.Body.FlushAsync();
+                        continue;
                     }
-                }
 
-                // Check for map metadata updates (rename, hidden, priority)
-                // SECURITY: Filter by tenant to prevent cross-tenant map updates
-                while (mapUpdates.TryRead(out var mapInfo))
-                {
-                    if (mapInfo.TenantId == tenantId)
+                    // Newly created/merged maps count as tenant maps from now on, so later
+                    // mapDelete/mapRevision events pass the Contains gates below
+                    foreach (var logMapId in logEntry.MapIds)
                     {
-                        // Newly created/updated maps count as tenant maps from now on,
-                        // so later mapDelete/mapRevision events pass the Contains gates below
-                        tenantMapIds.Add(mapInfo.Id);
-
-                        // Same nested shape as a GET /map/api/maps item so the client can
-                        // upsert it straight into its map list. IsMainMap is deliberately
-                        // omitted (config lookup here would be stale on this long-lived
-                        // scope) — the client preserves its known value.
-                        var mapUpdateDto = new
-                        {
-                            ID = mapInfo.Id,
-                            MapInfo = new
-                            {
-                                Name = mapInfo.Name,
-                                Hidden = mapInfo.Hidden,
-                                Priority = mapInfo.Priority,
-                                Revision = revisionCache.Get(mapInfo.Id),
-                                DefaultStartX = mapInfo.DefaultStartX,
-                                DefaultStartY = mapInfo.DefaultStartY
-                            },
-                            Size = 0
-                        };
-                        var mapJson = JsonSerializer.Serialize(mapUpdateDto, jsonOptions);
-                        await context.Response.WriteAsync($"event: mapUpdate\ndata: {mapJson}\n\n");
-                        await context.Response.Body.FlushAsync();
+                        tenantMapIds.Add(logMapId);
                     }
+
+                    lastSentEventId = logEntry.Id;
+                    await sink.SendAsync(logEntry.EventName, logEntry.Id, logEntry.Data);
+                    await sink.FlushAsync();
                 }
 
                 // Check for map deletions
@@ -778,8 +788,8 @@ public static class MapEndpoints
                     {
                         var deleteDto = new { Id = mapId };
                         var deleteJson = JsonSerializer.Serialize(deleteDto, jsonOptions);
-                        await context.Response.WriteAsync($"event: mapDelete\ndata: {deleteJson}\n\n");
-                        await context.Response.Body.FlushAsync();
+                        await sink.SendAsync("mapDelete", lastSentEventId, deleteJson);
+                        await sink.FlushAsync();
                     }
                 }
 
@@ -791,119 +801,8 @@ public static class MapEndpoints
                     {
                         var revisionDto = new { MapId = revision.MapId, Revision = revision.Revision };
                         var revisionJson = JsonSerializer.Serialize(revisionDto, jsonOptions);
-                        await context.Response.WriteAsync($"event: mapRevision\ndata: {revisionJson}\n\n");
-                        await context.Response.Body.FlushAsync();
-                    }
-                }
-
-                // Check for custom marker creation events
-                // SECURITY: Filter by tenant to prevent cross-tenant marker visibility
-                while (customMarkerCreated.TryRead(out var customMarker))
-                {
-                    if (customMarker.TenantId == tenantId)
-                    {
-                        var markerJson = JsonSerializer.Serialize(customMarker, jsonOptions);
-                        await context.Response.WriteAsync($"event: customMarkerCreated\ndata: {markerJson}\n\n");
-                        await context.Response.Body.FlushAsync();
-                    }
-                }
-
-                // Check for custom marker update events
-                // SECURITY: Filter by tenant to prevent cross-tenant marker visibility
-                while (customMarkerUpdated.TryRead(out var customMarkerUpdate))
-                {
-                    if (customMarkerUpdate.TenantId == tenantId)
-                    {
-                        var markerJson = JsonSerializer.Serialize(customMarkerUpdate, jsonOptions);
-                        await context.Response.WriteAsync($"event: customMarkerUpdated\ndata: {markerJson}\n\n");
-                        await context.Response.Body.FlushAsync();
-                    }
-                }
-
-                // Check for custom marker deletion events
-                // SECURITY: Filter by tenant to prevent cross-tenant marker visibility
-                while (customMarkerDeleted.TryRead(out var markerDeleteEvent))
-                {
-                    if (markerDeleteEvent.TenantId == tenantId)
-                    {
-                        var deleteDto = new { Id = markerDeleteEvent.Id };
-                        var deleteJson = JsonSerializer.Serialize(deleteDto, jsonOptions);
-                        await context.Response.WriteAsync($"event: customMarkerDeleted\ndata: {deleteJson}\n\n");
-                        await context.Response.Body.FlushAsync();
-                    }
-                }
-
-                // Check for ping creation events
-                // SECURITY: Filter by tenant to prevent cross-tenant ping visibility
-                while (pingCreated.TryRead(out var ping))
-                {
-                    if (ping.TenantId == tenantId)
-                    {
-                        var pingJson = JsonSerializer.Serialize(ping, jsonOptions);
-                        await context.Response.WriteAsync($"event: pingCreated\ndata: {pingJson}\n\n");
-                        await context.Response.Body.FlushAsync();
-                    }
-                }
-
-                // Check for ping deletion events
-                // SECURITY: Filter by tenant to prevent cross-tenant ping visibility
-                while (pingDeleted.TryRead(out var pingDeleteEvent))
-                {
-                    if (pingDeleteEvent.TenantId == tenantId)
-                    {
-                        var deleteDto = new { Id = pingDeleteEvent.Id };
-                        var deleteJson = JsonSerializer.Serialize(deleteDto, jsonOptions);
-                        await context.Response.WriteAsync($"event: pingDeleted\ndata: {deleteJson}\n\n");
-                        await context.Response.Body.FlushAsync();
-                    }
-                }
-
-                // Check for road creation events
-                // SECURITY: Filter by tenant to prevent cross-tenant road visibility
-                while (roadCreated.TryRead(out var road))
-                {
-                    if (road.TenantId == tenantId)
-                    {
-                        var roadJson = JsonSerializer.Serialize(road, jsonOptions);
-                        await context.Response.WriteAsync($"event: roadCreated\ndata: {roadJson}\n\n");
-                        await context.Response.Body.FlushAsync();
-                    }
-                }
-
-                // Check for road update events
-                // SECURITY: Filter by tenant to prevent cross-tenant road visibility
-                while (roadUpdated.TryRead(out var updatedRoad))
-                {
-                    if (updatedRoad.TenantId == tenantId)
-                    {
-                        var roadJson = JsonSerializer.Serialize(updatedRoad, jsonOptions);
-                        await context.Response.WriteAsync($"event: roadUpdated\ndata: {roadJson}\n\n");
-                        await context.Response.Body.FlushAsync();
-                    }
-                }
-
-                // Check for road deletion events
-                // SECURITY: Filter by tenant to prevent cross-tenant road visibility
-                while (roadDeleted.TryRead(out var roadDeleteEvent))
-                {
-                    if (roadDeleteEvent.TenantId == tenantId)
-                    {
-                        var deleteDto = new { Id = roadDeleteEvent.Id };
-                        var deleteJson = JsonSerializer.Serialize(deleteDto, jsonOptions);
-                        await context.Response.WriteAsync($"event: roadDeleted\ndata: {deleteJson}\n\n");
-                        await context.Response.Body.FlushAsync();
-                    }
-                }
-
-                // Check for overlay update events
-                // SECURITY: Filter by tenant to prevent cross-tenant overlay visibility
-                while (overlayUpdated.TryRead(out var overlay))
-                {
-                    if (overlay.TenantId == tenantId)
-                    {
-                        var overlayJson = JsonSerializer.Serialize(overlay, jsonOptions);
-                        await context.Response.WriteAsync($"event: overlayUpdated\ndata: {overlayJson}\n\n");
-                        await context.Response.Body.FlushAsync();
+                        await sink.SendAsync("mapRevision", lastSentEventId, revisionJson);
+                        await sink.FlushAsync();
                     }
                 }
 
@@ -917,8 +816,8 @@ public static class MapEndpoints
                         (notification.UserId == null || notification.UserId == userId))
                     {
                         var notificationJson = JsonSerializer.Serialize(notification, jsonOptions);
-                        await context.Response.WriteAsync($"event: notificationCreated\ndata: {notificationJson}\n\n");
-                        await context.Response.Body.FlushAsync();
+                        await sink.SendAsync("notificationCreated", lastSentEventId, notificationJson);
+                        await sink.FlushAsync();
                     }
                 }
 
@@ -931,8 +830,8 @@ public static class MapEndpoints
                         (updatedNotification.UserId == null || updatedNotification.UserId == userId))
                     {
                         var updatedJson = JsonSerializer.Serialize(updatedNotification, jsonOptions);
-                        await context.Response.WriteAsync($"event: notificationUpdated\ndata: {updatedJson}\n\n");
-                        await context.Response.Body.FlushAsync();
+                        await sink.SendAsync("notificationUpdated", lastSentEventId, updatedJson);
+                        await sink.FlushAsync();
                     }
                 }
 
@@ -941,8 +840,8 @@ public static class MapEndpoints
                 {
                     var readDto = new { Id = notificationId };
                     var readJson = JsonSerializer.Serialize(readDto, jsonOptions);
-                    await context.Response.WriteAsync($"event: notificationRead\ndata: {readJson}\n\n");
-                    await context.Response.Body.FlushAsync();
+                    await sink.SendAsync("notificationRead", lastSentEventId, readJson);
+                    await sink.FlushAsync();
                 }
 
                 // Check for notification dismissed events
@@ -950,89 +849,8 @@ public static class MapEndpoints
                 {
                     var dismissDto = new { Id = dismissedId };
                     var dismissJson = JsonSerializer.Serialize(dismissDto, jsonOptions);
-                    await context.Response.WriteAsync($"event: notificationDismissed\ndata: {dismissJson}\n\n");
-                    await context.Response.Body.FlushAsync();
-                }
-
-                // Check for timer creation events
-                // SECURITY: Filter by tenant to prevent cross-tenant timer visibility
-                while (timerCreated.TryRead(out var timerEvent))
-                {
-                    if (timerEvent.TenantId == tenantId)
-                    {
-                        var timerJson = JsonSerializer.Serialize(timerEvent, jsonOptions);
-                        await context.Response.WriteAsync($"event: timerCreated\ndata: {timerJson}\n\n");
-                        await context.Response.Body.FlushAsync();
-                    }
-                }
-
-                // Check for timer update events
-                // SECURITY: Filter by tenant to prevent cross-tenant timer visibility
-                while (timerUpdated.TryRead(out var timerUpdate))
-                {
-                    if (timerUpdate.TenantId == tenantId)
-                    {
-                        var timerJson = JsonSerializer.Serialize(timerUpdate, jsonOptions);
-                        await context.Response.WriteAsync($"event: timerUpdated\ndata: {timerJson}\n\n");
-                        await context.Response.Body.FlushAsync();
-                    }
-                }
-
-                // Check for timer completion events
-                // SECURITY: Filter by tenant to prevent cross-tenant timer visibility
-                while (timerCompleted.TryRead(out var timerDone))
-                {
-                    if (timerDone.TenantId == tenantId)
-                    {
-                        var timerJson = JsonSerializer.Serialize(timerDone, jsonOptions);
-                        await context.Response.WriteAsync($"event: timerCompleted\ndata: {timerJson}\n\n");
-                        await context.Response.Body.FlushAsync();
-                    }
-                }
-
-                // Check for timer deletion events
-                while (timerDeleted.TryRead(out var timerId))
-                {
-                    var deleteDto = new { Id = timerId };
-                    var deleteJson = JsonSerializer.Serialize(deleteDto, jsonOptions);
-                    await context.Response.WriteAsync($"event: timerDeleted\ndata: {deleteJson}\n\n");
-                    await context.Response.Body.FlushAsync();
-                }
-
-                // Check for game marker creation events
-                // SECURITY: Filter by tenant to prevent cross-tenant marker visibility
-                while (markerCreated.TryRead(out var gameMarker))
-                {
-                    if (gameMarker.TenantId == tenantId)
-                    {
-                        var markerJson = JsonSerializer.Serialize(gameMarker, jsonOptions);
-                        await context.Response.WriteAsync($"event: markerCreated\ndata: {markerJson}\n\n");
-                        await context.Response.Body.FlushAsync();
-                    }
-                }
-
-                // Check for game marker update events
-                // SECURITY: Filter by tenant to prevent cross-tenant marker visibility
-                while (markerUpdated.TryRead(out var gameMarkerUpdate))
-                {
-                    if (gameMarkerUpdate.TenantId == tenantId)
-                    {
-                        var markerJson = JsonSerializer.Serialize(gameMarkerUpdate, jsonOptions);
-                        await context.Response.WriteAsync($"event: markerUpdated\ndata: {markerJson}\n\n");
-                        await context.Response.Body.FlushAsync();
-                    }
-                }
-
-                // Check for game marker deletion events
-                // SECURITY: Filter by tenant to prevent cross-tenant marker visibility
-                while (markerDeleted.TryRead(out var gameMarkerDelete))
-                {
-                    if (gameMarkerDelete.TenantId == tenantId)
-                    {
-                        var deleteJson = JsonSerializer.Serialize(gameMarkerDelete, jsonOptions);
-                        await context.Response.WriteAsync($"event: markerDeleted\ndata: {deleteJson}\n\n");
-                        await context.Response.Body.FlushAsync();
-                    }
+                    await sink.SendAsync("notificationDismissed", lastSentEventId, dismissJson);
+                    await sink.FlushAsync();
                 }
 
                 // Check for character delta events (coalesce updates)
@@ -1096,8 +914,8 @@ public static class MapEndpoints
                         Deletions = characterDeletions.ToList()
                     };
                     var deltaJson = JsonSerializer.Serialize(deltaPayload);
-                    await context.Response.WriteAsync($"event: characterDelta\ndata: {deltaJson}\n\n");
-                    await context.Response.Body.FlushAsync();
+                    await sink.SendAsync("characterDelta", lastSentEventId, deltaJson);
+                    await sink.FlushAsync();
                     
                     characterDeltaBatch.Clear();
                     characterDeletions.Clear();
@@ -1110,8 +928,8 @@ public static class MapEndpoints
                     if (tileBatch.Count > 0)
                     {
                         var batchJson = JsonSerializer.Serialize(tileBatch);
-                        await context.Response.WriteAsync($"data: {batchJson}\n\n");
-                        await context.Response.Body.FlushAsync();
+                        await sink.SendAsync(null, lastSentEventId, batchJson);
+                        await sink.FlushAsync();
                         tileBatch.Clear();
                         sentData = true;
                     }
@@ -1130,8 +948,7 @@ public static class MapEndpoints
                     idleTicks++;
                     if (idleTicks % 10 == 0)
                     {
-                        await context.Response.WriteAsync(": keep-alive\n\n");
-                        await context.Response.Body.FlushAsync();
+                        await sink.KeepAliveAsync();
                     }
                 }
             }
@@ -1566,6 +1383,42 @@ public static class MapEndpoints
     private record OverlayOffsetResponse(int CurrentMapId, int OverlayMapId, double OffsetX, double OffsetY);
     private record SaveOverlayOffsetRequest(int CurrentMapId, int OverlayMapId, double OffsetX, double OffsetY);
 
+    // Highlight rules are small; this only stops a client from parking arbitrary data on the server
+    private const int MaxHighlightRulesJsonLength = 64 * 1024;
+
+    // Marker highlight rule endpoints
+    private static async Task<IResult> GetHighlightRules(
+        HttpContext context,
+        IMarkerHighlightRulesRepository rulesRepository)
+    {
+        var userId = context.User.FindFirstValue(ClaimTypes.NameIdentifier);
+        if (string.IsNullOrEmpty(userId))
+            return Results.Unauthorized();
+
+        var json = await rulesRepository.GetRulesJsonAsync(userId);
+        return Results.Content(json ?? "[]", "application/json");
+    }
+
+    private static async Task<IResult> SaveHighlightRules(
+        HttpContext context,
+        [FromBody] JsonElement rules,
+        IMarkerHighlightRulesRepository rulesRepository)
+    {
+        var userId = context.User.FindFirstValue(ClaimTypes.NameIdentifier);
+        if (string.IsNullOrEmpty(userId))
+            return Results.Unauthorized();
+
+        if (rules.ValueKind != JsonValueKind.Array)
+            return Results.BadRequest("Rules must be a JSON array");
+
+        var json = rules.GetRawText();
+        if (json.Length > MaxHighlightRulesJsonLength)
+            return Results.BadRequest("Too many highlight rules");
+
+        await rulesRepository.SaveRulesJsonAsync(userId, json);
+        return Results.NoContent();
+    }
+
     /// <summary>
     /// Get grid IDs for tiles in a specified bounds.
     /// Used to display grid IDs on the map viewer.
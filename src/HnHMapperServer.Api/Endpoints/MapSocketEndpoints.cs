@@ -0,0 +1,337 @@
+using System.Net.WebSockets;
+using System.Security.Claims;
+using System.Text;
+using System.Text.Json;
+using HnHMapperServer.Api.Filters;
+using HnHMapperServer.Api.Services;
+using HnHMapperServer.Core.Constants;
+using HnHMapperServer.Core.DTOs;
+using HnHMapperServer.Core.Enums;
+using HnHMapperServer.Core.Interfaces;
+using HnHMapperServer.Services.Interfaces;
+using HnHMapperServer.Services.Services;
+
+namespace HnHMapperServer.Api.Endpoints;
+
+/// <summary>
+/// /map/ws: the /map/updates stream (map events and notifications) over a WebSocket, plus
+/// client-to-server messages on the same connection:
+///   {"type":"ping","requestId":"…","idempotencyKey":"…","mapId":1,"coordX":0,"coordY":0,"x":50,"y":50,
+///    "pingType":"danger","message":"…"}                                         → "pingResult"
+///   {"type":"presence","mapId":1}                                                → "presence" to the tenant
+///   {"type":"cursor","mapId":1,"x":1234,"y":5678}                                → "cursor" to viewers of that map
+/// Server frames are {"event":…,"id":…,"data":…}; see <see cref="WebSocketMapUpdateSink"/>.
+/// </summary>
+public static class MapSocketEndpoints
+{
+    // Client messages are tiny; anything bigger is a misbehaving client
+    private const int MaxClientMessageBytes = 16 * 1024;
+
+    private static readonly JsonSerializerOptions SocketJsonOptions = new()
+    {
+        PropertyNamingPolicy = JsonNamingPolicy.CamelCase
+    };
+
+    public static void MapMapSocketEndpoints(this IEndpointRouteBuilder app)
+    {
+        app.Map("/map/ws", HandleMapSocket).RequireAuthorization("TenantMapAccess");
+    }
+
+    private static async Task HandleMapSocket(
+        HttpContext context,
+        IUpdateNotificationService updateNotificationService,
+        TileCacheService tileCacheService,
+        ICharacterService characterService,
+        MapRevisionCache revisionCache,
+        IMapRepository mapRepository,
+        IMapEventLog eventLog,
+        IMapPresenceService presenceService,
+        ILogger<Program> logger)
+    {
+        if (!context.WebSockets.IsWebSocketRequest)
+        {
+            context.Response.StatusCode = StatusCodes.Status400BadRequest;
+            return;
+        }
+
+        var tenantId = context.Items["TenantId"] as string ?? string.Empty;
+        if (string.IsNullOrEmpty(tenantId))
+        {
+            context.Response.StatusCode = StatusCodes.Status401Unauthorized;
+            return;
+        }
+
+        var hasPointerAuth = HasPermission(context.User, Permission.Pointer);
+        var userName = context.User.Identity?.Name ?? string.Empty;
+
+        using var socket = await context.WebSockets.AcceptWebSocketAsync();
+        var sink = new WebSocketMapUpdateSink(socket);
+
+        // `using var` is load-bearing, same as the SSE subscriptions: disposal leaves presence
+        using var presence = presenceService.Join(tenantId, userName);
+        using var cts = CancellationTokenSource.CreateLinkedTokenSource(context.RequestAborted);
+
+        logger.LogInformation("WS: Map socket {ConnectionId} opened for tenant {TenantId}", presence.ConnectionId, tenantId);
+
+        try
+        {
+            await sink.SendEphemeralAsync("hello",
+                JsonSerializer.Serialize(new { presence.ConnectionId }, SocketJsonOptions), cts.Token);
+
+            var streamTask = MapEndpoints.StreamMapUpdatesAsync(context, sink, tenantId, hasPointerAuth,
+                updateNotificationService, tileCacheService, characterService, revisionCache, mapRepository,
+                eventLog, logger, cts.Token);
+            var receiveTask = ReceiveLoopAsync(context, socket, sink, presence.ConnectionId, presenceService, logger, cts.Token);
+            var relayTask = RelayPresenceAsync(presence, sink, cts.Token);
+
+            // Whichever side ends first (client closed, stream failed) tears down the others
+            await Task.WhenAny(streamTask, receiveTask, relayTask);
+            cts.Cancel();
+            try
+            {
+                await Task.WhenAll(streamTask, receiveTask, relayTask);
+            }
+            catch (OperationCanceledException)
+            {
+                // Expected after cts.Cancel()
+            }
+            catch (WebSocketException)
+            {
+                // Client went away mid-send
+            }
+
+            if (socket.State is WebSocketState.Open or WebSocketState.CloseReceived)
+            {
+                using var closeTimeout = new CancellationTokenSource(TimeSpan.FromSeconds(2));
+                await socket.CloseAsync(WebSocketCloseStatus.NormalClosure, null, closeTimeout.Token);
+            }
+        }
+        catch (OperationCanceledException)
+        {
+            // Request aborted
+        }
+        catch (WebSocketException ex)
+        {
+            logger.LogDebug("WS: Map socket {ConnectionId} dropped - {Message}", presence.ConnectionId, ex.Message);
+        }
+        catch (Exception ex)
+        {
+            logger.LogError(ex, "Unhandled exception in map socket /map/ws");
+        }
+
+        logger.LogInformation("WS: Map socket {ConnectionId} closed", presence.ConnectionId);
+    }
+
+    /// <summary>
+    /// Reads client messages until the client closes the socket
+    /// </summary>
+    private static async Task ReceiveLoopAsync(
+        HttpContext context,
+        WebSocket socket,
+        WebSocketMapUpdateSink sink,
+        string connectionId,
+        IMapPresenceService presenceService,
+        ILogger logger,
+        CancellationToken cancellationToken)
+    {
+        var buffer = new byte[4096];
+        using var message = new MemoryStream();
+
+        while (!cancellationToken.IsCancellationRequested)
+        {
+            var result = await socket.ReceiveAsync(buffer, cancellationToken);
+            if (result.MessageType == WebSocketMessageType.Close)
+            {
+                return;
+            }
+
+            message.Write(buffer, 0, result.Count);
+            if (message.Length > MaxClientMessageBytes)
+            {
+                await socket.CloseAsync(WebSocketCloseStatus.MessageTooBig, "Message too big", cancellationToken);
+                return;
+            }
+            if (!result.EndOfMessage)
+            {
+                continue;
+            }
+
+            if (result.MessageType == WebSocketMessageType.Text)
+            {
+                var json = Encoding.UTF8.GetString(message.GetBuffer(), 0, (int)message.Length);
+                try
+                {
+                    await HandleClientMessageAsync(context, json, sink, connectionId, presenceService, cancellationToken);
+                }
+                catch (JsonException)
+                {
+                    logger.LogDebug("WS: Ignoring malformed message from {ConnectionId}", connectionId);
+                }
+            }
+            message.SetLength(0);
+        }
+    }
+
+    private static async Task HandleClientMessageAsync(
+        HttpContext context,
+        string json,
+        WebSocketMapUpdateSink sink,
+        string connectionId,
+        IMapPresenceService presenceService,
+        CancellationToken cancellationToken)
+    {
+        using var doc = JsonDocument.Parse(json);
+        var root = doc.RootElement;
+        if (root.ValueKind != JsonValueKind.Object || !root.TryGetProperty("type", out var typeElement))
+        {
+            return;
+        }
+
+        switch (typeElement.GetString())
+        {
+            case "presence":
+                presenceService.SetMap(connectionId, TryGetInt(root, "mapId"));
+                break;
+
+            case "cursor":
+            {
+                var mapId = TryGetInt(root, "mapId");
+                var x = TryGetInt(root, "x");
+                var y = TryGetInt(root, "y");
+                if (mapId.HasValue && x.HasValue && y.HasValue)
+                {
+                    presenceService.ShareCursor(connectionId, mapId.Value, x.Value, y.Value);
+                }
+                break;
+            }
+
+            case "ping":
+            {
+                var reply = await CreatePingAsync(context, root);
+                await sink.SendEphemeralAsync("pingResult", JsonSerializer.Serialize(reply, SocketJsonOptions), cancellationToken);
+                break;
+            }
+        }
+    }
+
+    /// <summary>
+    /// Same rules as POST /map/api/v1/pings (5 active pings per user, Idempotency-Key). Runs in
+    /// its own scope: the request scope's DbContext is in use by the update stream.
+    /// </summary>
+    private static async Task<object> CreatePingAsync(HttpContext context, JsonElement root)
+    {
+        var requestId = root.TryGetProperty("requestId", out var idElement) ? idElement.ToString() : null;
+        var idempotencyKey = root.TryGetProperty("idempotencyKey", out var keyElement) && keyElement.ValueKind == JsonValueKind.String
+            ? keyElement.GetString()
+            : null;
+        if (idempotencyKey?.Length > IdempotencyConstants.MaxKeyLength)
+        {
+            idempotencyKey = null;
+        }
+
+        var dto = new CreatePingDto
+        {
+            MapId = TryGetInt(root, "mapId") ?? 0,
+            CoordX = TryGetInt(root, "coordX") ?? 0,
+            CoordY = TryGetInt(root, "coordY") ?? 0,
+            X = TryGetInt(root, "x") ?? 0,
+            Y = TryGetInt(root, "y") ?? 0,
+            // "type" is the message kind, so the ping type travels as "pingType"
+            Type = TryGetString(root, "pingType"),
+            Message = TryGetString(root, "message")
+        };
+
+        // Shares keys with the HTTP endpoint: the client retries a lost socket ping over HTTP
+        var idempotencyStore = context.RequestServices.GetRequiredService<IIdempotencyStore>();
+        var idempotencyScope = IdempotencyFilter.ScopeFor(context);
+        if (idempotencyKey != null)
+        {
+            var lookup = idempotencyStore.Begin(idempotencyScope, idempotencyKey);
+            switch (lookup.Status)
+            {
+                case IdempotencyStatus.Completed:
+                    return new { RequestId = requestId, Ok = true, Status = lookup.StatusCode, PingId = (lookup.Value as PingEventDto)?.Id };
+                case IdempotencyStatus.InProgress:
+                    return new { RequestId = requestId, Ok = false, Status = StatusCodes.Status409Conflict, Error = "Ping is already being created" };
+            }
+        }
+
+        using var scope = context.RequestServices.CreateScope();
+        var pingService = scope.ServiceProvider.GetRequiredService<IPingService>();
+        var updateNotificationService = scope.ServiceProvider.GetRequiredService<IUpdateNotificationService>();
+
+        try
+        {
+            var ping = await pingService.CreateAsync(dto, context.User.Identity?.Name ?? string.Empty);
+            if (idempotencyKey != null)
+            {
+                idempotencyStore.Complete(idempotencyScope, idempotencyKey, StatusCodes.Status201Created, ping);
+            }
+
+            // Reaches every client (including this one) as a logged pingCreated event
+            updateNotificationService.NotifyPingCreated(ping);
+
+            return new { RequestId = requestId, Ok = true, Status = StatusCodes.Status201Created, PingId = ping.Id };
+        }
+        catch (InvalidOperationException ex) when (ex.Message.Contains("maximum"))
+        {
+            ReleaseKey();
+            return new { RequestId = requestId, Ok = false, Status = StatusCodes.Status429TooManyRequests, Error = ex.Message };
+        }
+        catch (ArgumentException ex)
+        {
+            ReleaseKey();
+            return new { RequestId = requestId, Ok = false, Status = StatusCodes.Status400BadRequest, Error = ex.Message };
+        }
+        catch
+        {
+            ReleaseKey();
+            throw;
+        }
+
+        void ReleaseKey()
+        {
+            if (idempotencyKey != null)
+            {
+                idempotencyStore.Release(idempotencyScope, idempotencyKey);
+            }
+        }
+    }
+
+    /// <summary>
+    /// Forwards presence/cursor messages for this connection as they arrive
+    /// </summary>
+    private static async Task RelayPresenceAsync(IMapPresenceConnection presence, WebSocketMapUpdateSink sink, CancellationToken cancellationToken)
+    {
+        await foreach (var message in presence.Reader.ReadAllAsync(cancellationToken))
+        {
+            await sink.SendEphemeralAsync(message.EventName, JsonSerializer.Serialize(message.Payload, SocketJsonOptions), cancellationToken);
+        }
+    }
+
+    private static int? TryGetInt(JsonElement root, string property)
+    {
+        return root.TryGetProperty(property, out var element) && element.ValueKind == JsonValueKind.Number && element.TryGetInt32(out var value)
+            ? value
+            : null;
+    }
+
+    private static string? TryGetString(JsonElement root, string property)
+    {
+        return root.TryGetProperty(property, out var element) && element.ValueKind == JsonValueKind.String
+            ? element.GetString()
+            : null;
+    }
+
+    private static bool HasPermission(ClaimsPrincipal user, Permission permission)
+    {
+        // SuperAdmin bypasses all permission checks
+        if (user.IsInRole(AuthorizationConstants.Roles.SuperAdmin))
+            return true;
+
+        var permissionValue = permission.ToClaimValue();
+        return user.Claims.Any(c =>
+            c.Type == AuthorizationConstants.ClaimTypes.TenantPermission &&
+            c.Value.Equals(permissionValue, StringComparison.OrdinalIgnoreCase));
+    }
+}
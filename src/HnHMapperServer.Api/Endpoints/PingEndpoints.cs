@@ -1,4 +1,5 @@
 using System.Security.Claims;
+using HnHMapperServer.Api.Filters;
 using HnHMapperServer.Core.DTOs;
 using HnHMapperServer.Services.Interfaces;
 using Microsoft.AspNetCore.Mvc;
@@ -18,8 +19,9 @@ public static class PingEndpoints
         // List active pings
         group.MapGet("", GetActivePings);
 
-        // Create a new ping
-        group.MapPost("", CreatePing);
+        // Create a new ping (Idempotency-Key: outbox replays must not ping twice)
+        group.MapPost("", CreatePing)
+            .AddEndpointFilter<IdempotencyFilter>();
     }
 
     /// <summary>
@@ -12,7 +12,8 @@ namespace HnHMapperServer.Api.Endpoints;
 
 /// <summary>
 /// Polling API endpoint as fallback for SSE when connections fail (e.g., VPN users).
-/// Returns unified response with tiles, characters, and map revisions.
+/// Returns unified response with tiles, characters, map revisions and the replayable events
+/// SSE streams (markers, roads, pings, timers, overlays, ...).
 /// </summary>
 public static class PollingEndpoints
 {
@@ -24,16 +25,18 @@ public static class PollingEndpoints
     }
 
     /// <summary>
-    /// Unified polling endpoint returning tiles, characters, and map revisions.
-    /// Supports delta updates via 'since' parameter to minimize payload.
+    /// Unified polling endpoint returning tiles, characters, map revisions and events.
+    /// Supports delta updates via 'since' (tiles) and 'lastEventId' (events) to minimize payload.
     /// </summary>
     private static async Task<IResult> PollUpdates(
         HttpContext context,
         [FromQuery] long? since,  // Tile cache token for delta updates
+        [FromQuery] long? lastEventId,  // Event cursor (shared with SSE Last-Event-ID)
         ICharacterService characterService,
         TileCacheService tileCacheService,
         MapRevisionCache revisionCache,
-        IMapRepository mapRepository)
+        IMapRepository mapRepository,
+        IMapEventLog eventLog)
     {
         if (!context.User.Identity?.IsAuthenticated ?? true)
             return Results.Unauthorized();
@@ -92,6 +95,17 @@ public static class PollingEndpoints
             .Where(kv => mapIds.Contains(kv.Key))
             .ToDictionary(kv => kv.Key, kv => kv.Value);
 
+        // 4. Replayable events after the client's cursor
+        var page = eventLog.ReadSince(tenantId, lastEventId is > 0 ? lastEventId : null);
+        response.LastEventId = page.LastEventId;
+        response.ResyncRequired = page.ResyncRequired;
+        response.Events = page.Entries.Select(e => new PollEventDto
+        {
+            Id = e.Id,
+            Event = e.EventName,
+            Data = e.Data
+        }).ToList();
+
         return Results.Json(response);
     }
 
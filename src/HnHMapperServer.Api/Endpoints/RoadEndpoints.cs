@@ -5,6 +5,7 @@ using HnHMapperServer.Services.Interfaces;
 using Microsoft.AspNetCore.Mvc;
 using HnHMapperServer.Core.Extensions;
 using HnHMapperServer.Core.Constants;
+using HnHMapperServer.Api.Filters;
 
 namespace HnHMapperServer.Api.Endpoints;
 
@@ -26,7 +27,8 @@ public static class RoadEndpoints
 
         // Create a new road
         group.MapPost("", CreateRoad)
-            .RequireAuthorization("TenantMarkersAccess"); // Require Markers permission to create roads
+            .RequireAuthorization("TenantMarkersAccess") // Require Markers permission to create roads
+            .AddEndpointFilter<IdempotencyFilter>();
 
         // Update an existing road
         group.MapPut("{id:int}", UpdateRoad);
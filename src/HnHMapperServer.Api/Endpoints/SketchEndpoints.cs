@@ -0,0 +1,221 @@
+using System.Security.Claims;
+using HnHMapperServer.Api.Filters;
+using HnHMapperServer.Core.Constants;
+using HnHMapperServer.Core.DTOs;
+using HnHMapperServer.Core.Enums;
+using HnHMapperServer.Core.Extensions;
+using HnHMapperServer.Services.Interfaces;
+using Microsoft.AspNetCore.Mvc;
+
+namespace HnHMapperServer.Api.Endpoints;
+
+/// <summary>
+/// Sketch API endpoints for freehand strokes, arrows and text labels shared live on a map
+/// </summary>
+public static class SketchEndpoints
+{
+    public static void MapSketchEndpoints(this IEndpointRouteBuilder app)
+    {
+        var group = app.MapGroup("/map/api/v1/sketches")
+            .RequireAuthorization("TenantMapAccess"); // Require Map permission for all sketch APIs
+
+        // List active sketches for a map
+        group.MapGet("", GetSketches);
+
+        // Create a new sketch (Idempotency-Key: outbox replays must not draw twice)
+        group.MapPost("", CreateSketch)
+            .RequireAuthorization("TenantMarkersAccess") // Require Markers permission to draw
+            .AddEndpointFilter<IdempotencyFilter>();
+
+        // Delete a sketch
+        group.MapDelete("{id:int}", DeleteSketch);
+
+        // Clear all of the current user's sketches on a map
+        group.MapDelete("", ClearOwnSketches);
+    }
+
+    /// <summary>
+    /// Get all active sketches for a specific map
+    /// </summary>
+    private static async Task<IResult> GetSketches(
+        HttpContext context,
+        [FromQuery] int? mapId,
+        ISketchService sketchService)
+    {
+        if (!context.User.Identity?.IsAuthenticated ?? true)
+            return Results.Unauthorized();
+
+        if (!mapId.HasValue)
+        {
+            return Results.BadRequest(new { error = "mapId query parameter is required" });
+        }
+
+        var username = context.User.Identity?.Name ?? string.Empty;
+        var isAdmin = HasPermission(context.User, Permission.Writer);
+
+        try
+        {
+            var sketches = await sketchService.GetByMapIdAsync(mapId.Value, username, isAdmin);
+            return Results.Json(sketches);
+        }
+        catch (Exception ex)
+        {
+            return Results.Problem(ex.Message);
+        }
+    }
+
+    /// <summary>
+    /// Create a new sketch and broadcast it to everyone viewing the map
+    /// </summary>
+    private static async Task<IResult> CreateSketch(
+        HttpContext context,
+        [FromBody] CreateSketchDto dto,
+        ISketchService sketchService,
+        IUpdateNotificationService updateNotificationService)
+    {
+        if (!context.User.Identity?.IsAuthenticated ?? true)
+            return Results.Unauthorized();
+
+        var username = context.User.Identity?.Name ?? string.Empty;
+
+        try
+        {
+            var created = await sketchService.CreateAsync(dto, username);
+
+            // Extract tenant ID from context for SSE event
+            var tenantId = context.Items["TenantId"] as string ?? string.Empty;
+
+            // Publish SSE event for real-time updates
+            var eventDto = new SketchEventDto
+            {
+                Id = created.Id,
+                MapId = created.MapId,
+                Kind = created.Kind,
+                Points = created.Points,
+                Text = created.Text,
+                Color = created.Color,
+                Width = created.Width,
+                CreatedBy = created.CreatedBy,
+                CreatedAt = created.CreatedAt,
+                ExpiresAt = created.ExpiresAt,
+                TenantId = tenantId
+            };
+            updateNotificationService.NotifySketchCreated(eventDto);
+
+            return Results.Created($"/map/api/v1/sketches/{created.Id}", created);
+        }
+        catch (InvalidOperationException ex) when (ex.Message.Contains("maximum"))
+        {
+            // User has reached the sketch limit on this map
+            return Results.StatusCode(429); // 429 Too Many Requests
+        }
+        catch (ArgumentException ex)
+        {
+            return Results.BadRequest(new { error = ex.Message });
+        }
+        catch (Exception ex)
+        {
+            return Results.Problem(ex.Message);
+        }
+    }
+
+    /// <summary>
+    /// Delete a sketch (creator or admin only)
+    /// </summary>
+    private static async Task<IResult> DeleteSketch(
+        HttpContext context,
+        int id,
+        ISketchService sketchService,
+        IUpdateNotificationService updateNotificationService)
+    {
+        if (!context.User.Identity?.IsAuthenticated ?? true)
+            return Results.Unauthorized();
+
+        var username = context.User.Identity?.Name ?? string.Empty;
+        var isAdmin = HasPermission(context.User, Permission.Writer);
+
+        try
+        {
+            var mapId = await sketchService.DeleteAsync(id, username, isAdmin);
+
+            var tenantId = context.Items["TenantId"] as string ?? string.Empty;
+            updateNotificationService.NotifySketchDeleted(new SketchDeleteEventDto
+            {
+                Id = id,
+                MapId = mapId,
+                TenantId = tenantId
+            });
+
+            return Results.NoContent();
+        }
+        catch (KeyNotFoundException ex)
+        {
+            return Results.NotFound(new { error = ex.Message });
+        }
+        catch (UnauthorizedAccessException)
+        {
+            return Results.StatusCode(403); // Forbidden
+        }
+        catch (Exception ex)
+        {
+            return Results.Problem(ex.Message);
+        }
+    }
+
+    /// <summary>
+    /// Delete all of the current user's sketches on a map
+    /// </summary>
+    private static async Task<IResult> ClearOwnSketches(
+        HttpContext context,
+        [FromQuery] int? mapId,
+        ISketchService sketchService,
+        IUpdateNotificationService updateNotificationService)
+    {
+        if (!context.User.Identity?.IsAuthenticated ?? true)
+            return Results.Unauthorized();
+
+        if (!mapId.HasValue)
+        {
+            return Results.BadRequest(new { error = "mapId query parameter is required" });
+        }
+
+        var username = context.User.Identity?.Name ?? string.Empty;
+
+        try
+        {
+            var deletedIds = await sketchService.DeleteOwnAsync(mapId.Value, username);
+
+            var tenantId = context.Items["TenantId"] as string ?? string.Empty;
+            foreach (var id in deletedIds)
+            {
+                updateNotificationService.NotifySketchDeleted(new SketchDeleteEventDto
+                {
+                    Id = id,
+                    MapId = mapId.Value,
+                    TenantId = tenantId
+                });
+            }
+
+            return Results.Ok(new { deleted = deletedIds.Count });
+        }
+        catch (Exception ex)
+        {
+            return Results.Problem(ex.Message);
+        }
+    }
+
+    /// <summary>
+    /// Check if user has specific tenant permission
+    /// </summary>
+    private static bool HasPermission(ClaimsPrincipal user, Permission permission)
+    {
+        // SuperAdmin bypasses all permission checks
+        if (user.IsInRole(AuthorizationConstants.Roles.SuperAdmin))
+            return true;
+
+        var permissionValue = permission.ToClaimValue();
+        return user.Claims.Any(c =>
+            c.Type == AuthorizationConstants.ClaimTypes.TenantPermission &&
+            c.Value.Equals(permissionValue, StringComparison.OrdinalIgnoreCase));
+    }
+}
@@ -1815,6 +1815,7 @@ public static class SuperadminEndpoints
                     result.CustomMarkers,
                     result.Roads,
                     result.Pings,
+                    result.Sketches,
                     result.Overlays,
                     result.Timers,
                     result.Notifications,
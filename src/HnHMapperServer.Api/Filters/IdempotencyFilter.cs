@@ -0,0 +1,73 @@
+using HnHMapperServer.Core.Constants;
+using HnHMapperServer.Services.Interfaces;
+
+namespace HnHMapperServer.Api.Filters;
+
+/// <summary>
+/// Honors the Idempotency-Key header on create endpoints: the first successful response for a
+/// key is stored and replayed for any repeat, so retries never create duplicates. Requests
+/// without the header run as usual. Failed requests are not stored and may be retried.
+/// </summary>
+public sealed class IdempotencyFilter : IEndpointFilter
+{
+    private readonly IIdempotencyStore _store;
+
+    public IdempotencyFilter(IIdempotencyStore store)
+    {
+        _store = store;
+    }
+
+    public async ValueTask<object?> InvokeAsync(EndpointFilterInvocationContext context, EndpointFilterDelegate next)
+    {
+        var httpContext = context.HttpContext;
+        var key = httpContext.Request.Headers[IdempotencyConstants.HeaderName].ToString();
+        if (string.IsNullOrEmpty(key))
+        {
+            return await next(context);
+        }
+        if (key.Length > IdempotencyConstants.MaxKeyLength)
+        {
+            return Results.BadRequest(new { error = $"{IdempotencyConstants.HeaderName} is too long" });
+        }
+
+        var scope = ScopeFor(httpContext);
+        var lookup = _store.Begin(scope, key);
+        switch (lookup.Status)
+        {
+            case IdempotencyStatus.Completed:
+                httpContext.Response.Headers[IdempotencyConstants.ReplayedHeaderName] = "true";
+                return Results.Json(lookup.Value, statusCode: lookup.StatusCode);
+
+            case IdempotencyStatus.InProgress:
+                return Results.Conflict(new { error = "A request with this idempotency key is still in progress" });
+        }
+
+        try
+        {
+            var result = await next(context);
+            if (result is IStatusCodeHttpResult { StatusCode: >= 200 and < 300 } success)
+            {
+                _store.Complete(scope, key, success.StatusCode.Value, (result as IValueHttpResult)?.Value);
+            }
+            else
+            {
+                _store.Release(scope, key);
+            }
+            return result;
+        }
+        catch
+        {
+            _store.Release(scope, key);
+            throw;
+        }
+    }
+
+    /// <summary>
+    /// Keys are per tenant and user: another user's key can never replay someone else's response
+    /// </summary>
+    public static string ScopeFor(HttpContext context)
+    {
+        var tenantId = context.Items["TenantId"] as string ?? string.Empty;
+        return $"{tenantId}:{context.User.Identity?.Name}";
+    }
+}
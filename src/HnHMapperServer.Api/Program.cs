@@ -112,16 +112,24 @@ builder.Services.AddScoped<IConfigRepository, ConfigRepository>();
 builder.Services.AddScoped<ICustomMarkerRepository, CustomMarkerRepository>();
 builder.Services.AddScoped<IRoadRepository, RoadRepository>();
 builder.Services.AddScoped<IPingRepository, PingRepository>();
+builder.Services.AddScoped<ISketchRepository, SketchRepository>();
 builder.Services.AddScoped<ITenantRepository, TenantRepository>();
 builder.Services.AddScoped<ITenantInvitationRepository, TenantInvitationRepository>();
 builder.Services.AddScoped<IOverlayDataRepository, OverlayDataRepository>();
 builder.Services.AddScoped<IOverlayOffsetRepository, OverlayOffsetRepository>();
+builder.Services.AddScoped<IMarkerHighlightRulesRepository, MarkerHighlightRulesRepository>();
 
 // Register services
 // UpdateNotificationService must be registered before CharacterService (dependency)
 builder.Services.AddSingleton<IUpdateNotificationService, UpdateNotificationService>();
 builder.Services.AddSingleton<ICharacterService, CharacterService>();
 builder.Services.AddSingleton<HnHMapperServer.Api.Services.MapRevisionCache>();
+// Replay log for /map/updates (assigns SSE event IDs, serves Last-Event-ID resumes)
+builder.Services.AddSingleton<IMapEventLog, MapEventLog>();
+// Who is viewing which map over /map/ws (presence + cursor sharing)
+builder.Services.AddSingleton<IMapPresenceService, MapPresenceService>();
+// Replays create responses for retried Idempotency-Key requests (map outbox)
+builder.Services.AddSingleton<IIdempotencyStore, IdempotencyStore>();
 builder.Services.AddSingleton<IBuildInfoProvider, BuildInfoProvider>();
 builder.Services.AddSingleton<IPendingMarkerService, PendingMarkerService>();  // In-memory queue for markers before grids exist
 builder.Services.AddSingleton<ITenantActivityService, TenantActivityService>();  // Tenant activity tracking with in-memory cache
@@ -131,6 +139,7 @@ builder.Services.AddScoped<IMarkerService, MarkerService>();
 builder.Services.AddScoped<ICustomMarkerService, CustomMarkerService>();
 builder.Services.AddScoped<IRoadService, RoadService>();
 builder.Services.AddScoped<IPingService, PingService>();
+builder.Services.AddScoped<ISketchService, SketchService>();
 builder.Services.AddScoped<ITenantService, TenantService>();
 builder.Services.AddScoped<IInvitationService, InvitationService>();
 builder.Services.AddScoped<ITokenService, TokenService>();
@@ -226,6 +235,7 @@ builder.Services.AddHostedService<MarkerReadinessService>();
 builder.Services.AddHostedService<InvitationExpirationService>();
 builder.Services.AddHostedService<TenantStorageVerificationService>(); // Phase 4: Storage quota verification
 builder.Services.AddHostedService<PingCleanupService>(); // Ping cleanup service
+builder.Services.AddHostedService<SketchCleanupService>(); // Expired sketch cleanup service
 builder.Services.AddHostedService<ZoomTileRebuildService>(); // Zoom tile rebuild service (safety net for missed tiles)
 builder.Services.AddHostedService<ZoomTileProcessorService>(); // Fast zoom tile pre-generation from upload queue
 builder.Services.AddHostedService<TimerCheckService>(); // Timer monitoring and notification service
@@ -236,6 +246,7 @@ builder.Services.AddHostedService<OrphanedMarkerCleanupService>(); // Orphaned m
 builder.Services.AddHostedService<TenantActivityFlushService>(); // Tenant activity flush service (2-min interval)
 builder.Services.AddHostedService<PublicMapGenerationBackgroundService>(); // Public map tile generation
 builder.Services.AddHostedService<LargeTileGenerationService>(); // Private map 400x400 WebP tile generation (pre-generates missing tiles every 30s)
+builder.Services.AddHostedService<MapEventLogService>(); // Feeds the SSE replay log from the broadcast channels
 
 // Configure shared data protection for cookie sharing with Web
 var dataProtectionPath = Path.Combine(
@@ -728,6 +739,9 @@ if (app.Configuration.GetValue<bool>("EnableCors", false))
     app.UseCors("AllowWebFrontend");
 }
 
+// WebSocket transport for the map updates stream (/map/ws)
+app.UseWebSockets(new WebSocketOptions { KeepAliveInterval = TimeSpan.FromSeconds(30) });
+
 // Diagnostic middleware for debugging client endpoint issues
 app.Use(async (context, next) =>
 {
@@ -777,10 +791,12 @@ app.UseOutputCache();
 app.MapIdentityEndpoints();
 app.MapClientEndpoints();
 app.MapMapEndpoints();
+app.MapMapSocketEndpoints(); // WebSocket transport for /map/updates (+ pings, presence, cursors)
 app.MapCustomMarkerEndpoints();
 app.MapPollingEndpoints(); // Polling fallback for SSE (VPN users)
 app.MapRoadEndpoints();
 app.MapPingEndpoints();
+app.MapSketchEndpoints();
 app.MapNotificationEndpoints(); // Notification system endpoints
 app.MapTimerEndpoints(); // Timer system endpoints
 app.MapInvitationEndpoints();
@@ -0,0 +1,110 @@
+using System.Net.WebSockets;
+using System.Text;
+using System.Text.Json;
+
+namespace HnHMapperServer.Api.Services;
+
+/// <summary>
+/// Output side of a /map/updates stream. The stream logic (initial payload, replay, event loop)
+/// is transport-agnostic; SSE and the /map/ws WebSocket only differ in how a message is framed.
+/// </summary>
+public abstract class MapUpdateSink
+{
+    /// <summary>
+    /// Sends one message.
+    /// </summary>
+    /// <param name="eventName">Event name, or null for the default message (tile batches)</param>
+    /// <param name="eventId">Replay position to report (SSE "id:")</param>
+    /// <param name="data">Serialized JSON payload</param>
+    public abstract Task SendAsync(string? eventName, long eventId, string data, CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Pushes buffered messages to the client (no-op where every send is already a frame)
+    /// </summary>
+    public virtual Task FlushAsync(CancellationToken cancellationToken = default) => Task.CompletedTask;
+
+    /// <summary>
+    /// Idle heartbeat so proxies don't drop the connection
+    /// </summary>
+    public abstract Task KeepAliveAsync(CancellationToken cancellationToken = default);
+}
+
+/// <summary>
+/// text/event-stream framing (id/event/data lines)
+/// </summary>
+public sealed class SseMapUpdateSink : MapUpdateSink
+{
+    private readonly HttpResponse _response;
+
+    public SseMapUpdateSink(HttpResponse response)
+    {
+        _response = response;
+    }
+
+    public override Task SendAsync(string? eventName, long eventId, string data, CancellationToken cancellationToken = default)
+    {
+        var message = eventName == null
+            ? $"id: {eventId}\ndata: {data}\n\n"
+            : $"id: {eventId}\nevent: {eventName}\ndata: {data}\n\n";
+        return _response.WriteAsync(message, cancellationToken);
+    }
+
+    public override Task FlushAsync(CancellationToken cancellationToken = default) => _response.Body.FlushAsync(cancellationToken);
+
+    public override async Task KeepAliveAsync(CancellationToken cancellationToken = default)
+    {
+        await _response.WriteAsync(": keep-alive\n\n", cancellationToken);
+        await _response.Body.FlushAsync(cancellationToken);
+    }
+}
+
+/// <summary>
+/// One JSON text frame per message: {"event":"markerCreated","id":"123","data":{...}}.
+/// The payload is spliced in as-is (it is already JSON), so the client parses once. Sends are
+/// serialized: the update loop, the presence relay and request replies share the socket.
+/// </summary>
+public sealed class WebSocketMapUpdateSink : MapUpdateSink
+{
+    private readonly WebSocket _socket;
+    private readonly SemaphoreSlim _sendLock = new(1, 1);
+
+    public WebSocketMapUpdateSink(WebSocket socket)
+    {
+        _socket = socket;
+    }
+
+    public override Task SendAsync(string? eventName, long eventId, string data, CancellationToken cancellationToken = default)
+    {
+        var frame = $"{{\"event\":{JsonSerializer.Serialize(eventName ?? "message")},\"id\":\"{eventId}\",\"data\":{data}}}";
+        return SendFrameAsync(frame, cancellationToken);
+    }
+
+    /// <summary>
+    /// Socket-only message without a replay position (presence, cursors, request replies)
+    /// </summary>
+    public Task SendEphemeralAsync(string eventName, string data, CancellationToken cancellationToken = default)
+    {
+        var frame = $"{{\"event\":{JsonSerializer.Serialize(eventName)},\"data\":{data}}}";
+        return SendFrameAsync(frame, cancellationToken);
+    }
+
+    public override Task KeepAliveAsync(CancellationToken cancellationToken = default) =>
+        SendFrameAsync("{\"event\":\"keepAlive\"}", cancellationToken);
+
+    private async Task SendFrameAsync(string frame, CancellationToken cancellationToken)
+    {
+        var bytes = Encoding.UTF8.GetBytes(frame);
+        await _sendLock.WaitAsync(cancellationToken);
+        try
+        {
+            if (_socket.State == WebSocketState.Open)
+            {
+                await _socket.SendAsync(bytes, WebSocketMessageType.Text, endOfMessage: true, cancellationToken);
+            }
+        }
+        finally
+        {
+            _sendLock.Release();
+        }
+    }
+}
@@ -0,0 +1,23 @@
+namespace HnHMapperServer.Core.Constants;
+
+/// <summary>
+/// Idempotency keys for create requests that a client may retry (map outbox, double submits).
+/// The first successful response for a key is stored and replayed for repeats of that key.
+/// </summary>
+public static class IdempotencyConstants
+{
+    /// <summary>
+    /// Request header carrying the client-generated key
+    /// </summary>
+    public const string HeaderName = "Idempotency-Key";
+
+    /// <summary>
+    /// Response header set to "true" when the response is a replay of an earlier request
+    /// </summary>
+    public const string ReplayedHeaderName = "Idempotent-Replayed";
+
+    /// <summary>
+    /// Longest accepted key (clients send UUIDs)
+    /// </summary>
+    public const int MaxKeyLength = 100;
+}
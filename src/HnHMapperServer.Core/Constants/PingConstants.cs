@@ -0,0 +1,40 @@
+namespace HnHMapperServer.Core.Constants;
+
+/// <summary>
+/// Ping types and limits. The type picks the ping's icon, color and sound on the map.
+/// </summary>
+public static class PingConstants
+{
+    /// <summary>
+    /// Plain "look here" ping (also used for pings created before types existed)
+    /// </summary>
+    public const string TypeDefault = "default";
+
+    public const string TypeDanger = "danger";
+
+    public const string TypeGather = "gather";
+
+    public const string TypeResource = "resource";
+
+    public const string TypeHelp = "help";
+
+    /// <summary>
+    /// All accepted ping types
+    /// </summary>
+    public static readonly IReadOnlyList<string> Types = [TypeDefault, TypeDanger, TypeGather, TypeResource, TypeHelp];
+
+    /// <summary>
+    /// Longest type name (database column length)
+    /// </summary>
+    public const int MaxTypeLength = 16;
+
+    /// <summary>
+    /// Longest optional ping message
+    /// </summary>
+    public const int MaxMessageLength = 80;
+
+    /// <summary>
+    /// Active (unexpired) pings one user may have at a time
+    /// </summary>
+    public const int MaxActivePerUser = 5;
+}
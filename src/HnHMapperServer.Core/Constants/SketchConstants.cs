@@ -0,0 +1,57 @@
+namespace HnHMapperServer.Core.Constants;
+
+/// <summary>
+/// Sketch kinds and limits. Sketches are freehand strokes, arrows and text labels drawn on the
+/// map; each one either expires after a chosen number of minutes or stays until deleted.
+/// </summary>
+public static class SketchConstants
+{
+    /// <summary>
+    /// Freehand stroke (2 or more points)
+    /// </summary>
+    public const string KindStroke = "stroke";
+
+    /// <summary>
+    /// Straight arrow from the first point to the second
+    /// </summary>
+    public const string KindArrow = "arrow";
+
+    /// <summary>
+    /// Text label anchored at a single point
+    /// </summary>
+    public const string KindText = "text";
+
+    /// <summary>
+    /// All accepted sketch kinds
+    /// </summary>
+    public static readonly IReadOnlyList<string> Kinds = [KindStroke, KindArrow, KindText];
+
+    /// <summary>
+    /// Longest kind name (database column length)
+    /// </summary>
+    public const int MaxKindLength = 16;
+
+    /// <summary>
+    /// Most points a stroke may have (the client simplifies longer ones before sending)
+    /// </summary>
+    public const int MaxPoints = 1000;
+
+    /// <summary>
+    /// Longest text label
+    /// </summary>
+    public const int MaxTextLength = 80;
+
+    public const int MinWidth = 1;
+
+    public const int MaxWidth = 12;
+
+    /// <summary>
+    /// Longest lifetime of an expiring sketch (one day); no lifetime means it persists
+    /// </summary>
+    public const int MaxExpiresInMinutes = 24 * 60;
+
+    /// <summary>
+    /// Most sketches one user can have on a map at a time
+    /// </summary>
+    public const int MaxActivePerUserPerMap = 300;
+}
@@ -70,6 +70,26 @@ public class UpdateCustomMarkerDto
     /// Whether the marker is hidden
     /// </summary>
     public bool Hidden { get; set; }
+
+    /// <summary>
+    /// New grid X coordinate when moving the marker (all four position fields or none)
+    /// </summary>
+    public int? CoordX { get; set; }
+
+    /// <summary>
+    /// New grid Y coordinate when moving the marker
+    /// </summary>
+    public int? CoordY { get; set; }
+
+    /// <summary>
+    /// New X position within the grid (0-100) when moving the marker
+    /// </summary>
+    public int? X { get; set; }
+
+    /// <summary>
+    /// New Y position within the grid (0-100) when moving the marker
+    /// </summary>
+    public int? Y { get; set; }
 }
 
 /// <summary>
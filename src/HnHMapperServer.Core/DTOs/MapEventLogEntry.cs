@@ -0,0 +1,35 @@
+namespace HnHMapperServer.Core.DTOs;
+
+/// <summary>
+/// One already-serialized /map/updates event retained for Last-Event-ID replay.
+/// </summary>
+public sealed class MapEventLogEntry
+{
+    /// <summary>
+    /// Strictly increasing event ID, sent as the SSE "id:" field
+    /// </summary>
+    public long Id { get; init; }
+
+    /// <summary>
+    /// Owning tenant; null for events broadcast to every tenant (e.g. timerDeleted)
+    /// </summary>
+    public string? TenantId { get; init; }
+
+    /// <summary>
+    /// SSE event name (merge, markerCreated, roadUpdated, ...)
+    /// </summary>
+    public string EventName { get; init; } = string.Empty;
+
+    /// <summary>
+    /// JSON payload, exactly as sent on the "data:" line
+    /// </summary>
+    public string Data { get; init; } = string.Empty;
+
+    /// <summary>
+    /// Maps this event introduces to the tenant (merge/mapUpdate), so the SSE loop's
+    /// tenant map filter for mapDelete/mapRevision stays current
+    /// </summary>
+    public IReadOnlyList<int> MapIds { get; init; } = Array.Empty<int>();
+
+    public DateTime CreatedAt { get; init; }
+}
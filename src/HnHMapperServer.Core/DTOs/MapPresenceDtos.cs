@@ -0,0 +1,45 @@
+namespace HnHMapperServer.Core.DTOs;
+
+/// <summary>
+/// One live WebSocket viewer of a tenant's map (ephemeral, never persisted)
+/// </summary>
+public sealed class MapPresenceEntryDto
+{
+    /// <summary>
+    /// Server-assigned ID of the socket connection
+    /// </summary>
+    public string ConnectionId { get; init; } = string.Empty;
+
+    public string UserName { get; init; } = string.Empty;
+
+    /// <summary>
+    /// Map the viewer reported looking at, null until the first presence message
+    /// </summary>
+    public int? MapId { get; init; }
+}
+
+/// <summary>
+/// Shared cursor position, in absolute map units (grid * 100 + local)
+/// </summary>
+public sealed class MapCursorDto
+{
+    public string ConnectionId { get; init; } = string.Empty;
+    public string UserName { get; init; } = string.Empty;
+    public int MapId { get; init; }
+    public int X { get; init; }
+    public int Y { get; init; }
+}
+
+/// <summary>
+/// Message queued for one socket connection by the presence service
+/// </summary>
+public sealed class MapPresenceMessage
+{
+    /// <summary>
+    /// Event name on the wire: "presence" (Payload = IReadOnlyList&lt;MapPresenceEntryDto&gt;)
+    /// or "cursor" (Payload = MapCursorDto)
+    /// </summary>
+    public string EventName { get; init; } = string.Empty;
+
+    public object Payload { get; init; } = null!;
+}
@@ -1,3 +1,5 @@
+using HnHMapperServer.Core.Constants;
+
 namespace HnHMapperServer.Core.DTOs;
 
 /// <summary>
@@ -29,6 +31,16 @@ public class CreatePingDto
     /// Position Y within the grid (0-100)
     /// </summary>
     public int Y { get; set; }
+
+    /// <summary>
+    /// Ping type (see PingConstants); empty means "default"
+    /// </summary>
+    public string? Type { get; set; }
+
+    /// <summary>
+    /// Optional short message (max 80 characters)
+    /// </summary>
+    public string? Message { get; set; }
 }
 
 /// <summary>
@@ -66,6 +78,16 @@ public class PingEventDto
     /// </summary>
     public int Y { get; set; }
 
+    /// <summary>
+    /// Ping type (see PingConstants)
+    /// </summary>
+    public string Type { get; set; } = PingConstants.TypeDefault;
+
+    /// <summary>
+    /// Optional short message
+    /// </summary>
+    public string? Message { get; set; }
+
     /// <summary>
     /// Username of creator
     /// </summary>
@@ -25,4 +25,41 @@ public class PollResponseDto
     /// Map ID to revision number mapping for cache invalidation
     /// </summary>
     public Dictionary<int, int> MapRevisions { get; set; } = new();
+
+    /// <summary>
+    /// Replayable events (markers, roads, pings, timers, overlays, merges, map metadata)
+    /// after the 'lastEventId' cursor, oldest first - the same events SSE streams
+    /// </summary>
+    public List<PollEventDto> Events { get; set; } = new();
+
+    /// <summary>
+    /// Cursor to send as 'lastEventId' on the next poll (same ID space as SSE Last-Event-ID)
+    /// </summary>
+    public long LastEventId { get; set; }
+
+    /// <summary>
+    /// True when the requested cursor is too old to replay; the client must reload its state
+    /// </summary>
+    public bool ResyncRequired { get; set; }
+}
+
+/// <summary>
+/// One replayable event in a poll response, equivalent to an SSE message
+/// </summary>
+public class PollEventDto
+{
+    /// <summary>
+    /// Event ID (SSE "id:" field)
+    /// </summary>
+    public long Id { get; set; }
+
+    /// <summary>
+    /// Event name (SSE "event:" field)
+    /// </summary>
+    public string Event { get; set; } = string.Empty;
+
+    /// <summary>
+    /// JSON payload as a string (SSE "data:" field), parsed by the client's event handlers
+    /// </summary>
+    public string Data { get; set; } = string.Empty;
 }
@@ -0,0 +1,195 @@
+namespace HnHMapperServer.Core.DTOs;
+
+/// <summary>
+/// A point of a sketch in game-absolute coordinates (grid * 100 + position within the grid)
+/// </summary>
+public class SketchPointDto
+{
+    public int X { get; set; }
+
+    public int Y { get; set; }
+}
+
+/// <summary>
+/// DTO for creating a new sketch
+/// </summary>
+public class CreateSketchDto
+{
+    /// <summary>
+    /// Map ID where the sketch is drawn
+    /// </summary>
+    public int MapId { get; set; }
+
+    /// <summary>
+    /// Sketch kind: stroke, arrow or text
+    /// </summary>
+    public string Kind { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Points: 2 or more for a stroke, exactly 2 (tail, head) for an arrow, 1 for text
+    /// </summary>
+    public List<SketchPointDto> Points { get; set; } = new();
+
+    /// <summary>
+    /// Label text (required for text sketches, max 80 characters)
+    /// </summary>
+    public string? Text { get; set; }
+
+    /// <summary>
+    /// Color as #RRGGBB
+    /// </summary>
+    public string Color { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Line width in screen pixels (1-12)
+    /// </summary>
+    public int Width { get; set; }
+
+    /// <summary>
+    /// Minutes until the sketch expires (1-1440), or null to keep it until deleted
+    /// </summary>
+    public int? ExpiresInMinutes { get; set; }
+}
+
+/// <summary>
+/// DTO for viewing/listing sketches
+/// </summary>
+public class SketchViewDto
+{
+    /// <summary>
+    /// Sketch ID
+    /// </summary>
+    public int Id { get; set; }
+
+    /// <summary>
+    /// Map ID where the sketch is drawn
+    /// </summary>
+    public int MapId { get; set; }
+
+    /// <summary>
+    /// Sketch kind: stroke, arrow or text
+    /// </summary>
+    public string Kind { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Points in game-absolute coordinates
+    /// </summary>
+    public List<SketchPointDto> Points { get; set; } = new();
+
+    /// <summary>
+    /// Label text (text sketches only)
+    /// </summary>
+    public string? Text { get; set; }
+
+    /// <summary>
+    /// Color as #RRGGBB
+    /// </summary>
+    public string Color { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Line width in screen pixels
+    /// </summary>
+    public int Width { get; set; }
+
+    /// <summary>
+    /// Username of the creator
+    /// </summary>
+    public string CreatedBy { get; set; } = string.Empty;
+
+    /// <summary>
+    /// UTC timestamp when the sketch was created
+    /// </summary>
+    public DateTime CreatedAt { get; set; }
+
+    /// <summary>
+    /// UTC timestamp when the sketch expires, or null if it persists
+    /// </summary>
+    public DateTime? ExpiresAt { get; set; }
+
+    /// <summary>
+    /// Whether the current user can delete this sketch
+    /// </summary>
+    public bool CanDelete { get; set; }
+}
+
+/// <summary>
+/// DTO for sketch SSE events (real-time updates)
+/// </summary>
+public class SketchEventDto
+{
+    /// <summary>
+    /// Sketch ID
+    /// </summary>
+    public int Id { get; set; }
+
+    /// <summary>
+    /// Map ID
+    /// </summary>
+    public int MapId { get; set; }
+
+    /// <summary>
+    /// Sketch kind: stroke, arrow or text
+    /// </summary>
+    public string Kind { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Points in game-absolute coordinates
+    /// </summary>
+    public List<SketchPointDto> Points { get; set; } = new();
+
+    /// <summary>
+    /// Label text (text sketches only)
+    /// </summary>
+    public string? Text { get; set; }
+
+    /// <summary>
+    /// Color as #RRGGBB
+    /// </summary>
+    public string Color { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Line width in screen pixels
+    /// </summary>
+    public int Width { get; set; }
+
+    /// <summary>
+    /// Username of creator
+    /// </summary>
+    public string CreatedBy { get; set; } = string.Empty;
+
+    /// <summary>
+    /// UTC timestamp when created
+    /// </summary>
+    public DateTime CreatedAt { get; set; }
+
+    /// <summary>
+    /// UTC timestamp when the sketch expires, or null if it persists
+    /// </summary>
+    public DateTime? ExpiresAt { get; set; }
+
+    /// <summary>
+    /// Tenant ID for multi-tenancy isolation
+    /// </summary>
+    public string TenantId { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// DTO for sketch delete events (SSE)
+/// </summary>
+public class SketchDeleteEventDto
+{
+    /// <summary>
+    /// Sketch ID that was deleted
+    /// </summary>
+    public int Id { get; set; }
+
+    /// <summary>
+    /// Map the sketch was on
+    /// </summary>
+    public int MapId { get; set; }
+
+    /// <summary>
+    /// Tenant ID for multi-tenancy isolation
+    /// </summary>
+    public string TenantId { get; set; } = string.Empty;
+}
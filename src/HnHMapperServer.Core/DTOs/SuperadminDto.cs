@@ -161,6 +161,7 @@ public class PurgeTenantDataResultDto
     public int CustomMarkers { get; set; }
     public int Roads { get; set; }
     public int Pings { get; set; }
+    public int Sketches { get; set; }
     public int Overlays { get; set; }
     public int DirtyZoomTiles { get; set; }
 
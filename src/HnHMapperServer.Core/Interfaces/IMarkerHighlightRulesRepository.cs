@@ -0,0 +1,18 @@
+namespace HnHMapperServer.Core.Interfaces;
+
+/// <summary>
+/// Repository for users' marker highlight rules.
+/// Stores one rule list (JSON array) per user; the map page owns its shape.
+/// </summary>
+public interface IMarkerHighlightRulesRepository
+{
+    /// <summary>
+    /// Get the user's rules as a JSON array. Returns null if the user never saved any.
+    /// </summary>
+    Task<string?> GetRulesJsonAsync(string userId);
+
+    /// <summary>
+    /// Save or replace the user's rules.
+    /// </summary>
+    Task SaveRulesJsonAsync(string userId, string rulesJson);
+}
@@ -0,0 +1,45 @@
+using HnHMapperServer.Core.Models;
+
+namespace HnHMapperServer.Core.Interfaces;
+
+/// <summary>
+/// Repository interface for sketch operations
+/// </summary>
+public interface ISketchRepository
+{
+    /// <summary>
+    /// Get a sketch by ID
+    /// </summary>
+    Task<Sketch?> GetByIdAsync(int id);
+
+    /// <summary>
+    /// Get all sketches for a specific map that have not expired
+    /// </summary>
+    Task<List<Sketch>> GetActiveByMapIdAsync(int mapId);
+
+    /// <summary>
+    /// Get count of a user's sketches on a map that have not expired
+    /// </summary>
+    Task<int> GetActiveCountByUserAsync(int mapId, string username);
+
+    /// <summary>
+    /// Create a new sketch
+    /// </summary>
+    Task<Sketch> CreateAsync(Sketch sketch);
+
+    /// <summary>
+    /// Delete a sketch
+    /// </summary>
+    Task DeleteAsync(int id);
+
+    /// <summary>
+    /// Delete all of a user's sketches on a map and return their IDs
+    /// </summary>
+    Task<List<int>> DeleteByCreatorAsync(int mapId, string username);
+
+    /// <summary>
+    /// Delete all expired sketches and return them (for SSE notification)
+    /// NOTE: This method bypasses tenant filters to clean up all expired sketches
+    /// </summary>
+    Task<List<(int Id, int MapId, string TenantId)>> DeleteExpiredAsync();
+}
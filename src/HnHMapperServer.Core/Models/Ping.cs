@@ -1,3 +1,5 @@
+using HnHMapperServer.Core.Constants;
+
 namespace HnHMapperServer.Core.Models;
 
 /// <summary>
@@ -36,6 +38,16 @@ public class Ping
     /// </summary>
     public int Y { get; set; }
 
+    /// <summary>
+    /// Ping type (see PingConstants: default, danger, gather, resource, help)
+    /// </summary>
+    public string Type { get; set; } = PingConstants.TypeDefault;
+
+    /// <summary>
+    /// Optional short message shown with the ping
+    /// </summary>
+    public string? Message { get; set; }
+
     /// <summary>
     /// Username of creator
     /// </summary>
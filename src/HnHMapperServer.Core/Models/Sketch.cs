@@ -0,0 +1,58 @@
+namespace HnHMapperServer.Core.Models;
+
+/// <summary>
+/// Domain model for a sketch (freehand stroke, arrow or text label) drawn on the map
+/// </summary>
+public class Sketch
+{
+    /// <summary>
+    /// Sketch ID
+    /// </summary>
+    public int Id { get; set; }
+
+    /// <summary>
+    /// Map ID
+    /// </summary>
+    public int MapId { get; set; }
+
+    /// <summary>
+    /// Sketch kind (see SketchConstants: stroke, arrow, text)
+    /// </summary>
+    public string Kind { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Points as JSON array of game-absolute coordinates (grid * 100 + position)
+    /// Format: [{"x": 1250, "y": -340}, ...]
+    /// </summary>
+    public string Points { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Label text (text sketches only)
+    /// </summary>
+    public string? Text { get; set; }
+
+    /// <summary>
+    /// Color as #RRGGBB
+    /// </summary>
+    public string Color { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Line width in screen pixels (font size step for text)
+    /// </summary>
+    public int Width { get; set; }
+
+    /// <summary>
+    /// Username of creator
+    /// </summary>
+    public string CreatedBy { get; set; } = string.Empty;
+
+    /// <summary>
+    /// UTC timestamp when created
+    /// </summary>
+    public DateTime CreatedAt { get; set; }
+
+    /// <summary>
+    /// UTC timestamp when the sketch expires, or null if it persists until deleted
+    /// </summary>
+    public DateTime? ExpiresAt { get; set; }
+}
@@ -1,3 +1,4 @@
+using HnHMapperServer.Core.Constants;
 using HnHMapperServer.Core.Models;
 using HnHMapperServer.Infrastructure.Identity;
 using Microsoft.AspNetCore.Http;
@@ -50,6 +51,7 @@ public sealed class ApplicationDbContext : IdentityDbContext<ApplicationUser, Id
     public DbSet<CustomMarkerEntity> CustomMarkers => Set<CustomMarkerEntity>();
     public DbSet<RoadEntity> Roads => Set<RoadEntity>();
     public DbSet<PingEntity> Pings => Set<PingEntity>();
+    public DbSet<SketchEntity> Sketches => Set<SketchEntity>();
 
     // Multi-tenancy tables
     public DbSet<TenantEntity> Tenants => Set<TenantEntity>();
@@ -63,6 +65,7 @@ public sealed class ApplicationDbContext : IdentityDbContext<ApplicationUser, Id
     public DbSet<TimerEntity> Timers => Set<TimerEntity>();
     public DbSet<TimerWarningEntity> TimerWarnings => Set<TimerWarningEntity>();
     public DbSet<NotificationPreferenceEntity> NotificationPreferences => Set<NotificationPreferenceEntity>();
+    public DbSet<MarkerHighlightRulesEntity> MarkerHighlightRules => Set<MarkerHighlightRulesEntity>();
     public DbSet<TimerHistoryEntity> TimerHistory => Set<TimerHistoryEntity>();
 
     // Overlay data tables
@@ -372,6 +375,13 @@ public sealed class ApplicationDbContext : IdentityDbContext<ApplicationUser, Id
             entity.Property(e => e.Y)
                 .IsRequired();
 
+            entity.Property(e => e.Type)
+                .IsRequired()
+                .HasMaxLength(PingConstants.MaxTypeLength);
+
+            entity.Property(e => e.Message)
+                .HasMaxLength(PingConstants.MaxMessageLength);
+
             entity.Property(e => e.CreatedBy)
                 .IsRequired();
 
@@ -404,6 +414,52 @@ public sealed class ApplicationDbContext : IdentityDbContext<ApplicationUser, Id
                 .OnDelete(DeleteBehavior.Cascade);
         });
 
+        modelBuilder.Entity<SketchEntity>(entity =>
+        {
+            entity.HasKey(e => e.Id);
+
+            entity.Property(e => e.Kind)
+                .IsRequired()
+                .HasMaxLength(SketchConstants.MaxKindLength);
+
+            entity.Property(e => e.Points)
+                .IsRequired();
+
+            entity.Property(e => e.Text)
+                .HasMaxLength(SketchConstants.MaxTextLength);
+
+            entity.Property(e => e.Color)
+                .IsRequired()
+                .HasMaxLength(7);
+
+            entity.Property(e => e.CreatedBy)
+                .IsRequired();
+
+            entity.Property(e => e.CreatedAt)
+                .IsRequired();
+
+            entity.Property(e => e.TenantId)
+                .IsRequired();
+
+            // Indexes for efficient queries
+            entity.HasIndex(e => e.MapId);
+            entity.HasIndex(e => e.CreatedBy);
+            entity.HasIndex(e => e.ExpiresAt);
+            entity.HasIndex(e => e.TenantId);
+
+            // Foreign key to MapInfoEntity
+            entity.HasOne<MapInfoEntity>()
+                .WithMany()
+                .HasForeignKey(e => e.MapId)
+                .OnDelete(DeleteBehavior.Cascade);
+
+            // Foreign key to Tenants
+            entity.HasOne<TenantEntity>()
+                .WithMany()
+                .HasForeignKey(e => e.TenantId)
+                .OnDelete(DeleteBehavior.Cascade);
+        });
+
         // Multi-tenancy entity configurations
         modelBuilder.Entity<TenantEntity>(entity =>
         {
@@ -625,6 +681,23 @@ public sealed class ApplicationDbContext : IdentityDbContext<ApplicationUser, Id
                 .OnDelete(DeleteBehavior.Cascade);
         });
 
+        modelBuilder.Entity<MarkerHighlightRulesEntity>(entity =>
+        {
+            entity.HasKey(e => e.Id);
+            entity.Property(e => e.UserId).IsRequired();
+            entity.Property(e => e.RulesJson).IsRequired();
+            entity.Property(e => e.UpdatedAt).IsRequired();
+
+            // One rule set per user
+            entity.HasIndex(e => e.UserId).IsUnique();
+
+            // Foreign key to AspNetUsers
+            entity.HasOne<ApplicationUser>()
+                .WithMany()
+                .HasForeignKey(e => e.UserId)
+                .OnDelete(DeleteBehavior.Cascade);
+        });
+
         modelBuilder.Entity<TimerHistoryEntity>(entity =>
         {
             entity.HasKey(e => e.Id);
@@ -1089,6 +1162,9 @@ public sealed class ApplicationDbContext : IdentityDbContext<ApplicationUser, Id
         modelBuilder.Entity<PingEntity>()
             .HasQueryFilter(p => p.TenantId == GetCurrentTenantId());
 
+        modelBuilder.Entity<SketchEntity>()
+            .HasQueryFilter(s => s.TenantId == GetCurrentTenantId());
+
         modelBuilder.Entity<TokenEntity>()
             .HasQueryFilter(t => t.TenantId == GetCurrentTenantId());
 
@@ -1383,6 +1459,16 @@ public sealed class PingEntity
     /// </summary>
     public int Y { get; set; }
 
+    /// <summary>
+    /// Ping type (see PingConstants)
+    /// </summary>
+    public string Type { get; set; } = PingConstants.TypeDefault;
+
+    /// <summary>
+    /// Optional short message shown with the ping
+    /// </summary>
+    public string? Message { get; set; }
+
     /// <summary>
     /// Username of the creator (from ASP.NET Identity)
     /// </summary>
@@ -1404,6 +1490,69 @@ public sealed class PingEntity
     public string TenantId { get; set; } = string.Empty;
 }
 
+/// <summary>
+/// Represents a freehand stroke, arrow or text label drawn on the map
+/// Either expires at ExpiresAt or persists until deleted
+/// </summary>
+public sealed class SketchEntity
+{
+    /// <summary>
+    /// Primary key
+    /// </summary>
+    public int Id { get; set; }
+
+    /// <summary>
+    /// Foreign key to MapInfoEntity
+    /// </summary>
+    public int MapId { get; set; }
+
+    /// <summary>
+    /// Sketch kind (see SketchConstants)
+    /// </summary>
+    public string Kind { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Points as JSON array of game-absolute coordinates
+    /// Format: [{"x": 1250, "y": -340}, ...]
+    /// </summary>
+    public string Points { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Label text (text sketches only)
+    /// </summary>
+    public string? Text { get; set; }
+
+    /// <summary>
+    /// Color as #RRGGBB
+    /// </summary>
+    public string Color { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Line width in screen pixels
+    /// </summary>
+    public int Width { get; set; }
+
+    /// <summary>
+    /// Username of the creator (from ASP.NET Identity)
+    /// </summary>
+    public string CreatedBy { get; set; } = string.Empty;
+
+    /// <summary>
+    /// UTC timestamp when the sketch was created
+    /// </summary>
+    public DateTime CreatedAt { get; set; }
+
+    /// <summary>
+    /// UTC timestamp when the sketch expires, or null if it persists until deleted
+    /// </summary>
+    public DateTime? ExpiresAt { get; set; }
+
+    /// <summary>
+    /// Tenant ID for multi-tenancy isolation
+    /// </summary>
+    public string TenantId { get; set; } = string.Empty;
+}
+
 /// <summary>
 /// Represents a notification for a user in the system
 /// Notifications are shown in the notification center and can have actions
@@ -1587,6 +1736,33 @@ public sealed class NotificationPreferenceEntity
     public int PreExpiryWarningMinutes { get; set; } = 5;
 }
 
+/// <summary>
+/// A user's marker highlight rules for the map page (glow, label, filter).
+/// Game marker types are the same in every tenant, so the rules follow the user, not the tenant.
+/// </summary>
+public sealed class MarkerHighlightRulesEntity
+{
+    /// <summary>
+    /// Primary key
+    /// </summary>
+    public int Id { get; set; }
+
+    /// <summary>
+    /// User ID
+    /// </summary>
+    public string UserId { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Ordered rule list as the map page sends it (JSON array)
+    /// </summary>
+    public string RulesJson { get; set; } = "[]";
+
+    /// <summary>
+    /// UTC timestamp when the rules were last saved
+    /// </summary>
+    public DateTime UpdatedAt { get; set; }
+}
+
 /// <summary>
 /// Historical record of completed timers
 /// Used for learning resource respawn patterns
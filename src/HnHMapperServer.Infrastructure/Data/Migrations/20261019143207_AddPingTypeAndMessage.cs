@@ -0,0 +1,41 @@
+﻿using Microsoft.EntityFrameworkCore.Migrations;
+
+#nullable disable
+
+namespace HnHMapperServer.Infrastructure.Data.Migrations
+{
+    /// <inheritdoc />
+    public partial class AddPingTypeAndMessage : Migration
+    {
+        /// <inheritdoc />
+        protected override void Up(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.AddColumn<string>(
+                name: "Message",
+                table: "Pings",
+                type: "TEXT",
+                maxLength: 80,
+                nullable: true);
+
+            migrationBuilder.AddColumn<string>(
+                name: "Type",
+                table: "Pings",
+                type: "TEXT",
+                maxLength: 16,
+                nullable: false,
+                defaultValue: "default");
+        }
+
+        /// <inheritdoc />
+        protected override void Down(MigrationBuilder migrationBuilder)
+        {
+            migrationBuilder.DropColumn(
+                name: "Message",
+                table: "Pings");
+
+            migrationBuilder.DropColumn(
+                name: "Type",
+                table: "Pings");
+        }
+    }
+}
@@ -747,6 +747,31 @@ namespace HnHMapperServer.Infrastructure.Migrations
                     b.ToTable("Markers");
                 });
 
+            modelBuilder.Entity("HnHMapperServer.Infrastructure.Data.MarkerHighlightRulesEntity", b =>
+                {
+                    b.Property<int>("Id")
+                        .ValueGeneratedOnAdd()
+                        .HasColumnType("INTEGER");
+
+                    b.Property<string>("RulesJson")
+                        .IsRequired()
+                        .HasColumnType("TEXT");
+
+                    b.Property<DateTime>("UpdatedAt")
+                        .HasColumnType("TEXT");
+
+                    b.Property<string>("UserId")
+                        .IsRequired()
+                        .HasColumnType("TEXT");
+
+                    b.HasKey("Id");
+
+                    b.HasIndex("UserId")
+                        .IsUnique();
+
+                    b.ToTable("MarkerHighlightRules");
+                });
+
             modelBuilder.Entity("HnHMapperServer.Infrastructure.Data.NotificationEntity", b =>
                 {
                     b.Property<int>("Id")
@@ -961,10 +986,19 @@ namespace HnHMapperServer.Infrastructure.Migrations
                     b.Property<int>("MapId")
                         .HasColumnType("INTEGER");
 
+                    b.Property<string>("Message")
+                        .HasMaxLength(80)
+                        .HasColumnType("TEXT");
+
                     b.Property<string>("TenantId")
                         .IsRequired()
                         .HasColumnType("TEXT");
 
+                    b.Property<string>("Type")
+                        .IsRequired()
+                        .HasMaxLength(16)
+                        .HasColumnType("TEXT");
+
                     b.Property<int>("X")
                         .HasColumnType("INTEGER");
 
@@ -1354,6 +1388,63 @@ namespace HnHMapperServer.Infrastructure.Migrations
                     b.ToTable("Roads");
                 });
 
+            modelBuilder.Entity("HnHMapperServer.Infrastructure.Data.SketchEntity", b =>
+                {
+                    b.Property<int>("Id")
+                        .ValueGeneratedOnAdd()
+                        .HasColumnType("INTEGER");
+
+                    b.Property<string>("Color")
+                        .IsRequired()
+                        .HasMaxLength(7)
+                        .HasColumnType("TEXT");
+
+                    b.Property<DateTime>("CreatedAt")
+                        .HasColumnType("TEXT");
+
+                    b.Property<string>("CreatedBy")
+                        .IsRequired()
+                        .HasColumnType("TEXT");
+
+                    b.Property<DateTime?>("ExpiresAt")
+                        .HasColumnType("TEXT");
+
+                    b.Property<string>("Kind")
+                        .IsRequired()
+                        .HasMaxLength(16)
+                        .HasColumnType("TEXT");
+
+                    b.Property<int>("MapId")
+                        .HasColumnType("INTEGER");
+
+                    b.Property<string>("Points")
+                        .IsRequired()
+                        .HasColumnType("TEXT");
+
+                    b.Property<string>("TenantId")
+                        .IsRequired()
+                        .HasColumnType("TEXT");
+
+                    b.Property<string>("Text")
+                        .HasMaxLength(80)
+                        .HasColumnType("TEXT");
+
+                    b.Property<int>("Width")
+                        .HasColumnType("INTEGER");
+
+                    b.HasKey("Id");
+
+                    b.HasIndex("CreatedBy");
+
+                    b.HasIndex("ExpiresAt");
+
+                    b.HasIndex("MapId");
+
+                    b.HasIndex("TenantId");
+
+                    b.ToTable("Sketches");
+                });
+
             modelBuilder.Entity("HnHMapperServer.Infrastructure.Data.TileDataEntity", b =>
                 {
                     b.Property<int>("Id")
@@ -2141,6 +2232,15 @@ namespace HnHMapperServer.Infrastructure.Migrations
                         .IsRequired();
                 });
 
+            modelBuilder.Entity("HnHMapperServer.Infrastructure.Data.MarkerHighlightRulesEntity", b =>
+                {
+                    b.HasOne("HnHMapperServer.Infrastructure.Identity.ApplicationUser", null)
+                        .WithMany()
+                        .HasForeignKey("UserId")
+                        .OnDelete(DeleteBehavior.Cascade)
+                        .IsRequired();
+                });
+
             modelBuilder.Entity("HnHMapperServer.Infrastructure.Data.NotificationEntity", b =>
                 {
                     b.HasOne("HnHMapperServer.Core.Models.TenantEntity", null)
@@ -2275,6 +2375,21 @@ namespace HnHMapperServer.Infrastructure.Migrations
                         .IsRequired();
                 });
 
+            modelBuilder.Entity("HnHMapperServer.Infrastructure.Data.SketchEntity", b =>
+                {
+                    b.HasOne("HnHMapperServer.Infrastructure.Data.MapInfoEntity", null)
+                        .WithMany()
+                        .HasForeignKey("MapId")
+                        .OnDelete(DeleteBehavior.Cascade)
+                        .IsRequired();
+
+                    b.HasOne("HnHMapperServer.Core.Models.TenantEntity", null)
+                        .WithMany()
+                        .HasForeignKey("TenantId")
+                        .OnDelete(DeleteBehavior.Cascade)
+                        .IsRequired();
+                });
+
             modelBuilder.Entity("HnHMapperServer.Infrastructure.Data.TileDataEntity", b =>
                 {
                     b.HasOne("HnHMapperServer.Core.Models.TenantEntity", null)
@@ -0,0 +1,47 @@
+using HnHMapperServer.Core.Interfaces;
+using HnHMapperServer.Infrastructure.Data;
+using Microsoft.EntityFrameworkCore;
+
+namespace HnHMapperServer.Infrastructure.Repositories;
+
+public class MarkerHighlightRulesRepository : IMarkerHighlightRulesRepository
+{
+    private readonly ApplicationDbContext _context;
+
+    public MarkerHighlightRulesRepository(ApplicationDbContext context)
+    {
+        _context = context;
+    }
+
+    public async Task<string?> GetRulesJsonAsync(string userId)
+    {
+        var entity = await _context.MarkerHighlightRules
+            .AsNoTracking()
+            .FirstOrDefaultAsync(r => r.UserId == userId);
+
+        return entity?.RulesJson;
+    }
+
+    public async Task SaveRulesJsonAsync(string userId, string rulesJson)
+    {
+        var existing = await _context.MarkerHighlightRules
+            .FirstOrDefaultAsync(r => r.UserId == userId);
+
+        if (existing != null)
+        {
+            existing.RulesJson = rulesJson;
+            existing.UpdatedAt = DateTime.UtcNow;
+        }
+        else
+        {
+            _context.MarkerHighlightRules.Add(new MarkerHighlightRulesEntity
+            {
+                UserId = userId,
+                RulesJson = rulesJson,
+                UpdatedAt = DateTime.UtcNow
+            });
+        }
+
+        await _context.SaveChangesAsync();
+    }
+}
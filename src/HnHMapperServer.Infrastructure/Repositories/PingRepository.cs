@@ -51,6 +51,8 @@ public class PingRepository : IPingRepository
                 CoordY = p.CoordY,
                 X = p.X,
                 Y = p.Y,
+                Type = p.Type,
+                Message = p.Message,
                 CreatedBy = p.CreatedBy,
                 CreatedAt = p.CreatedAt,
                 ExpiresAt = p.ExpiresAt
@@ -132,6 +134,8 @@ public class PingRepository : IPingRepository
         CoordY = entity.CoordY,
         X = entity.X,
         Y = entity.Y,
+        Type = entity.Type,
+        Message = entity.Message,
         CreatedBy = entity.CreatedBy,
         CreatedAt = entity.CreatedAt,
         ExpiresAt = entity.ExpiresAt
@@ -148,6 +152,8 @@ public class PingRepository : IPingRepository
         CoordY = ping.CoordY,
         X = ping.X,
         Y = ping.Y,
+        Type = ping.Type,
+        Message = ping.Message,
         CreatedBy = ping.CreatedBy,
         CreatedAt = ping.CreatedAt,
         ExpiresAt = ping.ExpiresAt,
@@ -0,0 +1,185 @@
+using HnHMapperServer.Core.Interfaces;
+using HnHMapperServer.Core.Models;
+using HnHMapperServer.Infrastructure.Data;
+using Microsoft.EntityFrameworkCore;
+
+namespace HnHMapperServer.Infrastructure.Repositories;
+
+/// <summary>
+/// Repository implementation for sketch operations
+/// </summary>
+public class SketchRepository : ISketchRepository
+{
+    private readonly ApplicationDbContext _context;
+    private readonly ITenantContextAccessor _tenantContext;
+
+    public SketchRepository(ApplicationDbContext context, ITenantContextAccessor tenantContext)
+    {
+        _context = context;
+        _tenantContext = tenantContext;
+    }
+
+    /// <summary>
+    /// Get a sketch by ID
+    /// </summary>
+    public async Task<Sketch?> GetByIdAsync(int id)
+    {
+        // IMPORTANT: FindAsync bypasses tenant filters - use explicit tenant check
+        var currentTenantId = _tenantContext.GetCurrentTenantId();
+        if (string.IsNullOrEmpty(currentTenantId))
+            return null;
+
+        var entity = await _context.Sketches
+            .AsNoTracking()
+            .FirstOrDefaultAsync(s => s.Id == id && s.TenantId == currentTenantId);
+        return entity == null ? null : MapToDomain(entity);
+    }
+
+    /// <summary>
+    /// Get all sketches for a specific map that have not expired
+    /// </summary>
+    public async Task<List<Sketch>> GetActiveByMapIdAsync(int mapId)
+    {
+        var now = DateTime.UtcNow;
+        return await _context.Sketches
+            .AsNoTracking()
+            .Where(s => s.MapId == mapId && (s.ExpiresAt == null || s.ExpiresAt > now))
+            .OrderBy(s => s.CreatedAt)
+            .Select(s => new Sketch
+            {
+                Id = s.Id,
+                MapId = s.MapId,
+                Kind = s.Kind,
+                Points = s.Points,
+                Text = s.Text,
+                Color = s.Color,
+                Width = s.Width,
+                CreatedBy = s.CreatedBy,
+                CreatedAt = s.CreatedAt,
+                ExpiresAt = s.ExpiresAt
+            })
+            .ToListAsync();
+    }
+
+    /// <summary>
+    /// Get count of a user's sketches on a map that have not expired
+    /// </summary>
+    public async Task<int> GetActiveCountByUserAsync(int mapId, string username)
+    {
+        var now = DateTime.UtcNow;
+        return await _context.Sketches
+            .AsNoTracking()
+            .Where(s => s.MapId == mapId && s.CreatedBy == username && (s.ExpiresAt == null || s.ExpiresAt > now))
+            .CountAsync();
+    }
+
+    /// <summary>
+    /// Create a new sketch
+    /// </summary>
+    public async Task<Sketch> CreateAsync(Sketch sketch)
+    {
+        var entity = MapToEntity(sketch);
+        _context.Sketches.Add(entity);
+        await _context.SaveChangesAsync();
+
+        // Update domain object with generated ID
+        sketch.Id = entity.Id;
+        return sketch;
+    }
+
+    /// <summary>
+    /// Delete a sketch
+    /// </summary>
+    public async Task DeleteAsync(int id)
+    {
+        var currentTenantId = _tenantContext.GetCurrentTenantId();
+        if (string.IsNullOrEmpty(currentTenantId))
+            return;
+
+        var entity = await _context.Sketches
+            .FirstOrDefaultAsync(s => s.Id == id && s.TenantId == currentTenantId);
+        if (entity != null)
+        {
+            _context.Sketches.Remove(entity);
+            await _context.SaveChangesAsync();
+        }
+    }
+
+    /// <summary>
+    /// Delete all of a user's sketches on a map and return their IDs
+    /// </summary>
+    public async Task<List<int>> DeleteByCreatorAsync(int mapId, string username)
+    {
+        var entities = await _context.Sketches
+            .Where(s => s.MapId == mapId && s.CreatedBy == username)
+            .ToListAsync();
+
+        if (entities.Count > 0)
+        {
+            _context.Sketches.RemoveRange(entities);
+            await _context.SaveChangesAsync();
+        }
+
+        return entities.Select(s => s.Id).ToList();
+    }
+
+    /// <summary>
+    /// Delete all expired sketches and return them (for SSE notification)
+    /// NOTE: This method bypasses tenant filters to clean up all expired sketches
+    /// </summary>
+    public async Task<List<(int Id, int MapId, string TenantId)>> DeleteExpiredAsync()
+    {
+        var now = DateTime.UtcNow;
+
+        // Must use IgnoreQueryFilters() to delete expired sketches across all tenants
+        var expiredSketches = await _context.Sketches
+            .IgnoreQueryFilters()
+            .Where(s => s.ExpiresAt != null && s.ExpiresAt <= now)
+            .ToListAsync();
+
+        var result = expiredSketches.Select(s => (s.Id, s.MapId, s.TenantId)).ToList();
+
+        if (expiredSketches.Count > 0)
+        {
+            _context.Sketches.RemoveRange(expiredSketches);
+            await _context.SaveChangesAsync();
+        }
+
+        return result;
+    }
+
+    /// <summary>
+    /// Map entity to domain model
+    /// </summary>
+    private static Sketch MapToDomain(SketchEntity entity) => new()
+    {
+        Id = entity.Id,
+        MapId = entity.MapId,
+        Kind = entity.Kind,
+        Points = entity.Points,
+        Text = entity.Text,
+        Color = entity.Color,
+        Width = entity.Width,
+        CreatedBy = entity.CreatedBy,
+        CreatedAt = entity.CreatedAt,
+        ExpiresAt = entity.ExpiresAt
+    };
+
+    /// <summary>
+    /// Map domain model to entity
+    /// </summary>
+    private SketchEntity MapToEntity(Sketch sketch) => new()
+    {
+        Id = sketch.Id,
+        MapId = sketch.MapId,
+        Kind = sketch.Kind,
+        Points = sketch.Points,
+        Text = sketch.Text,
+        Color = sketch.Color,
+        Width = sketch.Width,
+        CreatedBy = sketch.CreatedBy,
+        CreatedAt = sketch.CreatedAt,
+        ExpiresAt = sketch.ExpiresAt,
+        TenantId = _tenantContext.GetRequiredTenantId()
+    };
+}
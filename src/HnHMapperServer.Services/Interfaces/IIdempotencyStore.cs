@@ -0,0 +1,44 @@
+namespace HnHMapperServer.Services.Interfaces;
+
+/// <summary>
+/// Remembers the outcome of create requests by client-supplied idempotency key, so a retried
+/// request (outbox replay after a dropped connection, double submit) returns the original
+/// result instead of creating a second ping, road or marker. Purely in-memory and per process.
+/// </summary>
+public interface IIdempotencyStore
+{
+    /// <summary>
+    /// Claims a key. On <see cref="IdempotencyStatus.Started"/> the caller runs the request
+    /// and MUST then call <see cref="Complete"/> or <see cref="Release"/>.
+    /// </summary>
+    /// <param name="scope">Who the key belongs to (tenant + user), so keys never cross users</param>
+    /// <param name="key">Client-generated key</param>
+    IdempotencyLookup Begin(string scope, string key);
+
+    /// <summary>
+    /// Stores the successful response of a started key for replay
+    /// </summary>
+    void Complete(string scope, string key, int statusCode, object? value);
+
+    /// <summary>
+    /// Frees a started key without storing anything (the request failed and may be retried)
+    /// </summary>
+    void Release(string scope, string key);
+}
+
+public enum IdempotencyStatus
+{
+    /// <summary>First use of the key - run the request</summary>
+    Started,
+
+    /// <summary>The same key is still being processed by another request</summary>
+    InProgress,
+
+    /// <summary>Already succeeded - replay <see cref="IdempotencyLookup.StatusCode"/> and <see cref="IdempotencyLookup.Value"/></summary>
+    Completed
+}
+
+/// <summary>
+/// Result of <see cref="IIdempotencyStore.Begin"/>
+/// </summary>
+public sealed record IdempotencyLookup(IdempotencyStatus Status, int StatusCode = 0, object? Value = null);
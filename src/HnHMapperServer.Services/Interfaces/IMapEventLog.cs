@@ -0,0 +1,76 @@
+using HnHMapperServer.Core.DTOs;
+
+namespace HnHMapperServer.Services.Interfaces;
+
+/// <summary>
+/// Short per-tenant history of /map/updates events. Every appended event gets a strictly
+/// increasing ID; a reconnecting client sends the last ID it saw (Last-Event-ID) and gets
+/// everything after it replayed, or is told to resync when that point has been evicted.
+/// IDs are seeded from the startup time, so IDs from before a restart always read as too old.
+/// </summary>
+public interface IMapEventLog
+{
+    /// <summary>
+    /// ID of the newest appended event (the seed value if nothing was appended yet)
+    /// </summary>
+    long LastEventId { get; }
+
+    /// <summary>
+    /// Records an event and pushes it to live subscribers of the tenant
+    /// </summary>
+    /// <param name="tenantId">Owning tenant, or null to deliver to every tenant</param>
+    /// <param name="eventName">SSE event name</param>
+    /// <param name="data">Serialized JSON payload</param>
+    /// <param name="mapIds">Maps the event introduces to the tenant (see <see cref="MapEventLogEntry.MapIds"/>)</param>
+    /// <returns>The stored entry, including its assigned ID</returns>
+    MapEventLogEntry Append(string? tenantId, string eventName, string data, IReadOnlyList<int>? mapIds = null);
+
+    /// <summary>
+    /// Subscribes to a tenant's live events and, atomically with that, resolves the replay
+    /// for a reconnecting client. The caller MUST dispose the subscription.
+    /// </summary>
+    /// <param name="tenantId">Tenant of the connection</param>
+    /// <param name="lastEventId">Last event ID the client saw, or null for a fresh connection</param>
+    IMapEventLogSubscription Subscribe(string tenantId, long? lastEventId);
+
+    /// <summary>
+    /// One-shot read for the polling fallback: the tenant's events after lastEventId and the
+    /// cursor to send next time. Uses the same IDs as SSE, so a client can switch transports
+    /// without losing or repeating events.
+    /// </summary>
+    /// <param name="tenantId">Tenant of the caller</param>
+    /// <param name="lastEventId">Cursor from the previous poll (or SSE Last-Event-ID), null on the first call</param>
+    MapEventLogPage ReadSince(string tenantId, long? lastEventId);
+}
+
+/// <summary>
+/// Result of <see cref="IMapEventLog.ReadSince"/>
+/// </summary>
+/// <param name="LastEventId">Cursor for the next read: the newest event ID at read time</param>
+/// <param name="Entries">Events after the requested cursor, oldest first</param>
+/// <param name="ResyncRequired">The requested cursor is no longer covered; Entries is empty</param>
+public sealed record MapEventLogPage(long LastEventId, IReadOnlyList<MapEventLogEntry> Entries, bool ResyncRequired);
+
+/// <summary>
+/// Live event feed of one SSE connection plus its replay backlog.
+/// Live entries with an ID at or below <see cref="StartEventId"/> are already covered by
+/// the replay (or predate the connection) and must be skipped.
+/// </summary>
+public interface IMapEventLogSubscription : IChannelSubscription<MapEventLogEntry>
+{
+    /// <summary>
+    /// Position of the connection when it subscribed: the newest event ID at that time
+    /// </summary>
+    long StartEventId { get; }
+
+    /// <summary>
+    /// Events after the client's last event ID, oldest first (empty for fresh connections)
+    /// </summary>
+    IReadOnlyList<MapEventLogEntry> Replay { get; }
+
+    /// <summary>
+    /// True when the client's last event ID is no longer covered by the log (evicted,
+    /// from before a restart, or unknown) and it has to reload its state instead
+    /// </summary>
+    bool ResyncRequired { get; }
+}
@@ -0,0 +1,40 @@
+using HnHMapperServer.Core.DTOs;
+
+namespace HnHMapperServer.Services.Interfaces;
+
+/// <summary>
+/// Who is looking at which map, and where their cursor is. Only WebSocket connections take
+/// part (SSE and polling have no client-to-server channel). Purely in-memory and per process.
+/// </summary>
+public interface IMapPresenceService
+{
+    /// <summary>
+    /// Registers a socket connection and broadcasts the updated viewer list to its tenant.
+    /// The caller MUST dispose the connection; disposal leaves and broadcasts again.
+    /// </summary>
+    IMapPresenceConnection Join(string tenantId, string userName);
+
+    /// <summary>
+    /// Records the map a connection is viewing and broadcasts the viewer list if it changed
+    /// </summary>
+    void SetMap(string connectionId, int? mapId);
+
+    /// <summary>
+    /// Relays a cursor position to the other connections of the tenant on the same map.
+    /// </summary>
+    /// <returns>False when dropped (unknown connection or sent faster than the relay rate)</returns>
+    bool ShareCursor(string connectionId, int mapId, int x, int y);
+
+    /// <summary>
+    /// Current viewers of a tenant
+    /// </summary>
+    IReadOnlyList<MapPresenceEntryDto> GetPresence(string tenantId);
+}
+
+/// <summary>
+/// Presence/cursor messages for one socket connection
+/// </summary>
+public interface IMapPresenceConnection : IChannelSubscription<MapPresenceMessage>
+{
+    string ConnectionId { get; }
+}
@@ -0,0 +1,41 @@
+using HnHMapperServer.Core.DTOs;
+
+namespace HnHMapperServer.Services.Interfaces;
+
+/// <summary>
+/// Service interface for sketch operations with validation and authorization
+/// </summary>
+public interface ISketchService
+{
+    /// <summary>
+    /// Get all sketches on a map that have not expired
+    /// </summary>
+    Task<List<SketchViewDto>> GetByMapIdAsync(int mapId, string currentUsername, bool isAdmin);
+
+    /// <summary>
+    /// Create a new sketch (max 300 active sketches per user per map)
+    /// </summary>
+    /// <param name="dto">Create sketch DTO</param>
+    /// <param name="currentUsername">Current user's username</param>
+    /// <returns>Created sketch</returns>
+    /// <exception cref="ArgumentException">Thrown when the sketch is invalid</exception>
+    /// <exception cref="InvalidOperationException">Thrown when user has reached the sketch limit</exception>
+    Task<SketchViewDto> CreateAsync(CreateSketchDto dto, string currentUsername);
+
+    /// <summary>
+    /// Delete a sketch (creator or admin only) and return the map it was on
+    /// </summary>
+    /// <exception cref="KeyNotFoundException">Thrown when the sketch does not exist</exception>
+    /// <exception cref="UnauthorizedAccessException">Thrown when the user may not delete the sketch</exception>
+    Task<int> DeleteAsync(int id, string currentUsername, bool isAdmin);
+
+    /// <summary>
+    /// Delete all of the current user's sketches on a map and return their IDs
+    /// </summary>
+    Task<List<int>> DeleteOwnAsync(int mapId, string currentUsername);
+
+    /// <summary>
+    /// Delete all expired sketches and return them with map and tenant IDs (for background cleanup and SSE notification)
+    /// </summary>
+    Task<List<(int Id, int MapId, string TenantId)>> DeleteExpiredAsync();
+}
@@ -151,6 +151,26 @@ public interface IUpdateNotificationService
     /// </summary>
     void NotifyRoadDeleted(RoadDeleteEventDto deleteEvent);
 
+    /// <summary>
+    /// Subscribes to sketch creation notifications
+    /// </summary>
+    IChannelSubscription<SketchEventDto> SubscribeToSketchCreated();
+
+    /// <summary>
+    /// Subscribes to sketch deletion notifications
+    /// </summary>
+    IChannelSubscription<SketchDeleteEventDto> SubscribeToSketchDeleted();
+
+    /// <summary>
+    /// Notifies all subscribers of a sketch creation
+    /// </summary>
+    void NotifySketchCreated(SketchEventDto sketch);
+
+    /// <summary>
+    /// Notifies all subscribers of a sketch deletion (deleted, cleared or expired)
+    /// </summary>
+    void NotifySketchDeleted(SketchDeleteEventDto deleteEvent);
+
     /// <summary>
     /// Subscribes to overlay update notifications
     /// </summary>
@@ -153,6 +153,24 @@ public partial class CustomMarkerService : ICustomMarkerService
             throw new ArgumentException($"Icon '{dto.Icon}' is not in the allowed icon list.");
         }
 
+        // Move the marker when a new position was sent (same grid lookup as CreateAsync)
+        if (dto.CoordX.HasValue)
+        {
+            var grid = await _context.Grids
+                .FirstOrDefaultAsync(g => g.Map == existing.MapId && g.CoordX == dto.CoordX && g.CoordY == dto.CoordY);
+
+            if (grid == null)
+            {
+                throw new InvalidOperationException($"Grid not found at coordinates ({dto.CoordX}, {dto.CoordY}) for map {existing.MapId}");
+            }
+
+            existing.GridId = grid.Id;
+            existing.CoordX = dto.CoordX.Value;
+            existing.CoordY = dto.CoordY!.Value;
+            existing.X = ClampCoordinate(dto.X!.Value);
+            existing.Y = ClampCoordinate(dto.Y!.Value);
+        }
+
         // Update fields (PlacedAt is immutable)
         existing.Title = SanitizeString(dto.Title);
         existing.Description = string.IsNullOrWhiteSpace(dto.Description) ? null : SanitizeString(dto.Description);
@@ -299,6 +317,12 @@ public partial class CustomMarkerService : ICustomMarkerService
         {
             throw new ArgumentException("Icon is required.", nameof(dto.Icon));
         }
+
+        var positionFields = new[] { dto.CoordX, dto.CoordY, dto.X, dto.Y };
+        if (positionFields.Any(v => v.HasValue) && !positionFields.All(v => v.HasValue))
+        {
+            throw new ArgumentException("CoordX, CoordY, X and Y must be sent together to move a marker.");
+        }
     }
 
     /// <summary>
@@ -0,0 +1,144 @@
+using HnHMapperServer.Services.Interfaces;
+
+namespace HnHMapperServer.Services.Services;
+
+/// <summary>
+/// In-memory <see cref="IIdempotencyStore"/> (singleton). Completed keys are kept for
+/// <see cref="Retention"/>, which matches how long the browser outbox keeps retrying.
+/// </summary>
+public class IdempotencyStore : IIdempotencyStore
+{
+    /// <summary>
+    /// How long a completed key is replayed
+    /// </summary>
+    public static readonly TimeSpan Retention = TimeSpan.FromHours(24);
+
+    /// <summary>
+    /// A started key that was never completed or released (process hiccup) frees up after this
+    /// </summary>
+    public static readonly TimeSpan StaleInProgress = TimeSpan.FromMinutes(2);
+
+    private static readonly TimeSpan PruneInterval = TimeSpan.FromMinutes(1);
+
+    private readonly object _lock = new();
+    private readonly Dictionary<(string Scope, string Key), Entry> _entries = new();
+    private readonly int _maxEntries;
+    private readonly TimeProvider _timeProvider;
+    private DateTimeOffset _lastPrune = DateTimeOffset.MinValue;
+
+    public IdempotencyStore(int maxEntries = 10_000, TimeProvider? timeProvider = null)
+    {
+        _maxEntries = maxEntries;
+        _timeProvider = timeProvider ?? TimeProvider.System;
+    }
+
+    /// <summary>
+    /// Stored key count. Not on the interface — used by tests.
+    /// </summary>
+    public int Count
+    {
+        get
+        {
+            lock (_lock)
+            {
+                return _entries.Count;
+            }
+        }
+    }
+
+    public IdempotencyLookup Begin(string scope, string key)
+    {
+        lock (_lock)
+        {
+            var now = _timeProvider.GetUtcNow();
+            Prune(now);
+
+            if (_entries.TryGetValue((scope, key), out var entry))
+            {
+                if (entry.Completed)
+                {
+                    return new IdempotencyLookup(IdempotencyStatus.Completed, entry.StatusCode, entry.Value);
+                }
+                if (now - entry.CreatedAt < StaleInProgress)
+                {
+                    return new IdempotencyLookup(IdempotencyStatus.InProgress);
+                }
+            }
+
+            _entries[(scope, key)] = new Entry { CreatedAt = now };
+            EnforceCapacity();
+            return new IdempotencyLookup(IdempotencyStatus.Started);
+        }
+    }
+
+    public void Complete(string scope, string key, int statusCode, object? value)
+    {
+        lock (_lock)
+        {
+            _entries[(scope, key)] = new Entry
+            {
+                CreatedAt = _timeProvider.GetUtcNow(),
+                Completed = true,
+                StatusCode = statusCode,
+                Value = value
+            };
+        }
+    }
+
+    public void Release(string scope, string key)
+    {
+        lock (_lock)
+        {
+            if (_entries.TryGetValue((scope, key), out var entry) && !entry.Completed)
+            {
+                _entries.Remove((scope, key));
+            }
+        }
+    }
+
+    /// <summary>
+    /// Drops expired keys, at most once per <see cref="PruneInterval"/>. Caller holds the lock.
+    /// </summary>
+    private void Prune(DateTimeOffset now)
+    {
+        if (now - _lastPrune < PruneInterval)
+        {
+            return;
+        }
+        _lastPrune = now;
+
+        foreach (var (id, entry) in _entries.ToList())
+        {
+            var maxAge = entry.Completed ? Retention : StaleInProgress;
+            if (now - entry.CreatedAt >= maxAge)
+            {
+                _entries.Remove(id);
+            }
+        }
+    }
+
+    /// <summary>
+    /// Evicts the oldest keys beyond the cap. Caller holds the lock.
+    /// </summary>
+    private void EnforceCapacity()
+    {
+        var excess = _entries.Count - _maxEntries;
+        if (excess <= 0)
+        {
+            return;
+        }
+
+        foreach (var id in _entries.OrderBy(kv => kv.Value.CreatedAt).Take(excess).Select(kv => kv.Key).ToList())
+        {
+            _entries.Remove(id);
+        }
+    }
+
+    private sealed class Entry
+    {
+        public DateTimeOffset CreatedAt { get; init; }
+        public bool Completed { get; init; }
+        public int StatusCode { get; init; }
+        public object? Value { get; init; }
+    }
+}
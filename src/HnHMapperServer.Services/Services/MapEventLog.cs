@@ -0,0 +1,252 @@
+using HnHMapperServer.Core.DTOs;
+using HnHMapperServer.Services.Interfaces;
+using System.Threading.Channels;
+
+namespace HnHMapperServer.Services.Services;
+
+/// <summary>
+/// In-memory replay log for /map/updates (singleton). Keeps the last
+/// <see cref="DefaultMaxEntriesPerTenant"/> events of each tenant for at most
+/// <see cref="DefaultMaxAge"/>; anything older is treated as a gap and the client resyncs.
+///
+/// A single lock guards the ring buffers, the ID counter and the subscriber list, so a
+/// subscription's replay and its live feed can never overlap or leave a hole. Live
+/// channels follow the UpdateNotificationService rules: bounded, DropOldest, and
+/// disposal is the only unsubscribe.
+/// </summary>
+public class MapEventLog : IMapEventLog
+{
+    public const int DefaultMaxEntriesPerTenant = 2000;
+    public static readonly TimeSpan DefaultMaxAge = TimeSpan.FromMinutes(10);
+    private const int LiveCapacity = 1024;
+
+    // Tenant-less events (broadcast to everyone) live in their own partition
+    private const string GlobalPartition = "";
+
+    private readonly object _lock = new();
+    private readonly int _maxEntriesPerTenant;
+    private readonly TimeSpan _maxAge;
+    private readonly TimeProvider _timeProvider;
+
+    /// <summary>
+    /// First ID of this process. Seeded from the startup time (µs resolution) so IDs keep
+    /// increasing across restarts and pre-restart IDs are recognized as unreplayable.
+    /// </summary>
+    private readonly long _baseEventId;
+    private long _lastEventId;
+
+    private readonly Dictionary<string, Partition> _partitions = new();
+    private readonly Dictionary<Guid, LiveSubscription> _subscribers = new();
+
+    public MapEventLog(int maxEntriesPerTenant = DefaultMaxEntriesPerTenant, TimeSpan? maxAge = null, TimeProvider? timeProvider = null)
+    {
+        _maxEntriesPerTenant = maxEntriesPerTenant;
+        _maxAge = maxAge ?? DefaultMaxAge;
+        _timeProvider = timeProvider ?? TimeProvider.System;
+        _baseEventId = _timeProvider.GetUtcNow().ToUnixTimeMilliseconds() * 1000;
+        _lastEventId = _baseEventId;
+    }
+
+    public long LastEventId
+    {
+        get
+        {
+            lock (_lock)
+            {
+                return _lastEventId;
+            }
+        }
+    }
+
+    /// <summary>
+    /// Live subscriber count. Not on the interface — used by tests.
+    /// </summary>
+    public int ActiveSubscriptionCount
+    {
+        get
+        {
+            lock (_lock)
+            {
+                return _subscribers.Count;
+            }
+        }
+    }
+
+    public MapEventLogEntry Append(string? tenantId, string eventName, string data, IReadOnlyList<int>? mapIds = null)
+    {
+        lock (_lock)
+        {
+            var now = _timeProvider.GetUtcNow().UtcDateTime;
+            var entry = new MapEventLogEntry
+            {
+                Id = ++_lastEventId,
+                TenantId = tenantId,
+                EventName = eventName,
+                Data = data,
+                MapIds = mapIds ?? Array.Empty<int>(),
+                CreatedAt = now
+            };
+
+            var partition = GetPartition(tenantId ?? GlobalPartition);
+            partition.Entries.Enqueue(entry);
+            Trim(partition, now);
+
+            foreach (var subscriber in _subscribers.Values)
+            {
+                if (tenantId == null || subscriber.TenantId == tenantId)
+                {
+                    subscriber.Channel.Writer.TryWrite(entry);
+                }
+            }
+
+            return entry;
+        }
+    }
+
+    public IMapEventLogSubscription Subscribe(string tenantId, long? lastEventId)
+    {
+        lock (_lock)
+        {
+            IReadOnlyList<MapEventLogEntry> replay = Array.Empty<MapEventLogEntry>();
+            var resyncRequired = false;
+
+            if (lastEventId.HasValue && lastEventId.Value != _lastEventId)
+            {
+                if (TryCollectReplay(tenantId, lastEventId.Value, out var entries))
+                {
+                    replay = entries;
+                }
+                else
+                {
+                    resyncRequired = true;
+                }
+            }
+
+            var channel = Channel.CreateBounded<MapEventLogEntry>(new BoundedChannelOptions(LiveCapacity)
+            {
+                FullMode = BoundedChannelFullMode.DropOldest,
+                SingleReader = true,
+                SingleWriter = false
+            });
+
+            var id = Guid.NewGuid();
+            _subscribers[id] = new LiveSubscription(tenantId, channel);
+            return new Subscription(this, id, channel.Reader, _lastEventId, replay, resyncRequired);
+        }
+    }
+
+    public MapEventLogPage ReadSince(string tenantId, long? lastEventId)
+    {
+        lock (_lock)
+        {
+            if (!lastEventId.HasValue || lastEventId.Value == _lastEventId)
+            {
+                return new MapEventLogPage(_lastEventId, Array.Empty<MapEventLogEntry>(), false);
+            }
+
+            return TryCollectReplay(tenantId, lastEventId.Value, out var entries)
+                ? new MapEventLogPage(_lastEventId, entries, false)
+                : new MapEventLogPage(_lastEventId, Array.Empty<MapEventLogEntry>(), true);
+        }
+    }
+
+    /// <summary>
+    /// Entries of the tenant (and the global partition) after lastEventId, oldest first.
+    /// Fails when the ID is outside this process' range or part of the gap was evicted.
+    /// Caller holds the lock.
+    /// </summary>
+    private bool TryCollectReplay(string tenantId, long lastEventId, out List<MapEventLogEntry> entries)
+    {
+        entries = new List<MapEventLogEntry>();
+        if (lastEventId < _baseEventId || lastEventId > _lastEventId)
+        {
+            return false;
+        }
+
+        var now = _timeProvider.GetUtcNow().UtcDateTime;
+        foreach (var key in new[] { tenantId, GlobalPartition })
+        {
+            if (!_partitions.TryGetValue(key, out var partition))
+            {
+                continue;
+            }
+
+            Trim(partition, now);
+            if (partition.EvictedUpTo > lastEventId)
+            {
+                return false;
+            }
+
+            entries.AddRange(partition.Entries.Where(e => e.Id > lastEventId));
+        }
+
+        entries.Sort((a, b) => a.Id.CompareTo(b.Id));
+        return true;
+    }
+
+    private Partition GetPartition(string key)
+    {
+        if (!_partitions.TryGetValue(key, out var partition))
+        {
+            partition = new Partition();
+            _partitions[key] = partition;
+        }
+        return partition;
+    }
+
+    private void Trim(Partition partition, DateTime now)
+    {
+        while (partition.Entries.Count > 0 &&
+               (partition.Entries.Count > _maxEntriesPerTenant || now - partition.Entries.Peek().CreatedAt > _maxAge))
+        {
+            partition.EvictedUpTo = partition.Entries.Dequeue().Id;
+        }
+    }
+
+    private void Unsubscribe(Guid id)
+    {
+        lock (_lock)
+        {
+            if (_subscribers.Remove(id, out var subscriber))
+            {
+                subscriber.Channel.Writer.TryComplete();
+            }
+        }
+    }
+
+    private sealed class Partition
+    {
+        public Queue<MapEventLogEntry> Entries { get; } = new();
+
+        /// <summary>
+        /// Highest ID dropped from this partition; replays starting below it have a hole
+        /// </summary>
+        public long EvictedUpTo { get; set; }
+    }
+
+    private sealed record LiveSubscription(string TenantId, Channel<MapEventLogEntry> Channel);
+
+    private sealed class Subscription : IMapEventLogSubscription
+    {
+        private readonly MapEventLog _owner;
+        private readonly Guid _id;
+
+        public Subscription(MapEventLog owner, Guid id, ChannelReader<MapEventLogEntry> reader,
+            long startEventId, IReadOnlyList<MapEventLogEntry> replay, bool resyncRequired)
+        {
+            _owner = owner;
+            _id = id;
+            Reader = reader;
+            StartEventId = startEventId;
+            Replay = replay;
+            ResyncRequired = resyncRequired;
+        }
+
+        public ChannelReader<MapEventLogEntry> Reader { get; }
+        public long StartEventId { get; }
+        public IReadOnlyList<MapEventLogEntry> Replay { get; }
+        public bool ResyncRequired { get; }
+
+        public void Dispose() => _owner.Unsubscribe(_id);
+    }
+}
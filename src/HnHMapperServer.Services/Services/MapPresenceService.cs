@@ -0,0 +1,201 @@
+using HnHMapperServer.Core.DTOs;
+using HnHMapperServer.Services.Interfaces;
+using System.Threading.Channels;
+
+namespace HnHMapperServer.Services.Services;
+
+/// <summary>
+/// In-memory presence registry for /map/ws (singleton). Channels follow the
+/// UpdateNotificationService rules: bounded, DropOldest (a stalled socket only loses old
+/// cursor frames), and disposal is the only way to leave.
+/// </summary>
+public class MapPresenceService : IMapPresenceService
+{
+    private const int LiveCapacity = 256;
+
+    /// <summary>
+    /// Minimum spacing between relayed cursor updates of one connection
+    /// </summary>
+    public static readonly TimeSpan CursorInterval = TimeSpan.FromMilliseconds(100);
+
+    private readonly object _lock = new();
+    private readonly Dictionary<string, Member> _members = new();
+    private readonly TimeProvider _timeProvider;
+
+    public MapPresenceService(TimeProvider? timeProvider = null)
+    {
+        _timeProvider = timeProvider ?? TimeProvider.System;
+    }
+
+    /// <summary>
+    /// Connected socket count. Not on the interface — used by tests.
+    /// </summary>
+    public int ActiveConnectionCount
+    {
+        get
+        {
+            lock (_lock)
+            {
+                return _members.Count;
+            }
+        }
+    }
+
+    public IMapPresenceConnection Join(string tenantId, string userName)
+    {
+        var channel = Channel.CreateBounded<MapPresenceMessage>(new BoundedChannelOptions(LiveCapacity)
+        {
+            FullMode = BoundedChannelFullMode.DropOldest,
+            SingleReader = true,
+            SingleWriter = false
+        });
+
+        var connectionId = Guid.NewGuid().ToString("N");
+        lock (_lock)
+        {
+            _members[connectionId] = new Member(tenantId, userName, channel);
+            BroadcastPresence(tenantId);
+        }
+
+        return new Connection(this, connectionId, channel.Reader);
+    }
+
+    public void SetMap(string connectionId, int? mapId)
+    {
+        lock (_lock)
+        {
+            if (!_members.TryGetValue(connectionId, out var member) || member.MapId == mapId)
+            {
+                return;
+            }
+
+            member.MapId = mapId;
+            BroadcastPresence(member.TenantId);
+        }
+    }
+
+    public bool ShareCursor(string connectionId, int mapId, int x, int y)
+    {
+        lock (_lock)
+        {
+            if (!_members.TryGetValue(connectionId, out var member))
+            {
+                return false;
+            }
+
+            var now = _timeProvider.GetUtcNow();
+            if (now - member.LastCursorAt < CursorInterval)
+            {
+                return false;
+            }
+            member.LastCursorAt = now;
+
+            var message = new MapPresenceMessage
+            {
+                EventName = "cursor",
+                Payload = new MapCursorDto
+                {
+                    ConnectionId = connectionId,
+                    UserName = member.UserName,
+                    MapId = mapId,
+                    X = x,
+                    Y = y
+                }
+            };
+
+            foreach (var (otherId, other) in _members)
+            {
+                if (otherId != connectionId && other.TenantId == member.TenantId && other.MapId == mapId)
+                {
+                    other.Channel.Writer.TryWrite(message);
+                }
+            }
+            return true;
+        }
+    }
+
+    public IReadOnlyList<MapPresenceEntryDto> GetPresence(string tenantId)
+    {
+        lock (_lock)
+        {
+            return Snapshot(tenantId);
+        }
+    }
+
+    private void Leave(string connectionId)
+    {
+        lock (_lock)
+        {
+            if (_members.Remove(connectionId, out var member))
+            {
+                member.Channel.Writer.TryComplete();
+                BroadcastPresence(member.TenantId);
+            }
+        }
+    }
+
+    /// <summary>
+    /// Caller holds the lock
+    /// </summary>
+    private List<MapPresenceEntryDto> Snapshot(string tenantId)
+    {
+        return _members
+            .Where(kv => kv.Value.TenantId == tenantId)
+            .Select(kv => new MapPresenceEntryDto
+            {
+                ConnectionId = kv.Key,
+                UserName = kv.Value.UserName,
+                MapId = kv.Value.MapId
+            })
+            .OrderBy(e => e.UserName, StringComparer.OrdinalIgnoreCase)
+            .ToList();
+    }
+
+    /// <summary>
+    /// Sends the tenant's full viewer list to each of its connections. Caller holds the lock.
+    /// </summary>
+    private void BroadcastPresence(string tenantId)
+    {
+        var message = new MapPresenceMessage { EventName = "presence", Payload = Snapshot(tenantId) };
+        foreach (var member in _members.Values)
+        {
+            if (member.TenantId == tenantId)
+            {
+                member.Channel.Writer.TryWrite(message);
+            }
+        }
+    }
+
+    private sealed class Member
+    {
+        public Member(string tenantId, string userName, Channel<MapPresenceMessage> channel)
+        {
+            TenantId = tenantId;
+            UserName = userName;
+            Channel = channel;
+        }
+
+        public string TenantId { get; }
+        public string UserName { get; }
+        public Channel<MapPresenceMessage> Channel { get; }
+        public int? MapId { get; set; }
+        public DateTimeOffset LastCursorAt { get; set; } = DateTimeOffset.MinValue;
+    }
+
+    private sealed class Connection : IMapPresenceConnection
+    {
+        private readonly MapPresenceService _owner;
+
+        public Connection(MapPresenceService owner, string connectionId, ChannelReader<MapPresenceMessage> reader)
+        {
+            _owner = owner;
+            ConnectionId = connectionId;
+            Reader = reader;
+        }
+
+        public string ConnectionId { get; }
+        public ChannelReader<MapPresenceMessage> Reader { get; }
+
+        public void Dispose() => _owner.Leave(ConnectionId);
+    }
+}
@@ -1,3 +1,4 @@
+using HnHMapperServer.Core.Constants;
 using HnHMapperServer.Core.DTOs;
 using HnHMapperServer.Core.Interfaces;
 using HnHMapperServer.Core.Models;
@@ -16,7 +17,7 @@ public class PingService : IPingService
     private readonly ILogger<PingService> _logger;
 
     // Rate limiting: Max 5 active pings per user
-    private const int MaxPingsPerUser = 5;
+    private const int MaxPingsPerUser = PingConstants.MaxActivePerUser;
     private const int PingDurationSeconds = 60;
 
     public PingService(
@@ -45,6 +46,8 @@ public class PingService : IPingService
             CoordY = p.CoordY,
             X = p.X,
             Y = p.Y,
+            Type = p.Type,
+            Message = p.Message,
             CreatedBy = p.CreatedBy,
             CreatedAt = p.CreatedAt,
             ExpiresAt = p.ExpiresAt,
@@ -57,8 +60,10 @@ public class PingService : IPingService
     /// </summary>
     public async Task<PingEventDto> CreateAsync(CreatePingDto dto, string currentUsername)
     {
-        // Validate coordinates
+        // Validate coordinates, type and message
         ValidateCoordinates(dto);
+        var type = NormalizeType(dto.Type);
+        var message = NormalizeMessage(dto.Message);
 
         // Check rate limit: max 5 active pings per user
         var activeCount = await _repository.GetActiveCountByUserAsync(currentUsername);
@@ -78,6 +83,8 @@ public class PingService : IPingService
             CoordY = dto.CoordY,
             X = dto.X,
             Y = dto.Y,
+            Type = type,
+            Message = message,
             CreatedBy = currentUsername,
             CreatedAt = now,
             ExpiresAt = now.AddSeconds(PingDurationSeconds)
@@ -86,8 +93,8 @@ public class PingService : IPingService
         var created = await _repository.CreateAsync(ping);
         var tenantId = _tenantContext.GetRequiredTenantId();
 
-        _logger.LogInformation("User {Username} created ping {PingId} on map {MapId} at ({CoordX},{CoordY},{X},{Y})",
-            currentUsername, created.Id, dto.MapId, dto.CoordX, dto.CoordY, dto.X, dto.Y);
+        _logger.LogInformation("User {Username} created {PingType} ping {PingId} on map {MapId} at ({CoordX},{CoordY},{X},{Y})",
+            currentUsername, type, created.Id, dto.MapId, dto.CoordX, dto.CoordY, dto.X, dto.Y);
 
         return new PingEventDto
         {
@@ -97,6 +104,8 @@ public class PingService : IPingService
             CoordY = created.CoordY,
             X = created.X,
             Y = created.Y,
+            Type = created.Type,
+            Message = created.Message,
             CreatedBy = created.CreatedBy,
             CreatedAt = created.CreatedAt,
             ExpiresAt = created.ExpiresAt,
@@ -141,4 +150,40 @@ public class PingService : IPingService
             throw new ArgumentException($"Y coordinate must be between 0 and 100. Got: {dto.Y}");
         }
     }
+
+    /// <summary>
+    /// Missing type means a plain ping; unknown types are rejected
+    /// </summary>
+    private static string NormalizeType(string? type)
+    {
+        if (string.IsNullOrWhiteSpace(type))
+        {
+            return PingConstants.TypeDefault;
+        }
+
+        var normalized = type.Trim().ToLowerInvariant();
+        if (!PingConstants.Types.Contains(normalized))
+        {
+            throw new ArgumentException($"Unknown ping type '{type}'. Expected one of: {string.Join(", ", PingConstants.Types)}");
+        }
+        return normalized;
+    }
+
+    /// <summary>
+    /// Trim the optional message; blank becomes null
+    /// </summary>
+    private static string? NormalizeMessage(string? message)
+    {
+        if (string.IsNullOrWhiteSpace(message))
+        {
+            return null;
+        }
+
+        var trimmed = message.Trim();
+        if (trimmed.Length > PingConstants.MaxMessageLength)
+        {
+            throw new ArgumentException($"Ping message must be at most {PingConstants.MaxMessageLength} characters. Got: {trimmed.Length}");
+        }
+        return trimmed;
+    }
 }
@@ -0,0 +1,261 @@
+using System.Text.Json;
+using System.Text.RegularExpressions;
+using HnHMapperServer.Core.Constants;
+using HnHMapperServer.Core.DTOs;
+using HnHMapperServer.Core.Interfaces;
+using HnHMapperServer.Core.Models;
+using HnHMapperServer.Services.Interfaces;
+using Microsoft.Extensions.Logging;
+
+namespace HnHMapperServer.Services.Services;
+
+/// <summary>
+/// Service implementation for sketch operations with validation and authorization
+/// </summary>
+public partial class SketchService : ISketchService
+{
+    private readonly ISketchRepository _repository;
+    private readonly ILogger<SketchService> _logger;
+
+    private static readonly JsonSerializerOptions JsonOptions = new()
+    {
+        PropertyNamingPolicy = JsonNamingPolicy.CamelCase
+    };
+
+    public SketchService(
+        ISketchRepository repository,
+        ILogger<SketchService> logger)
+    {
+        _repository = repository;
+        _logger = logger;
+    }
+
+    /// <summary>
+    /// Get all sketches on a map that have not expired
+    /// </summary>
+    public async Task<List<SketchViewDto>> GetByMapIdAsync(int mapId, string currentUsername, bool isAdmin)
+    {
+        var sketches = await _repository.GetActiveByMapIdAsync(mapId);
+        return sketches.Select(s => MapToViewDto(s, currentUsername, isAdmin)).ToList();
+    }
+
+    /// <summary>
+    /// Create a new sketch with validation and a per-user limit
+    /// </summary>
+    public async Task<SketchViewDto> CreateAsync(CreateSketchDto dto, string currentUsername)
+    {
+        // Validate input
+        var kind = NormalizeKind(dto.Kind);
+        ValidatePoints(kind, dto.Points);
+        var text = NormalizeText(kind, dto.Text);
+        var color = NormalizeColor(dto.Color);
+        ValidateWidth(dto.Width);
+        ValidateExpiry(dto.ExpiresInMinutes);
+
+        var activeCount = await _repository.GetActiveCountByUserAsync(dto.MapId, currentUsername);
+        if (activeCount >= SketchConstants.MaxActivePerUserPerMap)
+        {
+            _logger.LogWarning("User {Username} attempted to create sketch on map {MapId} but has reached limit of {MaxSketches}",
+                currentUsername, dto.MapId, SketchConstants.MaxActivePerUserPerMap);
+            throw new InvalidOperationException($"You can have a maximum of {SketchConstants.MaxActivePerUserPerMap} sketches on a map. Clear some of your sketches first.");
+        }
+
+        var now = DateTime.UtcNow;
+        var sketch = new Sketch
+        {
+            MapId = dto.MapId,
+            Kind = kind,
+            Points = JsonSerializer.Serialize(dto.Points, JsonOptions),
+            Text = text,
+            Color = color,
+            Width = dto.Width,
+            CreatedBy = currentUsername,
+            CreatedAt = now,
+            ExpiresAt = dto.ExpiresInMinutes.HasValue ? now.AddMinutes(dto.ExpiresInMinutes.Value) : null
+        };
+
+        var created = await _repository.CreateAsync(sketch);
+        _logger.LogInformation("User {Username} created {SketchKind} sketch {SketchId} on map {MapId} with {PointCount} points (expires {ExpiresAt})",
+            currentUsername, kind, created.Id, dto.MapId, dto.Points.Count, created.ExpiresAt?.ToString("O") ?? "never");
+
+        return MapToViewDto(created, currentUsername, false);
+    }
+
+    /// <summary>
+    /// Delete a sketch with authorization check
+    /// </summary>
+    public async Task<int> DeleteAsync(int id, string currentUsername, bool isAdmin)
+    {
+        var existing = await _repository.GetByIdAsync(id);
+        if (existing == null)
+        {
+            throw new KeyNotFoundException($"Sketch with ID {id} not found.");
+        }
+
+        // Authorization check: must be creator or admin
+        if (!isAdmin && existing.CreatedBy != currentUsername)
+        {
+            throw new UnauthorizedAccessException("You can only delete your own sketches.");
+        }
+
+        await _repository.DeleteAsync(id);
+        _logger.LogInformation("Sketch {SketchId} on map {MapId} deleted by {User}", id, existing.MapId, currentUsername);
+        return existing.MapId;
+    }
+
+    /// <summary>
+    /// Delete all of the current user's sketches on a map
+    /// </summary>
+    public async Task<List<int>> DeleteOwnAsync(int mapId, string currentUsername)
+    {
+        var deleted = await _repository.DeleteByCreatorAsync(mapId, currentUsername);
+        _logger.LogInformation("User {User} cleared {Count} sketches on map {MapId}", currentUsername, deleted.Count, mapId);
+        return deleted;
+    }
+
+    /// <summary>
+    /// Delete all expired sketches and return them with map and tenant IDs
+    /// </summary>
+    public async Task<List<(int Id, int MapId, string TenantId)>> DeleteExpiredAsync()
+    {
+        var expired = await _repository.DeleteExpiredAsync();
+        if (expired.Any())
+        {
+            _logger.LogDebug("Deleted {Count} expired sketches", expired.Count);
+        }
+        return expired;
+    }
+
+    // --- Validation and normalization methods ---
+
+    private static string NormalizeKind(string? kind)
+    {
+        var normalized = kind?.Trim().ToLowerInvariant() ?? string.Empty;
+        if (!SketchConstants.Kinds.Contains(normalized))
+        {
+            throw new ArgumentException($"Unknown sketch kind '{kind}'. Expected one of: {string.Join(", ", SketchConstants.Kinds)}");
+        }
+        return normalized;
+    }
+
+    /// <summary>
+    /// Strokes need 2 or more points, arrows exactly 2 (tail, head), text exactly 1
+    /// </summary>
+    private static void ValidatePoints(string kind, List<SketchPointDto>? points)
+    {
+        var count = points?.Count ?? 0;
+        var valid = kind switch
+        {
+            SketchConstants.KindStroke => count >= 2 && count <= SketchConstants.MaxPoints,
+            SketchConstants.KindArrow => count == 2,
+            _ => count == 1
+        };
+
+        if (!valid)
+        {
+            var expected = kind switch
+            {
+                SketchConstants.KindStroke => $"between 2 and {SketchConstants.MaxPoints} points",
+                SketchConstants.KindArrow => "exactly 2 points",
+                _ => "exactly 1 point"
+            };
+            throw new ArgumentException($"A {kind} sketch needs {expected}. Got: {count}");
+        }
+    }
+
+    /// <summary>
+    /// Text sketches need a label; other kinds never keep one
+    /// </summary>
+    private static string? NormalizeText(string kind, string? text)
+    {
+        if (kind != SketchConstants.KindText)
+        {
+            return null;
+        }
+
+        if (string.IsNullOrWhiteSpace(text))
+        {
+            throw new ArgumentException("Text is required for a text sketch.");
+        }
+
+        var trimmed = text.Trim();
+        if (trimmed.Length > SketchConstants.MaxTextLength)
+        {
+            throw new ArgumentException($"Sketch text must be at most {SketchConstants.MaxTextLength} characters. Got: {trimmed.Length}");
+        }
+        return trimmed;
+    }
+
+    private static string NormalizeColor(string? color)
+    {
+        if (string.IsNullOrEmpty(color) || !ColorRegex().IsMatch(color))
+        {
+            throw new ArgumentException($"Color must be in #RRGGBB format. Got: {color}");
+        }
+        return color.ToLowerInvariant();
+    }
+
+    private static void ValidateWidth(int width)
+    {
+        if (width < SketchConstants.MinWidth || width > SketchConstants.MaxWidth)
+        {
+            throw new ArgumentException($"Width must be between {SketchConstants.MinWidth} and {SketchConstants.MaxWidth}. Got: {width}");
+        }
+    }
+
+    /// <summary>
+    /// No lifetime means the sketch persists until deleted
+    /// </summary>
+    private static void ValidateExpiry(int? expiresInMinutes)
+    {
+        if (expiresInMinutes is < 1 or > SketchConstants.MaxExpiresInMinutes)
+        {
+            throw new ArgumentException($"Lifetime must be between 1 and {SketchConstants.MaxExpiresInMinutes} minutes. Got: {expiresInMinutes}");
+        }
+    }
+
+    /// <summary>
+    /// Parse points from JSON string
+    /// </summary>
+    private static List<SketchPointDto> ParsePoints(string pointsJson)
+    {
+        if (string.IsNullOrEmpty(pointsJson))
+        {
+            return new List<SketchPointDto>();
+        }
+
+        try
+        {
+            return JsonSerializer.Deserialize<List<SketchPointDto>>(pointsJson, JsonOptions)
+                   ?? new List<SketchPointDto>();
+        }
+        catch
+        {
+            return new List<SketchPointDto>();
+        }
+    }
+
+    /// <summary>
+    /// Map domain model to view DTO with permission flag
+    /// </summary>
+    private static SketchViewDto MapToViewDto(Sketch sketch, string currentUsername, bool isAdmin)
+    {
+        return new SketchViewDto
+        {
+            Id = sketch.Id,
+            MapId = sketch.MapId,
+            Kind = sketch.Kind,
+            Points = ParsePoints(sketch.Points),
+            Text = sketch.Text,
+            Color = sketch.Color,
+            Width = sketch.Width,
+            CreatedBy = sketch.CreatedBy,
+            CreatedAt = sketch.CreatedAt,
+            ExpiresAt = sketch.ExpiresAt,
+            CanDelete = isAdmin || sketch.CreatedBy == currentUsername
+        };
+    }
+
+    [GeneratedRegex("^#[0-9a-fA-F]{6}$")]
+    private static partial Regex ColorRegex();
+}
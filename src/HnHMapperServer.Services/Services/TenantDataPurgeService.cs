@@ -108,6 +108,9 @@ public class TenantDataPurgeService : ITenantDataPurgeService
         result.Roads = await _db.Roads.IgnoreQueryFilters()
             .Where(r => r.TenantId == tenantId).ExecuteDeleteAsync(ct);
 
+        result.Sketches = await _db.Sketches.IgnoreQueryFilters()
+            .Where(s => s.TenantId == tenantId).ExecuteDeleteAsync(ct);
+
         result.Overlays = await _db.OverlayData.IgnoreQueryFilters()
             .Where(o => o.TenantId == tenantId).ExecuteDeleteAsync(ct);
 
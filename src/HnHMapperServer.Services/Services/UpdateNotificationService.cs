@@ -38,6 +38,8 @@ public class UpdateNotificationService : IUpdateNotificationService
     private readonly SubscriptionSet<RoadEventDto> _roadCreated = new(MapEventCapacity);
     private readonly SubscriptionSet<RoadEventDto> _roadUpdated = new(MapEventCapacity);
     private readonly SubscriptionSet<RoadDeleteEventDto> _roadDeleted = new(MapEventCapacity);
+    private readonly SubscriptionSet<SketchEventDto> _sketchCreated = new(MapEventCapacity);
+    private readonly SubscriptionSet<SketchDeleteEventDto> _sketchDeleted = new(MapEventCapacity);
     private readonly SubscriptionSet<OverlayEventDto> _overlayUpdated = new(MapEventCapacity);
     private readonly SubscriptionSet<NotificationEventDto> _notificationCreated = new(NotificationEventCapacity);
     private readonly SubscriptionSet<NotificationEventDto> _notificationUpdated = new(NotificationEventCapacity);
@@ -60,7 +62,7 @@ public class UpdateNotificationService : IUpdateNotificationService
         _mapRevisions.Count + _customMarkerCreated.Count + _customMarkerUpdated.Count +
         _customMarkerDeleted.Count + _characterDeltas.Count + _pingCreated.Count +
         _pingDeleted.Count + _roadCreated.Count + _roadUpdated.Count + _roadDeleted.Count +
-        _overlayUpdated.Count + _notificationCreated.Count + _notificationUpdated.Count +
+        _sketchCreated.Count + _sketchDeleted.Count + _overlayUpdated.Count + _notificationCreated.Count + _notificationUpdated.Count +
         _notificationRead.Count + _notificationDismissed.Count + _timerCreated.Count +
         _timerUpdated.Count + _timerCompleted.Count + _timerDeleted.Count +
         _markerCreated.Count + _markerUpdated.Count + _markerDeleted.Count;
@@ -79,6 +81,8 @@ public class UpdateNotificationService : IUpdateNotificationService
     public IChannelSubscription<RoadEventDto> SubscribeToRoadCreated() => _roadCreated.Subscribe();
     public IChannelSubscription<RoadEventDto> SubscribeToRoadUpdated() => _roadUpdated.Subscribe();
     public IChannelSubscription<RoadDeleteEventDto> SubscribeToRoadDeleted() => _roadDeleted.Subscribe();
+    public IChannelSubscription<SketchEventDto> SubscribeToSketchCreated() => _sketchCreated.Subscribe();
+    public IChannelSubscription<SketchDeleteEventDto> SubscribeToSketchDeleted() => _sketchDeleted.Subscribe();
     public IChannelSubscription<OverlayEventDto> SubscribeToOverlayUpdated() => _overlayUpdated.Subscribe();
     public IChannelSubscription<NotificationEventDto> SubscribeToNotificationCreated() => _notificationCreated.Subscribe();
     public IChannelSubscription<NotificationEventDto> SubscribeToNotificationUpdated() => _notificationUpdated.Subscribe();
@@ -122,6 +126,8 @@ public class UpdateNotificationService : IUpdateNotificationService
     public void NotifyRoadCreated(RoadEventDto road) => _roadCreated.Notify(road);
     public void NotifyRoadUpdated(RoadEventDto road) => _roadUpdated.Notify(road);
     public void NotifyRoadDeleted(RoadDeleteEventDto deleteEvent) => _roadDeleted.Notify(deleteEvent);
+    public void NotifySketchCreated(SketchEventDto sketch) => _sketchCreated.Notify(sketch);
+    public void NotifySketchDeleted(SketchDeleteEventDto deleteEvent) => _sketchDeleted.Notify(deleteEvent);
     public void NotifyOverlayUpdated(OverlayEventDto overlay) => _overlayUpdated.Notify(overlay);
     public void NotifyNotificationCreated(NotificationEventDto notification) => _notificationCreated.Notify(notification);
     public void NotifyNotificationUpdated(NotificationEventDto notification) => _notificationUpdated.Notify(notification);
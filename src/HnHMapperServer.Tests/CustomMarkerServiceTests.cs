@@ -461,6 +461,99 @@ public class CustomMarkerServiceTests : IDisposable
         Assert.True(updated.UpdatedAt > updated.PlacedAt); // UpdatedAt should be newer
     }
 
+    /// <summary>
+    /// Test: Updating with a position moves the marker to the new grid
+    /// </summary>
+    [Fact]
+    public async Task UpdateAsync_WithPosition_MovesMarker()
+    {
+        // Arrange - Add a neighbouring grid and a marker on 0_0
+        _dbContext.Grids.Add(new GridDataEntity
+        {
+            Id = "1_0",
+            CoordX = 1,
+            CoordY = 0,
+            Map = 1,
+            NextUpdate = DateTime.UtcNow.AddDays(1),
+            TenantId = TestTenantId
+        });
+        _dbContext.SaveChanges();
+
+        var created = await _customMarkerService.CreateAsync(new CreateCustomMarkerDto
+        {
+            MapId = 1,
+            CoordX = 0,
+            CoordY = 0,
+            X = 50,
+            Y = 50,
+            Title = "Moving Marker",
+            Icon = "gfx/icons/arrow.png"
+        }, "testuser");
+
+        var updateDto = new UpdateCustomMarkerDto
+        {
+            Title = "Moved Marker",
+            Icon = "gfx/icons/arrow.png",
+            CoordX = 1,
+            CoordY = 0,
+            X = 12,
+            Y = 150 // Clamped like on create
+        };
+
+        // Act
+        var result = await _customMarkerService.UpdateAsync(created.Id, updateDto, "testuser", false);
+
+        // Assert
+        Assert.Equal("Moved Marker", result.Title);
+        Assert.Equal(1, result.CoordX);
+        Assert.Equal(0, result.CoordY);
+        Assert.Equal(12, result.X);
+        Assert.Equal(100, result.Y);
+
+        var stored = await _customMarkerRepository.GetByIdAsync(created.Id);
+        Assert.Equal("1_0", stored!.GridId);
+    }
+
+    /// <summary>
+    /// Test: Moving a marker onto a missing grid, or with a partial position, fails
+    /// </summary>
+    [Fact]
+    public async Task UpdateAsync_InvalidPosition_Throws()
+    {
+        // Arrange
+        var created = await _customMarkerService.CreateAsync(new CreateCustomMarkerDto
+        {
+            MapId = 1,
+            CoordX = 0,
+            CoordY = 0,
+            X = 50,
+            Y = 50,
+            Title = "Test Marker",
+            Icon = "gfx/icons/arrow.png"
+        }, "testuser");
+
+        // Act & Assert - Grid doesn't exist
+        await Assert.ThrowsAsync<InvalidOperationException>(async () =>
+            await _customMarkerService.UpdateAsync(created.Id, new UpdateCustomMarkerDto
+            {
+                Title = "Test Marker",
+                Icon = "gfx/icons/arrow.png",
+                CoordX = 99,
+                CoordY = 99,
+                X = 10,
+                Y = 10
+            }, "testuser", false));
+
+        // Act & Assert - Only part of the position
+        await Assert.ThrowsAsync<ArgumentException>(async () =>
+            await _customMarkerService.UpdateAsync(created.Id, new UpdateCustomMarkerDto
+            {
+                Title = "Test Marker",
+                Icon = "gfx/icons/arrow.png",
+                X = 10
+            }, "testuser", false));
+    }
+
     /// <summary>
     /// Test: GetByMapIdAsync returns markers for correct map
     /// </summary>
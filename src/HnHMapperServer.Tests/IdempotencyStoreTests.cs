@@ -0,0 +1,120 @@
+using HnHMapperServer.Services.Interfaces;
+using HnHMapperServer.Services.Services;
+using Xunit;
+
+namespace HnHMapperServer.Tests;
+
+/// <summary>
+/// Idempotency keys for retried creates (map outbox). A repeated key must replay the first
+/// success — never run the create twice — while failures stay retryable.
+/// </summary>
+public class IdempotencyStoreTests
+{
+    [Fact]
+    public void Begin_AfterComplete_ReplaysStoredResponse()
+    {
+        var store = new IdempotencyStore();
+        var created = new { Id = 7 };
+
+        Assert.Equal(IdempotencyStatus.Started, store.Begin("t1:alice", "k1").Status);
+        store.Complete("t1:alice", "k1", 201, created);
+
+        var replay = store.Begin("t1:alice", "k1");
+        Assert.Equal(IdempotencyStatus.Completed, replay.Status);
+        Assert.Equal(201, replay.StatusCode);
+        Assert.Same(created, replay.Value);
+    }
+
+    [Fact]
+    public void Begin_WhileStarted_ReportsInProgress()
+    {
+        var store = new IdempotencyStore();
+        store.Begin("t1:alice", "k1");
+
+        Assert.Equal(IdempotencyStatus.InProgress, store.Begin("t1:alice", "k1").Status);
+    }
+
+    [Fact]
+    public void Release_LetsTheKeyBeRetried()
+    {
+        var store = new IdempotencyStore();
+        store.Begin("t1:alice", "k1");
+        store.Release("t1:alice", "k1");
+
+        Assert.Equal(IdempotencyStatus.Started, store.Begin("t1:alice", "k1").Status);
+    }
+
+    [Fact]
+    public void Release_DoesNotForgetACompletedKey()
+    {
+        var store = new IdempotencyStore();
+        store.Begin("t1:alice", "k1");
+        store.Complete("t1:alice", "k1", 201, null);
+        store.Release("t1:alice", "k1");
+
+        Assert.Equal(IdempotencyStatus.Completed, store.Begin("t1:alice", "k1").Status);
+    }
+
+    [Fact]
+    public void Keys_AreScopedPerTenantAndUser()
+    {
+        var store = new IdempotencyStore();
+        store.Begin("t1:alice", "k1");
+        store.Complete("t1:alice", "k1", 201, null);
+
+        Assert.Equal(IdempotencyStatus.Started, store.Begin("t1:bob", "k1").Status);
+        Assert.Equal(IdempotencyStatus.Started, store.Begin("t2:alice", "k1").Status);
+    }
+
+    [Fact]
+    public void StaleInProgressKey_CanBeClaimedAgain()
+    {
+        var time = new ManualTimeProvider(DateTimeOffset.UtcNow);
+        var store = new IdempotencyStore(timeProvider: time);
+        store.Begin("t1:alice", "k1");
+
+        time.Advance(IdempotencyStore.StaleInProgress);
+
+        Assert.Equal(IdempotencyStatus.Started, store.Begin("t1:alice", "k1").Status);
+    }
+
+    [Fact]
+    public void CompletedKey_ExpiresAfterRetention()
+    {
+        var time = new ManualTimeProvider(DateTimeOffset.UtcNow);
+        var store = new IdempotencyStore(timeProvider: time);
+        store.Begin("t1:alice", "k1");
+        store.Complete("t1:alice", "k1", 201, null);
+
+        time.Advance(IdempotencyStore.Retention);
+
+        Assert.Equal(IdempotencyStatus.Started, store.Begin("t1:alice", "k1").Status);
+    }
+
+    [Fact]
+    public void Capacity_EvictsOldestKeys()
+    {
+        var time = new ManualTimeProvider(DateTimeOffset.UtcNow);
+        var store = new IdempotencyStore(maxEntries: 2, timeProvider: time);
+        for (var i = 0; i < 3; i++)
+        {
+            store.Begin("t1:alice", $"k{i}");
+            store.Complete("t1:alice", $"k{i}", 201, null);
+            time.Advance(TimeSpan.FromSeconds(1));
+        }
+
+        Assert.Equal(2, store.Count);
+        Assert.Equal(IdempotencyStatus.Completed, store.Begin("t1:alice", "k2").Status);
+    }
+
+    private sealed class ManualTimeProvider : TimeProvider
+    {
+        private DateTimeOffset _now;
+
+        public ManualTimeProvider(DateTimeOffset start) => _now = start;
+
+        public override DateTimeOffset GetUtcNow() => _now;
+
+        public void Advance(TimeSpan by) => _now += by;
+    }
+}
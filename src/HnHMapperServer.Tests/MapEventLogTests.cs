@@ -0,0 +1,186 @@
+using HnHMapperServer.Services.Services;
+using Xunit;
+
+namespace HnHMapperServer.Tests;
+
+/// <summary>
+/// Last-Event-ID replay for /map/updates. A resuming client must get exactly the events
+/// it missed (no duplicates, no holes) or be told to resync — never a silent gap.
+/// </summary>
+public class MapEventLogTests
+{
+    [Fact]
+    public void Subscribe_WithLastEventId_ReplaysOnlyMissedTenantEvents()
+    {
+        var log = new MapEventLog();
+        var first = log.Append("t1", "roadCreated", "{\"id\":1}");
+        log.Append("t2", "roadCreated", "{\"id\":2}");
+        var missed = log.Append("t1", "roadUpdated", "{\"id\":1}");
+
+        using var sub = log.Subscribe("t1", first.Id);
+
+        Assert.False(sub.ResyncRequired);
+        Assert.Equal(missed.Id, sub.StartEventId);
+        var replayed = Assert.Single(sub.Replay);
+        Assert.Equal(missed.Id, replayed.Id);
+        Assert.Equal("roadUpdated", replayed.EventName);
+    }
+
+    [Fact]
+    public void Subscribe_ReplaysGlobalEventsInIdOrder()
+    {
+        var log = new MapEventLog();
+        var start = log.Append("t1", "pingCreated", "{}");
+        var a = log.Append("t1", "pingDeleted", "{}");
+        var global = log.Append(null, "timerDeleted", "{}");
+        var b = log.Append("t1", "pingCreated", "{}");
+
+        using var sub = log.Subscribe("t1", start.Id);
+
+        Assert.Equal(new[] { a.Id, global.Id, b.Id }, sub.Replay.Select(e => e.Id));
+    }
+
+    [Fact]
+    public void Subscribe_WithCurrentOrNoLastEventId_ReplaysNothing()
+    {
+        var log = new MapEventLog();
+        var last = log.Append("t1", "markerCreated", "{}");
+
+        using var fresh = log.Subscribe("t1", null);
+        using var upToDate = log.Subscribe("t1", last.Id);
+
+        Assert.Empty(fresh.Replay);
+        Assert.False(fresh.ResyncRequired);
+        Assert.Empty(upToDate.Replay);
+        Assert.False(upToDate.ResyncRequired);
+        Assert.Equal(last.Id, upToDate.StartEventId);
+    }
+
+    [Fact]
+    public void Subscribe_AfterEviction_RequiresResync()
+    {
+        var log = new MapEventLog(maxEntriesPerTenant: 3);
+        var start = log.Append("t1", "markerCreated", "{}");
+        for (var i = 0; i < 5; i++)
+        {
+            log.Append("t1", "markerUpdated", "{}");
+        }
+
+        using var sub = log.Subscribe("t1", start.Id);
+
+        Assert.True(sub.ResyncRequired);
+        Assert.Empty(sub.Replay);
+    }
+
+    [Fact]
+    public void Subscribe_AfterMaxAge_RequiresResync()
+    {
+        var time = new ManualTimeProvider(DateTimeOffset.UtcNow);
+        var log = new MapEventLog(maxAge: TimeSpan.FromMinutes(1), timeProvider: time);
+        var start = log.Append("t1", "markerCreated", "{}");
+        log.Append("t1", "markerUpdated", "{}");
+
+        time.Advance(TimeSpan.FromMinutes(2));
+        using var sub = log.Subscribe("t1", start.Id);
+
+        Assert.True(sub.ResyncRequired);
+    }
+
+    [Fact]
+    public void Subscribe_WithIdFromAnotherProcess_RequiresResync()
+    {
+        var log = new MapEventLog();
+        log.Append("t1", "markerCreated", "{}");
+
+        // IDs from before a restart are below the base; garbage IDs are above the last one
+        using var beforeRestart = log.Subscribe("t1", 42);
+        using var fromTheFuture = log.Subscribe("t1", log.LastEventId + 100);
+
+        Assert.True(beforeRestart.ResyncRequired);
+        Assert.True(fromTheFuture.ResyncRequired);
+    }
+
+    [Fact]
+    public void LiveEvents_AreTenantScoped_GlobalEventsReachEveryone()
+    {
+        var log = new MapEventLog();
+        using var t1 = log.Subscribe("t1", null);
+        using var t2 = log.Subscribe("t2", null);
+
+        log.Append("t1", "roadCreated", "{}");
+        log.Append(null, "timerDeleted", "{}");
+
+        Assert.True(t1.Reader.TryRead(out var t1First));
+        Assert.Equal("roadCreated", t1First.EventName);
+        Assert.True(t1.Reader.TryRead(out var t1Second));
+        Assert.Equal("timerDeleted", t1Second.EventName);
+
+        Assert.True(t2.Reader.TryRead(out var t2Only));
+        Assert.Equal("timerDeleted", t2Only.EventName);
+        Assert.False(t2.Reader.TryRead(out _));
+    }
+
+    [Fact]
+    public void ReadSince_ReturnsTenantDeltaAndAdvancesCursor()
+    {
+        var log = new MapEventLog();
+
+        var first = log.ReadSince("t1", null);
+        Assert.Empty(first.Entries);
+        Assert.False(first.ResyncRequired);
+
+        var created = log.Append("t1", "pingCreated", "{}");
+        log.Append("t2", "pingCreated", "{}");
+
+        var second = log.ReadSince("t1", first.LastEventId);
+        var entry = Assert.Single(second.Entries);
+        Assert.Equal(created.Id, entry.Id);
+        Assert.Equal(log.LastEventId, second.LastEventId);
+
+        var third = log.ReadSince("t1", second.LastEventId);
+        Assert.Empty(third.Entries);
+        Assert.Equal(0, log.ActiveSubscriptionCount);
+    }
+
+    [Fact]
+    public void ReadSince_WithEvictedCursor_RequiresResync()
+    {
+        var log = new MapEventLog(maxEntriesPerTenant: 1);
+        var cursor = log.ReadSince("t1", null).LastEventId;
+        log.Append("t1", "roadCreated", "{}");
+        log.Append("t1", "roadUpdated", "{}");
+
+        var page = log.ReadSince("t1", cursor);
+
+        Assert.True(page.ResyncRequired);
+        Assert.Empty(page.Entries);
+        Assert.Equal(log.LastEventId, page.LastEventId);
+    }
+
+    [Fact]
+    public void Dispose_UnregistersSubscriber_AndCompletesReader()
+    {
+        var log = new MapEventLog();
+        var sub = log.Subscribe("t1", null);
+        Assert.Equal(1, log.ActiveSubscriptionCount);
+
+        sub.Dispose();
+        sub.Dispose();
+
+        Assert.Equal(0, log.ActiveSubscriptionCount);
+        log.Append("t1", "roadCreated", "{}");
+        Assert.False(sub.Reader.TryRead(out _));
+        Assert.True(sub.Reader.Completion.IsCompleted);
+    }
+
+    private sealed class ManualTimeProvider : TimeProvider
+    {
+        private DateTimeOffset _now;
+
+        public ManualTimeProvider(DateTimeOffset start) => _now = start;
+
+        public override DateTimeOffset GetUtcNow() => _now;
+
+        public void Advance(TimeSpan by) => _now += by;
+    }
+}
@@ -0,0 +1,133 @@
+using HnHMapperServer.Core.DTOs;
+using HnHMapperServer.Services.Interfaces;
+using HnHMapperServer.Services.Services;
+using Xunit;
+
+namespace HnHMapperServer.Tests;
+
+/// <summary>
+/// Presence/cursor relay for /map/ws. Cursors must only reach other viewers of the same
+/// tenant and map, and a closed socket must leave the viewer list.
+/// </summary>
+public class MapPresenceServiceTests
+{
+    [Fact]
+    public void JoinAndLeave_BroadcastViewerListToTenantOnly()
+    {
+        var service = new MapPresenceService();
+        using var alice = service.Join("t1", "alice");
+        using var other = service.Join("t2", "mallory");
+        var bob = service.Join("t1", "bob");
+
+        var afterJoin = LastPresence(alice);
+        Assert.Equal(new[] { "alice", "bob" }, afterJoin.Select(e => e.UserName));
+        Assert.Equal(new[] { "mallory" }, LastPresence(other).Select(e => e.UserName));
+
+        bob.Dispose();
+
+        Assert.Equal(new[] { "alice" }, LastPresence(alice).Select(e => e.UserName));
+        Assert.Equal(2, service.ActiveConnectionCount);
+    }
+
+    [Fact]
+    public void SetMap_BroadcastsOnlyWhenChanged()
+    {
+        var service = new MapPresenceService();
+        using var alice = service.Join("t1", "alice");
+        using var bob = service.Join("t1", "bob");
+        Drain(alice);
+
+        service.SetMap(bob.ConnectionId, 5);
+        service.SetMap(bob.ConnectionId, 5);
+
+        var messages = Drain(alice);
+        var presence = Assert.Single(messages);
+        var entries = Assert.IsAssignableFrom<IReadOnlyList<MapPresenceEntryDto>>(presence.Payload);
+        Assert.Equal(5, entries.Single(e => e.UserName == "bob").MapId);
+    }
+
+    [Fact]
+    public void ShareCursor_ReachesOtherViewersOfSameMapAndTenant()
+    {
+        var service = new MapPresenceService();
+        using var alice = service.Join("t1", "alice");
+        using var sameMap = service.Join("t1", "bob");
+        using var otherMap = service.Join("t1", "carol");
+        using var otherTenant = service.Join("t2", "mallory");
+        service.SetMap(alice.ConnectionId, 1);
+        service.SetMap(sameMap.ConnectionId, 1);
+        service.SetMap(otherMap.ConnectionId, 2);
+        service.SetMap(otherTenant.ConnectionId, 1);
+        Drain(alice, sameMap, otherMap, otherTenant);
+
+        Assert.True(service.ShareCursor(alice.ConnectionId, 1, 1234, 5678));
+
+        var cursor = Assert.IsType<MapCursorDto>(Assert.Single(Drain(sameMap)).Payload);
+        Assert.Equal("alice", cursor.UserName);
+        Assert.Equal((1234, 5678), (cursor.X, cursor.Y));
+        Assert.Empty(Drain(alice));
+        Assert.Empty(Drain(otherMap));
+        Assert.Empty(Drain(otherTenant));
+    }
+
+    [Fact]
+    public void ShareCursor_ThrottledToCursorInterval()
+    {
+        var time = new ManualTimeProvider(DateTimeOffset.UtcNow);
+        var service = new MapPresenceService(time);
+        using var alice = service.Join("t1", "alice");
+
+        Assert.True(service.ShareCursor(alice.ConnectionId, 1, 0, 0));
+        Assert.False(service.ShareCursor(alice.ConnectionId, 1, 1, 1));
+
+        time.Advance(MapPresenceService.CursorInterval);
+
+        Assert.True(service.ShareCursor(alice.ConnectionId, 1, 2, 2));
+        Assert.False(service.ShareCursor("unknown", 1, 0, 0));
+    }
+
+    [Fact]
+    public void Dispose_IsIdempotentAndCompletesReader()
+    {
+        var service = new MapPresenceService();
+        var alice = service.Join("t1", "alice");
+
+        alice.Dispose();
+        alice.Dispose();
+
+        Assert.Equal(0, service.ActiveConnectionCount);
+        Assert.Empty(service.GetPresence("t1"));
+        Drain(alice);
+        Assert.True(alice.Reader.Completion.IsCompleted);
+    }
+
+    private static IReadOnlyList<MapPresenceEntryDto> LastPresence(IMapPresenceConnection connection)
+    {
+        var last = Drain(connection).Last(m => m.EventName == "presence");
+        return Assert.IsAssignableFrom<IReadOnlyList<MapPresenceEntryDto>>(last.Payload);
+    }
+
+    private static List<MapPresenceMessage> Drain(params IMapPresenceConnection[] connections)
+    {
+        var messages = new List<MapPresenceMessage>();
+        foreach (var connection in connections)
+        {
+            while (connection.Reader.TryRead(out var message))
+            {
+                messages.Add(message);
+            }
+        }
+        return messages;
+    }
+
+    private sealed class ManualTimeProvider : TimeProvider
+    {
+        private DateTimeOffset _now;
+
+        public ManualTimeProvider(DateTimeOffset start) => _now = start;
+
+        public override DateTimeOffset GetUtcNow() => _now;
+
+        public void Advance(TimeSpan by) => _now += by;
+    }
+}
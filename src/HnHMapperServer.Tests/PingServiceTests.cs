@@ -0,0 +1,140 @@
+using HnHMapperServer.Core.Constants;
+using HnHMapperServer.Core.DTOs;
+using HnHMapperServer.Core.Models;
+using HnHMapperServer.Infrastructure.Data;
+using HnHMapperServer.Infrastructure.Repositories;
+using HnHMapperServer.Services.Services;
+using Microsoft.AspNetCore.Http;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Logging.Abstractions;
+using Moq;
+using ITenantContextAccessor = HnHMapperServer.Core.Interfaces.ITenantContextAccessor;
+
+namespace HnHMapperServer.Tests;
+
+/// <summary>
+/// Unit tests for PingService - ping types, messages and the per-user limit
+/// </summary>
+public class PingServiceTests : IDisposable
+{
+    private readonly ApplicationDbContext _dbContext;
+    private readonly PingService _pingService;
+
+    private const string TestTenantId = "test-tenant-1";
+
+    public PingServiceTests()
+    {
+        // Create mock HttpContextAccessor to set tenant ID for EF Core query filters
+        var httpContext = new DefaultHttpContext();
+        httpContext.Items["TenantId"] = TestTenantId;
+        var mockHttpContextAccessor = new Mock<IHttpContextAccessor>();
+        mockHttpContextAccessor.Setup(x => x.HttpContext).Returns(httpContext);
+
+        var options = new DbContextOptionsBuilder<ApplicationDbContext>()
+            .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+            .Options;
+        _dbContext = new ApplicationDbContext(options, mockHttpContextAccessor.Object);
+
+        var mockTenantContext = new Mock<ITenantContextAccessor>();
+        mockTenantContext.Setup(x => x.GetCurrentTenantId()).Returns(TestTenantId);
+        mockTenantContext.Setup(x => x.GetRequiredTenantId()).Returns(TestTenantId);
+
+        _pingService = new PingService(
+            new PingRepository(_dbContext, mockTenantContext.Object),
+            mockTenantContext.Object,
+            NullLogger<PingService>.Instance);
+
+        _dbContext.Tenants.Add(new TenantEntity
+        {
+            Id = TestTenantId,
+            Name = "Test Tenant",
+            StorageQuotaMB = 1024,
+            CurrentStorageMB = 0,
+            CreatedAt = DateTime.UtcNow,
+            IsActive = true
+        });
+        _dbContext.Maps.Add(new MapInfoEntity
+        {
+            Id = 1,
+            Name = "Test Map",
+            CreatedAt = DateTime.UtcNow,
+            TenantId = TestTenantId
+        });
+        _dbContext.SaveChanges();
+    }
+
+    private static CreatePingDto NewPing(string? type = null, string? message = null) => new()
+    {
+        MapId = 1,
+        CoordX = 2,
+        CoordY = 3,
+        X = 50,
+        Y = 50,
+        Type = type,
+        Message = message
+    };
+
+    [Fact]
+    public async Task CreateAsync_NoType_CreatesDefaultPing()
+    {
+        var result = await _pingService.CreateAsync(NewPing(), "alice");
+
+        Assert.Equal(PingConstants.TypeDefault, result.Type);
+        Assert.Null(result.Message);
+        Assert.Equal("alice", result.CreatedBy);
+    }
+
+    [Fact]
+    public async Task CreateAsync_TypeAndMessage_AreStoredAndReturned()
+    {
+        var created = await _pingService.CreateAsync(NewPing(" Danger ", "  wolves by the river  "), "alice");
+
+        Assert.Equal(PingConstants.TypeDanger, created.Type);
+        Assert.Equal("wolves by the river", created.Message);
+
+        var active = Assert.Single(await _pingService.GetActiveForTenantAsync());
+        Assert.Equal(PingConstants.TypeDanger, active.Type);
+        Assert.Equal("wolves by the river", active.Message);
+    }
+
+    [Fact]
+    public async Task CreateAsync_BlankMessage_IsDropped()
+    {
+        var result = await _pingService.CreateAsync(NewPing(PingConstants.TypeGather, "   "), "alice");
+
+        Assert.Null(result.Message);
+    }
+
+    [Fact]
+    public async Task CreateAsync_UnknownType_Throws()
+    {
+        await Assert.ThrowsAsync<ArgumentException>(() => _pingService.CreateAsync(NewPing("party"), "alice"));
+        Assert.Empty(await _dbContext.Pings.ToListAsync());
+    }
+
+    [Fact]
+    public async Task CreateAsync_MessageTooLong_Throws()
+    {
+        var message = new string('a', PingConstants.MaxMessageLength + 1);
+
+        await Assert.ThrowsAsync<ArgumentException>(() => _pingService.CreateAsync(NewPing(PingConstants.TypeHelp, message), "alice"));
+    }
+
+    [Fact]
+    public async Task CreateAsync_SixthActivePing_IsRejected()
+    {
+        for (var i = 0; i < 5; i++)
+        {
+            await _pingService.CreateAsync(NewPing(PingConstants.TypeResource), "alice");
+        }
+
+        await Assert.ThrowsAsync<InvalidOperationException>(() => _pingService.CreateAsync(NewPing(), "alice"));
+        // Other users have their own limit
+        await _pingService.CreateAsync(NewPing(), "bob");
+    }
+
+    public void Dispose()
+    {
+        _dbContext.Dispose();
+    }
+}
@@ -0,0 +1,211 @@
+using HnHMapperServer.Core.Constants;
+using HnHMapperServer.Core.DTOs;
+using HnHMapperServer.Infrastructure.Data;
+using HnHMapperServer.Infrastructure.Repositories;
+using HnHMapperServer.Services.Services;
+using Microsoft.AspNetCore.Http;
+using Microsoft.EntityFrameworkCore;
+using Microsoft.Extensions.Logging.Abstractions;
+using Moq;
+using ITenantContextAccessor = HnHMapperServer.Core.Interfaces.ITenantContextAccessor;
+
+namespace HnHMapperServer.Tests;
+
+/// <summary>
+/// Unit tests for SketchService - validation, expiry, deletion rights and the per-user limit
+/// </summary>
+public class SketchServiceTests : IDisposable
+{
+    private readonly ApplicationDbContext _dbContext;
+    private readonly SketchService _sketchService;
+
+    private const string TestTenantId = "test-tenant-1";
+
+    public SketchServiceTests()
+    {
+        // Create mock HttpContextAccessor to set tenant ID for EF Core query filters
+        var httpContext = new DefaultHttpContext();
+        httpContext.Items["TenantId"] = TestTenantId;
+        var mockHttpContextAccessor = new Mock<IHttpContextAccessor>();
+        mockHttpContextAccessor.Setup(x => x.HttpContext).Returns(httpContext);
+
+        var options = new DbContextOptionsBuilder<ApplicationDbContext>()
+            .UseInMemoryDatabase(databaseName: Guid.NewGuid().ToString())
+            .Options;
+        _dbContext = new ApplicationDbContext(options, mockHttpContextAccessor.Object);
+
+        var mockTenantContext = new Mock<ITenantContextAccessor>();
+        mockTenantContext.Setup(x => x.GetCurrentTenantId()).Returns(TestTenantId);
+        mockTenantContext.Setup(x => x.GetRequiredTenantId()).Returns(TestTenantId);
+
+        _sketchService = new SketchService(
+            new SketchRepository(_dbContext, mockTenantContext.Object),
+            NullLogger<SketchService>.Instance);
+
+        _dbContext.Tenants.Add(new TenantEntity
+        {
+            Id = TestTenantId,
+            Name = "Test Tenant",
+            StorageQuotaMB = 1024,
+            CurrentStorageMB = 0,
+            CreatedAt = DateTime.UtcNow,
+            IsActive = true
+        });
+        _dbContext.Maps.Add(new MapInfoEntity
+        {
+            Id = 1,
+            Name = "Test Map",
+            CreatedAt = DateTime.UtcNow,
+            TenantId = TestTenantId
+        });
+        _dbContext.Maps.Add(new MapInfoEntity
+        {
+            Id = 2,
+            Name = "Other Map",
+            CreatedAt = DateTime.UtcNow,
+            TenantId = TestTenantId
+        });
+        _dbContext.SaveChanges();
+    }
+
+    private static CreateSketchDto NewStroke(int mapId = 1, int? expiresInMinutes = null) => new()
+    {
+        MapId = mapId,
+        Kind = SketchConstants.KindStroke,
+        Points = [new() { X = 1200, Y = -300 }, new() { X = 1250, Y = -310 }, new() { X = 1290, Y = -280 }],
+        Color = "#FF0000",
+        Width = 4,
+        ExpiresInMinutes = expiresInMinutes
+    };
+
+    [Fact]
+    public async Task CreateAsync_Stroke_IsStoredWithPointsAndNoExpiry()
+    {
+        var created = await _sketchService.CreateAsync(NewStroke(), "alice");
+
+        Assert.Equal(SketchConstants.KindStroke, created.Kind);
+        Assert.Equal("#ff0000", created.Color);
+        Assert.Null(created.ExpiresAt);
+        Assert.Null(created.Text);
+
+        var listed = Assert.Single(await _sketchService.GetByMapIdAsync(1, "alice", false));
+        Assert.Equal(3, listed.Points.Count);
+        Assert.Equal(1250, listed.Points[1].X);
+        Assert.Equal(-310, listed.Points[1].Y);
+        Assert.True(listed.CanDelete);
+    }
+
+    [Fact]
+    public async Task CreateAsync_WithLifetime_SetsExpiry()
+    {
+        var before = DateTime.UtcNow;
+        var created = await _sketchService.CreateAsync(NewStroke(expiresInMinutes: 10), "alice");
+
+        Assert.NotNull(created.ExpiresAt);
+        Assert.InRange(created.ExpiresAt!.Value, before.AddMinutes(10), DateTime.UtcNow.AddMinutes(10));
+    }
+
+    [Fact]
+    public async Task CreateAsync_Text_TrimsLabel()
+    {
+        var created = await _sketchService.CreateAsync(new CreateSketchDto
+        {
+            MapId = 1,
+            Kind = "Text",
+            Points = [new() { X = 10, Y = 20 }],
+            Text = "  gate here  ",
+            Color = "#ffffff",
+            Width = 2
+        }, "alice");
+
+        Assert.Equal(SketchConstants.KindText, created.Kind);
+        Assert.Equal("gate here", created.Text);
+    }
+
+    [Theory]
+    [InlineData("circle", 2, "#ff0000", 4, null)]
+    [InlineData(SketchConstants.KindArrow, 3, "#ff0000", 4, null)]
+    [InlineData(SketchConstants.KindStroke, 1, "#ff0000", 4, null)]
+    [InlineData(SketchConstants.KindText, 1, "#ff0000", 4, null)]
+    [InlineData(SketchConstants.KindStroke, 2, "red", 4, null)]
+    [InlineData(SketchConstants.KindStroke, 2, "#ff0000", 0, null)]
+    [InlineData(SketchConstants.KindStroke, 2, "#ff0000", 4, 0)]
+    [InlineData(SketchConstants.KindStroke, 2, "#ff0000", 4, SketchConstants.MaxExpiresInMinutes + 1)]
+    public async Task CreateAsync_Invalid_Throws(string kind, int pointCount, string color, int width, int? expiresInMinutes)
+    {
+        var dto = new CreateSketchDto
+        {
+            MapId = 1,
+            Kind = kind,
+            Points = Enumerable.Range(0, pointCount).Select(i => new SketchPointDto { X = i, Y = i }).ToList(),
+            Color = color,
+            Width = width,
+            ExpiresInMinutes = expiresInMinutes
+        };
+
+        await Assert.ThrowsAsync<ArgumentException>(() => _sketchService.CreateAsync(dto, "alice"));
+        Assert.Empty(await _dbContext.Sketches.ToListAsync());
+    }
+
+    [Fact]
+    public async Task GetByMapIdAsync_SkipsExpiredAndOtherMaps()
+    {
+        await _sketchService.CreateAsync(NewStroke(), "alice");
+        await _sketchService.CreateAsync(NewStroke(mapId: 2), "alice");
+        var expired = await _sketchService.CreateAsync(NewStroke(expiresInMinutes: 5), "alice");
+        var entity = await _dbContext.Sketches.SingleAsync(s => s.Id == expired.Id);
+        entity.ExpiresAt = DateTime.UtcNow.AddMinutes(-1);
+        await _dbContext.SaveChangesAsync();
+
+        var sketches = await _sketchService.GetByMapIdAsync(1, "bob", false);
+
+        var sketch = Assert.Single(sketches);
+        Assert.NotEqual(expired.Id, sketch.Id);
+        Assert.False(sketch.CanDelete);
+
+        var deleted = Assert.Single(await _sketchService.DeleteExpiredAsync());
+        Assert.Equal((expired.Id, 1, TestTenantId), deleted);
+    }
+
+    [Fact]
+    public async Task DeleteAsync_OtherUsersSketch_RequiresAdmin()
+    {
+        var created = await _sketchService.CreateAsync(NewStroke(), "alice");
+
+        await Assert.ThrowsAsync<UnauthorizedAccessException>(() => _sketchService.DeleteAsync(created.Id, "bob", false));
+        Assert.Equal(1, await _sketchService.DeleteAsync(created.Id, "bob", true));
+        await Assert.ThrowsAsync<KeyNotFoundException>(() => _sketchService.DeleteAsync(created.Id, "alice", false));
+    }
+
+    [Fact]
+    public async Task DeleteOwnAsync_OnlyRemovesCallersSketchesOnThatMap()
+    {
+        var mine = await _sketchService.CreateAsync(NewStroke(), "alice");
+        await _sketchService.CreateAsync(NewStroke(mapId: 2), "alice");
+        await _sketchService.CreateAsync(NewStroke(), "bob");
+
+        var deleted = await _sketchService.DeleteOwnAsync(1, "alice");
+
+        Assert.Equal(mine.Id, Assert.Single(deleted));
+        Assert.Equal(2, await _dbContext.Sketches.CountAsync());
+    }
+
+    [Fact]
+    public async Task CreateAsync_OverPerUserLimit_IsRejected()
+    {
+        for (var i = 0; i < SketchConstants.MaxActivePerUserPerMap; i++)
+        {
+            await _sketchService.CreateAsync(NewStroke(), "alice");
+        }
+
+        await Assert.ThrowsAsync<InvalidOperationException>(() => _sketchService.CreateAsync(NewStroke(), "alice"));
+        // The limit is per map and per user
+        await _sketchService.CreateAsync(NewStroke(mapId: 2), "alice");
+        await _sketchService.CreateAsync(NewStroke(), "bob");
+    }
+
+    public void Dispose()
+    {
+        _dbContext.Dispose();
+    }
+}
@@ -0,0 +1,143 @@
+using Microsoft.AspNetCore.Components;
+using Microsoft.AspNetCore.Components.Forms;
+using MudBlazor;
+using System.Text.Json.Serialization;
+
+namespace HnHMapperServer.Web.Components.Map;
+
+public partial class AnnotationTransferPanel
+{
+    [Parameter] public bool IsVisible { get; set; }
+    [Parameter] public bool CanImport { get; set; }
+    [Parameter] public bool IsApplying { get; set; }
+    [Parameter] public AnnotationImportFile? ImportFile { get; set; }
+    [Parameter] public int OffsetGridX { get; set; }
+    [Parameter] public int OffsetGridY { get; set; }
+    [Parameter] public EventCallback OnExport { get; set; }
+    [Parameter] public EventCallback<IBrowserFile?> OnFileSelected { get; set; }
+    [Parameter] public EventCallback<(int gridX, int gridY)> OnOffsetChanged { get; set; }
+    [Parameter] public EventCallback<AnnotationImportFeature> OnToggleFeature { get; set; }
+    [Parameter] public EventCallback OnApply { get; set; }
+    [Parameter] public EventCallback OnDiscard { get; set; }
+    [Parameter] public EventCallback OnClose { get; set; }
+
+    private int SelectedCount => ImportFile?.Features.Count(f => f.Selected && !f.Imported) ?? 0;
+
+    private int DuplicateCount => ImportFile?.Features.Count(f => f.DuplicateOf != null && !f.Imported) ?? 0;
+
+    private static string GetKindIcon(string kind) => kind switch
+    {
+        AnnotationImportFeature.KindRoad => Icons.Material.Filled.Route,
+        AnnotationImportFeature.KindPing => Icons.Material.Filled.NotificationsActive,
+        _ => Icons.Material.Filled.Place
+    };
+}
+
+/// <summary>
+/// GeoJSON file parsed by geojson-transfer.js
+/// </summary>
+public class AnnotationImportFile
+{
+    [JsonPropertyName("error")]
+    public string? Error { get; set; }
+
+    [JsonPropertyName("sourceMapId")]
+    public int? SourceMapId { get; set; }
+
+    [JsonPropertyName("sourceMapName")]
+    public string? SourceMapName { get; set; }
+
+    [JsonPropertyName("features")]
+    public List<AnnotationImportFeature> Features { get; set; } = new();
+
+    /// <summary>
+    /// Features with geometry we can't import (polygons, malformed coordinates, ...)
+    /// </summary>
+    [JsonPropertyName("skipped")]
+    public int Skipped { get; set; }
+
+    [JsonIgnore] public string FileName { get; set; } = string.Empty;
+}
+
+/// <summary>
+/// One importable feature. Points are game-absolute (grid * 100 + position) before any offset.
+/// </summary>
+public class AnnotationImportFeature
+{
+    public const string KindCustomMarker = "customMarker";
+    public const string KindRoad = "road";
+    public const string KindPing = "ping";
+
+    [JsonPropertyName("index")]
+    public int Index { get; set; }
+
+    [JsonPropertyName("kind")]
+    public string Kind { get; set; } = KindCustomMarker;
+
+    [JsonPropertyName("title")]
+    public string Title { get; set; } = string.Empty;
+
+    [JsonPropertyName("description")]
+    public string? Description { get; set; }
+
+    [JsonPropertyName("icon")]
+    public string Icon { get; set; } = string.Empty;
+
+    [JsonPropertyName("hidden")]
+    public bool Hidden { get; set; }
+
+    [JsonPropertyName("points")]
+    public List<AnnotationPoint> Points { get; set; } = new();
+
+    /// <summary>
+    /// Ping type and optional message (pings only)
+    /// </summary>
+    [JsonPropertyName("pingType")]
+    public string? PingType { get; set; }
+
+    [JsonPropertyName("message")]
+    public string? Message { get; set; }
+
+    // Selection state, sent back to JS for the preview
+
+    [JsonPropertyName("selected")]
+    public bool Selected { get; set; }
+
+    /// <summary>
+    /// Title of the existing marker/road this one appears to duplicate, if any
+    /// </summary>
+    [JsonPropertyName("duplicateOf")]
+    public string? DuplicateOf { get; set; }
+
+    [JsonPropertyName("imported")]
+    public bool Imported { get; set; }
+
+    /// <summary>
+    /// Stable per feature, so applying the same file twice in a session doesn't create copies
+    /// </summary>
+    [JsonIgnore] public string IdempotencyKey { get; set; } = Guid.NewGuid().ToString("N");
+}
+
+public class AnnotationPoint
+{
+    [JsonPropertyName("x")]
+    public int X { get; set; }
+
+    [JsonPropertyName("y")]
+    public int Y { get; set; }
+}
+
+/// <summary>
+/// Feature counts of an export
+/// </summary>
+public class AnnotationExportResult
+{
+    [JsonPropertyName("markers")]
+    public int Markers { get; set; }
+
+    [JsonPropertyName("roads")]
+    public int Roads { get; set; }
+
+    [JsonPropertyName("pings")]
+    public int Pings { get; set; }
+}
@@ -0,0 +1,197 @@
+using HnHMapperServer.Web.Models;
+using Microsoft.AspNetCore.Components;
+using System.Text.Json.Serialization;
+
+namespace HnHMapperServer.Web.Components.Map;
+
+public partial class OfflineAreaPanel
+{
+    /// <summary>
+    /// Leaflet zoom range the user can pick from (matches HnHMinZoom/HnHMaxZoom in leaflet-config.js)
+    /// </summary>
+    public const int ZoomLowest = 1;
+    public const int ZoomHighest = 7;
+
+    [Parameter] public bool IsVisible { get; set; }
+    [Parameter] public bool IsSelecting { get; set; }
+    [Parameter] public bool IsDownloading { get; set; }
+    [Parameter] public OfflineAreaBounds? SelectedBounds { get; set; }
+    [Parameter] public int MinZoom { get; set; } = ZoomLowest;
+    [Parameter] public int MaxZoom { get; set; } = ZoomHighest;
+    [Parameter] public OfflineAreaEstimate? Estimate { get; set; }
+    [Parameter] public OfflineDownloadProgress? Progress { get; set; }
+    [Parameter] public IReadOnlyList<OfflineAreaSummary> SavedAreas { get; set; } = Array.Empty<OfflineAreaSummary>();
+    [Parameter] public IReadOnlyList<MapInfoModel> Maps { get; set; } = Array.Empty<MapInfoModel>();
+    [Parameter] public EventCallback OnStartSelection { get; set; }
+    [Parameter] public EventCallback<(int minZoom, int maxZoom)> OnZoomRangeChanged { get; set; }
+    [Parameter] public EventCallback OnDownload { get; set; }
+    [Parameter] public EventCallback OnCancelDownload { get; set; }
+    [Parameter] public EventCallback<string> OnDeleteArea { get; set; }
+    [Parameter] public EventCallback<OfflineAreaSummary> OnJumpToArea { get; set; }
+    [Parameter] public EventCallback OnClose { get; set; }
+
+    private bool IsTooLarge => Estimate != null && Estimate.TileCount > Estimate.MaxTiles;
+
+    private double ProgressPercent => Progress == null || Progress.Total == 0
+        ? 0
+        : 100.0 * Progress.Completed / Progress.Total;
+
+    private string GetMapName(int mapId) =>
+        Maps.FirstOrDefault(m => m.ID == mapId)?.MapInfo.Name ?? $"Map {mapId}";
+
+    private static string FormatBytes(long bytes)
+    {
+        if (bytes < 1024)
+            return $"{bytes} B";
+        if (bytes < 1024 * 1024)
+            return $"{bytes / 1024.0:F0} KB";
+        return $"{bytes / (1024.0 * 1024.0):F1} MB";
+    }
+}
+
+/// <summary>
+/// Selected area in absolute map pixels (100 pixels per grid)
+/// </summary>
+public class OfflineAreaBounds
+{
+    [JsonPropertyName("minX")]
+    public int MinX { get; set; }
+
+    [JsonPropertyName("minY")]
+    public int MinY { get; set; }
+
+    [JsonPropertyName("maxX")]
+    public int MaxX { get; set; }
+
+    [JsonPropertyName("maxY")]
+    public int MaxY { get; set; }
+
+    [JsonIgnore] public int GridMinX => (int)Math.Floor(MinX / 100.0);
+    [JsonIgnore] public int GridMinY => (int)Math.Floor(MinY / 100.0);
+    [JsonIgnore] public int GridMaxX => (int)Math.Floor(MaxX / 100.0);
+    [JsonIgnore] public int GridMaxY => (int)Math.Floor(MaxY / 100.0);
+}
+
+/// <summary>
+/// Tile count/size estimate for an area and zoom range
+/// </summary>
+public class OfflineAreaEstimate
+{
+    [JsonPropertyName("tileCount")]
+    public int TileCount { get; set; }
+
+    [JsonPropertyName("estimatedBytes")]
+    public long EstimatedBytes { get; set; }
+
+    [JsonPropertyName("maxTiles")]
+    public int MaxTiles { get; set; }
+
+    /// <summary>
+    /// True when the tile service worker controls the page (downloads are persisted)
+    /// </summary>
+    [JsonPropertyName("persistent")]
+    public bool Persistent { get; set; }
+}
+
+/// <summary>
+/// Result of starting an area download
+/// </summary>
+public class OfflineDownloadStart
+{
+    [JsonPropertyName("success")]
+    public bool Success { get; set; }
+
+    [JsonPropertyName("areaId")]
+    public string? AreaId { get; set; }
+
+    [JsonPropertyName("total")]
+    public int Total { get; set; }
+
+    [JsonPropertyName("error")]
+    public string? Error { get; set; }
+}
+
+/// <summary>
+/// Download progress, also sent once more when the download finishes or is cancelled
+/// </summary>
+public class OfflineDownloadProgress
+{
+    [JsonPropertyName("areaId")]
+    public string AreaId { get; set; } = string.Empty;
+
+    [JsonPropertyName("total")]
+    public int Total { get; set; }
+
+    [JsonPropertyName("completed")]
+    public int Completed { get; set; }
+
+    [JsonPropertyName("failed")]
+    public int Failed { get; set; }
+
+    /// <summary>
+    /// Tiles that don't exist on the server (unmapped parts of the area)
+    /// </summary>
+    [JsonPropertyName("empty")]
+    public int Empty { get; set; }
+
+    [JsonPropertyName("bytes")]
+    public long Bytes { get; set; }
+
+    [JsonPropertyName("cancelled")]
+    public bool Cancelled { get; set; }
+
+    /// <summary>
+    /// False when the tile worker could not pin the area's tiles (the browser may evict them)
+    /// </summary>
+    [JsonPropertyName("pinned")]
+    public bool Pinned { get; set; } = true;
+
+    [JsonPropertyName("markers")]
+    public int Markers { get; set; }
+
+    [JsonPropertyName("roads")]
+    public int Roads { get; set; }
+}
+
+/// <summary>
+/// Saved offline area as listed by offline-area-manager.js
+/// </summary>
+public class OfflineAreaSummary
+{
+    [JsonPropertyName("id")]
+    public string Id { get; set; } = string.Empty;
+
+    [JsonPropertyName("mapId")]
+    public int MapId { get; set; }
+
+    [JsonPropertyName("name")]
+    public string Name { get; set; } = string.Empty;
+
+    [JsonPropertyName("bounds")]
+    public OfflineAreaBounds Bounds { get; set; } = new();
+
+    [JsonPropertyName("minZoom")]
+    public int MinZoom { get; set; }
+
+    [JsonPropertyName("maxZoom")]
+    public int MaxZoom { get; set; }
+
+    [JsonPropertyName("tileCount")]
+    public int TileCount { get; set; }
+
+    [JsonPropertyName("bytes")]
+    public long Bytes { get; set; }
+
+    [JsonPropertyName("markerCount")]
+    public int MarkerCount { get; set; }
+
+    [JsonPropertyName("roadCount")]
+    public int RoadCount { get; set; }
+
+    /// <summary>
+    /// False when the tile worker could not pin the area's tiles (the browser may evict them).
+    /// Areas saved before this was recorded have no value and count as pinned.
+    /// </summary>
+    [JsonPropertyName("pinned")]
+    public bool Pinned { get; set; } = true;
+}
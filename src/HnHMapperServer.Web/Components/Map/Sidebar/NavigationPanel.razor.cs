@@ -1,4 +1,5 @@
 using Microsoft.AspNetCore.Components;
+using MudBlazor;
 using System.Text.Json.Serialization;
 
 namespace HnHMapperServer.Web.Components.Map.Sidebar;
@@ -9,6 +10,12 @@ public partial class NavigationPanel
     [Parameter] public RouteResult? Route { get; set; }
     [Parameter] public EventCallback OnClearRoute { get; set; }
     [Parameter] public EventCallback<int> OnJumpToRoad { get; set; }
+    [Parameter] public bool UseThingwalls { get; set; }
+    [Parameter] public RouteProgress? Progress { get; set; }
+    [Parameter] public EventCallback<bool> OnUseThingwallsChanged { get; set; }
+
+    private int RoadCount => Route?.Segments?.Count(s => !s.IsTeleport) ?? 0;
+    private int TeleportCount => Route?.Segments?.Count(s => s.IsTeleport) ?? 0;
 
     private string FormatDistance(int distance)
     {
@@ -17,16 +24,20 @@ public partial class NavigationPanel
         return $"{distance / 1000.0:F1}k px";
     }
 
-    private string GetStepStyle(int index)
+    private string GetItineraryIcon(RouteItineraryStep step) => step.Kind switch
+    {
+        "teleport" => Icons.Material.Filled.AutoAwesome,
+        "jump" => Icons.Material.Filled.DirectionsWalk,
+        _ => Icons.Material.Filled.AltRoute
+    };
+
+    private string GetItineraryStyle(RouteItineraryStep step)
     {
-        if (Route?.Segments == null || Route.Segments.Count == 0)
-            return "background: #1976D2; color: white; font-size: 12px;";
-
-        if (index == 0)
-            return "background: #22C55E; color: white; font-size: 12px;"; // Green for first
-        if (index == Route.Segments.Count - 1)
-            return "background: #EF4444; color: white; font-size: 12px;"; // Red for last
-        return "background: #1976D2; color: white; font-size: 12px;"; // Blue for middle
+        if (step.Done)
+            return "opacity: 0.5; text-decoration: line-through;";
+        if (Progress != null && step.Index == Progress.CurrentStep)
+            return "font-weight: 600; background: rgba(25, 118, 210, 0.12); border-radius: 4px;";
+        return "";
     }
 }
 
@@ -52,13 +63,61 @@ public class RouteResult
 
     [JsonPropertyName("message")]
     public string? Message { get; set; }
+
+    [JsonPropertyName("itinerary")]
+    public List<RouteItineraryStep> Itinerary { get; set; } = new();
+}
+
+/// <summary>
+/// A single turn-by-turn step of a route (walk, follow road, or teleport)
+/// </summary>
+public class RouteItineraryStep
+{
+    [JsonPropertyName("index")]
+    public int Index { get; set; }
+
+    [JsonPropertyName("kind")]
+    public string Kind { get; set; } = "road";
+
+    [JsonPropertyName("label")]
+    public string Label { get; set; } = "";
+
+    [JsonPropertyName("distance")]
+    public int Distance { get; set; }
+
+    [JsonPropertyName("roadId")]
+    public int RoadId { get; set; }
+
+    [JsonPropertyName("done")]
+    public bool Done { get; set; }
+}
+
+/// <summary>
+/// Progress of "my character" along the active route, reported from JavaScript
+/// </summary>
+public class RouteProgress
+{
+    [JsonPropertyName("currentStep")]
+    public int CurrentStep { get; set; }
+
+    [JsonPropertyName("totalSteps")]
+    public int TotalSteps { get; set; }
+
+    [JsonPropertyName("remainingDistance")]
+    public int RemainingDistance { get; set; }
+
+    [JsonPropertyName("completed")]
+    public bool Completed { get; set; }
 }
 
 /// <summary>
-/// A single segment (road) in the route
+/// A single segment (road or thingwall teleport) in the route
 /// </summary>
 public class RouteSegment
 {
+    [JsonPropertyName("type")]
+    public string Type { get; set; } = "road";
+
     [JsonPropertyName("roadId")]
     public int RoadId { get; set; }
 
@@ -73,4 +132,31 @@ public class RouteSegment
 
     [JsonPropertyName("finalJumpDistance")]
     public int FinalJumpDistance { get; set; }
+
+    [JsonPropertyName("fromThingwallName")]
+    public string? FromThingwallName { get; set; }
+
+    [JsonPropertyName("toThingwallName")]
+    public string? ToThingwallName { get; set; }
+
+    [JsonPropertyName("entryPoint")]
+    public RoutePoint? EntryPoint { get; set; }
+
+    [JsonPropertyName("exitPoint")]
+    public RoutePoint? ExitPoint { get; set; }
+
+    [JsonIgnore]
+    public bool IsTeleport => Type == "teleport";
+}
+
+/// <summary>
+/// Absolute pixel position of a route point
+/// </summary>
+public class RoutePoint
+{
+    [JsonPropertyName("x")]
+    public double X { get; set; }
+
+    [JsonPropertyName("y")]
+    public double Y { get; set; }
 }
@@ -0,0 +1,82 @@
+using Microsoft.AspNetCore.Components;
+using MudBlazor;
+
+namespace HnHMapperServer.Web.Components.Map;
+
+public partial class SketchPanel
+{
+    public const string ToolPen = "pen";
+    public const string ToolArrow = "arrow";
+    public const string ToolText = "text";
+    public const string ToolErase = "erase";
+
+    [Parameter] public bool IsVisible { get; set; }
+    [Parameter] public bool CanDraw { get; set; }
+
+    /// <summary>
+    /// Tool active on the map (pen, arrow, text or erase), or null when not sketching
+    /// </summary>
+    [Parameter] public string? ActiveTool { get; set; }
+
+    [Parameter] public string SketchColor { get; set; } = string.Empty;
+    [Parameter] public int Width { get; set; }
+
+    /// <summary>
+    /// Lifetime of new sketches in minutes, or null to keep them until erased
+    /// </summary>
+    [Parameter] public int? ExpiresInMinutes { get; set; }
+
+    /// <summary>
+    /// Called with the tool to start, or null to leave the active one
+    /// </summary>
+    [Parameter] public EventCallback<string?> OnSelectTool { get; set; }
+
+    [Parameter] public EventCallback<string> OnColorChanged { get; set; }
+    [Parameter] public EventCallback<int> OnWidthChanged { get; set; }
+    [Parameter] public EventCallback<int?> OnExpiresInMinutesChanged { get; set; }
+    [Parameter] public EventCallback OnClearMine { get; set; }
+    [Parameter] public EventCallback OnClose { get; set; }
+
+    private static readonly (string Name, string Label, string Icon, string Hint)[] Tools =
+    {
+        (ToolPen, "Pen", Icons.Material.Filled.Edit, "Draw freehand"),
+        (ToolArrow, "Arrow", Icons.Material.Filled.ArrowUpward, "Draw an arrow"),
+        (ToolText, "Text", Icons.Material.Filled.Title, "Place a text label"),
+        (ToolErase, "Erase", Icons.Material.Filled.Clear, "Erase a sketch")
+    };
+
+    private static readonly (string Name, string Value)[] Swatches =
+    {
+        ("Red", "#ff3b30"),
+        ("Orange", "#ff9500"),
+        ("Yellow", "#ffd60a"),
+        ("Green", "#34c759"),
+        ("Blue", "#0a84ff"),
+        ("Purple", "#bf5af2"),
+        ("White", "#ffffff"),
+        ("Black", "#000000")
+    };
+
+    private static readonly (string Label, int Value)[] Widths =
+    {
+        ("Thin", 2),
+        ("Medium", 4),
+        ("Thick", 8)
+    };
+
+    private static readonly (string Label, int? Minutes)[] Lifetimes =
+    {
+        ("10 min", 10),
+        ("1 hour", 60),
+        ("Keep", null)
+    };
+
+    private static string GetToolHelp(string tool) => tool switch
+    {
+        ToolPen => "Press and drag on the map to draw.",
+        ToolArrow => "Press at the tail and drag to the head.",
+        ToolText => "Click on the map and type the label, Enter places it.",
+        ToolErase => "Click a sketch to erase it (your own, or any as an admin).",
+        _ => string.Empty
+    };
+}
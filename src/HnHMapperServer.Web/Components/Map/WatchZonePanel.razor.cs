@@ -0,0 +1,130 @@
+using Microsoft.AspNetCore.Components;
+using System.Text.Json.Serialization;
+
+namespace HnHMapperServer.Web.Components.Map;
+
+public partial class WatchZonePanel
+{
+    [Parameter] public bool IsVisible { get; set; }
+    [Parameter] public bool CanDraw { get; set; }
+
+    /// <summary>
+    /// Shape being drawn on the map ("circle" or "polygon"), or null when not drawing
+    /// </summary>
+    [Parameter] public string? DrawingShape { get; set; }
+
+    [Parameter] public List<WatchZone> Zones { get; set; } = new();
+    [Parameter] public EventCallback<string> OnStartDrawing { get; set; }
+    [Parameter] public EventCallback OnCancelDrawing { get; set; }
+    [Parameter] public EventCallback<(WatchZone zone, WatchZoneChanges changes)> OnUpdateZone { get; set; }
+    [Parameter] public EventCallback<WatchZone> OnDeleteZone { get; set; }
+    [Parameter] public EventCallback<WatchZone> OnJumpToZone { get; set; }
+    [Parameter] public EventCallback OnClose { get; set; }
+
+    /// <summary>
+    /// Kin colors a character can have, index = the N in its type "player-N" (same palette as the map markers)
+    /// </summary>
+    private static readonly (int Group, string Name, string Color)[] KinGroups =
+    {
+        (0, "White (unknown)", "#FFFFFF"),
+        (1, "Green", "#2CDB2C"),
+        (2, "Red (hostile)", "#E10000"),
+        (3, "Blue", "#4D79FF"),
+        (4, "Teal", "#52F2EA"),
+        (5, "Yellow", "#FFDC00"),
+        (6, "Purple", "#8A4DFF"),
+        (7, "Orange", "#FF7300")
+    };
+
+    private Task ToggleGroup(WatchZone zone, int group)
+    {
+        var groups = zone.Groups.Contains(group)
+            ? zone.Groups.Where(g => g != group).ToList()
+            : zone.Groups.Append(group).Order().ToList();
+        return OnUpdateZone.InvokeAsync((zone, new WatchZoneChanges { Groups = groups }));
+    }
+
+    private Task Rename(WatchZone zone, string? name)
+    {
+        if (string.IsNullOrWhiteSpace(name) || name == zone.Name)
+        {
+            return Task.CompletedTask;
+        }
+        return OnUpdateZone.InvokeAsync((zone, new WatchZoneChanges { Name = name }));
+    }
+
+    private static string GetShapeText(WatchZone zone) => zone.Shape == WatchZone.ShapeCircle
+        ? $"Circle, radius {zone.Radius / 100.0:0.#} grids"
+        : $"Polygon, {zone.Points.Count} corners";
+
+    private static string? GetLastAlertText(WatchZone zone) => zone.LastAlertAt is { } at
+        ? $"Last alert {at.ToLocalTime():HH:mm}"
+        : null;
+}
+
+/// <summary>
+/// Watch zone stored in the browser by watch-zones.js. Coordinates are game-absolute (grid * 100 + position).
+/// </summary>
+public class WatchZone
+{
+    public const string ShapeCircle = "circle";
+    public const string ShapePolygon = "polygon";
+
+    [JsonPropertyName("id")]
+    public string Id { get; set; } = string.Empty;
+
+    [JsonPropertyName("mapId")]
+    public int MapId { get; set; }
+
+    [JsonPropertyName("name")]
+    public string Name { get; set; } = string.Empty;
+
+    [JsonPropertyName("shape")]
+    public string Shape { get; set; } = ShapeCircle;
+
+    [JsonPropertyName("center")]
+    public AnnotationPoint? Center { get; set; }
+
+    [JsonPropertyName("radius")]
+    public int Radius { get; set; }
+
+    [JsonPropertyName("points")]
+    public List<AnnotationPoint> Points { get; set; } = new();
+
+    /// <summary>
+    /// Kin colors (0-7) whose characters trigger an alert when they enter
+    /// </summary>
+    [JsonPropertyName("groups")]
+    public List<int> Groups { get; set; } = new();
+
+    [JsonPropertyName("cooldownMinutes")]
+    public int CooldownMinutes { get; set; }
+
+    [JsonPropertyName("enabled")]
+    public bool Enabled { get; set; }
+
+    [JsonPropertyName("lastAlertAt")]
+    public DateTime? LastAlertAt { get; set; }
+}
+
+/// <summary>
+/// Partial update of a watch zone; null properties are left unchanged
+/// </summary>
+public class WatchZoneChanges
+{
+    [JsonPropertyName("name")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public string? Name { get; set; }
+
+    [JsonPropertyName("groups")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public List<int>? Groups { get; set; }
+
+    [JsonPropertyName("cooldownMinutes")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public int? CooldownMinutes { get; set; }
+
+    [JsonPropertyName("enabled")]
+    [JsonIgnore(Condition = JsonIgnoreCondition.WhenWritingNull)]
+    public bool? Enabled { get; set; }
+}
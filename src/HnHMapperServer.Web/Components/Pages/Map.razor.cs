@@ -4,11 +4,13 @@ using HnHMapperServer.Web.Services.Map;
 using HnHMapperServer.Web.Components.Map;
 using HnHMapperServer.Web.Components.Map.Sidebar;
 using HnHMapperServer.Web.Components.Map.Dialogs;
+using HnHMapperServer.Core.Constants;
 using HnHMapperServer.Core.Enums;
 using HnHMapperServer.Core.Extensions;
 using HnHMapperServer.Core.DTOs;
 using HnHMapperServer.Services.Interfaces;
 using Microsoft.AspNetCore.Components;
+using Microsoft.AspNetCore.Components.Forms;
 using Microsoft.AspNetCore.Authorization;
 using Microsoft.JSInterop;
 using MudBlazor;
@@ -62,6 +64,7 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
     [Inject] private LayerVisibilityService LayerVisibility { get; set; } = default!;
     [Inject] private SafeJsInterop SafeJs { get; set; } = default!;
     [Inject] private IBuildInfoProvider BuildInfo { get; set; } = default!;
+    [Inject] private IConfiguration Configuration { get; set; } = default!;
 
     #endregion
 
@@ -70,6 +73,9 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
     /// </summary>
     private string JsVersion => $"?v={BuildInfo.Get("web").Commit}";
 
+    // "websocket" opts into the multiplexed /map/ws transport; anything else keeps SSE
+    private object SseOptions => new { transport = Configuration["MapUpdatesTransport"] ?? "sse" };
+
     #region Component References
 
     private MapView? mapView;
@@ -86,7 +92,7 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
     private bool isReconnecting = false;
     private bool circuitFullyReady = false;  // Prevents JS->NET calls during circuit initialization
     private bool hiddenMarkerGroupsLoaded = false;  // Ensures filter state is loaded before markers
-    private string connectionMode = "connecting";  // Current connection mode: sse, polling, connecting, disconnected
+    private string connectionMode = "connecting";  // Current connection mode: websocket, sse, polling, connecting, disconnected
 
     private Timer? markerUpdateTimer;
     private Timer? permissionCheckTimer;
@@ -111,6 +117,11 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
     // Floating button toggle states - persisted to localStorage
     private const string ToggleStatesStorageKey = "mapToggleStates";
 
+    // User-defined marker highlight rules - stored per user on the server, loaded with the toggle states
+    private List<MarkerHighlightRule> highlightRules = new();
+    private const string RoadDraftStorageKey = "roadDraft";
+    private bool roadDraftRestored = false;
+
     // Sidebar layer visibility state (Players/Markers/Custom Markers/etc.) - persisted to localStorage.
     //
     // Why:
@@ -150,6 +161,8 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
     private bool showQuestGiverHighlight = false; // Quest giver highlighting (green) - off by default
     private bool showMarkerFilterMode = false; // Marker filter mode - off by default
     private bool showClustering = true; // Marker clustering - on by default for performance
+    private bool useCanvasMarkers = false; // Canvas marker renderer - off by default
+    private bool customMarkerEditMode = false; // Drag/inline edit for custom markers - not persisted
     private bool showRoads = true; // Roads visibility - on by default
     private int contextMenuX = 0;
     private int contextMenuY = 0;
@@ -169,7 +182,45 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
 
     // Navigation state
     private RouteResult? currentRoute = null;
+    private RouteProgress? currentRouteProgress = null;
+    private bool isRerouting = false;
     private (int coordX, int coordY, int x, int y)? navigationStartPoint = null;
+    private (int coordX, int coordY, int x, int y)? navigationEndPoint = null;
+    private bool useThingwallRouting = false; // Include thingwall teleports when routing - off by default
+
+    // Offline area state
+    private bool showOfflineAreaPanel = false;
+    private bool isSelectingOfflineArea = false;
+    private bool isDownloadingOfflineArea = false;
+    private OfflineAreaBounds? offlineAreaBounds = null;
+    private int offlineMinZoom = 4;
+    private int offlineMaxZoom = OfflineAreaPanel.ZoomHighest;
+    private OfflineAreaEstimate? offlineAreaEstimate = null;
+    private OfflineDownloadProgress? offlineDownloadProgress = null;
+    private List<OfflineAreaSummary> offlineAreas = new();
+
+    // Map image export state
+    private bool isExportingMap = false;
+    private MapExportProgress? mapExportProgress = null;
+
+    // Annotation import/export state (offset is in grids)
+    private bool showAnnotationTransferPanel = false;
+    private bool isApplyingAnnotationImport = false;
+    private AnnotationImportFile? annotationImport = null;
+    private int annotationOffsetGridX = 0;
+    private int annotationOffsetGridY = 0;
+
+    // Watch zone state (zones of the current map; they live in the browser, see watch-zones.js)
+    private bool showWatchZonePanel = false;
+    private string? watchZoneDrawingShape = null;
+    private List<WatchZone> watchZones = new();
+
+    // Sketch state (the sketches themselves live in sketch-manager.js)
+    private bool showSketchPanel = false;
+    private string? sketchTool = null;
+    private string sketchColor = "#ff3b30";
+    private int sketchWidth = 4;
+    private int? sketchExpiresInMinutes = 60;
 
     // Map action menu context (for marker/ping creation)
     private int mapActionMapId = 0;
@@ -196,6 +247,15 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
     // My character identification (persisted in localStorage)
     private string? myCharacterName;
 
+    // Follow camera mode (persisted in localStorage by follow-camera.js)
+    private const string FollowModeCenter = "center";
+    private const string FollowModeDeadZone = "deadzone";
+    private string followMode = FollowModeCenter;
+
+    // Character movement trails (window persisted in localStorage by character-trails.js)
+    private List<int> trailCharacterIds = new();
+    private int trailWindowMinutes = 30;
+
     private string PlayerFilter
     {
         get => CharacterTracking.PlayerFilter;
@@ -398,8 +458,9 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
                 await LoadLayerVisibilityAsync();
                 layerVisibilityLoaded = true;
 
-                // Load "my character" name from localStorage
+                // Load "my character" name and the trail/follow settings from localStorage
                 await LoadMyCharacterAsync();
+                await LoadTrailAndFollowSettingsAsync();
 
                 // NOTE: SSE initialization moved to HandleMapInitialized
                 // because mapView component reference is not available until Leaflet fires its 'load' event
@@ -518,6 +579,8 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
 
             // Load roads
             await RefreshRoadsAsync();
+            await RefreshSketchesAsync();
+            await RestoreRoadDraftAsync();
         }
 
         // Note: No StateHasChanged() here - marker loading should NOT trigger component re-render
@@ -726,9 +789,10 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
             return;  // Drop this update - another drag event will arrive soon
         }
 
+        // Normally already disengaged by the follow camera on dragstart
         if (IsFollowing)
         {
-            StopFollowing();
+            await StopFollowingAsync();
         }
 
         try
@@ -754,11 +818,7 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
             return;  // Drop this update - another zoom event will arrive soon
         }
 
-        if (IsFollowing)
-        {
-            StopFollowing();
-        }
-
+        // Zooming doesn't end follow mode; the follow camera keeps panning at the new zoom
         try
         {
             MapNavigation.UpdatePosition(coords.x, coords.y, coords.z);
@@ -1170,6 +1230,18 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
         state.TrackingCharacterId = character.Id;
 
         await CenterOnCharacterAsync(character, switchMap: true);
+
+        // From here on the follow camera (follow-camera.js) keeps the view on the character
+        try
+        {
+            leafletModule ??= await JS.InvokeAsync<IJSObjectReference>("import", $"./js/leaflet-interop.js{JsVersion}");
+            await leafletModule.InvokeVoidAsync("startFollowingCharacter", character.Id);
+        }
+        catch (Exception ex)
+        {
+            Logger.LogWarning(ex, "Failed to start follow camera for character {CharacterId}", character.Id);
+        }
+
         await CloseSidebarOnMobileAsync();
     }
 
@@ -1196,11 +1268,63 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
         }
     }
 
-    private void StopFollowing()
+    private async Task StopFollowingAsync()
+    {
+        CharacterTracking.StopFollowing();
+        state.TrackingCharacterId = null;
+        Snackbar.Add("Stopped following player", Severity.Info, config => config.VisibleStateDuration = 1500);
+
+        try
+        {
+            leafletModule ??= await JS.InvokeAsync<IJSObjectReference>("import", $"./js/leaflet-interop.js{JsVersion}");
+            await leafletModule.InvokeVoidAsync("stopFollowingCharacter");
+        }
+        catch (Exception ex)
+        {
+            Logger.LogWarning(ex, "Failed to stop follow camera");
+        }
+    }
+
+    /// <summary>
+    /// The follow camera already let go (user dragged the map); just update the UI
+    /// </summary>
+    private async Task HandleFollowDisengaged()
     {
+        if (!IsFollowing) return;
+
         CharacterTracking.StopFollowing();
         state.TrackingCharacterId = null;
         Snackbar.Add("Stopped following player", Severity.Info, config => config.VisibleStateDuration = 1500);
+        await InvokeAsync(StateHasChanged);
+    }
+
+    /// <summary>
+    /// The followed character moved to another map (hearth, cave, ...): switch along with them
+    /// </summary>
+    private async Task HandleFollowedCharacterMapChanged(int mapId)
+    {
+        if (!IsFollowing || mapView == null || MapNavigation.CurrentMapId == mapId) return;
+
+        var followed = CharacterTracking.GetFollowedCharacter();
+        if (followed == null) return;
+
+        await CenterOnCharacterAsync(followed, switchMap: true);
+        await InvokeAsync(StateHasChanged);
+    }
+
+    private async Task ToggleFollowModeAsync()
+    {
+        try
+        {
+            leafletModule ??= await JS.InvokeAsync<IJSObjectReference>("import", $"./js/leaflet-interop.js{JsVersion}");
+            var next = followMode == FollowModeDeadZone ? FollowModeCenter : FollowModeDeadZone;
+            followMode = await leafletModule.InvokeAsync<string>("setFollowMode", next);
+            await InvokeAsync(StateHasChanged);
+        }
+        catch (Exception ex)
+        {
+            Logger.LogWarning(ex, "Failed to change follow mode");
+        }
     }
 
     private async Task HandleCharacterSelected(CharacterModel character)
@@ -1367,7 +1491,9 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
                 ["showQuestGiverHighlight"] = showQuestGiverHighlight,
                 ["showMarkerFilterMode"] = showMarkerFilterMode,
                 ["showClustering"] = showClustering,
-                ["showRoads"] = showRoads
+                ["useCanvasMarkers"] = useCanvasMarkers,
+                ["showRoads"] = showRoads,
+                ["useThingwallRouting"] = useThingwallRouting
             };
             var json = JsonSerializer.Serialize(toggleStates, CamelCaseJsonOptions);
             await SafeJs.SetLocalStorageAsync(ToggleStatesStorageKey, json);
@@ -1395,7 +1521,9 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
                     if (toggleStates.TryGetValue("showQuestGiverHighlight", out var quest)) showQuestGiverHighlight = quest;
                     if (toggleStates.TryGetValue("showMarkerFilterMode", out var filter)) showMarkerFilterMode = filter;
                     if (toggleStates.TryGetValue("showClustering", out var clustering)) showClustering = clustering;
+                    if (toggleStates.TryGetValue("useCanvasMarkers", out var canvasMarkers)) useCanvasMarkers = canvasMarkers;
                     if (toggleStates.TryGetValue("showRoads", out var roads)) showRoads = roads;
+                    if (toggleStates.TryGetValue("useThingwallRouting", out var thingwallRouting)) useThingwallRouting = thingwallRouting;
 
                     Logger.LogDebug("Loaded toggle states from localStorage");
                 }
@@ -1405,6 +1533,53 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
         {
             Logger.LogWarning(ex, "Failed to load toggle states from localStorage");
         }
+
+        await LoadHighlightRulesAsync();
+    }
+
+    /// <summary>
+    /// Save the highlight rules for the signed-in user
+    /// </summary>
+    /// <returns>False if the server did not store them</returns>
+    private async Task<bool> SaveHighlightRulesAsync()
+    {
+        try
+        {
+            var httpClient = HttpClientFactory.CreateClient("API");
+            var response = await httpClient.PutAsJsonAsync("/map/api/v1/highlight-rules", highlightRules, CamelCaseJsonOptions);
+            if (response.IsSuccessStatusCode)
+            {
+                return true;
+            }
+
+            Logger.LogWarning("Failed to save highlight rules: {StatusCode}", response.StatusCode);
+        }
+        catch (Exception ex)
+        {
+            Logger.LogWarning(ex, "Failed to save highlight rules");
+        }
+        return false;
+    }
+
+    private async Task LoadHighlightRulesAsync()
+    {
+        try
+        {
+            var httpClient = HttpClientFactory.CreateClient("API");
+            var response = await httpClient.GetAsync("/map/api/v1/highlight-rules");
+            if (response.IsSuccessStatusCode)
+            {
+                var rules = await response.Content.ReadFromJsonAsync<List<MarkerHighlightRule>>(CamelCaseJsonOptions);
+                if (rules != null)
+                {
+                    highlightRules = rules;
+                }
+            }
+        }
+        catch (Exception ex)
+        {
+            Logger.LogWarning(ex, "Failed to load highlight rules");
+        }
     }
 
     /// <summary>
@@ -1522,6 +1697,8 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
             await leafletModule.InvokeAsync<bool>("setThingwallHighlightEnabled", showThingwallHighlight);
             await leafletModule.InvokeAsync<bool>("setQuestGiverHighlightEnabled", showQuestGiverHighlight);
             await leafletModule.InvokeAsync<bool>("setMarkerFilterModeEnabled", showMarkerFilterMode);
+            await leafletModule.InvokeAsync<int>("setHighlightRules", highlightRules);
+            await leafletModule.InvokeAsync<bool>("setCanvasMarkersEnabled", useCanvasMarkers);
 
             // Clustering toggle
             if (mapView != null)
@@ -1532,8 +1709,8 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
             // Roads toggle
             await leafletModule.InvokeAsync<bool>("toggleRoads", showRoads);
 
-            Logger.LogDebug("Applied toggle states to JavaScript: PClaim={PClaim}, VClaim={VClaim}, Province={Province}, Thingwall={Thingwall}, Quest={Quest}, Filter={Filter}, Clustering={Clustering}, Roads={Roads}",
-                showPClaim, showVClaim, showProvince, showThingwallHighlight, showQuestGiverHighlight, showMarkerFilterMode, showClustering, showRoads);
+            Logger.LogDebug("Applied toggle states to JavaScript: PClaim={PClaim}, VClaim={VClaim}, Province={Province}, Thingwall={Thingwall}, Quest={Quest}, Filter={Filter}, Clustering={Clustering}, CanvasMarkers={CanvasMarkers}, Roads={Roads}",
+                showPClaim, showVClaim, showProvince, showThingwallHighlight, showQuestGiverHighlight, showMarkerFilterMode, showClustering, useCanvasMarkers, showRoads);
         }
         catch (Exception ex)
         {
@@ -1590,6 +1767,58 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
         }
     }
 
+    private async Task LoadTrailAndFollowSettingsAsync()
+    {
+        try
+        {
+            leafletModule ??= await JS.InvokeAsync<IJSObjectReference>("import", $"./js/leaflet-interop.js{JsVersion}");
+            trailWindowMinutes = await leafletModule.InvokeAsync<int>("getCharacterTrailWindow");
+            followMode = await leafletModule.InvokeAsync<string>("getFollowMode");
+        }
+        catch (Exception ex)
+        {
+            Logger.LogWarning(ex, "Failed to load trail/follow settings from localStorage");
+        }
+    }
+
+    /// <summary>
+    /// Show or hide a character's movement trail (Players panel)
+    /// </summary>
+    private async Task ToggleCharacterTrailAsync(CharacterModel character)
+    {
+        try
+        {
+            leafletModule ??= await JS.InvokeAsync<IJSObjectReference>("import", $"./js/leaflet-interop.js{JsVersion}");
+            var enable = !trailCharacterIds.Contains(character.Id);
+            trailCharacterIds = await leafletModule.InvokeAsync<List<int>>("setCharacterTrailEnabled", character.Id, enable);
+
+            if (enable && character.Map != MapNavigation.CurrentMapId)
+            {
+                Snackbar.Add($"{character.Name} is on another map; the trail appears once they are on this one", Severity.Info);
+            }
+
+            await InvokeAsync(StateHasChanged);
+        }
+        catch (Exception ex)
+        {
+            Logger.LogWarning(ex, "Failed to toggle trail for character {CharacterId}", character.Id);
+        }
+    }
+
+    private async Task SetTrailWindowAsync(int minutes)
+    {
+        try
+        {
+            leafletModule ??= await JS.InvokeAsync<IJSObjectReference>("import", $"./js/leaflet-interop.js{JsVersion}");
+            trailWindowMinutes = await leafletModule.InvokeAsync<int>("setCharacterTrailWindow", minutes);
+            await InvokeAsync(StateHasChanged);
+        }
+        catch (Exception ex)
+        {
+            Logger.LogWarning(ex, "Failed to set trail window");
+        }
+    }
+
     /// <summary>
     /// Follow "my character" on the map - triggered by the FAB button
     /// </summary>
@@ -1971,12 +2200,13 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
     }
 
     /// <summary>
-    /// Called from JavaScript when connection mode changes (SSE vs polling)
+    /// Called from JavaScript when connection mode changes (WebSocket / SSE vs polling)
     /// </summary>
     [JSInvokable]
     public void OnConnectionModeChanged(string mode)
     {
         Logger.LogInformation("Connection mode changed to: {Mode}", mode);
+        var previousMode = connectionMode;
         connectionMode = mode;
 
         // Show notification when switching to polling mode
@@ -1988,7 +2218,7 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
                 config.VisibleStateDuration = 10000;
             });
         }
-        else if (mode == "sse" && connectionMode == "polling")
+        else if ((mode == "sse" || mode == "websocket") && previousMode == "polling")
         {
             Snackbar.Add("Real-time connection restored.", Severity.Success, config =>
             {
@@ -2000,6 +2230,46 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
         InvokeAsync(StateHasChanged);
     }
 
+    /// <summary>
+    /// Called from JavaScript when the SSE stream could not replay what we missed (our
+    /// Last-Event-ID is older than the server's replay window, or from before a restart).
+    /// Reloads everything the replayable events would have kept current.
+    /// </summary>
+    [JSInvokable]
+    public async Task OnSseResyncRequired()
+    {
+        Logger.LogInformation("SSE replay gap too old - resyncing map state");
+
+        await RefreshMapListAsync();
+
+        await InvokeAsync(async () =>
+        {
+            try
+            {
+                var markers = await MapData.GetMarkersAsync();
+                MarkerState.SetMarkers(markers);
+                await ReloadMapScopedStateAsync();
+
+                await LoadTimersAsync();
+                await RefreshTimerVisualsAsync();
+            }
+            catch (Exception ex)
+            {
+                Logger.LogError(ex, "Error resyncing map state after SSE gap");
+            }
+        });
+    }
+
+    /// <summary>
+    /// Called from JavaScript when the SSE stream reopened after a drop. Logged events were
+    /// replayed by the server; map deletions are not logged, so refetch the map list.
+    /// </summary>
+    [JSInvokable]
+    public async Task OnSseResumed()
+    {
+        await RefreshMapListAsync();
+    }
+
     [JSInvokable]
     public async Task OnSseCharactersSnapshot(List<CharacterModel> characters)
     {
@@ -2082,26 +2352,10 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
 
                 if (result.ShouldStopFollowing)
                 {
-                    StopFollowing();
+                    await StopFollowingAsync();
                 }
 
-                // Follow mode: keep camera centered on followed character
-                if (IsFollowing && FollowingCharacterId.HasValue && mapView != null)
-                {
-                    var followed = CharacterTracking.GetCharacterById(FollowingCharacterId.Value);
-                    if (followed != null)
-                    {
-                        if (MapNavigation.CurrentMapId != followed.Map)
-                        {
-                            MapNavigation.ChangeMap(followed.Map);
-                            state.CurrentMapId = followed.Map;
-                            await mapView.ChangeMapAsync(followed.Map);
-                            await ReloadMapScopedStateAsync();
-                        }
-
-                        await mapView.JumpToCharacterAsync(followed.Id);
-                    }
-                }
+                // Follow mode camera movement and map switches are driven by follow-camera.js
 
                 StateHasChanged();
             });
@@ -2147,12 +2401,18 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
             // Resume marker update timer
             markerUpdateTimer?.Change(60000, 60000);
 
+            // Deliver pings/roads queued in the JS outbox while the circuit was down
+            if (mapView != null)
+            {
+                await mapView.FlushOutboxAsync();
+            }
+
             // SSE handles reconnection internally (checks if already connected)
             if (sseModule != null && sseDotnetRef != null)
             {
                 try
                 {
-                    await sseModule.InvokeVoidAsync("initializeSseUpdates", sseDotnetRef);
+                    await sseModule.InvokeVoidAsync("initializeSseUpdates", sseDotnetRef, SseOptions);
                 }
                 catch (Exception ex)
                 {
@@ -2309,6 +2569,9 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
         await TryRenderPendingCustomMarkersAsync();
 
         await RefreshRoadsAsync();
+        await RefreshSketchesAsync();
+        await RefreshAnnotationImportForMapAsync();
+        await RefreshWatchZonesAsync();
 
         hasActivePing = false;
 
@@ -2631,7 +2894,7 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
 
             sseModule ??= await JS.InvokeAsync<IJSObjectReference>("import", $"./js/map-updates.js{JsVersion}");
             sseDotnetRef ??= DotNetObjectReference.Create(this);
-            await sseModule.InvokeVoidAsync("initializeSseUpdates", sseDotnetRef);
+            await sseModule.InvokeVoidAsync("initializeSseUpdates", sseDotnetRef, SseOptions);
             Logger.LogInformation("SSE connection initialized successfully");
             sseInitialized = true;
         }
@@ -2767,6 +3030,78 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
         }
     }
 
+    /// <summary>
+    /// Save an inline edit from custom marker edit mode as one update (title, icon and position).
+    /// JS keeps showing the edited values; on failure the marker is put back as it was.
+    /// </summary>
+    private async Task HandleCustomMarkerEdited((int customMarkerId, string title, string icon, int coordX, int coordY, int x, int y) edit)
+    {
+        var marker = allCustomMarkers.FirstOrDefault(cm => cm.Id == edit.customMarkerId);
+        if (marker == null)
+        {
+            Logger.LogWarning("Custom marker {CustomMarkerId} not found for inline edit", edit.customMarkerId);
+            await RefreshCustomMarkersAsync();
+            return;
+        }
+
+        try
+        {
+            var httpClient = HttpClientFactory.CreateClient("API");
+            var dto = new UpdateCustomMarkerDto
+            {
+                Title = edit.title,
+                Description = marker.Description,
+                Icon = edit.icon,
+                Hidden = marker.Hidden,
+                CoordX = edit.coordX,
+                CoordY = edit.coordY,
+                X = edit.x,
+                Y = edit.y
+            };
+
+            var response = await httpClient.PutAsJsonAsync($"/map/api/v1/custom-markers/{marker.Id}", dto, CamelCaseJsonOptions);
+
+            if (response.IsSuccessStatusCode)
+            {
+                var updated = await response.Content.ReadFromJsonAsync<CustomMarkerViewModel>(CamelCaseJsonOptions);
+                if (updated != null)
+                {
+                    CustomMarkerState.AddOrUpdateCustomMarker(updated);
+                    if (mapView != null)
+                    {
+                        EnrichCustomMarkersWithTimerData(new[] { updated });
+                        await mapView.UpdateCustomMarkerAsync(updated);
+                    }
+                }
+                Snackbar.Add($"Marker '{edit.title}' saved", Severity.Success);
+                await InvokeAsync(StateHasChanged);
+                return;
+            }
+
+            if (response.StatusCode == System.Net.HttpStatusCode.Forbidden)
+            {
+                Snackbar.Add("You don't have permission to edit this marker", Severity.Error);
+            }
+            else
+            {
+                var errorMsg = await response.Content.ReadAsStringAsync();
+                Snackbar.Add($"Failed to update marker: {errorMsg}", Severity.Error);
+            }
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error saving inline edit of custom marker {CustomMarkerId}", marker.Id);
+            Snackbar.Add("Error updating marker", Severity.Error);
+        }
+
+        // Put the marker back where the server still has it
+        if (mapView != null)
+        {
+            EnrichCustomMarkersWithTimerData(new[] { marker });
+            await mapView.UpdateCustomMarkerAsync(marker);
+        }
+    }
+
     private async Task ShowSetTimerForMarkerDialog(MarkerModel marker)
     {
         // Check if this marker already has an active timer
@@ -2993,6 +3328,83 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
         }
     }
 
+    private async Task OpenHighlightRulesDialog()
+    {
+        var parameters = new DialogParameters<MarkerHighlightRulesDialog>
+        {
+            { x => x.Rules, highlightRules }
+        };
+
+        var options = new DialogOptions { CloseButton = true, MaxWidth = MaxWidth.Medium, FullWidth = true };
+        var dialog = await DialogService.ShowAsync<MarkerHighlightRulesDialog>("Marker Highlight Rules", parameters, options);
+        var result = await dialog.Result;
+        if (result is not { Canceled: false, Data: List<MarkerHighlightRule> rules })
+        {
+            return;
+        }
+
+        highlightRules = rules;
+        var saved = await SaveHighlightRulesAsync();
+
+        leafletModule ??= await JS.InvokeAsync<IJSObjectReference>("import", $"./js/leaflet-interop.js{JsVersion}");
+        var activeCount = await leafletModule.InvokeAsync<int>("setHighlightRules", highlightRules);
+
+        Snackbar.Add(activeCount == 1 ? "1 highlight rule active" : $"{activeCount} highlight rules active", Severity.Info);
+        if (!saved)
+        {
+            Snackbar.Add("Highlight rules could not be saved; they apply until you leave the map", Severity.Warning);
+        }
+        await InvokeAsync(StateHasChanged);
+    }
+
+    private async Task ToggleCanvasMarkers()
+    {
+        leafletModule ??= await JS.InvokeAsync<IJSObjectReference>("import", $"./js/leaflet-interop.js{JsVersion}");
+        var newState = !useCanvasMarkers;
+        var success = await leafletModule.InvokeAsync<bool>("setCanvasMarkersEnabled", newState);
+        if (success)
+        {
+            useCanvasMarkers = newState;
+            await SaveToggleStatesAsync();
+            await InvokeAsync(StateHasChanged);
+        }
+    }
+
+    /// <summary>
+    /// Custom marker edit mode: own markers (all of them for writers) can be dragged and edited inline.
+    /// The editor needs the icon whitelist, fetched the same way as the marker dialogs do.
+    /// </summary>
+    private async Task ToggleCustomMarkerEditMode()
+    {
+        var newState = !customMarkerEditMode;
+        var icons = new List<string>();
+
+        if (newState)
+        {
+            try
+            {
+                var httpClient = HttpClientFactory.CreateClient("API");
+                icons = await httpClient.GetFromJsonAsync<List<string>>("/map/api/v1/custom-marker-icons", CamelCaseJsonOptions)
+                    ?? new();
+            }
+            catch (Exception ex)
+            {
+                Logger.LogWarning(ex, "Failed to load custom marker icons for edit mode");
+                Snackbar.Add("Failed to load marker icons", Severity.Warning);
+                return;
+            }
+        }
+
+        leafletModule ??= await JS.InvokeAsync<IJSObjectReference>("import", $"./js/leaflet-interop.js{JsVersion}");
+        customMarkerEditMode = await leafletModule.InvokeAsync<bool>("setCustomMarkerEditMode", newState, icons);
+
+        if (customMarkerEditMode)
+        {
+            Snackbar.Add("Edit mode: drag a marker to move it, click it to change title or icon", Severity.Info);
+        }
+        await InvokeAsync(StateHasChanged);
+    }
+
     private async Task ToggleRoads()
     {
         showRoads = !showRoads;
@@ -3141,6 +3553,10 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
     private async Task HandleStartDrawRoadFromMenu()
     {
         HideAllContextMenus();
+        if (sketchTool != null)
+        {
+            await HandleSelectSketchTool(null);
+        }
         isDrawingRoad = true;
         drawingPointsCount = 0;
         leafletModule ??= await JS.InvokeAsync<IJSObjectReference>("import", $"./js/leaflet-interop.js{JsVersion}");
@@ -3168,9 +3584,9 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
         await InvokeAsync(StateHasChanged);
     }
 
-    private async Task HandleRoadDrawingComplete((int mapId, List<RoadWaypointDto> waypoints) data)
+    private async Task HandleRoadDrawingComplete((int mapId, List<RoadWaypointDto> waypoints, string? idempotencyKey) data)
     {
-        var (mapId, waypoints) = data;
+        var (mapId, waypoints, idempotencyKey) = data;
         Logger.LogInformation("[Road] HandleRoadDrawingComplete called with mapId={MapId}, waypoints count={Count}",
             mapId, waypoints?.Count ?? 0);
 
@@ -3190,10 +3606,28 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
         Logger.LogInformation("[Road] First waypoint: CoordX={CoordX}, CoordY={CoordY}, X={X}, Y={Y}",
             first.CoordX, first.CoordY, first.X, first.Y);
 
-        var parameters = new DialogParameters<CreateRoadDialog>
+        await ShowRoadNamingDialogAsync(new RoadDraft
         {
-            { x => x.MapId, mapId },
-            { x => x.Waypoints, waypoints },
+            MapId = mapId,
+            Waypoints = waypoints,
+            IdempotencyKey = idempotencyKey ?? Guid.NewGuid().ToString("N")
+        });
+    }
+
+    /// <summary>
+    /// Open "Name Your Road" without waiting for it. The drawing is kept as a local draft until the
+    /// dialog closes, so a reload or circuit drop while naming it reopens the dialog instead of
+    /// losing the road (the outbox entry is already gone by then).
+    /// </summary>
+    private async Task ShowRoadNamingDialogAsync(RoadDraft draft)
+    {
+        await SafeJs.SetLocalStorageAsync(RoadDraftStorageKey, JsonSerializer.Serialize(draft, CamelCaseJsonOptions));
+
+        var parameters = new DialogParameters<CreateRoadDialog>
+        {
+            { x => x.MapId, draft.MapId },
+            { x => x.Waypoints, draft.Waypoints },
+            { x => x.IdempotencyKey, draft.IdempotencyKey },
             { x => x.OnRoadCreated, EventCallback.Factory.Create<RoadViewModel?>(this, async (created) =>
                 {
                     await RefreshRoadsAsync();
@@ -3202,7 +3636,54 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
         };
 
         var options = new DialogOptions { CloseButton = true, MaxWidth = MaxWidth.Small, FullWidth = true };
-        await DialogService.ShowAsync<CreateRoadDialog>("Name Your Road", parameters, options);
+        var dialog = await DialogService.ShowAsync<CreateRoadDialog>("Name Your Road", parameters, options);
+        _ = ClearRoadDraftWhenClosedAsync(dialog);
+    }
+
+    private async Task ClearRoadDraftWhenClosedAsync(IDialogReference dialog)
+    {
+        await dialog.Result;
+        await SafeJs.RemoveLocalStorageAsync(RoadDraftStorageKey);
+    }
+
+    /// <summary>
+    /// Reopen the naming dialog for a road whose dialog was still open when the page went away
+    /// </summary>
+    private async Task RestoreRoadDraftAsync()
+    {
+        if (roadDraftRestored || !hasMarkersPermission) return;
+        roadDraftRestored = true;
+
+        try
+        {
+            var json = await SafeJs.GetLocalStorageAsync(RoadDraftStorageKey);
+            if (string.IsNullOrEmpty(json)) return;
+
+            var draft = JsonSerializer.Deserialize<RoadDraft>(json, CamelCaseJsonOptions);
+            if (draft == null || draft.Waypoints.Count < 2 || string.IsNullOrEmpty(draft.IdempotencyKey))
+            {
+                await SafeJs.RemoveLocalStorageAsync(RoadDraftStorageKey);
+                return;
+            }
+
+            Logger.LogInformation("[Road] Restoring unnamed road draft on map {MapId}", draft.MapId);
+            await ShowRoadNamingDialogAsync(draft);
+        }
+        catch (Exception ex)
+        {
+            Logger.LogWarning(ex, "Failed to restore road draft");
+            await SafeJs.RemoveLocalStorageAsync(RoadDraftStorageKey);
+        }
+    }
+
+    /// <summary>
+    /// Drawn road waiting for a name (see ShowRoadNamingDialogAsync)
+    /// </summary>
+    private sealed class RoadDraft
+    {
+        public int MapId { get; set; }
+        public List<RoadWaypointDto> Waypoints { get; set; } = new();
+        public string IdempotencyKey { get; set; } = string.Empty;
     }
 
     private async Task HandleRoadContextMenu((int roadId, int screenX, int screenY) data)
@@ -3262,17 +3743,37 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
     {
         HideAllContextMenus();
 
-        if (allRoads.Count == 0)
+        if (allRoads.Count == 0 && !useThingwallRouting)
         {
             Snackbar.Add("No roads available for navigation", Severity.Warning);
             return;
         }
 
+        if (!TryGetMyCharacterStartPoint(out var startPoint))
+        {
+            return;
+        }
+        navigationStartPoint = startPoint;
+
+        // Destination is the right-click location
+        navigationEndPoint = (mapActionCoordX, mapActionCoordY, mapActionX, mapActionY);
+
+        await CalculateRouteAsync();
+    }
+
+    /// <summary>
+    /// Resolve the current grid position of "my character" as a navigation start point.
+    /// Shows a warning and returns false when no character is set or it is offline.
+    /// </summary>
+    private bool TryGetMyCharacterStartPoint(out (int coordX, int coordY, int x, int y) startPoint)
+    {
+        startPoint = default;
+
         // Require "my character" to be set for navigation
         if (string.IsNullOrEmpty(myCharacterName))
         {
             Snackbar.Add("Set your character first in the Players panel to use navigation", Severity.Warning);
-            return;
+            return false;
         }
 
         // Find "my character" - must be online
@@ -3280,7 +3781,7 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
         if (myChar == null)
         {
             Snackbar.Add($"'{myCharacterName}' is not online. Navigation requires your character to be visible.", Severity.Warning);
-            return;
+            return false;
         }
 
         Logger.LogDebug("Using my character '{Name}' as navigation start", myCharacterName);
@@ -3290,15 +3791,24 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
         int charCoordY = myChar.Position.Y / 100;
         int charX = myChar.Position.X % 100;
         int charY = myChar.Position.Y % 100;
-        var startPoint = (coordX: charCoordX, coordY: charCoordY, x: charX, y: charY);
+        startPoint = (charCoordX, charCoordY, charX, charY);
+        return true;
+    }
 
-        // Destination is the right-click location
-        var endPoint = new { coordX = mapActionCoordX, coordY = mapActionCoordY, x = mapActionX, y = mapActionY };
+    /// <summary>
+    /// Calculate and highlight a route between the stored navigation start and end points.
+    /// </summary>
+    private async Task CalculateRouteAsync(bool isReroute = false)
+    {
+        if (navigationStartPoint is not { } startPoint || navigationEndPoint is not { } endPoint)
+        {
+            return;
+        }
 
-        Logger.LogInformation("Navigation: Start ({CoordX},{CoordY},{X},{Y}) -> End ({ECoordX},{ECoordY},{EX},{EY}), Roads count: {RoadsCount}",
+        Logger.LogInformation("Navigation: Start ({CoordX},{CoordY},{X},{Y}) -> End ({ECoordX},{ECoordY},{EX},{EY}), Roads count: {RoadsCount}, Thingwalls: {UseThingwalls}",
             startPoint.coordX, startPoint.coordY, startPoint.x, startPoint.y,
-            mapActionCoordX, mapActionCoordY, mapActionX, mapActionY,
-            allRoads.Count);
+            endPoint.coordX, endPoint.coordY, endPoint.x, endPoint.y,
+            allRoads.Count, useThingwallRouting);
 
         try
         {
@@ -3307,7 +3817,8 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
             // Call JavaScript to find route
             var routeResult = await leafletModule.InvokeAsync<RouteResult>("findRoute",
                 new { coordX = startPoint.coordX, coordY = startPoint.coordY, x = startPoint.x, y = startPoint.y },
-                endPoint);
+                new { coordX = endPoint.coordX, coordY = endPoint.coordY, x = endPoint.x, y = endPoint.y },
+                new { useThingwalls = useThingwallRouting });
 
             Logger.LogInformation("Navigation result: Success={Success}, Segments={SegmentCount}, Error={Error}",
                 routeResult?.Success, routeResult?.Segments?.Count ?? 0, routeResult?.Error ?? "none");
@@ -3326,16 +3837,31 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
             }
 
             currentRoute = routeResult;
+            currentRouteProgress = null;
 
             // Calculate absolute coordinates for highlighting
             var startAbs = new { x = startPoint.coordX * 100 + startPoint.x, y = startPoint.coordY * 100 + startPoint.y };
             var endAbs = new { x = endPoint.coordX * 100 + endPoint.x, y = endPoint.coordY * 100 + endPoint.y };
 
-            // Highlight the route on the map
-            var roadIds = routeResult.Segments.Select(s => s.RoadId).ToArray();
-            await leafletModule.InvokeVoidAsync("highlightRoute", roadIds, startAbs, endAbs);
+            // Highlight the route on the map (roads plus any thingwall teleport hops)
+            var roadIds = routeResult.Segments.Where(s => !s.IsTeleport).Select(s => s.RoadId).ToArray();
+            var teleports = routeResult.Segments
+                .Where(s => s.IsTeleport)
+                .Select(s => new { from = s.EntryPoint, to = s.ExitPoint, fromName = s.FromThingwallName, toName = s.ToThingwallName })
+                .ToArray();
+            await leafletModule.InvokeVoidAsync("highlightRoute", roadIds, startAbs, endAbs, teleports);
 
-            Snackbar.Add($"Route found: {routeResult.Segments.Count} road(s)", Severity.Success);
+            var teleportCount = teleports.Length;
+            if (isReroute)
+            {
+                Snackbar.Add("Route recalculated", Severity.Info);
+            }
+            else
+            {
+                Snackbar.Add(teleportCount > 0
+                    ? $"Route found: {roadIds.Length} road(s), {teleportCount} teleport(s)"
+                    : $"Route found: {roadIds.Length} road(s)", Severity.Success);
+            }
             await InvokeAsync(StateHasChanged);
         }
         catch (Exception ex)
@@ -3345,9 +3871,26 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
         }
     }
 
+    private async Task HandleUseThingwallRoutingChanged(bool enabled)
+    {
+        useThingwallRouting = enabled;
+        await SaveToggleStatesAsync();
+
+        // Recalculate the active route with the new option
+        if (currentRoute != null)
+        {
+            await CalculateRouteAsync();
+        }
+
+        await InvokeAsync(StateHasChanged);
+    }
+
     private async Task HandleClearRoute()
     {
         currentRoute = null;
+        currentRouteProgress = null;
+        navigationStartPoint = null;
+        navigationEndPoint = null;
 
         try
         {
@@ -3362,6 +3905,52 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
         await InvokeAsync(StateHasChanged);
     }
 
+    private async Task HandleRouteProgress(RouteProgress progress)
+    {
+        if (currentRoute == null)
+        {
+            return;
+        }
+
+        currentRouteProgress = progress;
+        foreach (var step in currentRoute.Itinerary)
+        {
+            step.Done = progress.Completed || step.Index < progress.CurrentStep;
+        }
+
+        await InvokeAsync(StateHasChanged);
+    }
+
+    private async Task HandleRouteOffRoute(int distance)
+    {
+        if (currentRoute == null || navigationEndPoint == null || isRerouting)
+        {
+            return;
+        }
+
+        Logger.LogInformation("Navigation: character is {Distance}px off route, recalculating", distance);
+
+        isRerouting = true;
+        try
+        {
+            if (TryGetMyCharacterStartPoint(out var startPoint))
+            {
+                navigationStartPoint = startPoint;
+                await CalculateRouteAsync(isReroute: true);
+            }
+        }
+        finally
+        {
+            isRerouting = false;
+        }
+    }
+
+    private async Task HandleRouteCompleted()
+    {
+        Snackbar.Add("You have arrived at your destination", Severity.Success);
+        await InvokeAsync(StateHasChanged);
+    }
+
     private async Task HandleJumpToRouteRoad(int roadId)
     {
         try
@@ -3526,16 +4115,22 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
         [property: System.Text.Json.Serialization.JsonPropertyName("mapId")] int MapId,
         [property: System.Text.Json.Serialization.JsonPropertyName("nextUpdate")] DateTime NextUpdate);
 
+    private Task HandleCreatePing((int mapId, int coordX, int coordY, int x, int y, string? pingType, string? message, string? idempotencyKey) data)
+    {
+        return JsCreatePing(data.mapId, data.coordX, data.coordY, data.x, data.y, data.pingType, data.message, data.idempotencyKey);
+    }
+
     /// <summary>
-    /// Creates a ping at the specified location (called from JavaScript Alt+M shortcut or context menu)
+    /// Creates a ping at the specified location (Alt+M / Alt+Shift+M via MapView, or context menu).
+    /// The idempotency key makes outbox replays of the same ping safe.
     /// </summary>
     [JSInvokable]
-    public async Task JsCreatePing(int mapId, int coordX, int coordY, int x, int y)
+    public async Task JsCreatePing(int mapId, int coordX, int coordY, int x, int y, string? pingType = null, string? message = null, string? idempotencyKey = null)
     {
         try
         {
-            Logger.LogWarning("JsCreatePing called: MapId={MapId}, Grid=({CoordX},{CoordY}), Local=({X},{Y})",
-                mapId, coordX, coordY, x, y);
+            Logger.LogWarning("JsCreatePing called: MapId={MapId}, Grid=({CoordX},{CoordY}), Local=({X},{Y}), Type={PingType}",
+                mapId, coordX, coordY, x, y, pingType);
 
             var client = HttpClientFactory.CreateClient("API");
 
@@ -3545,28 +4140,34 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
                 coordX,
                 coordY,
                 x,
-                y
+                y,
+                type = pingType,
+                message
             };
 
-            var response = await client.PostAsJsonAsync("/map/api/v1/pings", pingDto, CamelCaseJsonOptions);
+            using var request = new HttpRequestMessage(HttpMethod.Post, "/map/api/v1/pings")
+            {
+                Content = JsonContent.Create(pingDto, options: CamelCaseJsonOptions)
+            };
+            if (!string.IsNullOrEmpty(idempotencyKey))
+            {
+                request.Headers.Add(IdempotencyConstants.HeaderName, idempotencyKey);
+            }
+            var response = await client.SendAsync(request);
 
             if (response.IsSuccessStatusCode)
             {
                 Logger.LogInformation("Ping created successfully at Map={MapId}, Grid=({CoordX},{CoordY}), Local=({X},{Y})",
                     mapId, coordX, coordY, x, y);
-                Snackbar.Add($"Ping created at ({coordX},{coordY})", Severity.Success);
+                ShowPingResult((int)response.StatusCode, coordX, coordY, null);
                 // Ping will be added via SSE event
             }
-            else if (response.StatusCode == System.Net.HttpStatusCode.TooManyRequests)
-            {
-                Snackbar.Add("You have reached the maximum of 5 active pings. Please wait for existing pings to expire.", Severity.Warning);
-            }
             else
             {
                 var responseBody = await response.Content.ReadAsStringAsync();
                 Logger.LogWarning("Failed to create ping: Status={StatusCode}, Response={ResponseBody}, Request=MapId={MapId} Grid=({CoordX},{CoordY}) Local=({X},{Y})",
                     response.StatusCode, responseBody, mapId, coordX, coordY, x, y);
-                Snackbar.Add($"Failed to create ping: {response.StatusCode}", Severity.Error);
+                ShowPingResult((int)response.StatusCode, coordX, coordY, response.StatusCode.ToString());
             }
         }
         catch (Exception ex)
@@ -3577,6 +4178,32 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
         }
     }
 
+    /// <summary>
+    /// Called from JavaScript with the reply to a ping created over the map WebSocket
+    /// (status 0 = the socket dropped before the server answered)
+    /// </summary>
+    [JSInvokable]
+    public void OnSocketPingResult(int status, int coordX, int coordY, string? error)
+    {
+        ShowPingResult(status, coordX, coordY, error);
+    }
+
+    private void ShowPingResult(int status, int coordX, int coordY, string? error)
+    {
+        if (status is >= 200 and < 300)
+        {
+            Snackbar.Add($"Ping created at ({coordX},{coordY})", Severity.Success);
+        }
+        else if (status == StatusCodes.Status429TooManyRequests)
+        {
+            Snackbar.Add("You have reached the maximum of 5 active pings. Please wait for existing pings to expire.", Severity.Warning);
+        }
+        else
+        {
+            Snackbar.Add($"Failed to create ping: {error ?? status.ToString()}", Severity.Error);
+        }
+    }
+
     /// <summary>
     /// Handles ping created events from SSE
     /// </summary>
@@ -3651,130 +4278,1327 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
 
     #endregion
 
-    #region Overlay Helpers
+    #region Offline Area Handlers
 
-    /// <summary>
-    /// Handles overlay data requests from JavaScript overlay layer via MapView callback.
-    /// Fetches data from API via MapDataService and returns it to JS.
-    /// </summary>
-    private async Task HandleRequestOverlays((int mapId, string coords) request)
+    private async Task ToggleOfflineAreaPanel()
     {
-        try
+        if (showOfflineAreaPanel)
         {
-            Logger.LogDebug("HandleRequestOverlays: Received request for map {MapId}, coords: {Coords}", request.mapId, request.coords);
+            await CloseOfflineAreaPanel();
+            return;
+        }
 
-            // Fetch overlay data from API via MapDataService (server-to-server)
-            var overlays = await MapData.GetOverlaysAsync(request.mapId, request.coords);
+        // These panels float in the same spot
+        if (showAnnotationTransferPanel)
+        {
+            await CloseAnnotationTransferPanel();
+        }
+        if (showWatchZonePanel)
+        {
+            await CloseWatchZonePanel();
+        }
+        if (showSketchPanel)
+        {
+            await CloseSketchPanel();
+        }
 
-            Logger.LogDebug("HandleRequestOverlays: Got {Count} overlays, sending to JS", overlays.Count);
+        showOfflineAreaPanel = true;
+        await RefreshOfflineAreasAsync();
+        await InvokeAsync(StateHasChanged);
+    }
 
-            // Send overlay data back to JavaScript via MapView
-            if (mapView != null)
-            {
-                await mapView.SetOverlayDataAsync(request.mapId, overlays);
-            }
+    private async Task CloseOfflineAreaPanel()
+    {
+        // Keep the panel while a download runs so it can still be cancelled
+        if (isDownloadingOfflineArea) return;
+
+        showOfflineAreaPanel = false;
+        isSelectingOfflineArea = false;
+        offlineAreaBounds = null;
+        offlineAreaEstimate = null;
+
+        try
+        {
+            leafletModule ??= await JS.InvokeAsync<IJSObjectReference>("import", $"./js/leaflet-interop.js{JsVersion}");
+            await leafletModule.InvokeVoidAsync("cancelOfflineAreaSelection");
+            await leafletModule.InvokeVoidAsync("clearOfflineAreaSelection");
         }
         catch (Exception ex)
         {
-            Logger.LogError(ex, "Error fetching overlay data for map {MapId}", request.mapId);
+            Logger.LogWarning(ex, "Error clearing offline area selection");
         }
+
+        await InvokeAsync(StateHasChanged);
     }
 
-    #endregion
+    private async Task HandleStartOfflineAreaSelection()
+    {
+        isSelectingOfflineArea = true;
+        offlineAreaBounds = null;
+        offlineAreaEstimate = null;
 
-    #region Timer Helpers
+        leafletModule ??= await JS.InvokeAsync<IJSObjectReference>("import", $"./js/leaflet-interop.js{JsVersion}");
+        await leafletModule.InvokeVoidAsync("startOfflineAreaSelection");
+        await InvokeAsync(StateHasChanged);
+    }
 
-    /// <summary>
-    /// Handles timer created events from SSE
-    /// </summary>
-    [JSInvokable]
-    public async Task OnTimerCreated(TimerDto timer)
+    private async Task HandleOfflineAreaSelected(OfflineAreaBounds bounds)
     {
-        try
-        {
-            Logger.LogInformation("OnTimerCreated: Received timer {TimerId} ({Title})", timer.Id, timer.Title);
+        isSelectingOfflineArea = false;
+        offlineAreaBounds = bounds;
+        await UpdateOfflineAreaEstimateAsync();
+    }
 
-            // Create new list reference to force Blazor change detection
-            var newList = new List<TimerDto>(allTimers);
+    private async Task HandleOfflineAreaSelectionCancelled()
+    {
+        isSelectingOfflineArea = false;
+        await InvokeAsync(StateHasChanged);
+    }
 
-            // Add if not exists
-            if (!newList.Any(t => t.Id == timer.Id))
-            {
-                newList.Add(timer);
-                allTimers = newList; // Update reference
-                Logger.LogInformation("OnTimerCreated: Added timer {TimerId} to list", timer.Id);
-            }
-            else
-            {
-                Logger.LogWarning("OnTimerCreated: Timer {TimerId} already exists, ignoring", timer.Id);
-            }
+    private async Task HandleOfflineZoomRangeChanged((int minZoom, int maxZoom) range)
+    {
+        offlineMinZoom = Math.Clamp(range.minZoom, OfflineAreaPanel.ZoomLowest, OfflineAreaPanel.ZoomHighest);
+        offlineMaxZoom = Math.Clamp(range.maxZoom, offlineMinZoom, OfflineAreaPanel.ZoomHighest);
+        await UpdateOfflineAreaEstimateAsync();
+    }
 
-            // Refresh markers/custom markers
-            await RefreshTimerVisualsAsync();
+    private async Task UpdateOfflineAreaEstimateAsync()
+    {
+        if (offlineAreaBounds == null) return;
 
-            await InvokeAsync(StateHasChanged);
+        try
+        {
+            leafletModule ??= await JS.InvokeAsync<IJSObjectReference>("import", $"./js/leaflet-interop.js{JsVersion}");
+            offlineAreaEstimate = await leafletModule.InvokeAsync<OfflineAreaEstimate>(
+                "estimateOfflineArea", offlineAreaBounds, offlineMinZoom, offlineMaxZoom);
         }
         catch (Exception ex)
         {
-            Logger.LogError(ex, "Error handling timer created event");
+            Logger.LogError(ex, "Error estimating offline area download");
+            offlineAreaEstimate = null;
         }
+
+        await InvokeAsync(StateHasChanged);
     }
 
-    /// <summary>
-    /// Handles timer updated events from SSE
-    /// </summary>
-    [JSInvokable]
-    public async Task OnTimerUpdated(TimerDto timer)
+    private async Task HandleStartOfflineDownload()
     {
+        if (offlineAreaBounds == null || isDownloadingOfflineArea) return;
+
         try
         {
-            Logger.LogInformation("OnTimerUpdated: Received timer {TimerId} ({Title})", timer.Id, timer.Title);
+            leafletModule ??= await JS.InvokeAsync<IJSObjectReference>("import", $"./js/leaflet-interop.js{JsVersion}");
+            var mapName = maps.FirstOrDefault(m => m.ID == MapNavigation.CurrentMapId)?.MapInfo.Name ?? "Map";
+            var name = $"{mapName} ({offlineAreaBounds.GridMinX}, {offlineAreaBounds.GridMinY})";
 
-            // Create new list reference
-            var newList = new List<TimerDto>(allTimers);
-            var existing = newList.FirstOrDefault(t => t.Id == timer.Id);
-            
-            if (existing != null)
-            {
-                newList.Remove(existing);
-                newList.Add(timer);
-                allTimers = newList; // Update reference
-                Logger.LogInformation("OnTimerUpdated: Updated timer {TimerId} in list", timer.Id);
-            }
-            else
+            var result = await leafletModule.InvokeAsync<OfflineDownloadStart>(
+                "startOfflineAreaDownload", offlineAreaBounds, offlineMinZoom, offlineMaxZoom, name);
+
+            if (result == null || !result.Success)
             {
-                newList.Add(timer);
-                allTimers = newList; // Update reference
-                Logger.LogInformation("OnTimerUpdated: Added new timer {TimerId} (was missing)", timer.Id);
+                Snackbar.Add(result?.Error ?? "Could not start the download", Severity.Warning);
+                return;
             }
-            
-            // Refresh markers/custom markers
-            await RefreshTimerVisualsAsync();
-            
-            await InvokeAsync(StateHasChanged);
+
+            isDownloadingOfflineArea = true;
+            offlineDownloadProgress = new OfflineDownloadProgress { AreaId = result.AreaId ?? string.Empty, Total = result.Total };
         }
         catch (Exception ex)
         {
-            Logger.LogError(ex, "Error handling timer updated event");
+            Logger.LogError(ex, "Error starting offline area download");
+            Snackbar.Add("Could not start the download", Severity.Error);
         }
+
+        await InvokeAsync(StateHasChanged);
     }
 
-    /// <summary>
-    /// Handles timer completed events from SSE
-    /// </summary>
-    [JSInvokable]
-    public async Task OnTimerCompleted(TimerDto timer)
+    private async Task HandleCancelOfflineDownload()
     {
-        try
-        {
-            Logger.LogInformation("OnTimerCompleted: Received timer {TimerId} ({Title})", timer.Id, timer.Title);
+        leafletModule ??= await JS.InvokeAsync<IJSObjectReference>("import", $"./js/leaflet-interop.js{JsVersion}");
+        await leafletModule.InvokeAsync<bool>("cancelOfflineAreaDownload");
+    }
 
-            // Create new list reference
-            var newList = new List<TimerDto>(allTimers);
-            var existing = newList.FirstOrDefault(t => t.Id == timer.Id);
-            
-            if (existing != null)
-            {
+    private async Task HandleOfflineDownloadProgress(OfflineDownloadProgress progress)
+    {
+        if (!isDownloadingOfflineArea) return;
+        offlineDownloadProgress = progress;
+        await InvokeAsync(StateHasChanged);
+    }
+
+    private async Task HandleOfflineDownloadFinished(OfflineDownloadProgress result)
+    {
+        isDownloadingOfflineArea = false;
+        offlineDownloadProgress = null;
+
+        if (result.Cancelled)
+        {
+            Snackbar.Add($"Download cancelled after {result.Completed} of {result.Total} tiles", Severity.Info);
+        }
+        else
+        {
+            offlineAreaBounds = null;
+            offlineAreaEstimate = null;
+
+            leafletModule ??= await JS.InvokeAsync<IJSObjectReference>("import", $"./js/leaflet-interop.js{JsVersion}");
+            await leafletModule.InvokeVoidAsync("clearOfflineAreaSelection");
+
+            var message = $"Area saved: {result.Completed - result.Empty - result.Failed} tiles, {result.Markers} markers, {result.Roads} roads";
+            if (!result.Pinned)
+            {
+                message += ", but its tiles could not be pinned and may be evicted";
+            }
+            Snackbar.Add(message, result.Failed > 0 || !result.Pinned ? Severity.Warning : Severity.Success);
+            await RefreshOfflineAreasAsync();
+        }
+
+        await InvokeAsync(StateHasChanged);
+    }
+
+    private async Task HandleDeleteOfflineArea(string areaId)
+    {
+        try
+        {
+            leafletModule ??= await JS.InvokeAsync<IJSObjectReference>("import", $"./js/leaflet-interop.js{JsVersion}");
+            await leafletModule.InvokeAsync<bool>("deleteOfflineArea", areaId);
+            await RefreshOfflineAreasAsync();
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error deleting offline area {AreaId}", areaId);
+        }
+
+        await InvokeAsync(StateHasChanged);
+    }
+
+    private async Task HandleJumpToOfflineArea(OfflineAreaSummary area)
+    {
+        try
+        {
+            if (area.MapId != MapNavigation.CurrentMapId)
+            {
+                await SwitchToMapAsync(area.MapId);
+            }
+
+            leafletModule ??= await JS.InvokeAsync<IJSObjectReference>("import", $"./js/leaflet-interop.js{JsVersion}");
+            await leafletModule.InvokeAsync<bool>("jumpToOfflineArea", area.Bounds);
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error jumping to offline area {AreaId}", area.Id);
+        }
+    }
+
+    private async Task RefreshOfflineAreasAsync()
+    {
+        try
+        {
+            leafletModule ??= await JS.InvokeAsync<IJSObjectReference>("import", $"./js/leaflet-interop.js{JsVersion}");
+            offlineAreas = await leafletModule.InvokeAsync<List<OfflineAreaSummary>>("listOfflineAreas") ?? new();
+        }
+        catch (Exception ex)
+        {
+            Logger.LogWarning(ex, "Error loading offline areas");
+            offlineAreas = new();
+        }
+    }
+
+    #endregion
+
+    #region Map Export Handlers
+
+    private async Task OpenExportMapDialog()
+    {
+        if (isExportingMap) return;
+
+        MapExportOptions? initial = null;
+        try
+        {
+            leafletModule ??= await JS.InvokeAsync<IJSObjectReference>("import", $"./js/leaflet-interop.js{JsVersion}");
+            initial = await leafletModule.InvokeAsync<MapExportOptions?>("getViewportGridBounds");
+        }
+        catch (Exception ex)
+        {
+            Logger.LogWarning(ex, "Error reading viewport bounds for map export");
+        }
+
+        if (initial != null)
+        {
+            initial.IncludeOverlays = showPClaim || showVClaim || showProvince;
+            initial.IncludeRoads = showRoads;
+        }
+
+        var parameters = new DialogParameters<ExportMapDialog>
+        {
+            { x => x.Initial, initial }
+        };
+        var options = new DialogOptions
+        {
+            MaxWidth = MaxWidth.Small,
+            FullWidth = true,
+            CloseButton = true
+        };
+
+        var dialog = await DialogService.ShowAsync<ExportMapDialog>("Export Map Image", parameters, options);
+        var result = await dialog.Result;
+        if (result == null || result.Canceled || result.Data is not MapExportOptions exportOptions)
+        {
+            return;
+        }
+
+        await RunMapExportAsync(exportOptions);
+    }
+
+    private async Task RunMapExportAsync(MapExportOptions exportOptions)
+    {
+        isExportingMap = true;
+        mapExportProgress = null;
+        await InvokeAsync(StateHasChanged);
+
+        try
+        {
+            leafletModule ??= await JS.InvokeAsync<IJSObjectReference>("import", $"./js/leaflet-interop.js{JsVersion}");
+            // Large areas take a while; the default interop timeout would abandon the result
+            var result = await leafletModule.InvokeAsync<MapExportResult>("exportMapImage", TimeSpan.FromMinutes(10), exportOptions);
+
+            if (result == null)
+            {
+                Snackbar.Add("Export failed", Severity.Error);
+            }
+            else if (result.Cancelled)
+            {
+                Snackbar.Add("Export cancelled", Severity.Info);
+            }
+            else if (!result.Success)
+            {
+                Snackbar.Add(result.Error ?? "Export failed", Severity.Warning);
+            }
+            else
+            {
+                var message = $"Exported {result.FileName} ({result.Width}×{result.Height})";
+                if (result.MissingTiles > 0)
+                {
+                    message += $", {result.MissingTiles} tile(s) missing";
+                }
+                if (result.MissingOverlays > 0)
+                {
+                    message += $", {result.MissingOverlays} overlay grid(s) missing";
+                }
+                Snackbar.Add(message, Severity.Success);
+            }
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error exporting map image");
+            Snackbar.Add("Export failed", Severity.Error);
+        }
+        finally
+        {
+            isExportingMap = false;
+            mapExportProgress = null;
+            await InvokeAsync(StateHasChanged);
+        }
+    }
+
+    private async Task CancelMapExport()
+    {
+        if (leafletModule == null) return;
+        await leafletModule.InvokeAsync<bool>("cancelMapExport");
+    }
+
+    private async Task HandleMapExportProgress(MapExportProgress progress)
+    {
+        if (!isExportingMap) return;
+        mapExportProgress = progress;
+        await InvokeAsync(StateHasChanged);
+    }
+
+    private string GetMapExportStatusText() => mapExportProgress?.Phase switch
+    {
+        "tiles" => $"Fetching tiles {mapExportProgress.Completed} / {mapExportProgress.Total}",
+        "overlays" => "Drawing overlays...",
+        "roads" => "Drawing roads...",
+        "markers" => $"Drawing markers {mapExportProgress.Completed} / {mapExportProgress.Total}",
+        "encoding" => "Encoding image...",
+        _ => "Preparing export..."
+    };
+
+    #endregion
+
+    #region Annotation Import/Export Handlers
+
+    private const long MaxAnnotationFileSize = 10 * 1024 * 1024;
+
+    /// <summary>
+    /// An imported marker this close (absolute units) to an existing one with the same title is
+    /// treated as a duplicate; markers on the exact same spot are duplicates regardless of title
+    /// </summary>
+    private const int AnnotationDuplicateDistance = 5;
+
+    private async Task ToggleAnnotationTransferPanel()
+    {
+        if (showAnnotationTransferPanel)
+        {
+            await CloseAnnotationTransferPanel();
+            return;
+        }
+
+        if (showOfflineAreaPanel)
+        {
+            await CloseOfflineAreaPanel();
+        }
+        if (showWatchZonePanel)
+        {
+            await CloseWatchZonePanel();
+        }
+        if (showSketchPanel)
+        {
+            await CloseSketchPanel();
+        }
+
+        showAnnotationTransferPanel = true;
+        await InvokeAsync(StateHasChanged);
+    }
+
+    private async Task CloseAnnotationTransferPanel()
+    {
+        if (isApplyingAnnotationImport) return;
+
+        showAnnotationTransferPanel = false;
+        await HandleDiscardAnnotationImport();
+    }
+
+    private async Task HandleExportAnnotations()
+    {
+        var mapId = MapNavigation.CurrentMapId;
+        if (mapId <= 0) return;
+
+        try
+        {
+            var mapName = maps.FirstOrDefault(m => m.ID == mapId)?.MapInfo.Name ?? $"map-{mapId}";
+            // Hidden markers/roads are exported too, so a backup is complete
+            var customMarkers = CustomMarkerState.AllCustomMarkers.Where(m => m.MapId == mapId).ToList();
+
+            leafletModule ??= await JS.InvokeAsync<IJSObjectReference>("import", $"./js/leaflet-interop.js{JsVersion}");
+            var result = await leafletModule.InvokeAsync<AnnotationExportResult>("exportAnnotations", mapId, mapName, customMarkers, allRoads);
+
+            Snackbar.Add($"Exported {result.Markers} marker(s), {result.Roads} road(s) and {result.Pings} ping(s)", Severity.Success);
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error exporting annotations for map {MapId}", mapId);
+            Snackbar.Add("Error exporting annotations: " + ex.Message, Severity.Error);
+        }
+    }
+
+    private async Task HandleAnnotationFileSelected(IBrowserFile? file)
+    {
+        if (file == null || !hasMarkersPermission) return;
+
+        if (file.Size > MaxAnnotationFileSize)
+        {
+            Snackbar.Add($"File is too large (max {MaxAnnotationFileSize / (1024 * 1024)} MB)", Severity.Warning);
+            return;
+        }
+
+        try
+        {
+            string text;
+            await using (var stream = file.OpenReadStream(MaxAnnotationFileSize))
+            using (var reader = new StreamReader(stream))
+            {
+                text = await reader.ReadToEndAsync();
+            }
+
+            leafletModule ??= await JS.InvokeAsync<IJSObjectReference>("import", $"./js/leaflet-interop.js{JsVersion}");
+            var parsed = await leafletModule.InvokeAsync<AnnotationImportFile>("parseAnnotations", text);
+
+            if (!string.IsNullOrEmpty(parsed.Error))
+            {
+                Snackbar.Add(parsed.Error, Severity.Warning);
+                return;
+            }
+            if (parsed.Features.Count == 0)
+            {
+                Snackbar.Add("The file contains no markers or roads to import", Severity.Info);
+                return;
+            }
+
+            parsed.FileName = file.Name;
+            annotationImport = parsed;
+            annotationOffsetGridX = 0;
+            annotationOffsetGridY = 0;
+
+            UpdateAnnotationDuplicates(setSelection: true);
+            await ShowAnnotationPreviewAsync(fit: true);
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error reading annotation file {FileName}", file.Name);
+            Snackbar.Add("Error reading file: " + ex.Message, Severity.Error);
+        }
+
+        await InvokeAsync(StateHasChanged);
+    }
+
+    private async Task HandleAnnotationOffsetChanged((int gridX, int gridY) offset)
+    {
+        annotationOffsetGridX = offset.gridX;
+        annotationOffsetGridY = offset.gridY;
+
+        // Duplicates depend on where the features land; keep the user's choices otherwise
+        UpdateAnnotationDuplicates(setSelection: false);
+        await ShowAnnotationPreviewAsync(fit: true);
+        await InvokeAsync(StateHasChanged);
+    }
+
+    private async Task HandleToggleAnnotationFeature(AnnotationImportFeature feature)
+    {
+        feature.Selected = !feature.Selected;
+        await ShowAnnotationPreviewAsync(fit: false);
+    }
+
+    private async Task HandleDiscardAnnotationImport()
+    {
+        annotationImport = null;
+        annotationOffsetGridX = 0;
+        annotationOffsetGridY = 0;
+
+        try
+        {
+            leafletModule ??= await JS.InvokeAsync<IJSObjectReference>("import", $"./js/leaflet-interop.js{JsVersion}");
+            await leafletModule.InvokeVoidAsync("clearAnnotationImportPreview");
+        }
+        catch (Exception ex)
+        {
+            Logger.LogWarning(ex, "Error clearing annotation import preview");
+        }
+
+        await InvokeAsync(StateHasChanged);
+    }
+
+    /// <summary>
+    /// Number of active pings created by the current user (0 if they can't be listed;
+    /// the server still enforces the limit on each ping)
+    /// </summary>
+    private async Task<int> CountOwnActivePingsAsync()
+    {
+        try
+        {
+            var client = HttpClientFactory.CreateClient("API");
+            var active = await client.GetFromJsonAsync<List<PingEventDto>>("/map/api/v1/pings", CamelCaseJsonOptions);
+            var username = AuthStateCache.Username;
+            return active?.Count(p => p.CreatedBy == username) ?? 0;
+        }
+        catch (Exception ex)
+        {
+            Logger.LogWarning(ex, "Failed to list active pings");
+            return 0;
+        }
+    }
+
+    private async Task HandleApplyAnnotationImport()
+    {
+        var import = annotationImport;
+        var mapId = MapNavigation.CurrentMapId;
+        if (import == null || mapId <= 0 || isApplyingAnnotationImport || !hasMarkersPermission) return;
+
+        var pending = import.Features.Where(f => f.Selected && !f.Imported).ToList();
+        if (pending.Count == 0) return;
+
+        // Imported pings count against the user's active ping limit like any other ping,
+        // including the pings the user already has on the map
+        var pendingPings = pending.Count(f => f.Kind == AnnotationImportFeature.KindPing);
+        if (pendingPings > 0)
+        {
+            var available = PingConstants.MaxActivePerUser - await CountOwnActivePingsAsync();
+            if (pendingPings > available)
+            {
+                Snackbar.Add(available > 0
+                    ? $"{pendingPings} pings are selected, but you can only add {available} more active ping(s) (at most {PingConstants.MaxActivePerUser}). Unselect some pings and import again."
+                    : $"You already have {PingConstants.MaxActivePerUser} active pings. Wait for them to expire or unselect the pings and import again.",
+                    Severity.Warning);
+                return;
+            }
+        }
+
+        isApplyingAnnotationImport = true;
+        await InvokeAsync(StateHasChanged);
+
+        int markers = 0, roads = 0, pings = 0, failed = 0;
+        string? firstError = null;
+
+        try
+        {
+            var client = HttpClientFactory.CreateClient("API");
+            List<string>? icons = null;
+
+            foreach (var feature in pending)
+            {
+                object dto;
+                string url;
+
+                switch (feature.Kind)
+                {
+                    case AnnotationImportFeature.KindRoad:
+                        url = "/map/api/v1/roads";
+                        dto = new CreateRoadDto
+                        {
+                            MapId = mapId,
+                            Name = Truncate(feature.Title.Trim(), 80),
+                            Waypoints = feature.Points.Select(p =>
+                            {
+                                var (coordX, coordY, x, y) = ToGridPosition(p);
+                                return new RoadWaypointDto { CoordX = coordX, CoordY = coordY, X = x, Y = y };
+                            }).ToList()
+                        };
+                        break;
+
+                    case AnnotationImportFeature.KindPing:
+                    {
+                        url = "/map/api/v1/pings";
+                        var (coordX, coordY, x, y) = ToGridPosition(feature.Points[0]);
+                        dto = new { mapId, coordX, coordY, x, y, type = feature.PingType, message = feature.Message };
+                        break;
+                    }
+
+                    default:
+                    {
+                        icons ??= await client.GetFromJsonAsync<List<string>>("/map/api/v1/custom-marker-icons", CamelCaseJsonOptions) ?? new();
+                        url = "/map/api/v1/custom-markers";
+                        var (coordX, coordY, x, y) = ToGridPosition(feature.Points[0]);
+                        dto = new CreateCustomMarkerDto
+                        {
+                            MapId = mapId,
+                            CoordX = coordX,
+                            CoordY = coordY,
+                            X = x,
+                            Y = y,
+                            Title = Truncate(feature.Title.Trim(), 80),
+                            Description = string.IsNullOrWhiteSpace(feature.Description) ? null : Truncate(feature.Description.Trim(), 1000),
+                            Icon = ResolveImportIcon(feature.Icon, icons)
+                        };
+                        break;
+                    }
+                }
+
+                using var request = new HttpRequestMessage(HttpMethod.Post, url)
+                {
+                    Content = JsonContent.Create(dto, dto.GetType(), options: CamelCaseJsonOptions)
+                };
+                request.Headers.Add(IdempotencyConstants.HeaderName, feature.IdempotencyKey);
+                var response = await client.SendAsync(request);
+
+                if (response.IsSuccessStatusCode)
+                {
+                    feature.Imported = true;
+                    switch (feature.Kind)
+                    {
+                        case AnnotationImportFeature.KindRoad: roads++; break;
+                        case AnnotationImportFeature.KindPing: pings++; break;
+                        default: markers++; break;
+                    }
+                }
+                else
+                {
+                    failed++;
+                    var body = await response.Content.ReadAsStringAsync();
+                    firstError ??= $"{feature.Title}: {(string.IsNullOrWhiteSpace(body) ? response.StatusCode.ToString() : body)}";
+                    Logger.LogWarning("Annotation import of {Kind} '{Title}' failed: Status={StatusCode}, Response={ResponseBody}",
+                        feature.Kind, feature.Title, response.StatusCode, body);
+                }
+            }
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error importing annotations into map {MapId}", mapId);
+            firstError ??= ex.Message;
+        }
+        finally
+        {
+            isApplyingAnnotationImport = false;
+        }
+
+        var summary = $"Imported {markers} marker(s), {roads} road(s) and {pings} ping(s)";
+        if (failed > 0 || firstError != null)
+        {
+            Snackbar.Add($"{summary}; {Math.Max(failed, 1)} failed ({firstError})", Severity.Warning);
+        }
+        else
+        {
+            Snackbar.Add(summary, Severity.Success);
+        }
+
+        if (markers > 0) await RefreshCustomMarkersAsync();
+        if (roads > 0) await RefreshRoadsAsync();
+
+        // Everything went through: nothing left to preview
+        if (import.Features.All(f => f.Imported || !f.Selected) && failed == 0)
+        {
+            await HandleDiscardAnnotationImport();
+            return;
+        }
+
+        UpdateAnnotationDuplicates(setSelection: false);
+        await ShowAnnotationPreviewAsync(fit: false);
+        await InvokeAsync(StateHasChanged);
+    }
+
+    /// <summary>
+    /// After a map change: imported flags and duplicates referred to the previous map
+    /// </summary>
+    private async Task RefreshAnnotationImportForMapAsync()
+    {
+        if (annotationImport == null) return;
+
+        foreach (var feature in annotationImport.Features.Where(f => f.Imported))
+        {
+            feature.Imported = false;
+            feature.IdempotencyKey = Guid.NewGuid().ToString("N");
+        }
+
+        UpdateAnnotationDuplicates(setSelection: true);
+        await ShowAnnotationPreviewAsync(fit: false);
+    }
+
+    private async Task ShowAnnotationPreviewAsync(bool fit)
+    {
+        if (annotationImport == null) return;
+
+        try
+        {
+            leafletModule ??= await JS.InvokeAsync<IJSObjectReference>("import", $"./js/leaflet-interop.js{JsVersion}");
+            await leafletModule.InvokeVoidAsync("showAnnotationImportPreview",
+                annotationImport.Features, annotationOffsetGridX * 100, annotationOffsetGridY * 100, fit);
+        }
+        catch (Exception ex)
+        {
+            Logger.LogWarning(ex, "Error showing annotation import preview");
+        }
+    }
+
+    /// <summary>
+    /// Match the import against the current map's markers (title + position) and roads (name + endpoints).
+    /// With setSelection, everything except duplicates and pings is preselected.
+    /// </summary>
+    private void UpdateAnnotationDuplicates(bool setSelection)
+    {
+        if (annotationImport == null) return;
+
+        var mapId = MapNavigation.CurrentMapId;
+        var existingMarkers = CustomMarkerState.AllCustomMarkers.Where(m => m.MapId == mapId).ToList();
+        var offsetX = annotationOffsetGridX * 100;
+        var offsetY = annotationOffsetGridY * 100;
+
+        foreach (var feature in annotationImport.Features.Where(f => !f.Imported))
+        {
+            var points = feature.Points.Select(p => (x: p.X + offsetX, y: p.Y + offsetY)).ToList();
+
+            feature.DuplicateOf = feature.Kind switch
+            {
+                AnnotationImportFeature.KindCustomMarker => existingMarkers.FirstOrDefault(m =>
+                {
+                    var dx = m.CoordX * 100 + m.X - points[0].x;
+                    var dy = m.CoordY * 100 + m.Y - points[0].y;
+                    var sameSpot = dx == 0 && dy == 0;
+                    var sameTitle = string.Equals(m.Title.Trim(), feature.Title.Trim(), StringComparison.OrdinalIgnoreCase);
+                    return sameSpot || (sameTitle && dx * dx + dy * dy <= AnnotationDuplicateDistance * AnnotationDuplicateDistance);
+                })?.Title,
+                AnnotationImportFeature.KindRoad => allRoads.FirstOrDefault(r =>
+                    r.Waypoints.Count >= 2 &&
+                    string.Equals(r.Name.Trim(), feature.Title.Trim(), StringComparison.OrdinalIgnoreCase) &&
+                    IsSameRoadEnds(r.Waypoints, points))?.Name,
+                _ => null
+            };
+
+            if (setSelection)
+            {
+                feature.Selected = feature.DuplicateOf == null && feature.Kind != AnnotationImportFeature.KindPing;
+            }
+        }
+    }
+
+    private static bool IsSameRoadEnds(List<RoadWaypointDto> waypoints, List<(int x, int y)> points)
+    {
+        static (int x, int y) Abs(RoadWaypointDto wp) => (wp.CoordX * 100 + wp.X, wp.CoordY * 100 + wp.Y);
+
+        var first = Abs(waypoints[0]);
+        var last = Abs(waypoints[^1]);
+        // A road drawn in the other direction is still the same road
+        return (first == points[0] && last == points[^1]) || (first == points[^1] && last == points[0]);
+    }
+
+    /// <summary>
+    /// Absolute position (plus the import offset) to grid + position within the grid
+    /// </summary>
+    private (int coordX, int coordY, int x, int y) ToGridPosition(AnnotationPoint point)
+    {
+        var absX = point.X + annotationOffsetGridX * 100;
+        var absY = point.Y + annotationOffsetGridY * 100;
+        var coordX = (int)Math.Floor(absX / 100.0);
+        var coordY = (int)Math.Floor(absY / 100.0);
+        return (coordX, coordY, absX - coordX * 100, absY - coordY * 100);
+    }
+
+    /// <summary>
+    /// Icons from other servers or tools may not be whitelisted here; fall back to the first available one
+    /// </summary>
+    private static string ResolveImportIcon(string icon, List<string> icons) =>
+        icons.Contains(icon) ? icon : icons.FirstOrDefault() ?? icon;
+
+    private static string Truncate(string value, int maxLength) =>
+        value.Length <= maxLength ? value : value[..maxLength];
+
+    #endregion
+
+    #region Watch Zone Handlers
+
+    private async Task ToggleWatchZonePanel()
+    {
+        if (showWatchZonePanel)
+        {
+            await CloseWatchZonePanel();
+            return;
+        }
+
+        if (showOfflineAreaPanel)
+        {
+            await CloseOfflineAreaPanel();
+        }
+        if (showAnnotationTransferPanel)
+        {
+            await CloseAnnotationTransferPanel();
+        }
+        if (showSketchPanel)
+        {
+            await CloseSketchPanel();
+        }
+
+        showWatchZonePanel = true;
+        await RefreshWatchZonesAsync();
+        await InvokeAsync(StateHasChanged);
+    }
+
+    /// <summary>
+    /// Closing the panel only stops drawing - zones keep watching in the background
+    /// </summary>
+    private async Task CloseWatchZonePanel()
+    {
+        showWatchZonePanel = false;
+        await HandleCancelWatchZoneDrawing();
+    }
+
+    private async Task HandleStartWatchZoneDrawing(string shape)
+    {
+        if (MapNavigation.CurrentMapId <= 0) return;
+
+        watchZoneDrawingShape = shape;
+        leafletModule ??= await JS.InvokeAsync<IJSObjectReference>("import", $"./js/leaflet-interop.js{JsVersion}");
+        await leafletModule.InvokeVoidAsync("startWatchZoneDrawing", shape);
+        await InvokeAsync(StateHasChanged);
+    }
+
+    private async Task HandleCancelWatchZoneDrawing()
+    {
+        watchZoneDrawingShape = null;
+
+        try
+        {
+            leafletModule ??= await JS.InvokeAsync<IJSObjectReference>("import", $"./js/leaflet-interop.js{JsVersion}");
+            await leafletModule.InvokeVoidAsync("cancelWatchZoneDrawing");
+        }
+        catch (Exception ex)
+        {
+            Logger.LogWarning(ex, "Error cancelling watch zone drawing");
+        }
+
+        await InvokeAsync(StateHasChanged);
+    }
+
+    private async Task HandleWatchZoneCreated(WatchZone zone)
+    {
+        watchZoneDrawingShape = null;
+        await RefreshWatchZonesAsync();
+        Snackbar.Add($"Watch zone \"{zone.Name}\" created", Severity.Success);
+        await InvokeAsync(StateHasChanged);
+    }
+
+    private async Task HandleWatchZoneDrawingCancelled()
+    {
+        watchZoneDrawingShape = null;
+        await InvokeAsync(StateHasChanged);
+    }
+
+    /// <summary>
+    /// Refresh the panel's "last alert" times
+    /// </summary>
+    private async Task HandleWatchZoneAlert(string zoneId)
+    {
+        if (!showWatchZonePanel) return;
+        await RefreshWatchZonesAsync();
+        await InvokeAsync(StateHasChanged);
+    }
+
+    private async Task HandleUpdateWatchZone((WatchZone zone, WatchZoneChanges changes) update)
+    {
+        try
+        {
+            leafletModule ??= await JS.InvokeAsync<IJSObjectReference>("import", $"./js/leaflet-interop.js{JsVersion}");
+            await leafletModule.InvokeAsync<WatchZone?>("updateWatchZone", update.zone.Id, update.changes);
+            await RefreshWatchZonesAsync();
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error updating watch zone {ZoneId}", update.zone.Id);
+        }
+
+        await InvokeAsync(StateHasChanged);
+    }
+
+    private async Task HandleDeleteWatchZone(WatchZone zone)
+    {
+        try
+        {
+            leafletModule ??= await JS.InvokeAsync<IJSObjectReference>("import", $"./js/leaflet-interop.js{JsVersion}");
+            await leafletModule.InvokeAsync<bool>("deleteWatchZone", zone.Id);
+            await RefreshWatchZonesAsync();
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error deleting watch zone {ZoneId}", zone.Id);
+        }
+
+        await InvokeAsync(StateHasChanged);
+    }
+
+    private async Task HandleJumpToWatchZone(WatchZone zone)
+    {
+        try
+        {
+            leafletModule ??= await JS.InvokeAsync<IJSObjectReference>("import", $"./js/leaflet-interop.js{JsVersion}");
+            await leafletModule.InvokeAsync<bool>("jumpToWatchZone", zone.Id);
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error jumping to watch zone {ZoneId}", zone.Id);
+        }
+    }
+
+    private async Task RefreshWatchZonesAsync()
+    {
+        if (!showWatchZonePanel) return;
+
+        try
+        {
+            leafletModule ??= await JS.InvokeAsync<IJSObjectReference>("import", $"./js/leaflet-interop.js{JsVersion}");
+            watchZones = await leafletModule.InvokeAsync<List<WatchZone>>("listWatchZones", MapNavigation.CurrentMapId) ?? new();
+        }
+        catch (Exception ex)
+        {
+            Logger.LogWarning(ex, "Error loading watch zones");
+            watchZones = new();
+        }
+    }
+
+    #endregion
+
+    #region Sketch Handlers
+
+    private async Task ToggleSketchPanel()
+    {
+        if (showSketchPanel)
+        {
+            await CloseSketchPanel();
+            return;
+        }
+
+        if (showOfflineAreaPanel)
+        {
+            await CloseOfflineAreaPanel();
+        }
+        if (showAnnotationTransferPanel)
+        {
+            await CloseAnnotationTransferPanel();
+        }
+        if (showWatchZonePanel)
+        {
+            await CloseWatchZonePanel();
+        }
+
+        showSketchPanel = true;
+        await InvokeAsync(StateHasChanged);
+    }
+
+    /// <summary>
+    /// Closing the panel leaves the tool - the sketches stay on the map
+    /// </summary>
+    private async Task CloseSketchPanel()
+    {
+        showSketchPanel = false;
+        await HandleSelectSketchTool(null);
+    }
+
+    private async Task HandleStartSketchFromMenu()
+    {
+        HideAllContextMenus();
+        if (!showSketchPanel)
+        {
+            await ToggleSketchPanel();
+        }
+        await HandleSelectSketchTool(SketchPanel.ToolPen);
+    }
+
+    /// <summary>
+    /// Start a sketch tool on the map, or leave the active one (null)
+    /// </summary>
+    private async Task HandleSelectSketchTool(string? tool)
+    {
+        if (tool != null && MapNavigation.CurrentMapId <= 0) return;
+
+        sketchTool = tool;
+        try
+        {
+            leafletModule ??= await JS.InvokeAsync<IJSObjectReference>("import", $"./js/leaflet-interop.js{JsVersion}");
+            if (tool != null)
+            {
+                await leafletModule.InvokeVoidAsync("startSketching", tool, GetSketchOptions());
+            }
+            else
+            {
+                await leafletModule.InvokeVoidAsync("stopSketching");
+            }
+        }
+        catch (Exception ex)
+        {
+            Logger.LogWarning(ex, "Error switching sketch tool to {Tool}", tool);
+        }
+
+        await InvokeAsync(StateHasChanged);
+    }
+
+    private Task HandleSketchColorChanged(string color)
+    {
+        sketchColor = color;
+        return ApplySketchOptionsAsync();
+    }
+
+    private Task HandleSketchWidthChanged(int width)
+    {
+        sketchWidth = width;
+        return ApplySketchOptionsAsync();
+    }
+
+    private Task HandleSketchExpiresInMinutesChanged(int? minutes)
+    {
+        sketchExpiresInMinutes = minutes;
+        return ApplySketchOptionsAsync();
+    }
+
+    private object GetSketchOptions() => new
+    {
+        color = sketchColor,
+        width = sketchWidth,
+        expiresInMinutes = sketchExpiresInMinutes
+    };
+
+    private async Task ApplySketchOptionsAsync()
+    {
+        if (sketchTool != null)
+        {
+            try
+            {
+                leafletModule ??= await JS.InvokeAsync<IJSObjectReference>("import", $"./js/leaflet-interop.js{JsVersion}");
+                await leafletModule.InvokeVoidAsync("setSketchOptions", GetSketchOptions());
+            }
+            catch (Exception ex)
+            {
+                Logger.LogWarning(ex, "Error updating sketch options");
+            }
+        }
+
+        await InvokeAsync(StateHasChanged);
+    }
+
+    /// <summary>
+    /// The tool was left on the map with Esc
+    /// </summary>
+    private async Task HandleSketchToolStopped()
+    {
+        sketchTool = null;
+        await InvokeAsync(StateHasChanged);
+    }
+
+    /// <summary>
+    /// Post a finished sketch. Delivered through the JS outbox, so the idempotency key makes a
+    /// replay after a lost reply safe. The faded preview is replaced by the saved sketch (or
+    /// dropped when the server refuses it); everyone else gets it through the sketchCreated event.
+    /// </summary>
+    private async Task HandleSketchComplete((int mapId, CreateSketchDto sketch, string? idempotencyKey) data)
+    {
+        var (mapId, sketch, idempotencyKey) = data;
+        SketchViewDto? created = null;
+
+        try
+        {
+            sketch.MapId = mapId;
+            var client = HttpClientFactory.CreateClient("API");
+            using var request = new HttpRequestMessage(HttpMethod.Post, "/map/api/v1/sketches")
+            {
+                Content = JsonContent.Create(sketch, options: CamelCaseJsonOptions)
+            };
+            if (!string.IsNullOrEmpty(idempotencyKey))
+            {
+                request.Headers.Add(IdempotencyConstants.HeaderName, idempotencyKey);
+            }
+            var response = await client.SendAsync(request);
+
+            if (response.IsSuccessStatusCode)
+            {
+                created = await response.Content.ReadFromJsonAsync<SketchViewDto>(CamelCaseJsonOptions);
+            }
+            else if (response.StatusCode == System.Net.HttpStatusCode.TooManyRequests)
+            {
+                Snackbar.Add($"You have reached the maximum of {SketchConstants.MaxActivePerUserPerMap} sketches on this map. Erase some first.", Severity.Warning);
+            }
+            else if (response.StatusCode == System.Net.HttpStatusCode.Forbidden)
+            {
+                Snackbar.Add("You don't have permission to sketch on this map", Severity.Error);
+            }
+            else
+            {
+                var responseBody = await response.Content.ReadAsStringAsync();
+                Logger.LogWarning("Failed to create sketch: Status={StatusCode}, Response={ResponseBody}", response.StatusCode, responseBody);
+                Snackbar.Add("Failed to save sketch", Severity.Error);
+            }
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error creating sketch on map {MapId}", mapId);
+            Snackbar.Add("Error saving sketch", Severity.Error);
+        }
+
+        if (string.IsNullOrEmpty(idempotencyKey)) return;
+        try
+        {
+            leafletModule ??= await JS.InvokeAsync<IJSObjectReference>("import", $"./js/leaflet-interop.js{JsVersion}");
+            await leafletModule.InvokeVoidAsync("resolvePendingSketch", idempotencyKey, created);
+        }
+        catch (Exception ex)
+        {
+            Logger.LogWarning(ex, "Error resolving pending sketch");
+        }
+    }
+
+    private async Task HandleSketchEraseRequested(int sketchId)
+    {
+        try
+        {
+            var client = HttpClientFactory.CreateClient("API");
+            var response = await client.DeleteAsync($"/map/api/v1/sketches/{sketchId}");
+
+            // Gone already (expired or erased by someone else) counts as erased
+            if (response.IsSuccessStatusCode || response.StatusCode == System.Net.HttpStatusCode.NotFound)
+            {
+                leafletModule ??= await JS.InvokeAsync<IJSObjectReference>("import", $"./js/leaflet-interop.js{JsVersion}");
+                await leafletModule.InvokeVoidAsync("removeSketch", sketchId);
+            }
+            else if (response.StatusCode == System.Net.HttpStatusCode.Forbidden)
+            {
+                Snackbar.Add("You can only erase your own sketches", Severity.Warning);
+            }
+            else
+            {
+                Snackbar.Add("Failed to erase sketch", Severity.Error);
+            }
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error erasing sketch {SketchId}", sketchId);
+            Snackbar.Add("Error erasing sketch", Severity.Error);
+        }
+    }
+
+    private async Task HandleClearMySketches()
+    {
+        var mapId = MapNavigation.CurrentMapId;
+        if (mapId <= 0) return;
+
+        try
+        {
+            var client = HttpClientFactory.CreateClient("API");
+            var response = await client.DeleteAsync($"/map/api/v1/sketches?mapId={mapId}");
+
+            if (response.IsSuccessStatusCode)
+            {
+                var result = await response.Content.ReadFromJsonAsync<ClearSketchesResult>(CamelCaseJsonOptions);
+                Snackbar.Add(result?.Deleted > 0 ? $"Erased {result.Deleted} sketch(es)" : "You have no sketches on this map", Severity.Info);
+                await RefreshSketchesAsync();
+            }
+            else
+            {
+                Snackbar.Add("Failed to clear sketches", Severity.Error);
+            }
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error clearing sketches on map {MapId}", mapId);
+            Snackbar.Add("Error clearing sketches", Severity.Error);
+        }
+    }
+
+    private async Task RefreshSketchesAsync()
+    {
+        try
+        {
+            var mapId = MapNavigation.CurrentMapId;
+            if (mapId <= 0) return;
+
+            var httpClient = HttpClientFactory.CreateClient("API");
+            var response = await httpClient.GetAsync($"/map/api/v1/sketches?mapId={mapId}");
+
+            if (response.IsSuccessStatusCode)
+            {
+                var sketches = await response.Content.ReadFromJsonAsync<List<SketchViewDto>>(CamelCaseJsonOptions) ?? new();
+                leafletModule ??= await JS.InvokeAsync<IJSObjectReference>("import", $"./js/leaflet-interop.js{JsVersion}");
+                await leafletModule.InvokeVoidAsync("setSketches", sketches);
+            }
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error refreshing sketches");
+        }
+    }
+
+    private sealed class ClearSketchesResult
+    {
+        public int Deleted { get; set; }
+    }
+
+    #endregion
+
+    #region Overlay Helpers
+
+    /// <summary>
+    /// Handles overlay data requests from JavaScript overlay layer via MapView callback.
+    /// Fetches data from API via MapDataService and returns it to JS.
+    /// </summary>
+    private async Task HandleRequestOverlays((int mapId, string coords) request)
+    {
+        try
+        {
+            Logger.LogDebug("HandleRequestOverlays: Received request for map {MapId}, coords: {Coords}", request.mapId, request.coords);
+
+            // Fetch overlay data from API via MapDataService (server-to-server)
+            var overlays = await MapData.GetOverlaysAsync(request.mapId, request.coords);
+
+            Logger.LogDebug("HandleRequestOverlays: Got {Count} overlays, sending to JS", overlays.Count);
+
+            // Send overlay data back to JavaScript via MapView
+            if (mapView != null)
+            {
+                await mapView.SetOverlayDataAsync(request.mapId, overlays);
+            }
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error fetching overlay data for map {MapId}", request.mapId);
+        }
+    }
+
+    #endregion
+
+    #region Timer Helpers
+
+    /// <summary>
+    /// Handles timer created events from SSE
+    /// </summary>
+    [JSInvokable]
+    public async Task OnTimerCreated(TimerDto timer)
+    {
+        try
+        {
+            Logger.LogInformation("OnTimerCreated: Received timer {TimerId} ({Title})", timer.Id, timer.Title);
+
+            // Create new list reference to force Blazor change detection
+            var newList = new List<TimerDto>(allTimers);
+
+            // Add if not exists
+            if (!newList.Any(t => t.Id == timer.Id))
+            {
+                newList.Add(timer);
+                allTimers = newList; // Update reference
+                Logger.LogInformation("OnTimerCreated: Added timer {TimerId} to list", timer.Id);
+            }
+            else
+            {
+                Logger.LogWarning("OnTimerCreated: Timer {TimerId} already exists, ignoring", timer.Id);
+            }
+
+            // Refresh markers/custom markers
+            await RefreshTimerVisualsAsync();
+
+            await InvokeAsync(StateHasChanged);
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error handling timer created event");
+        }
+    }
+
+    /// <summary>
+    /// Handles timer updated events from SSE
+    /// </summary>
+    [JSInvokable]
+    public async Task OnTimerUpdated(TimerDto timer)
+    {
+        try
+        {
+            Logger.LogInformation("OnTimerUpdated: Received timer {TimerId} ({Title})", timer.Id, timer.Title);
+
+            // Create new list reference
+            var newList = new List<TimerDto>(allTimers);
+            var existing = newList.FirstOrDefault(t => t.Id == timer.Id);
+            
+            if (existing != null)
+            {
+                newList.Remove(existing);
+                newList.Add(timer);
+                allTimers = newList; // Update reference
+                Logger.LogInformation("OnTimerUpdated: Updated timer {TimerId} in list", timer.Id);
+            }
+            else
+            {
+                newList.Add(timer);
+                allTimers = newList; // Update reference
+                Logger.LogInformation("OnTimerUpdated: Added new timer {TimerId} (was missing)", timer.Id);
+            }
+            
+            // Refresh markers/custom markers
+            await RefreshTimerVisualsAsync();
+            
+            await InvokeAsync(StateHasChanged);
+        }
+        catch (Exception ex)
+        {
+            Logger.LogError(ex, "Error handling timer updated event");
+        }
+    }
+
+    /// <summary>
+    /// Handles timer completed events from SSE
+    /// </summary>
+    [JSInvokable]
+    public async Task OnTimerCompleted(TimerDto timer)
+    {
+        try
+        {
+            Logger.LogInformation("OnTimerCompleted: Received timer {TimerId} ({Title})", timer.Id, timer.Title);
+
+            // Create new list reference
+            var newList = new List<TimerDto>(allTimers);
+            var existing = newList.FirstOrDefault(t => t.Id == timer.Id);
+            
+            if (existing != null)
+            {
                 // We need to replace the object to ensure property changes are detected if binding directly
                 newList.Remove(existing);
                 
@@ -3839,7 +5663,9 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
         // Update resource markers
         if (LayerVisibility.ShowMarkers)
         {
-            var markersToUpdate = MarkerState.AllMarkers.Where(m => 
+            // Include markers still showing a timer that was deleted meanwhile
+            var markersToUpdate = MarkerState.AllMarkers.Where(m =>
+                m.TimerId != null ||
                 allTimers.Any(t => t.Type == "Marker" && t.MarkerId == m.Id)).ToList();
             
             if (markersToUpdate.Any())
@@ -3855,7 +5681,8 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
         // Update custom markers
         if (LayerVisibility.ShowCustomMarkers)
         {
-            var customMarkersToUpdate = allCustomMarkers.Where(cm => 
+            var customMarkersToUpdate = allCustomMarkers.Where(cm =>
+                cm.TimerId != null ||
                 allTimers.Any(t => t.Type == "CustomMarker" && t.CustomMarkerId == cm.Id)).ToList();
                 
             if (customMarkersToUpdate.Any())
@@ -3870,7 +5697,8 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
     }
 
     /// <summary>
-    /// Enriches markers with timer countdown text for display on map
+    /// Enriches markers with their timer for display on map. The map counts down from
+    /// TimerReadyAt itself; TimerText is only the initial badge text.
     /// </summary>
     private void EnrichMarkersWithTimerData(IEnumerable<MarkerModel> markers)
     {
@@ -3878,27 +5706,19 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
 
         foreach (var marker in markers)
         {
-            // Find timer for this marker
-            var timer = allTimers.FirstOrDefault(t =>
-                t.Type == "Marker" &&
-                t.MarkerId == marker.Id &&
-                !t.IsCompleted &&
-                t.ReadyAt > now);
+            var timer = FindMarkerTimer(t => t.Type == "Marker" && t.MarkerId == marker.Id);
 
-            if (timer != null)
-            {
-                var remaining = timer.ReadyAt - now;
-                marker.TimerText = FormatTimerCountdown(remaining);
-            }
-            else
-            {
-                marker.TimerText = null;
-            }
+            marker.TimerId = timer?.Id;
+            marker.TimerReadyAt = timer != null ? ToUnixMilliseconds(timer.ReadyAt) : null;
+            marker.TimerCompleted = timer?.IsCompleted ?? false;
+            marker.TimerText = timer != null
+                ? FormatTimerCountdown(timer.IsCompleted ? TimeSpan.Zero : timer.ReadyAt - now)
+                : null;
         }
     }
 
     /// <summary>
-    /// Enriches custom markers with timer countdown text for display on map
+    /// Enriches custom markers with their timer for display on map (see EnrichMarkersWithTimerData)
     /// </summary>
     private void EnrichCustomMarkersWithTimerData(IEnumerable<CustomMarkerViewModel> customMarkers)
     {
@@ -3906,32 +5726,47 @@ public partial class Map : IAsyncDisposable, IBrowserViewportObserver
 
         foreach (var customMarker in customMarkers)
         {
-            // Find timer for this custom marker
-            var timer = allTimers.FirstOrDefault(t =>
-                t.Type == "CustomMarker" &&
-                t.CustomMarkerId == customMarker.Id &&
-                !t.IsCompleted &&
-                t.ReadyAt > now);
+            var timer = FindMarkerTimer(t => t.Type == "CustomMarker" && t.CustomMarkerId == customMarker.Id);
 
-            if (timer != null)
-            {
-                var remaining = timer.ReadyAt - now;
-                customMarker.TimerText = FormatTimerCountdown(remaining);
-            }
-            else
-            {
-                customMarker.TimerText = null;
-            }
+            customMarker.TimerId = timer?.Id;
+            customMarker.TimerReadyAt = timer != null ? ToUnixMilliseconds(timer.ReadyAt) : null;
+            customMarker.TimerCompleted = timer?.IsCompleted ?? false;
+            customMarker.TimerText = timer != null
+                ? FormatTimerCountdown(timer.IsCompleted ? TimeSpan.Zero : timer.ReadyAt - now)
+                : null;
         }
     }
 
     /// <summary>
-    /// Formats a timespan into a compact countdown string (e.g., "2h 15m", "45m", "30s")
+    /// The timer a marker shows: the next one still running, otherwise one that completed while
+    /// the page was open (shown as READY until it is deleted; completed timers aren't loaded)
+    /// </summary>
+    private TimerDto? FindMarkerTimer(Func<TimerDto, bool> belongsToMarker)
+    {
+        return allTimers
+            .Where(belongsToMarker)
+            .OrderBy(t => t.IsCompleted)
+            .ThenBy(t => t.ReadyAt)
+            .FirstOrDefault();
+    }
+
+    /// <summary>
+    /// Timer timestamps are UTC; JSON without an offset deserializes as Unspecified
+    /// </summary>
+    private static long ToUnixMilliseconds(DateTime utc)
+    {
+        var asUtc = utc.Kind == DateTimeKind.Local ? utc.ToUniversalTime() : DateTime.SpecifyKind(utc, DateTimeKind.Utc);
+        return new DateTimeOffset(asUtc).ToUnixTimeMilliseconds();
+    }
+
+    /// <summary>
+    /// Formats a timespan into a compact countdown string (e.g., "2h 15m", "45m", "30s").
+    /// Matches formatCountdown in marker-timers.js, which takes over on the map.
     /// </summary>
     private string FormatTimerCountdown(TimeSpan remaining)
     {
         if (remaining.TotalSeconds <= 0)
-            return "Ready!";
+            return "READY";
 
         if (remaining.TotalDays >= 1)
             return $"{(int)remaining.TotalDays}d {remaining.Hours}h";
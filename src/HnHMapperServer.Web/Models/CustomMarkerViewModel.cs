@@ -80,6 +80,21 @@ public class CustomMarkerViewModel
     /// </summary>
     public string? TimerText { get; set; }
 
+    /// <summary>
+    /// ID of the timer attached to this marker
+    /// </summary>
+    public int? TimerId { get; set; }
+
+    /// <summary>
+    /// When the attached timer is ready (Unix milliseconds); the map counts down from this live
+    /// </summary>
+    public long? TimerReadyAt { get; set; }
+
+    /// <summary>
+    /// Whether the attached timer has completed (shown as READY)
+    /// </summary>
+    public bool TimerCompleted { get; set; }
+
     /// <summary>
     /// Get relative time string (e.g., "2 hours ago")
     /// </summary>
@@ -0,0 +1,124 @@
+using System.Text.Json.Serialization;
+
+namespace HnHMapperServer.Web.Models;
+
+/// <summary>
+/// Region and layers to render into an exported map image (see map-export.js)
+/// </summary>
+public class MapExportOptions
+{
+    /// <summary>
+    /// Largest width or height of an exported image (matches MAX_EXPORT_DIMENSION in map-export.js)
+    /// </summary>
+    public const int MaxDimension = 16384;
+
+    /// <summary>
+    /// Largest pixel count of an exported image (matches MAX_EXPORT_PIXELS in map-export.js)
+    /// </summary>
+    public const long MaxPixels = 64L * 1024 * 1024;
+
+    [JsonPropertyName("gridMinX")]
+    public int GridMinX { get; set; }
+
+    [JsonPropertyName("gridMinY")]
+    public int GridMinY { get; set; }
+
+    [JsonPropertyName("gridMaxX")]
+    public int GridMaxX { get; set; }
+
+    [JsonPropertyName("gridMaxY")]
+    public int GridMaxY { get; set; }
+
+    /// <summary>
+    /// Leaflet zoom level (1 = most zoomed out, 7 = full detail)
+    /// </summary>
+    [JsonPropertyName("zoom")]
+    public int Zoom { get; set; } = 7;
+
+    /// <summary>
+    /// "png" or "webp"
+    /// </summary>
+    [JsonPropertyName("format")]
+    public string Format { get; set; } = "png";
+
+    [JsonPropertyName("includeOverlays")]
+    public bool IncludeOverlays { get; set; }
+
+    [JsonPropertyName("includeRoads")]
+    public bool IncludeRoads { get; set; } = true;
+
+    [JsonPropertyName("includeMarkers")]
+    public bool IncludeMarkers { get; set; } = true;
+
+    /// <summary>
+    /// Output pixels per 100x100 game grid at the selected zoom
+    /// </summary>
+    [JsonIgnore]
+    public double PixelsPerGrid => 100.0 / Math.Pow(2, 7 - Zoom);
+
+    [JsonIgnore]
+    public int Width => (int)Math.Ceiling((Math.Abs(GridMaxX - GridMinX) + 1) * PixelsPerGrid);
+
+    [JsonIgnore]
+    public int Height => (int)Math.Ceiling((Math.Abs(GridMaxY - GridMinY) + 1) * PixelsPerGrid);
+
+    [JsonIgnore]
+    public bool IsTooLarge => Width > MaxDimension || Height > MaxDimension || (long)Width * Height > MaxPixels;
+}
+
+/// <summary>
+/// Export progress reported by map-export.js
+/// </summary>
+public class MapExportProgress
+{
+    /// <summary>
+    /// tiles, overlays, roads, markers or encoding
+    /// </summary>
+    [JsonPropertyName("phase")]
+    public string Phase { get; set; } = string.Empty;
+
+    [JsonPropertyName("completed")]
+    public int Completed { get; set; }
+
+    [JsonPropertyName("total")]
+    public int Total { get; set; }
+}
+
+/// <summary>
+/// Result of an export; the image has already been downloaded when Success is true
+/// </summary>
+public class MapExportResult
+{
+    [JsonPropertyName("success")]
+    public bool Success { get; set; }
+
+    [JsonPropertyName("cancelled")]
+    public bool Cancelled { get; set; }
+
+    [JsonPropertyName("fileName")]
+    public string? FileName { get; set; }
+
+    [JsonPropertyName("width")]
+    public int Width { get; set; }
+
+    [JsonPropertyName("height")]
+    public int Height { get; set; }
+
+    [JsonPropertyName("bytes")]
+    public long Bytes { get; set; }
+
+    /// <summary>
+    /// Tiles that failed or don't exist (left transparent in the image)
+    /// </summary>
+    [JsonPropertyName("missingTiles")]
+    public int MissingTiles { get; set; }
+
+    /// <summary>
+    /// Overlay grids whose data did not arrive in time (drawn without overlays)
+    /// </summary>
+    [JsonPropertyName("missingOverlays")]
+    public int MissingOverlays { get; set; }
+
+    [JsonPropertyName("error")]
+    public string? Error { get; set; }
+}
@@ -29,6 +29,9 @@ public class MarkerModel
     public long MaxReady { get; set; } = -1;
     public bool Ready { get; set; }
     public string? TimerText { get; set; } // Timer countdown text for display on map
+    public int? TimerId { get; set; }
+    public long? TimerReadyAt { get; set; } // Unix ms; the map counts down from this live
+    public bool TimerCompleted { get; set; }
 
     public string Type
     {
@@ -0,0 +1,57 @@
+namespace HnHMapperServer.Web.Models;
+
+/// <summary>
+/// User-defined rule that highlights matching game markers on the map (glow, label, filter).
+/// Stored per user on the server (/map/api/v1/highlight-rules) and applied by marker-manager.js.
+/// </summary>
+public class MarkerHighlightRule
+{
+    public const string MatchByType = "type";
+    public const string MatchByImage = "image";
+    public const string MatchByName = "name";
+
+    public const string LabelHover = "hover";
+    public const string LabelPermanent = "permanent";
+
+    /// <summary>
+    /// Stable rule ID (markers remember which rule styled them)
+    /// </summary>
+    public string Id { get; set; } = Guid.NewGuid().ToString("N");
+
+    /// <summary>
+    /// Display name in the rules dialog
+    /// </summary>
+    public string Name { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Whether the rule is applied
+    /// </summary>
+    public bool Enabled { get; set; } = true;
+
+    /// <summary>
+    /// Marker field the pattern is matched against: type, image or name
+    /// </summary>
+    public string MatchBy { get; set; } = MatchByType;
+
+    /// <summary>
+    /// Case-insensitive pattern; * matches anything. Name patterns without * match anywhere in the name.
+    /// </summary>
+    public string Pattern { get; set; } = string.Empty;
+
+    /// <summary>
+    /// Glow and label color (#rrggbb)
+    /// </summary>
+    public string Color { get; set; } = "#ffd54f";
+
+    /// <summary>
+    /// hover (name on hover, as usual) or permanent (name always shown in the rule color)
+    /// </summary>
+    public string LabelStyle { get; set; } = LabelHover;
+
+    /// <summary>
+    /// Hide every marker that no "show only" rule matches
+    /// </summary>
+    public bool ShowOnlyMatching { get; set; }
+
+    public MarkerHighlightRule Clone() => (MarkerHighlightRule)MemberwiseClone();
+}
@@ -11,6 +11,8 @@ public class PingEventModel
     public int CoordY { get; set; }
     public int X { get; set; }
     public int Y { get; set; }
+    public string Type { get; set; } = "default";
+    public string? Message { get; set; }
     public string CreatedBy { get; set; } = string.Empty;
     public DateTime CreatedAt { get; set; }
     public DateTime ExpiresAt { get; set; }
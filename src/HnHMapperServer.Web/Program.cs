@@ -352,6 +352,20 @@ builder.Services.AddHttpClient("APIUpload", client =>
 })
 .AddHttpMessageHandler<HnHMapperServer.Web.Services.AuthenticationDelegatingHandler>();
 
+// WebSocket client for the /map/ws proxy - no resilience handler (an upgraded connection can't be
+// retried) and no timeout (the socket lives as long as the map page)
+builder.Services.AddHttpClient("APIWebSocket", client =>
+{
+    client.BaseAddress = new Uri(apiBaseUrl);
+    client.Timeout = Timeout.InfiniteTimeSpan;
+})
+.ConfigurePrimaryHttpMessageHandler(() => new SocketsHttpHandler
+{
+    AllowAutoRedirect = false,
+    UseCookies = false
+})
+.AddHttpMessageHandler<HnHMapperServer.Web.Services.AuthenticationDelegatingHandler>();
+
 // Add cascading authentication state
 builder.Services.AddCascadingAuthenticationState();
 
@@ -435,6 +449,9 @@ app.UseAntiforgery();
 // Enable output caching for tile endpoints
 app.UseOutputCache();
 
+// Needed for the /map/ws proxy below (Blazor's own socket is handled by SignalR)
+app.UseWebSockets();
+
 // SSE proxy endpoint - forwards browser EventSource requests to API service
 // This is needed because browsers can't use Aspire service discovery
 app.MapGet("/map/updates", async (HttpContext context, IHttpClientFactory httpClientFactory, ILogger<Program> logger) =>
@@ -478,6 +495,14 @@ app.MapGet("/map/updates", async (HttpContext context, IHttpClientFactory httpCl
     var request = new HttpRequestMessage(HttpMethod.Get, requestUri);
         request.Headers.Add("Accept", "text/event-stream");
 
+        // Native EventSource reconnects name their resume point only in this header; without it
+        // the API would fall back to the (stale) ?lastEventId= of the original URL
+        var lastEventId = context.Request.Headers["Last-Event-ID"].ToString();
+        if (!string.IsNullOrEmpty(lastEventId))
+        {
+            request.Headers.TryAddWithoutValidation("Last-Event-ID", lastEventId);
+        }
+
     logger.LogWarning("[SSE Proxy] Sending request to API: {RequestUri}", requestUri);
         var response = await apiClient.SendAsync(request, HttpCompletionOption.ResponseHeadersRead, context.RequestAborted);
         
@@ -519,6 +544,60 @@ app.MapGet("/map/updates", async (HttpContext context, IHttpClientFactory httpCl
     }
 }).RequireAuthorization();
 
+// Map WebSocket proxy - same role as the /map/updates SSE proxy above, for the WebSocket
+// transport. Connects to the API's /map/ws with the browser's auth cookie (added by
+// AuthenticationDelegatingHandler) and relays frames both ways. In production Caddy routes
+// this path straight to the API (@mapws).
+app.Map("/map/ws", async (HttpContext context, IHttpClientFactory httpClientFactory, ILogger<Program> logger) =>
+{
+    if (!context.WebSockets.IsWebSocketRequest)
+    {
+        return Results.BadRequest();
+    }
+
+    if (!context.User.Identity?.IsAuthenticated ?? true)
+    {
+        return Results.Unauthorized();
+    }
+
+    var hasMapAuth = context.User.Claims.Any(c =>
+        c.Type == AuthorizationConstants.ClaimTypes.TenantPermission &&
+        c.Value.Equals(Permission.Map.ToClaimValue(), StringComparison.OrdinalIgnoreCase));
+    if (!hasMapAuth)
+    {
+        return Results.Unauthorized();
+    }
+
+    var invoker = httpClientFactory.CreateClient("APIWebSocket");
+
+    // Forward the query string verbatim (since, lastEventId) - same reasoning as the SSE proxy
+    var target = new UriBuilder(new Uri(invoker.BaseAddress!, "/map/ws" + context.Request.QueryString.Value));
+    target.Scheme = target.Scheme == Uri.UriSchemeHttps ? "wss" : "ws";
+
+    using var upstream = new System.Net.WebSockets.ClientWebSocket();
+    try
+    {
+        await upstream.ConnectAsync(target.Uri, invoker, context.RequestAborted);
+    }
+    catch (Exception ex) when (ex is System.Net.WebSockets.WebSocketException or HttpRequestException)
+    {
+        logger.LogWarning("[WS Proxy] Could not connect to API: {Message}", ex.Message);
+        return Results.StatusCode(StatusCodes.Status502BadGateway);
+    }
+
+    using var browser = await context.WebSockets.AcceptWebSocketAsync();
+    try
+    {
+        await WebSocketProxy.RelayAsync(browser, upstream, context.RequestAborted);
+    }
+    catch (OperationCanceledException)
+    {
+        // Browser navigated away or closed the tab — normal
+    }
+
+    return Results.Empty;
+}).RequireAuthorization();
+
 // Notification SSE proxy - forwards the notification bell's EventSource to the API service.
 // Same mechanics as the /map/updates proxy above, but auth-only: notifications are for every
 // authenticated user, so no Map-permission check. In production Caddy routes this path straight
@@ -581,7 +660,7 @@ app.MapGet("/api/notifications/stream", async (HttpContext context, IHttpClientF
 
 // Polling proxy endpoint - forwards poll requests to API service (fallback for SSE)
 // This is needed for VPN users where SSE connections fail
-app.MapGet("/map/api/v1/poll", async (HttpContext context, IHttpClientFactory httpClientFactory, [FromQuery] long? since) =>
+app.MapGet("/map/api/v1/poll", async (HttpContext context, IHttpClientFactory httpClientFactory) =>
 {
     if (!context.User.Identity?.IsAuthenticated ?? true)
         return Results.Unauthorized();
@@ -595,7 +674,8 @@ app.MapGet("/map/api/v1/poll", async (HttpContext context, IHttpClientFactory ht
     try
     {
         var apiClient = httpClientFactory.CreateClient("API");
-        var requestUri = since.HasValue ? $"/map/api/v1/poll?since={since}" : "/map/api/v1/poll";
+        // Forward the query string verbatim (since, lastEventId), same as the SSE proxy
+        var requestUri = "/map/api/v1/poll" + (context.Request.QueryString.HasValue ? context.Request.QueryString.Value : string.Empty);
 
         // Forward auth cookie to API
         if (context.Request.Headers.TryGetValue("Cookie", out var cookie))
@@ -1148,17 +1228,18 @@ app.MapPost("/api/login", async (
     }
 }).DisableAntiforgery();
 
-// Support both GET and POST for logout (GET for navigation, POST for form submission)
+// Support both GET and POST for logout (GET for navigation, POST for form submission).
+// loggedOut=1 makes the login page clear the tiles and offline areas stored in the browser.
 app.MapGet("/api/logout", async (HttpContext context) =>
 {
     await context.SignOutAsync(IdentityConstants.ApplicationScheme);
-    return Results.Redirect("/login");
+    return Results.Redirect("/login?loggedOut=1");
 });
 
 app.MapPost("/api/logout", async (HttpContext context) =>
 {
     await context.SignOutAsync(IdentityConstants.ApplicationScheme);
-    return Results.Redirect("/login");
+    return Results.Redirect("/login?loggedOut=1");
 }).DisableAntiforgery();
 
 // Map Aspire default endpoints (health checks)
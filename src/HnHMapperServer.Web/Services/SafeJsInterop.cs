@@ -177,5 +177,39 @@ public class SafeJsInterop
             return false;
         }
     }
+
+    /// <summary>
+    /// Safely remove a value from localStorage.
+    /// </summary>
+    /// <param name="key">localStorage key</param>
+    /// <returns>True if successful, false if exception swallowed</returns>
+    public async Task<bool> RemoveLocalStorageAsync(string key)
+    {
+        try
+        {
+            await _jsRuntime.InvokeVoidAsync("localStorage.removeItem", key);
+            return true;
+        }
+        catch (TaskCanceledException)
+        {
+            _logger.LogDebug("RemoveLocalStorage: TaskCanceledException for {Key} (reconnecting)", key);
+            return false;
+        }
+        catch (JSDisconnectedException)
+        {
+            _logger.LogDebug("RemoveLocalStorage: JSDisconnectedException for {Key} (circuit lost)", key);
+            return false;
+        }
+        catch (ObjectDisposedException)
+        {
+            _logger.LogDebug("RemoveLocalStorage: ObjectDisposedException for {Key} (disposed)", key);
+            return false;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "RemoveLocalStorage: Unexpected exception for {Key}", key);
+            return false;
+        }
+    }
 }
 
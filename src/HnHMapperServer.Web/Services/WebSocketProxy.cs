@@ -0,0 +1,62 @@
+using System.Net.WebSockets;
+
+namespace HnHMapperServer.Web.Services;
+
+/// <summary>
+/// Frame-level relay between the browser's WebSocket and the API's, for the /map/ws proxy.
+/// </summary>
+public static class WebSocketProxy
+{
+    /// <summary>
+    /// Copies frames both ways until either side closes, then closes the other side with
+    /// the same status.
+    /// </summary>
+    public static async Task RelayAsync(WebSocket browser, WebSocket upstream, CancellationToken cancellationToken)
+    {
+        using var cts = CancellationTokenSource.CreateLinkedTokenSource(cancellationToken);
+
+        var toUpstream = PumpAsync(browser, upstream, cts.Token);
+        var toBrowser = PumpAsync(upstream, browser, cts.Token);
+
+        await Task.WhenAny(toUpstream, toBrowser);
+        cts.Cancel();
+
+        try
+        {
+            await Task.WhenAll(toUpstream, toBrowser);
+        }
+        catch (OperationCanceledException)
+        {
+            // The other direction was stopped on purpose
+        }
+        catch (WebSocketException)
+        {
+            // One side vanished without a close handshake
+        }
+    }
+
+    private static async Task PumpAsync(WebSocket source, WebSocket destination, CancellationToken cancellationToken)
+    {
+        var buffer = new byte[16 * 1024];
+
+        while (!cancellationToken.IsCancellationRequested)
+        {
+            var result = await source.ReceiveAsync(buffer, cancellationToken);
+
+            if (result.MessageType == WebSocketMessageType.Close)
+            {
+                if (destination.State is WebSocketState.Open or WebSocketState.CloseReceived)
+                {
+                    using var closeTimeout = new CancellationTokenSource(TimeSpan.FromSeconds(2));
+                    await destination.CloseAsync(
+                        result.CloseStatus ?? WebSocketCloseStatus.NormalClosure,
+                        result.CloseStatusDescription,
+                        closeTimeout.Token);
+                }
+                return;
+            }
+
+            await destination.SendAsync(buffer.AsMemory(0, result.Count), result.MessageType, result.EndOfMessage, cancellationToken);
+        }
+    }
+}
@@ -5,12 +5,26 @@
 import { TileSize, BaseTileSize, HnHMaxZoom, HnHMinZoom, HnHCRS } from './map/leaflet-config.js';
 import { SmartTileLayer } from './map/smart-tile-layer.js';
 import * as CharacterManager from './map/character-manager.js';
+import * as CharacterTrails from './map/character-trails.js';
+import * as FollowCamera from './map/follow-camera.js';
 import * as MarkerManager from './map/marker-manager.js';
 import * as CustomMarkerManager from './map/custom-marker-manager.js';
 import * as PingManager from './map/ping-manager.js';
+import * as PingMenu from './map/ping-menu.js';
 import * as OverlayLayer from './map/overlay-layer.js';
 import * as RoadManager from './map/road-manager.js';
+import * as SketchManager from './map/sketch-manager.js';
 import * as NavigationManager from './map/navigation-manager.js';
+import * as TileStore from './map/tile-store.js';
+import * as OfflineAreaManager from './map/offline-area-manager.js';
+import * as MapExport from './map/map-export.js';
+import * as PresenceLayer from './map/presence-layer.js';
+import * as Outbox from './map/outbox.js';
+import * as SearchPalette from './map/search-palette.js';
+import * as SafeHtml from './map/safe-html.js';
+import * as GeoJsonTransfer from './map/geojson-transfer.js';
+import * as WatchZones from './map/watch-zones.js';
+import * as OffscreenIndicators from './map/offscreen-indicators.js';
 
 // Grid Coordinate Layer
 L.GridLayer.GridCoord = L.GridLayer.extend({
@@ -50,7 +64,7 @@ let detailedMarkerLayer = null;
 let customMarkerLayer = null;
 let roadLayer = null;
 let currentMapId = 0;
-let pingKeydownHandler = null; // document-level Alt+M handler; replaced on SPA re-entry
+let pingKeydownHandler = null; // document-level Alt+M / Alt+Shift+M handler; replaced on SPA re-entry
 
 // Clustering state - create both regular and cluster layers, swap between them
 let markerClusterLayer = null;
@@ -63,6 +77,27 @@ let clusteringEnabled = true;
 let zoomDebounceTimer = null;
 const ZOOM_DEBOUNCE_MS = 1500; // 1.5 seconds
 
+/**
+ * Send a ping at a map position on the current map
+ * @param {object} latlng - Where to ping
+ * @param {string} pingType - Ping type (see PingManager.PING_TYPES)
+ * @param {string|null} message - Optional short message
+ */
+function createPingAt(latlng, pingType, message) {
+    // Convert LatLng to game coordinates (use BaseTileSize for 100x100 grid cells)
+    const point = mapInstance.project(latlng, HnHMaxZoom);
+    const coordX = Math.floor(point.x / BaseTileSize);
+    const coordY = Math.floor(point.y / BaseTileSize);
+    const localX = Math.floor(((point.x % BaseTileSize) + BaseTileSize) % BaseTileSize);
+    const localY = Math.floor(((point.y % BaseTileSize) + BaseTileSize) % BaseTileSize);
+
+    // Over the map WebSocket when it is open (Blazor only shows the result), else via the
+    // outbox so a circuit blip can't drop it
+    if (!window.mapUpdates?.createPing?.(currentMapId, coordX, coordY, localX, localY, pingType, message)) {
+        Outbox.enqueue('JsCreatePing', [currentMapId, coordX, coordY, localX, localY, pingType, message]);
+    }
+}
+
 // Safely invoke .NET methods from JS; ignore calls during Blazor reconnects
 // Handles "No interop methods registered" error that occurs during circuit initialization
 function invokeDotNetSafe(method, ...args) {
@@ -141,6 +176,8 @@ export async function initializeMap(mapElementId, dotnetReference) {
     // page is dead (black map, no interactions) until a hard refresh.
     if (mapInstance) {
         console.log('[Leaflet] Removing previous map instance (SPA re-entry)');
+        PingMenu.closePingMenu();
+        SketchManager.stopSketching();
         try {
             mapInstance.remove();
         } catch (e) {
@@ -262,6 +299,17 @@ export async function initializeMap(mapElementId, dotnetReference) {
     PingManager.initialize(mapInstance);
     RoadManager.initializeRoadManager(roadLayer, invokeDotNetSafe);
     RoadManager.setMapInstance(mapInstance);
+    SketchManager.initializeSketchManager(mapInstance, invokeDotNetSafe);
+    NavigationManager.initializeNavigation(mapInstance, invokeDotNetSafe);
+    CharacterTrails.initializeCharacterTrails(mapInstance);
+    FollowCamera.initializeFollowCamera(mapInstance, invokeDotNetSafe);
+    SearchPalette.initializeSearchPalette(mapInstance);
+    SafeHtml.handleMapLinkClicks(mapInstance);
+    OfflineAreaManager.initializeOfflineAreas(mapInstance, invokeDotNetSafe);
+    WatchZones.initializeWatchZones(mapInstance, invokeDotNetSafe);
+    OffscreenIndicators.initializeOffscreenIndicators(mapInstance);
+    PresenceLayer.initializePresenceLayer(mapInstance);
+    Outbox.initializeOutbox(() => dotnetRef, mapInstance.getContainer());
 
     // Initialize overlay layer (claims, villages, provinces)
     // Layer is visible by default with pclaim enabled (controlled by floating buttons)
@@ -269,13 +317,19 @@ export async function initializeMap(mapElementId, dotnetReference) {
 
     // Set up overlay data request callback to route through Blazor
     OverlayLayer.setRequestOverlaysCallback((mapId, coords) => {
-        invokeDotNetSafe('JsRequestOverlays', mapId, coords);
+        return invokeDotNetSafe('JsRequestOverlays', mapId, coords);
     });
 
-    // Keyboard event handler for Alt+M ping shortcut
+    // Keyboard event handler for Alt+M (plain ping) and Alt+Shift+M (typed ping menu)
     let lastMouseLatLng = null;
     mapInstance.on('mousemove', (e) => {
         lastMouseLatLng = e.latlng;
+
+        // Live cursor for other viewers (no-op unless the WebSocket transport is open)
+        if (currentMapId) {
+            const point = mapInstance.project(e.latlng, HnHMaxZoom);
+            window.mapUpdates?.shareCursor?.(currentMapId, point.x, point.y);
+        }
     });
 
     // Document-level listener must not accumulate across SPA re-entries (each stale
@@ -284,22 +338,19 @@ export async function initializeMap(mapElementId, dotnetReference) {
         document.removeEventListener('keydown', pingKeydownHandler);
     }
     pingKeydownHandler = (e) => {
-        // Alt+M creates a ping at mouse position (or map center if no mouse position)
+        // Alt+M creates a ping at mouse position (or map center if no mouse position);
+        // with Shift it opens the menu to pick a ping type and add a message first
         if (e.altKey && e.key.toLowerCase() === 'm') {
             e.preventDefault();
 
             // Use last mouse position or map center
             const latlng = lastMouseLatLng || mapInstance.getCenter();
 
-            // Convert LatLng to game coordinates (use BaseTileSize for 100x100 grid cells)
-            const point = mapInstance.project(latlng, HnHMaxZoom);
-            const coordX = Math.floor(point.x / BaseTileSize);
-            const coordY = Math.floor(point.y / BaseTileSize);
-            const localX = Math.floor(((point.x % BaseTileSize) + BaseTileSize) % BaseTileSize);
-            const localY = Math.floor(((point.y % BaseTileSize) + BaseTileSize) % BaseTileSize);
-
-            // Call Blazor to create ping
-            invokeDotNetSafe('JsCreatePing', currentMapId, coordX, coordY, localX, localY);
+            if (e.shiftKey) {
+                PingMenu.openPingMenu(mapInstance, latlng, (pingType, message) => createPingAt(latlng, pingType, message));
+            } else {
+                createPingAt(latlng, 'default', null);
+            }
         }
     };
     document.addEventListener('keydown', pingKeydownHandler);
@@ -476,8 +527,19 @@ export async function initializeMap(mapElementId, dotnetReference) {
     try {
         window.hnhMapper = window.hnhMapper || {};
         window.hnhMapper.applyTileUpdates = applyTileUpdates;
+        window.hnhMapper.purgeMapTiles = purgeMapTileCache;
+        window.hnhMapper.applyPresence = PresenceLayer.setPresence;
+        window.hnhMapper.applyCursor = PresenceLayer.updateCursor;
+        window.hnhMapper.getCurrentMapId = () => currentMapId;
+        window.hnhMapper.applyTimerEvent = applyTimerEvent;
+        window.hnhMapper.noteCustomMarkerUpdated = CustomMarkerManager.noteCustomMarkerUpdated;
+        window.hnhMapper.applySketchEvent = SketchManager.applySketchEvent;
     } catch { /* ignore - non-browser/unsupported environment */ }
 
+    // Persistent tile cache (service worker). Registration is async and optional - tiles load
+    // through the network/HTTP cache until it is active.
+    TileStore.registerTileStore();
+
     // Don't set initial view here - Blazor will call setView after changeMap
     // Setting view here would trigger tile requests for mapId=0 which doesn't exist,
     // and those "failed" tiles get cached, causing blank areas when zooming out later.
@@ -657,6 +719,11 @@ export function changeMap(mapId) {
     CustomMarkerManager.setCurrentMapId(mapId);
     OverlayLayer.setOverlayMapId(mapId);
     RoadManager.setCurrentMapId(mapId);
+    SketchManager.setCurrentMapId(mapId);
+    PresenceLayer.setCurrentMapId(mapId);
+    WatchZones.setCurrentMapId(mapId);
+    OffscreenIndicators.setCurrentMapId(mapId);
+    window.mapUpdates?.setPresenceMap?.(mapId);
 
     // Clear all markers to avoid showing markers from previous map
     CharacterManager.clearAllCharacters(mapInstance);
@@ -664,6 +731,7 @@ export function changeMap(mapId) {
     // Pings are short-lived and not map-filtered in JS — drop them so they
     // don't linger on the new map (OnPingCreated already filters new ones)
     PingManager.clearAllPings();
+    PingMenu.closePingMenu();
 
     // NEW: Use per-map cache structure instead of clearing everything
     // Initialize cache for new map if needed (but keep other maps' caches)
@@ -1058,6 +1126,19 @@ function processTileUpdateBatch() {
     processingTileUpdateQueue = false;
 }
 
+/**
+ * Apply a timer event (timerCreated/Updated/Completed/Deleted) to the marker or custom marker it
+ * belongs to. Called by map-updates.js straight from the stream, so badges update without the
+ * .NET round trip; Blazor still gets the event for its timer list.
+ * @param {string} name - Event name
+ * @param {object} timer - Timer payload; just { id } for timerDeleted
+ */
+function applyTimerEvent(name, timer) {
+    if (!mapInstance) return;
+    MarkerManager.applyTimerEvent(name, timer, mapInstance);
+    CustomMarkerManager.applyTimerEvent(name, timer, mapInstance);
+}
+
 /**
  * Apply a batch of tile updates (preferred entry point).
  *
@@ -1107,6 +1188,28 @@ export function setMapRevision(mapId, revision) {
     }
 }
 
+// Drop cached tiles for a map that no longer exists (mapDelete / merge source).
+// Layer cache state is prototype-shared, so purging through either layer covers both;
+// without a layer the persisted store is still purged.
+export function purgeMapTileCache(mapId) {
+    OfflineAreaManager.deleteOfflineAreasForMap(mapId);
+    const layer = mainLayer || overlayLayer;
+    return layer ? layer.purgeMap(mapId) : TileStore.purgeMapTiles(mapId);
+}
+
+// Persistent tile store statistics: { tiles, totalBytes, budgetBytes, maps } or null
+export function getTileCacheStats() {
+    return TileStore.getTileStoreStats();
+}
+
+export function setTileCacheBudget(bytes) {
+    return TileStore.setTileStoreBudget(bytes);
+}
+
+export function clearTileCache() {
+    return TileStore.clearTileStore();
+}
+
 // Character Management - Delegate to CharacterManager
 export function addCharacter(characterData) {
     return CharacterManager.addCharacter(characterData, mapInstance);
@@ -1146,6 +1249,40 @@ export function jumpToCharacter(characterId) {
     return CharacterManager.jumpToCharacter(characterId, mapInstance);
 }
 
+// Follow camera: keeps the view on a character until the user drags the map
+export function startFollowingCharacter(characterId) {
+    FollowCamera.startFollowing(characterId, CharacterManager.getCharacterLatLng(characterId));
+}
+
+export function stopFollowingCharacter() {
+    FollowCamera.stopFollowing();
+}
+
+export function setFollowMode(mode) {
+    return FollowCamera.setFollowMode(mode);
+}
+
+export function getFollowMode() {
+    return FollowCamera.getFollowMode();
+}
+
+// Character trails (positions are always recorded; these control what is drawn)
+export function setCharacterTrailEnabled(characterId, enabled) {
+    return CharacterTrails.setTrailEnabled(characterId, enabled);
+}
+
+export function getCharacterTrailIds() {
+    return CharacterTrails.getTrailCharacterIds();
+}
+
+export function setCharacterTrailWindow(minutes) {
+    return CharacterTrails.setTrailWindowMinutes(minutes);
+}
+
+export function getCharacterTrailWindow() {
+    return CharacterTrails.getTrailWindowMinutes();
+}
+
 // Marker Management - Delegate to MarkerManager
 export function addMarker(markerData) {
     return MarkerManager.addMarker(markerData, mapInstance);
@@ -1195,6 +1332,22 @@ export function setMarkerFilterModeEnabled(enabled) {
     return MarkerManager.setMarkerFilterModeEnabled(enabled, mapInstance);
 }
 
+export function setHighlightRules(rules) {
+    if (!mapInstance) {
+        console.warn('[LeafletInterop] Cannot set highlight rules - map not initialized');
+        return 0;
+    }
+    return MarkerManager.setHighlightRules(rules, mapInstance);
+}
+
+export function setCanvasMarkersEnabled(enabled) {
+    if (!mapInstance) {
+        console.warn('[LeafletInterop] Cannot toggle canvas markers - map not initialized');
+        return false;
+    }
+    return MarkerManager.setCanvasRendererEnabled(enabled, mapInstance);
+}
+
 export function setShowMarkersEnabled(enabled) {
     if (!mapInstance) {
         console.warn('[LeafletInterop] Cannot toggle markers visibility - map not initialized');
@@ -1322,6 +1475,16 @@ export function flushCustomMarkerQueue() {
     return CustomMarkerManager.flushCustomMarkerQueue(mapInstance);
 }
 
+/**
+ * Toggle custom marker edit mode (drag to move, click for the inline title/icon editor)
+ * @param {boolean} enabled
+ * @param {string[]} icons - Allowed icon paths for the editor
+ * @returns {boolean} - The new state
+ */
+export function setCustomMarkerEditMode(enabled, icons) {
+    return CustomMarkerManager.setCustomMarkerEditMode(enabled, icons);
+}
+
 // Ping functions
 export function onPingCreated(pingData) {
     console.log('[leaflet-interop] onPingCreated called with:', pingData);
@@ -1468,35 +1631,215 @@ export function finishDrawingRoadFromMenu() {
     return RoadManager.finishDrawingRoad(mapInstance);
 }
 
+// ============ Sketch Functions ============
+
+export function setSketches(sketches) {
+    SketchManager.setSketches(sketches);
+}
+
+export function addSketch(sketch) {
+    SketchManager.addSketch(sketch);
+}
+
+export function removeSketch(sketchId) {
+    SketchManager.removeSketch(sketchId);
+}
+
+// Pick a tool ('pen', 'arrow', 'text', 'erase'); finished sketches arrive via JsOnSketchComplete
+export function startSketching(tool, options) {
+    SketchManager.startSketching(tool, options);
+}
+
+export function setSketchOptions(options) {
+    SketchManager.setSketchOptions(options);
+}
+
+export function stopSketching() {
+    SketchManager.stopSketching();
+}
+
+export function resolvePendingSketch(key, sketch) {
+    SketchManager.resolvePendingSketch(key, sketch);
+}
+
+// ============ Outbox Functions ============
+
+/**
+ * Deliver queued pings/road drawings/sketches now (Blazor calls this when the circuit is back)
+ */
+export function flushOutbox() {
+    Outbox.flush();
+}
+
 // ============ Navigation Functions ============
 
-export function findRoute(startPoint, endPoint) {
-    const roads = RoadManager.getAllRoadsData();
-    console.log('[Navigation] findRoute called', { startPoint, endPoint, roadsCount: roads.length });
-    if (roads.length === 0) {
-        console.warn('[Navigation] No roads available from getAllRoadsData()');
+export async function findRoute(startPoint, endPoint, options) {
+    const useThingwalls = options?.useThingwalls === true;
+    if (RoadManager.getAllRoadsData().length === 0 && !useThingwalls) {
         return { roads: [], totalDistance: 0, segments: [], error: 'No roads loaded on current map' };
     }
-    if (roads.length > 0) {
-        console.log('[Navigation] First road sample:', roads[0]);
+    const result = await NavigationManager.findRoute(startPoint, endPoint, { useThingwalls });
+    if (result.success) {
+        // Start tracking "my character" along the new route and hand Blazor the turn-by-turn steps
+        NavigationManager.setCurrentRoute(result);
+        result.itinerary = NavigationManager.getRouteItinerary();
+        OffscreenIndicators.setRouteDestination(result.end, currentMapId);
     }
-    const result = NavigationManager.findRoute(startPoint, endPoint, roads);
-    console.log('[Navigation] Result:', result);
     return result;
 }
 
-export function highlightRoute(roadIds, startPoint, endPoint) {
-    return RoadManager.highlightRoute(roadIds, startPoint, endPoint, mapInstance);
+export function highlightRoute(roadIds, startPoint, endPoint, teleports) {
+    return RoadManager.highlightRoute(roadIds, startPoint, endPoint, teleports, mapInstance);
 }
 
 export function clearRouteHighlight() {
+    NavigationManager.clearCurrentRoute();
+    OffscreenIndicators.setRouteDestination(null, 0);
     return RoadManager.clearRouteHighlight(mapInstance);
 }
 
+export function getRouteItinerary() {
+    return NavigationManager.getRouteItinerary();
+}
+
 export function hasRouteHighlight() {
     return RoadManager.hasRouteHighlight();
 }
 
+// ============ Offline Area Functions ============
+
+export function startOfflineAreaSelection() {
+    OfflineAreaManager.startAreaSelection(mapInstance);
+}
+
+export function cancelOfflineAreaSelection() {
+    OfflineAreaManager.cancelAreaSelection(mapInstance);
+}
+
+export function clearOfflineAreaSelection() {
+    OfflineAreaManager.clearAreaSelection();
+}
+
+export function estimateOfflineArea(bounds, minZoom, maxZoom) {
+    return OfflineAreaManager.estimateAreaDownload(bounds, minZoom, maxZoom);
+}
+
+// Download tiles of the current main map for the selected area
+export function startOfflineAreaDownload(bounds, minZoom, maxZoom, name) {
+    const mapId = mainLayer?.mapId || 0;
+    return OfflineAreaManager.startAreaDownload({
+        mapId,
+        revision: mainLayer?.mapRevisions[mapId] || 1,
+        bounds,
+        minZoom,
+        maxZoom,
+        name
+    });
+}
+
+export function cancelOfflineAreaDownload() {
+    return OfflineAreaManager.cancelAreaDownload();
+}
+
+export function listOfflineAreas() {
+    return OfflineAreaManager.listOfflineAreas();
+}
+
+export function deleteOfflineArea(areaId) {
+    return OfflineAreaManager.deleteOfflineArea(areaId);
+}
+
+// Fit the view to a saved area (switching maps is up to the caller)
+export function jumpToOfflineArea(bounds) {
+    if (!mapInstance || !bounds) return false;
+    const southWest = mapInstance.unproject([bounds.minX, bounds.maxY], HnHMaxZoom);
+    const northEast = mapInstance.unproject([bounds.maxX, bounds.minY], HnHMaxZoom);
+    mapInstance.fitBounds(L.latLngBounds(southWest, northEast));
+    return true;
+}
+
+// ============ Map Export Functions ============
+
+// Grid rectangle currently in view, used to prefill the export dialog
+export function getViewportGridBounds() {
+    if (!mapInstance) return null;
+    const bounds = mapInstance.getBounds();
+    const topLeft = mapInstance.project(bounds.getNorthWest(), HnHMaxZoom);
+    const bottomRight = mapInstance.project(bounds.getSouthEast(), HnHMaxZoom);
+    return {
+        gridMinX: Math.floor(topLeft.x / BaseTileSize),
+        gridMinY: Math.floor(topLeft.y / BaseTileSize),
+        gridMaxX: Math.floor((bottomRight.x - 1) / BaseTileSize),
+        gridMaxY: Math.floor((bottomRight.y - 1) / BaseTileSize),
+        zoom: mapInstance.getZoom()
+    };
+}
+
+export function estimateMapExport(options) {
+    return MapExport.estimateMapExport(options);
+}
+
+// Export a region of the current main map; progress is reported via JsOnMapExportProgress
+export function exportMapImage(options) {
+    const mapId = mainLayer?.mapId || 0;
+    return MapExport.exportMapImage({
+        ...options,
+        mapId,
+        revision: mainLayer?.mapRevisions[mapId] || 1
+    }, progress => invokeDotNetSafe('JsOnMapExportProgress', progress));
+}
+
+export function cancelMapExport() {
+    return MapExport.cancelMapExport();
+}
+
+// ============ Annotation Import/Export Functions ============
+
+// Download the given map's custom markers and roads (plus its active pings) as GeoJSON
+export function exportAnnotations(mapId, mapName, customMarkers, roads) {
+    return GeoJsonTransfer.exportAnnotations(mapId, mapName, customMarkers, roads);
+}
+
+export function parseAnnotations(text) {
+    return GeoJsonTransfer.parseAnnotations(text);
+}
+
+// Offsets are in absolute units (grids * 100)
+export function showAnnotationImportPreview(features, offsetX, offsetY, fit) {
+    GeoJsonTransfer.showImportPreview(features, offsetX, offsetY, fit, mapInstance);
+}
+
+export function clearAnnotationImportPreview() {
+    GeoJsonTransfer.clearImportPreview();
+}
+
+// ============ Watch Zone Functions ============
+
+export function listWatchZones(mapId) {
+    return WatchZones.listWatchZones(mapId);
+}
+
+// Draw a zone on the current map; the new zone arrives via JsOnWatchZoneCreated
+export function startWatchZoneDrawing(shape) {
+    WatchZones.startZoneDrawing(shape);
+}
+
+export function cancelWatchZoneDrawing() {
+    WatchZones.cancelZoneDrawing();
+}
+
+export function updateWatchZone(zoneId, changes) {
+    return WatchZones.updateWatchZone(zoneId, changes);
+}
+
+export function deleteWatchZone(zoneId) {
+    return WatchZones.deleteWatchZone(zoneId);
+}
+
+export function jumpToWatchZone(zoneId) {
+    return WatchZones.jumpToWatchZone(zoneId);
+}
+
 // ============ My Character Storage Functions ============
 
 const MY_CHARACTER_KEY = 'havenmap_my_character';
@@ -1,5 +1,11 @@
 // Browser-based SSE (Server-Sent Events) client for map updates
-// Uses native EventSource with automatic reconnection and cookie-based auth
+// Uses native EventSource with automatic reconnection and cookie-based auth.
+// Optionally uses a single WebSocket (/map/ws) instead, which also carries notifications and
+// client-to-server messages (pings, presence, cursors); it falls back to SSE, then polling.
+// Only one tab per browser holds the stream (see tab-coordinator.js): the others follow it over
+// a BroadcastChannel and take over when it closes.
+
+import * as Outbox from './map/outbox.js';
 
 let eventSource = null;
 let dotnetRef = null;
@@ -32,18 +38,67 @@ const CONNECTION_TIMEOUT = 12000;    // 12 seconds without data = unhealthy
 // - This assumes tile cache tokens (T) are monotonically increasing in practice (timestamp-like).
 let lastTileCache = 0;
 
+// Last SSE event ID seen (server-assigned, see IMapEventLog). Native EventSource reconnects send it
+// as Last-Event-ID on their own; a fresh EventSource (manual reconnect, retry from polling) passes it
+// as `?lastEventId=` so the server replays what we missed, or sends `resync` when the gap is too old.
+let lastEventId = null;
+
+// True once any SSE connection has opened; later opens are resumes after a drop
+let hasConnectedBefore = false;
+
 // Track if initial data has been loaded via HTTP
 let initialDataLoaded = false;
 
+// WebSocket transport (opt-in via initializeSseUpdates options.transport = 'websocket')
+let socket = null;
+let preferredTransport = 'sse';
+let socketFailureCount = 0;
+const SOCKET_FAILURE_THRESHOLD = 2;  // Fall back to SSE after 2 consecutive socket failures
+const SOCKET_REQUEST_TIMEOUT = 10000;
+let socketRequestSeq = 0;
+const pendingSocketRequests = new Map();  // requestId -> { resolve, timer }
+let presenceMapId = null;                 // Map this client views (re-sent after reconnects)
+let lastCursorSentAt = 0;
+const CURSOR_SEND_INTERVAL = 100;         // Matches the server relay rate (MapPresenceService)
+
+// Cross-tab sharing (window.tabCoordinator). The leader runs the transports above and republishes
+// everything it dispatches; followers run the same handlers on the copies.
+const TAB_TOPIC = 'map-updates';
+let leadership = null;          // Handle from tabCoordinator.requestLeadership, null when not in the group
+let isFollower = false;         // Another tab holds the stream
+let unsubscribeTabs = null;
+let leaderMode = 'connecting';  // Connection mode last reported by the leader
+
 /**
  * Initialize map updates - fetches initial data via HTTP first, then tries SSE for real-time updates
  * @param {object} dotnetReference - DotNet object reference for callbacks
+ * @param {object} [options]
+ * @param {string} [options.transport] - 'websocket' or 'sse' (default). Polling is only ever a fallback.
  * @returns {Promise<boolean>} - true if initialization successful
  */
-export async function initializeSseUpdates(dotnetReference) {
+export async function initializeSseUpdates(dotnetReference, options = {}) {
     console.warn('[SSE] ===== initializeSseUpdates called =====');
     console.warn('[SSE] dotnetReference:', dotnetReference);
     dotnetRef = dotnetReference;
+    preferredTransport = options?.transport === 'websocket' && typeof WebSocket === 'function' ? 'websocket' : 'sse';
+
+    // Another tab holds the stream - its events already reach this page
+    if (isFollower) {
+        console.warn('[SSE] Following the map updates stream of another tab');
+        return true;
+    }
+
+    // Reuse an open socket the same way as an open EventSource
+    if (socket) {
+        if (socket.readyState === WebSocket.OPEN) {
+            console.warn('[WS] Socket already open, reusing existing connection');
+            return true;
+        }
+        if (socket.readyState === WebSocket.CONNECTING) {
+            return true;
+        }
+        closeSocket();
+    }
 
     // Reuse existing connection if it's still working (prevents closing on Blazor reconnect)
     if (eventSource) {
@@ -58,7 +113,7 @@ export async function initializeSseUpdates(dotnetReference) {
     }
 
     // If already in polling mode, just ensure polling is running
-    if (isPollingMode) {
+    if (isPollingMode && leadership) {
         console.warn('[SSE] Already in polling mode, ensuring polling is active');
         if (!pollInterval) startPolling();
         return true;
@@ -78,13 +133,331 @@ export async function initializeSseUpdates(dotnetReference) {
         }
     }
 
-    // STEP 2: Try to establish SSE connection for real-time updates
+    // STEP 2: Establish the real-time connection - or follow the tab that already has one
+    if (!leadership) {
+        return joinTabGroup();
+    }
+    return connectPreferred();
+}
+
+/**
+ * Open the preferred transport (WebSocket, SSE, or keep polling once SSE has failed)
+ * @returns {boolean} true if a connection attempt was started
+ */
+function connectPreferred() {
+    if (isPollingMode) {
+        if (!pollInterval) startPolling();
+        return true;
+    }
+
+    if (preferredTransport === 'websocket' && socketFailureCount < SOCKET_FAILURE_THRESHOLD) {
+        return connectSocket();
+    }
+
     console.warn('[SSE] Calling connectSse...');
     const result = connectSse();
     console.warn('[SSE] connectSse returned:', result);
     return result;
 }
 
+/**
+ * Compete for the shared stream. The first map tab connects; later ones follow it until it
+ * closes (or its circuit drops), then one of them takes over and resumes from the shared event
+ * cursor. Without tabCoordinator support every tab connects on its own.
+ * @returns {boolean}
+ */
+function joinTabGroup() {
+    const coordinator = window.tabCoordinator;
+    if (!coordinator?.supported) {
+        leadership = { isLeader: true, release() { } };
+        return connectPreferred();
+    }
+
+    isFollower = true;
+    leaderMode = 'connecting';
+    unsubscribeTabs = coordinator.subscribe(TAB_TOPIC, onTabMessage);
+    leadership = coordinator.requestLeadership(TAB_TOPIC, (takeover) => {
+        console.warn('[SSE] This tab now holds the map updates stream');
+        isFollower = false;
+        // Taking over from a closed tab is a resume: refresh what replay doesn't cover
+        if (takeover) {
+            hasConnectedBefore = true;
+        }
+        connectPreferred();
+    });
+
+    // A running leader answers with its connection mode
+    coordinator.publish(TAB_TOPIC, { kind: 'hello' });
+    return true;
+}
+
+/**
+ * Give up the stream (or stop waiting for it). Another tab takes over.
+ */
+function leaveTabGroup() {
+    unsubscribeTabs?.();
+    unsubscribeTabs = null;
+    leadership?.release();
+    leadership = null;
+    isFollower = false;
+}
+
+/**
+ * Republish something this tab dispatched, when it holds the shared stream. Every copy carries
+ * the event cursor so a follower that takes over resumes where the leader was.
+ * @param {object} message - { kind, ... }
+ */
+function shareWithTabs(message) {
+    if (!unsubscribeTabs || isFollower) return;
+    window.tabCoordinator.publish(TAB_TOPIC, { ...message, id: lastEventId });
+}
+
+/**
+ * Messages from the other map tabs: stream copies for followers, requests for the leader
+ * @param {object} message
+ */
+function onTabMessage(message) {
+    if (isFollower) {
+        switch (message?.kind) {
+            case 'tiles':
+                applyTileBatch(message.tiles);
+                break;
+            case 'event':
+                runEventHandler(message.name, message.payload);
+                break;
+            case 'presence':
+                window?.hnhMapper?.applyPresence?.(message.data);
+                break;
+            case 'cursor':
+                window?.hnhMapper?.applyCursor?.(message.data);
+                break;
+            case 'mode':
+                if (message.mode !== leaderMode) {
+                    leaderMode = message.mode;
+                    invokeDotNetSafe('OnConnectionModeChanged', leaderMode);
+                }
+                break;
+            case 'resumed':
+                invokeDotNetSafe('OnSseResumed');
+                break;
+        }
+        if (message?.id) {
+            setLastEventId(message.id);
+        }
+        return;
+    }
+
+    switch (message?.kind) {
+        case 'hello':
+            shareWithTabs({ kind: 'mode', mode: getConnectionMode() });
+            break;
+        case 'socketSend':
+            sendSocketMessage(message.message);
+            break;
+        case 'retry':
+            retrySseConnection();
+            break;
+    }
+}
+
+/**
+ * Tell Blazor (and the follower tabs) which transport is in use
+ * @param {string} mode - 'websocket', 'sse' or 'polling'
+ */
+function reportMode(mode) {
+    invokeDotNetSafe('OnConnectionModeChanged', mode);
+    shareWithTabs({ kind: 'mode', mode });
+}
+
+/**
+ * The stream came back after a drop: replay covers logged events, but not what is resent on
+ * connect anyway (map deletions among them) - let Blazor refresh that part
+ */
+function reportResumed() {
+    invokeDotNetSafe('OnSseResumed');
+    shareWithTabs({ kind: 'resumed' });
+}
+
+/**
+ * Handlers for the events the server keeps in its replay log (IMapEventLog), keyed by event
+ * name. SSE registers one listener per entry; polling receives the same events as
+ * `{ id, event, data }` deltas and dispatches them here, so both transports behave identically.
+ * Each handler gets the parsed JSON payload. Follower tabs run them on the leader's copies.
+ */
+const LOGGED_EVENT_HANDLERS = {
+    merge(merge) {
+        // The source map is gone after a merge - drop its persisted tiles
+        const fromMapId = merge.from ?? merge.From;
+        if (typeof fromMapId === 'number' && Number.isFinite(fromMapId)) {
+            window?.hnhMapper?.purgeMapTiles?.(fromMapId);
+        }
+        invokeDotNetSafe('OnSseMapMerge', merge);
+    },
+    // Map metadata update (name, hidden, priority)
+    mapUpdate: mapInfo => invokeDotNetSafe('OnSseMapUpdated', mapInfo),
+    customMarkerCreated: marker => invokeDotNetSafe('OnCustomMarkerCreated', marker),
+    customMarkerUpdated(marker) {
+        // Straight to the map first: flags a conflict if this marker is being edited right now
+        window?.hnhMapper?.noteCustomMarkerUpdated?.(marker);
+        invokeDotNetSafe('OnCustomMarkerUpdated', marker);
+    },
+    customMarkerDeleted: deleteInfo => invokeDotNetSafe('OnCustomMarkerDeleted', deleteInfo),
+    markerCreated: marker => invokeDotNetSafe('OnMarkerCreated', marker),
+    markerUpdated: marker => invokeDotNetSafe('OnMarkerUpdated', marker),
+    markerDeleted: deleteInfo => invokeDotNetSafe('OnMarkerDeleted', deleteInfo),
+    pingCreated: ping => invokeDotNetSafe('OnPingCreated', ping),
+    pingDeleted: deleteInfo => invokeDotNetSafe('OnPingDeleted', deleteInfo),
+    // Timer badges on markers update straight away (fast path, like tiles); Blazor keeps the list
+    timerCreated(timer) {
+        window?.hnhMapper?.applyTimerEvent?.('timerCreated', timer);
+        invokeDotNetSafe('OnTimerCreated', timer);
+    },
+    timerUpdated(timer) {
+        window?.hnhMapper?.applyTimerEvent?.('timerUpdated', timer);
+        invokeDotNetSafe('OnTimerUpdated', timer);
+    },
+    timerCompleted(timer) {
+        window?.hnhMapper?.applyTimerEvent?.('timerCompleted', timer);
+        invokeDotNetSafe('OnTimerCompleted', timer);
+    },
+    // Note: Server sends camelCase JSON ({ id: ... })
+    timerDeleted(deleteInfo) {
+        const id = deleteInfo.id ?? deleteInfo.Id;
+        if (typeof id === 'number' && Number.isFinite(id)) {
+            window?.hnhMapper?.applyTimerEvent?.('timerDeleted', { id });
+            invokeDotNetSafe('OnTimerDeleted', id);
+        } else {
+            console.warn('[SSE] Ignoring timerDeleted with invalid id:', deleteInfo);
+        }
+    },
+    roadCreated: road => invokeDotNetSafe('OnRoadCreated', road),
+    roadUpdated: road => invokeDotNetSafe('OnRoadUpdated', road),
+    roadDeleted: deleteInfo => invokeDotNetSafe('OnRoadDeleted', deleteInfo),
+    // Sketches only live on the map - nothing in Blazor needs them
+    sketchCreated: sketch => window?.hnhMapper?.applySketchEvent?.('sketchCreated', sketch),
+    sketchDeleted: deleteInfo => window?.hnhMapper?.applySketchEvent?.('sketchDeleted', deleteInfo),
+    overlayUpdated: overlay => invokeDotNetSafe('OnOverlayUpdated', overlay)
+};
+
+/**
+ * Handlers for the stream events that are not in the replay log: the server resends their
+ * state on every connect instead. Shared by SSE and the WebSocket transport.
+ */
+const STREAM_EVENT_HANDLERS = {
+    // Note: Server sends camelCase JSON ({ id: ... })
+    mapDelete(deleteInfo) {
+        const id = deleteInfo.id ?? deleteInfo.Id;
+        if (typeof id === 'number' && Number.isFinite(id)) {
+            window?.hnhMapper?.purgeMapTiles?.(id);
+            invokeDotNetSafe('OnSseMapDeleted', id);
+        } else {
+            console.warn('[SSE] Ignoring mapDelete with invalid id:', deleteInfo);
+        }
+    },
+    // Map revision event (cache busting)
+    mapRevision(revision) {
+        // Use Number.isFinite() to ensure values are valid finite numbers
+        // This catches null, undefined, NaN, Infinity which would fail .NET deserialization
+        if (revision &&
+            typeof revision.mapId === 'number' && Number.isFinite(revision.mapId) &&
+            typeof revision.revision === 'number' && Number.isFinite(revision.revision)) {
+            invokeDotNetSafe('OnSseMapRevision', revision.mapId, revision.revision);
+        } else {
+            console.warn('[SSE] Ignoring mapRevision with invalid values:', revision);
+        }
+    },
+    // Initial full state, then incremental updates
+    charactersSnapshot: characters => invokeDotNetSafe('OnSseCharactersSnapshot', characters),
+    characterDelta: delta => invokeDotNetSafe('OnSseCharacterDelta', delta),
+    // Our last event ID is older than the server's replay window (or from before a server
+    // restart): incremental state can't be trusted, Blazor reloads it from the API
+    resync() {
+        console.warn('[SSE] Server requested resync (replay gap too old)');
+        invokeDotNetSafe('OnSseResyncRequired');
+    }
+};
+
+/**
+ * Apply one tile update batch (default SSE message / WebSocket "message" frame)
+ * @param {Array} tiles - Tile updates ({ M, X, Y, Z, T })
+ */
+function applyTileBatch(tiles) {
+    if (!tiles || !Array.isArray(tiles) || tiles.length === 0) {
+        return;
+    }
+
+    shareWithTabs({ kind: 'tiles', tiles });
+
+    // Update last seen cache token BEFORE applying (so reconnect uses a fresh `since` marker).
+    // We intentionally do this in a tight loop (no allocations) for speed.
+    // Accept both `T` and `t` for robustness.
+    for (let i = 0; i < tiles.length; i++) {
+        const t = tiles[i];
+        const cache = t?.T ?? t?.t;
+        if (typeof cache === 'number' && Number.isFinite(cache) && cache > lastTileCache) {
+            lastTileCache = cache;
+        }
+    }
+
+    // Expose for debugging (helps confirm reconnect delta behavior in DevTools).
+    try {
+        window.mapUpdates = window.mapUpdates || {};
+        window.mapUpdates.lastTileCache = lastTileCache;
+    } catch { /* ignore */ }
+
+    // FAST PATH:
+    // Apply tile updates directly in JS (Leaflet) to avoid JS -> .NET -> JS per-tile roundtrips.
+    // This is critical to prevent UI freezes when the tab returns to foreground and a burst of
+    // updates arrives at once.
+    try {
+        const fastApply = window?.hnhMapper?.applyTileUpdates;
+        if (typeof fastApply === 'function') {
+            fastApply(tiles);
+            return;
+        }
+    } catch {
+        // If anything goes wrong, fall back to the legacy .NET path.
+    }
+
+    // Fallback: legacy path (JS -> .NET). Kept for backwards compatibility / early init cases.
+    invokeDotNetSafe('OnSseTileUpdates', tiles);
+}
+
+/**
+ * Parse an event's JSON payload and run its handler
+ * @param {string} name - Event name
+ * @param {string} data - Raw JSON payload (SSE data line / poll delta)
+ */
+function dispatchLoggedEvent(name, data) {
+    let payload;
+    try {
+        payload = JSON.parse(data);
+    } catch (e) {
+        console.error(`[SSE] Error parsing ${name} event:`, e);
+        return;
+    }
+    runEventHandler(name, payload);
+}
+
+/**
+ * Run the LOGGED_EVENT_HANDLERS / STREAM_EVENT_HANDLERS entry for an event
+ * @param {string} name - Event name
+ * @param {any} payload - Parsed payload
+ */
+function runEventHandler(name, payload) {
+    const handler = LOGGED_EVENT_HANDLERS[name] ?? STREAM_EVENT_HANDLERS[name];
+    if (!handler) {
+        console.warn('[SSE] Ignoring unknown event:', name);
+        return;
+    }
+    shareWithTabs({ kind: 'event', name, payload });
+    try {
+        handler(payload);
+    } catch (e) {
+        console.error(`[SSE] Error handling ${name} event:`, e);
+    }
+}
+
 /**
  * Connect to SSE endpoint - browser automatically sends cookies
  */
@@ -101,10 +474,16 @@ function connectSse() {
     try {
         // Build SSE URL. If we have previously processed any tile cache tokens, request only the
         // delta since that token. This prevents huge re-sync payloads (and browser freezes) on reconnect.
-        let url = '/map/updates';
+        // Also pass the last event ID so missed marker/road/timer/... events get replayed.
+        const params = new URLSearchParams();
         if (typeof lastTileCache === 'number' && Number.isFinite(lastTileCache) && lastTileCache > 0) {
-            url += `?since=${encodeURIComponent(String(lastTileCache))}`;
+            params.set('since', String(lastTileCache));
+        }
+        if (lastEventId) {
+            params.set('lastEventId', lastEventId);
         }
+        const query = params.toString();
+        const url = query ? `/map/updates?${query}` : '/map/updates';
 
         console.warn('[SSE] Creating new EventSource for', url);
 
@@ -142,331 +521,349 @@ function connectSse() {
             startHealthCheck();
 
             // Notify Blazor of connection mode
-            invokeDotNetSafe('OnConnectionModeChanged', 'sse');
+            reportMode('sse');
+
+            if (hasConnectedBefore) {
+                reportResumed();
+            }
+            hasConnectedBefore = true;
         };
 
         // Default message handler (tile updates - batched every 5s)
         eventSource.onmessage = function (event) {
             lastEventTime = Date.now();  // Track last event for health monitoring
+            trackEventId(event);
             try {
                 // NOTE:
                 // The server may stream a large initial tile cache as many smaller SSE messages.
                 // Each message still contains a JSON array, so the logic here remains the same.
-                const tiles = JSON.parse(event.data);
-                if (tiles && Array.isArray(tiles) && tiles.length > 0) {
-                    // Update last seen cache token BEFORE applying (so reconnect uses a fresh `since` marker).
-                    // We intentionally do this in a tight loop (no allocations) for speed.
-                    // Accept both `T` and `t` for robustness.
-                    for (let i = 0; i < tiles.length; i++) {
-                        const t = tiles[i];
-                        const cache = t?.T ?? t?.t;
-                        if (typeof cache === 'number' && Number.isFinite(cache) && cache > lastTileCache) {
-                            lastTileCache = cache;
-                        }
-                    }
-
-                    // Expose for debugging (helps confirm reconnect delta behavior in DevTools).
-                    try {
-                        window.mapUpdates = window.mapUpdates || {};
-                        window.mapUpdates.lastTileCache = lastTileCache;
-                    } catch { /* ignore */ }
-
-                    // FAST PATH:
-                    // Apply tile updates directly in JS (Leaflet) to avoid JS -> .NET -> JS per-tile roundtrips.
-                    // This is critical to prevent UI freezes when the tab returns to foreground and a burst of
-                    // updates arrives at once.
-                    try {
-                        const fastApply = window?.hnhMapper?.applyTileUpdates;
-                        if (typeof fastApply === 'function') {
-                            fastApply(tiles);
-                            return;
-                        }
-                    } catch {
-                        // If anything goes wrong, fall back to the legacy .NET path.
-                    }
-
-                    // Fallback: legacy path (JS -> .NET). Kept for backwards compatibility / early init cases.
-                    invokeDotNetSafe('OnSseTileUpdates', tiles);
-                }
+                applyTileBatch(JSON.parse(event.data));
             } catch (e) {
                 console.error('[SSE] Error parsing tile updates:', e);
             }
         };
 
-        // Map merge event
-        eventSource.addEventListener('merge', function (event) {
-            try {
-                const merge = JSON.parse(event.data);
-                invokeDotNetSafe('OnSseMapMerge', merge);
-            } catch (e) {
-                console.error('[SSE] Error parsing merge event:', e);
-            }
-        });
+        // Replayable events (see LOGGED_EVENT_HANDLERS) - polling dispatches the same handlers -
+        // and connection-scoped ones (map deletions, revisions, characters, resync)
+        for (const name of [...Object.keys(LOGGED_EVENT_HANDLERS), ...Object.keys(STREAM_EVENT_HANDLERS)]) {
+            eventSource.addEventListener(name, function (event) {
+                trackEventId(event);
+                dispatchLoggedEvent(name, event.data);
+            });
+        }
 
-        // Map metadata update event (name, hidden, priority)
-        eventSource.addEventListener('mapUpdate', function (event) {
-            try {
-                const mapInfo = JSON.parse(event.data);
-                invokeDotNetSafe('OnSseMapUpdated', mapInfo);
-            } catch (e) {
-                console.error('[SSE] Error parsing mapUpdate event:', e);
-            }
-        });
+        // Error handler - EventSource auto-reconnects, but we track attempts
+        eventSource.onerror = function (error) {
+            console.error('[SSE] ===== CONNECTION ERROR =====');
+            console.error('[SSE] Error event:', error);
+            console.error('[SSE] EventSource readyState:', eventSource?.readyState);
+            console.error('[SSE] ReadyState meanings: 0=CONNECTING, 1=OPEN, 2=CLOSED');
+            isConnecting = false;
 
-        // Map deletion event
-        // Note: Server sends camelCase JSON ({ id: ... })
-        eventSource.addEventListener('mapDelete', function (event) {
-            try {
-                const deleteInfo = JSON.parse(event.data);
-                const id = deleteInfo.id ?? deleteInfo.Id;
-                if (typeof id === 'number' && Number.isFinite(id)) {
-                    invokeDotNetSafe('OnSseMapDeleted', id);
-                } else {
-                    console.warn('[SSE] Ignoring mapDelete with invalid id:', deleteInfo);
-                }
-            } catch (e) {
-                console.error('[SSE] Error parsing mapDelete event:', e);
-            }
-        });
+            // Track consecutive failures
+            reconnectAttempts++;
+            sseFailureCount++;
+            console.error('[SSE] Reconnect attempt:', reconnectAttempts, 'SSE failure count:', sseFailureCount);
 
-        // Map revision event (cache busting)
-        // Note: Server sends camelCase JSON (mapId, revision)
-        eventSource.addEventListener('mapRevision', function (event) {
-            try {
-                const revision = JSON.parse(event.data);
-                // Use Number.isFinite() to ensure values are valid finite numbers
-                // This catches null, undefined, NaN, Infinity which would fail .NET deserialization
-                if (revision &&
-                    typeof revision.mapId === 'number' && Number.isFinite(revision.mapId) &&
-                    typeof revision.revision === 'number' && Number.isFinite(revision.revision)) {
-                    invokeDotNetSafe('OnSseMapRevision', revision.mapId, revision.revision);
-                } else {
-                    console.warn('[SSE] Ignoring mapRevision with invalid values:', revision);
-                }
-            } catch (e) {
-                console.error('[SSE] Error parsing mapRevision event:', e);
+            // Switch to polling mode if SSE consistently fails (VPN/proxy blocking)
+            if (sseFailureCount >= SSE_FAILURE_THRESHOLD) {
+                console.warn('[SSE] Too many failures (' + sseFailureCount + '), switching to polling mode');
+                switchToPollingMode();
+                return;
             }
-        });
 
-        // Custom marker created event
-        eventSource.addEventListener('customMarkerCreated', function (event) {
-            try {
-                const marker = JSON.parse(event.data);
-                invokeDotNetSafe('OnCustomMarkerCreated', marker);
-            } catch (e) {
-                console.error('[SSE] Error parsing customMarkerCreated event:', e);
-            }
-        });
+            // If auth fails (401), EventSource will keep retrying
+            // The server-side fix ensures cookies work, so this should resolve
+        };
 
-        // Custom marker updated event
-        eventSource.addEventListener('customMarkerUpdated', function (event) {
-            try {
-                const marker = JSON.parse(event.data);
-                invokeDotNetSafe('OnCustomMarkerUpdated', marker);
-            } catch (e) {
-                console.error('[SSE] Error parsing customMarkerUpdated event:', e);
-            }
-        });
+        return true;
+    } catch (e) {
+        console.error('[SSE] Failed to create EventSource:', e);
+        isConnecting = false;
+        scheduleManualReconnect();
+        return false;
+    }
+}
 
-        // Custom marker deleted event
-        eventSource.addEventListener('customMarkerDeleted', function (event) {
-            try {
-                const deleteInfo = JSON.parse(event.data);
-                invokeDotNetSafe('OnCustomMarkerDeleted', deleteInfo);
-            } catch (e) {
-                console.error('[SSE] Error parsing customMarkerDeleted event:', e);
-            }
-        });
+/**
+ * Connect the multiplexed WebSocket (/map/ws). Resumes with the same `since`/`lastEventId`
+ * parameters as SSE; the server sends the same events as JSON frames ({ event, id, data })
+ * plus socket-only frames (hello, pingResult, presence, cursor). Presence and cursors go straight
+ * to the presence layer through window.hnhMapper, like tile batches.
+ * @returns {boolean} true if a connection attempt was started
+ */
+function connectSocket() {
+    if (isConnecting || socket) {
+        return false;
+    }
 
-        // Game marker created event
-        eventSource.addEventListener('markerCreated', function (event) {
-            try {
-                const marker = JSON.parse(event.data);
-                invokeDotNetSafe('OnMarkerCreated', marker);
-            } catch (e) {
-                console.error('[SSE] Error parsing markerCreated event:', e);
-            }
-        });
+    isConnecting = true;
 
-        // Game marker updated event
-        eventSource.addEventListener('markerUpdated', function (event) {
-            try {
-                const marker = JSON.parse(event.data);
-                invokeDotNetSafe('OnMarkerUpdated', marker);
-            } catch (e) {
-                console.error('[SSE] Error parsing markerUpdated event:', e);
-            }
-        });
+    try {
+        const params = new URLSearchParams();
+        if (typeof lastTileCache === 'number' && Number.isFinite(lastTileCache) && lastTileCache > 0) {
+            params.set('since', String(lastTileCache));
+        }
+        if (lastEventId) {
+            params.set('lastEventId', lastEventId);
+        }
+        const query = params.toString();
+        const scheme = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        const url = `${scheme}//${window.location.host}/map/ws${query ? `?${query}` : ''}`;
+
+        console.warn('[WS] Opening socket', url);
+        const ws = new WebSocket(url);
+        socket = ws;
+        let opened = false;
+
+        ws.onopen = function () {
+            if (socket !== ws) return;
+            console.warn('[WS] ===== CONNECTED to /map/ws =====');
+            opened = true;
+            isConnecting = false;
+            reconnectAttempts = 0;
+            socketFailureCount = 0;
+            lastEventTime = Date.now();
+            startHealthCheck();
 
-        // Game marker deleted event
-        eventSource.addEventListener('markerDeleted', function (event) {
-            try {
-                const deleteInfo = JSON.parse(event.data);
-                invokeDotNetSafe('OnMarkerDeleted', deleteInfo);
-            } catch (e) {
-                console.error('[SSE] Error parsing markerDeleted event:', e);
-            }
-        });
+            reportMode('websocket');
 
-        // Ping created event
-        eventSource.addEventListener('pingCreated', function (event) {
-            try {
-                const ping = JSON.parse(event.data);
-                invokeDotNetSafe('OnPingCreated', ping);
-            } catch (e) {
-                console.error('[SSE] Error parsing pingCreated event:', e);
-            }
-        });
+            // Notifications arrive on this socket - the notification center drops its own stream
+            window.notificationCenter?.useExternalStream?.(true);
 
-        // Ping deleted event
-        eventSource.addEventListener('pingDeleted', function (event) {
-            try {
-                const deleteInfo = JSON.parse(event.data);
-                invokeDotNetSafe('OnPingDeleted', deleteInfo);
-            } catch (e) {
-                console.error('[SSE] Error parsing pingDeleted event:', e);
+            if (hasConnectedBefore) {
+                reportResumed();
             }
-        });
+            hasConnectedBefore = true;
 
-        // Timer created event
-        eventSource.addEventListener('timerCreated', function (event) {
-            try {
-                const timer = JSON.parse(event.data);
-                invokeDotNetSafe('OnTimerCreated', timer);
-            } catch (e) {
-                console.error('[SSE] Error parsing timerCreated event:', e);
+            // Presence is per connection on the server - announce the current map again (or for
+            // the first time, if the map was picked before this module loaded)
+            const mapId = presenceMapId ?? window?.hnhMapper?.getCurrentMapId?.();
+            if (mapId) {
+                setPresenceMap(mapId);
             }
-        });
+        };
 
-        // Timer updated event
-        eventSource.addEventListener('timerUpdated', function (event) {
+        ws.onmessage = function (event) {
+            if (socket !== ws) return;
+            lastEventTime = Date.now();
+            let frame;
             try {
-                const timer = JSON.parse(event.data);
-                invokeDotNetSafe('OnTimerUpdated', timer);
+                frame = JSON.parse(event.data);
             } catch (e) {
-                console.error('[SSE] Error parsing timerUpdated event:', e);
+                console.error('[WS] Error parsing frame:', e);
+                return;
             }
-        });
-
-        // Timer completed event
-        eventSource.addEventListener('timerCompleted', function (event) {
-            try {
-                const timer = JSON.parse(event.data);
-                invokeDotNetSafe('OnTimerCompleted', timer);
-            } catch (e) {
-                console.error('[SSE] Error parsing timerCompleted event:', e);
+            if (frame.id) {
+                setLastEventId(frame.id);
             }
-        });
+            handleSocketFrame(frame);
+        };
 
-        // Timer deleted event
-        // Note: Server sends camelCase JSON ({ id: ... })
-        eventSource.addEventListener('timerDeleted', function (event) {
-            try {
-                const deleteInfo = JSON.parse(event.data);
-                const id = deleteInfo.id ?? deleteInfo.Id;
-                if (typeof id === 'number' && Number.isFinite(id)) {
-                    invokeDotNetSafe('OnTimerDeleted', id);
-                } else {
-                    console.warn('[SSE] Ignoring timerDeleted with invalid id:', deleteInfo);
-                }
-            } catch (e) {
-                console.error('[SSE] Error parsing timerDeleted event:', e);
-            }
-        });
+        ws.onerror = function () {
+            // Always followed by onclose, which does the bookkeeping
+            console.error('[WS] Socket error');
+        };
 
-        // Road created event
-        eventSource.addEventListener('roadCreated', function (event) {
-            try {
-                const road = JSON.parse(event.data);
-                invokeDotNetSafe('OnRoadCreated', road);
-            } catch (e) {
-                console.error('[SSE] Error parsing roadCreated event:', e);
-            }
-        });
+        ws.onclose = function (event) {
+            // A socket we replaced or closed on purpose
+            if (socket !== ws) return;
 
-        // Road updated event
-        eventSource.addEventListener('roadUpdated', function (event) {
-            try {
-                const road = JSON.parse(event.data);
-                invokeDotNetSafe('OnRoadUpdated', road);
-            } catch (e) {
-                console.error('[SSE] Error parsing roadUpdated event:', e);
-            }
-        });
+            console.warn('[WS] Socket closed (code ' + event.code + ', opened: ' + opened + ')');
+            socket = null;
+            isConnecting = false;
+            stopHealthCheck();
+            failPendingSocketRequests();
+            window.notificationCenter?.useExternalStream?.(false);
 
-        // Road deleted event
-        eventSource.addEventListener('roadDeleted', function (event) {
-            try {
-                const deleteInfo = JSON.parse(event.data);
-                invokeDotNetSafe('OnRoadDeleted', deleteInfo);
-            } catch (e) {
-                console.error('[SSE] Error parsing roadDeleted event:', e);
+            reconnectAttempts++;
+            if (!opened) {
+                socketFailureCount++;
             }
-        });
 
-        // Overlay updated event
-        eventSource.addEventListener('overlayUpdated', function (event) {
-            try {
-                const overlay = JSON.parse(event.data);
-                invokeDotNetSafe('OnOverlayUpdated', overlay);
-            } catch (e) {
-                console.error('[SSE] Error parsing overlayUpdated event:', e);
+            // WebSockets blocked somewhere between us and the server - SSE may still get through
+            if (socketFailureCount >= SOCKET_FAILURE_THRESHOLD) {
+                console.warn('[WS] Too many failures (' + socketFailureCount + '), falling back to SSE');
+                connectSse();
+                return;
             }
-        });
 
-        // Characters snapshot event (initial full state)
-        eventSource.addEventListener('charactersSnapshot', function (event) {
-            try {
-                const characters = JSON.parse(event.data);
-                invokeDotNetSafe('OnSseCharactersSnapshot', characters);
-            } catch (e) {
-                console.error('[SSE] Error parsing charactersSnapshot event:', e);
-            }
-        });
+            scheduleManualReconnect();
+        };
 
-        // Character delta event (incremental updates)
-        eventSource.addEventListener('characterDelta', function (event) {
-            try {
-                const delta = JSON.parse(event.data);
-                invokeDotNetSafe('OnSseCharacterDelta', delta);
-            } catch (e) {
-                console.error('[SSE] Error parsing characterDelta event:', e);
-            }
-        });
+        return true;
+    } catch (e) {
+        console.error('[WS] Failed to create WebSocket:', e);
+        socket = null;
+        isConnecting = false;
+        socketFailureCount++;
+        scheduleManualReconnect();
+        return false;
+    }
+}
 
-        // Error handler - EventSource auto-reconnects, but we track attempts
-        eventSource.onerror = function (error) {
-            console.error('[SSE] ===== CONNECTION ERROR =====');
-            console.error('[SSE] Error event:', error);
-            console.error('[SSE] EventSource readyState:', eventSource?.readyState);
-            console.error('[SSE] ReadyState meanings: 0=CONNECTING, 1=OPEN, 2=CLOSED');
-            isConnecting = false;
+/**
+ * Close the socket without triggering reconnect/fallback logic
+ */
+function closeSocket() {
+    if (!socket) return;
+    const ws = socket;
+    socket = null;
+    try {
+        ws.close(1000);
+    } catch { /* ignore */ }
+    failPendingSocketRequests();
+    window.notificationCenter?.useExternalStream?.(false);
+}
 
-            // Track consecutive failures
-            reconnectAttempts++;
-            sseFailureCount++;
-            console.error('[SSE] Reconnect attempt:', reconnectAttempts, 'SSE failure count:', sseFailureCount);
+/**
+ * Route one socket frame to the handler SSE would have used for the same event
+ * @param {{ event: string, id?: string, data?: any }} frame
+ */
+function handleSocketFrame(frame) {
+    const name = frame.event;
+    const data = frame.data;
 
-            // Switch to polling mode if SSE consistently fails (VPN/proxy blocking)
-            if (sseFailureCount >= SSE_FAILURE_THRESHOLD) {
-                console.warn('[SSE] Too many failures (' + sseFailureCount + '), switching to polling mode');
-                switchToPollingMode();
-                return;
+    try {
+        if (name === 'message') {
+            applyTileBatch(data);
+        } else if (name === 'keepAlive') {
+            // Only refreshes lastEventTime
+        } else if (LOGGED_EVENT_HANDLERS[name] || STREAM_EVENT_HANDLERS[name]) {
+            runEventHandler(name, data);
+        } else if (typeof name === 'string' && name.startsWith('notification')) {
+            window.notificationCenter?.handleStreamEvent?.(name, data);
+        } else if (name === 'pingResult') {
+            resolveSocketRequest(data);
+        } else if (name === 'presence' || name === 'cursor') {
+            shareWithTabs({ kind: name, data });
+            if (name === 'presence') {
+                window?.hnhMapper?.applyPresence?.(data);
+            } else {
+                window?.hnhMapper?.applyCursor?.(data);
             }
+        } else if (name === 'hello') {
+            console.warn('[WS] Connection id:', data?.connectionId);
+        }
+    } catch (e) {
+        console.error(`[WS] Error handling ${name} frame:`, e);
+    }
+}
 
-            // If auth fails (401), EventSource will keep retrying
-            // The server-side fix ensures cookies work, so this should resolve
-        };
+/**
+ * Complete a pending request (pingResult carries the requestId we sent)
+ * @param {{ requestId: string }} reply
+ */
+function resolveSocketRequest(reply) {
+    const pending = pendingSocketRequests.get(reply?.requestId);
+    if (!pending) return;
+    pendingSocketRequests.delete(reply.requestId);
+    clearTimeout(pending.timer);
+    pending.resolve(reply);
+}
+
+/**
+ * Settle every in-flight request when the socket goes away. The server may or may not have
+ * processed them, so callers get a failure (status 0) rather than a silent retry.
+ */
+function failPendingSocketRequests() {
+    for (const [requestId, pending] of pendingSocketRequests) {
+        clearTimeout(pending.timer);
+        pending.resolve({ requestId, ok: false, status: 0, error: 'Connection lost' });
+    }
+    pendingSocketRequests.clear();
+}
 
+/**
+ * Send a client message over the socket. Follower tabs hand it to the leader's socket.
+ * @param {object} message - Must have a `type` (see MapSocketEndpoints)
+ * @returns {boolean} false when no socket is open
+ */
+export function sendSocketMessage(message) {
+    if (isFollower) {
+        if (leaderMode !== 'websocket') return false;
+        window.tabCoordinator.publish(TAB_TOPIC, { kind: 'socketSend', message });
+        return true;
+    }
+    if (!socket || socket.readyState !== WebSocket.OPEN) {
+        return false;
+    }
+    try {
+        socket.send(JSON.stringify(message));
         return true;
     } catch (e) {
-        console.error('[SSE] Failed to create EventSource:', e);
-        isConnecting = false;
-        scheduleManualReconnect();
+        console.error('[WS] Send failed:', e);
         return false;
     }
 }
 
+/**
+ * Create a ping over the socket (no Blazor round trip). Same rules as POST /map/api/v1/pings;
+ * the outcome is reported to Blazor (OnSocketPingResult) for the usual snackbar. If the socket
+ * drops before the reply, the ping moves to the outbox under the same idempotency key, so the
+ * HTTP retry can't create it twice.
+ * @param {string} [pingType] - Ping type (default, danger, gather, resource, help)
+ * @param {string|null} [message] - Optional short message
+ * @returns {Promise<{ ok: boolean, status: number, pingId?: number, error?: string }>|null}
+ *   null when this tab has no open socket - the caller should use the HTTP path instead
+ */
+export function createPing(mapId, coordX, coordY, x, y, pingType = 'default', message = null) {
+    if (!socket || socket.readyState !== WebSocket.OPEN) {
+        return null;
+    }
+
+    const requestId = String(++socketRequestSeq);
+    const idempotencyKey = Outbox.newIdempotencyKey();
+    const reply = new Promise(resolve => {
+        const timer = setTimeout(() => {
+            pendingSocketRequests.delete(requestId);
+            resolve({ requestId, ok: false, status: 0, error: 'Timed out' });
+        }, SOCKET_REQUEST_TIMEOUT);
+        pendingSocketRequests.set(requestId, { resolve, timer });
+
+        if (!sendSocketMessage({ type: 'ping', requestId, idempotencyKey, mapId, coordX, coordY, x, y, pingType, message })) {
+            clearTimeout(timer);
+            pendingSocketRequests.delete(requestId);
+            resolve({ requestId, ok: false, status: 0, error: 'Connection lost' });
+        }
+    });
+
+    return reply.then(result => {
+        if (result.status === 0) {
+            Outbox.enqueue('JsCreatePing', [mapId, coordX, coordY, x, y, pingType, message], idempotencyKey);
+        } else {
+            invokeDotNetSafe('OnSocketPingResult', result.status, coordX, coordY, result.error ?? null);
+        }
+        return result;
+    });
+}
+
+/**
+ * Tell the server which map this client is viewing (shown to other viewers; scopes cursors).
+ * Remembered and re-sent after reconnects. No-op without a socket.
+ * @param {number|null} mapId
+ */
+export function setPresenceMap(mapId) {
+    presenceMapId = typeof mapId === 'number' && Number.isFinite(mapId) ? mapId : null;
+    sendSocketMessage({ type: 'presence', mapId: presenceMapId });
+}
+
+/**
+ * Share the local cursor with other viewers of the map, throttled to the server's relay rate
+ * @param {number} mapId
+ * @param {number} x - Absolute pixel X at max zoom
+ * @param {number} y - Absolute pixel Y at max zoom
+ */
+export function shareCursor(mapId, x, y) {
+    const now = Date.now();
+    if (now - lastCursorSentAt < CURSOR_SEND_INTERVAL) {
+        return;
+    }
+    if (sendSocketMessage({ type: 'cursor', mapId, x: Math.round(x), y: Math.round(y) })) {
+        lastCursorSentAt = now;
+    }
+}
+
 /**
  * Manual reconnect with exponential backoff (fallback if EventSource fails to auto-reconnect)
  */
@@ -478,6 +875,15 @@ function scheduleManualReconnect() {
     console.debug(`[SSE] Scheduling manual reconnect in ${delay}ms`);
 
     setTimeout(() => {
+        if (isPollingMode) return;
+
+        if (preferredTransport === 'websocket' && socketFailureCount < SOCKET_FAILURE_THRESHOLD) {
+            if (!socket && !eventSource) {
+                connectSocket();
+            }
+            return;
+        }
+
         // Clean up closed EventSource before reconnecting
         if (eventSource && eventSource.readyState === EventSource.CLOSED) {
             eventSource.close(); // Ensure cleanup
@@ -491,7 +897,7 @@ function scheduleManualReconnect() {
 }
 
 /**
- * Disconnect SSE stream
+ * Disconnect SSE stream (or socket, or polling) and hand the stream to another tab
  */
 export function disconnectSseUpdates() {
     if (eventSource) {
@@ -499,10 +905,40 @@ export function disconnectSseUpdates() {
         eventSource.close();
         eventSource = null;
     }
+    if (socket) {
+        console.debug('[WS] Disconnecting');
+        closeSocket();
+    }
+    stopHealthCheck();
+    stopPolling();
+    leaveTabGroup();
     isConnecting = false;
     reconnectAttempts = 0;
 }
 
+/**
+ * Remember the ID of an SSE event for resuming. The server stamps every message with its
+ * current replay position, so the latest ID always wins.
+ * @param {MessageEvent} event
+ */
+function trackEventId(event) {
+    const id = event?.lastEventId;
+    if (!id) return;
+    setLastEventId(id);
+}
+
+/**
+ * Store the shared SSE/polling event cursor
+ * @param {string} id
+ */
+function setLastEventId(id) {
+    lastEventId = id;
+    try {
+        window.mapUpdates = window.mapUpdates || {};
+        window.mapUpdates.lastEventId = lastEventId;
+    } catch { /* ignore */ }
+}
+
 /**
  * Safely invoke .NET methods from JS; silently drop calls during Blazor disconnects.
  * Does NOT retry - SSE will send fresh data when circuit reconnects.
@@ -532,19 +968,26 @@ function invokeDotNetSafe(method, ...args) {
 }
 
 /**
- * Check if SSE is currently connected
+ * Check if a real-time stream (SSE or WebSocket) is currently connected
  * @returns {boolean}
  */
 export function isSseConnected() {
-    return eventSource !== null && eventSource.readyState === EventSource.OPEN;
+    if (isFollower) {
+        return leaderMode === 'sse' || leaderMode === 'websocket';
+    }
+    return (eventSource !== null && eventSource.readyState === EventSource.OPEN) ||
+        (socket !== null && socket.readyState === WebSocket.OPEN);
 }
 
 /**
  * Get current connection mode
- * @returns {string} 'sse', 'polling', 'connecting', or 'disconnected'
+ * @returns {string} 'websocket', 'sse', 'polling', 'connecting', or 'disconnected'
+ *   (the leader's mode in follower tabs)
  */
 export function getConnectionMode() {
+    if (isFollower) return leaderMode;
     if (isPollingMode) return 'polling';
+    if (socket && socket.readyState === WebSocket.OPEN) return 'websocket';
     if (eventSource && eventSource.readyState === EventSource.OPEN) return 'sse';
     if (isConnecting) return 'connecting';
     return 'disconnected';
@@ -558,6 +1001,21 @@ function startHealthCheck() {
     stopHealthCheck();
     healthCheckInterval = setInterval(() => {
         const timeSinceLastEvent = Date.now() - lastEventTime;
+
+        // The socket gets a keepAlive frame every ~5s, so silence means a dead connection
+        if (timeSinceLastEvent > CONNECTION_TIMEOUT && socket) {
+            console.warn('[WS] Socket appears stale (no frames for ' + Math.round(timeSinceLastEvent / 1000) + 's), reconnecting');
+            socketFailureCount++;
+            stopHealthCheck();
+            closeSocket();
+            if (socketFailureCount >= SOCKET_FAILURE_THRESHOLD) {
+                connectSse();
+            } else {
+                scheduleManualReconnect();
+            }
+            return;
+        }
+
         if (timeSinceLastEvent > CONNECTION_TIMEOUT && eventSource) {
             console.warn('[SSE] Connection appears stale (no events for ' + Math.round(timeSinceLastEvent / 1000) + 's), forcing reconnect');
             sseFailureCount++;
@@ -602,10 +1060,11 @@ function switchToPollingMode() {
         eventSource.close();
         eventSource = null;
     }
+    closeSocket();
     isConnecting = false;
 
     // Notify Blazor of mode change
-    invokeDotNetSafe('OnConnectionModeChanged', 'polling');
+    reportMode('polling');
 
     // Start polling
     startPolling();
@@ -689,6 +1148,35 @@ async function fetchInitialData() {
             }
         }
     }
+
+    // Start the event cursor here: the SSE connection (or first poll) replays anything
+    // logged between this fetch and connecting
+    if (!lastEventId) {
+        applyPolledEvents(data);
+    }
+}
+
+/**
+ * Apply the replayable events of a poll response and advance the shared event cursor
+ * @param {object} data - Poll response ({ events, lastEventId, resyncRequired })
+ */
+function applyPolledEvents(data) {
+    if (data.resyncRequired) {
+        console.warn('[POLL] Server requested resync (event cursor too old)');
+        runEventHandler('resync', {});
+    }
+
+    if (Array.isArray(data.events)) {
+        for (const e of data.events) {
+            dispatchLoggedEvent(e.event, e.data);
+        }
+    }
+
+    const cursor = data.lastEventId;
+    if (typeof cursor === 'number' && Number.isFinite(cursor) && cursor > 0) {
+        setLastEventId(String(cursor));
+        shareWithTabs({ kind: 'cursor' });
+    }
 }
 
 /**
@@ -700,6 +1188,9 @@ async function poll() {
         if (typeof lastTileCache === 'number' && Number.isFinite(lastTileCache) && lastTileCache > 0) {
             params.set('since', String(lastTileCache));
         }
+        if (lastEventId) {
+            params.set('lastEventId', lastEventId);
+        }
 
         const response = await fetch(`/map/api/v1/poll?${params.toString()}`, {
             credentials: 'include'
@@ -712,32 +1203,12 @@ async function poll() {
 
         const data = await response.json();
 
-        // Process tiles
-        if (data.tiles && data.tiles.length > 0) {
-            // Update lastTileCache
-            for (const t of data.tiles) {
-                const cache = t.T ?? t.t;
-                if (typeof cache === 'number' && Number.isFinite(cache) && cache > lastTileCache) {
-                    lastTileCache = cache;
-                }
-            }
-
-            // Apply tile updates
-            try {
-                const fastApply = window?.hnhMapper?.applyTileUpdates;
-                if (typeof fastApply === 'function') {
-                    fastApply(data.tiles);
-                } else {
-                    invokeDotNetSafe('OnSseTileUpdates', data.tiles);
-                }
-            } catch (e) {
-                console.error('[POLL] Error applying tile updates:', e);
-            }
-        }
+        // Process tiles (same path as SSE batches, so follower tabs get them too)
+        applyTileBatch(data.tiles);
 
         // Process characters as snapshot
         if (data.characters) {
-            invokeDotNetSafe('OnSseCharactersSnapshot', data.characters);
+            runEventHandler('charactersSnapshot', data.characters);
         }
 
         // Process map revisions
@@ -745,11 +1216,14 @@ async function poll() {
             for (const [mapId, revision] of Object.entries(data.mapRevisions)) {
                 const mapIdNum = parseInt(mapId, 10);
                 if (Number.isFinite(mapIdNum) && Number.isFinite(revision)) {
-                    invokeDotNetSafe('OnSseMapRevision', mapIdNum, revision);
+                    runEventHandler('mapRevision', { mapId: mapIdNum, revision });
                 }
             }
         }
 
+        // Markers, roads, pings, timers, overlays, ... through the same handlers as SSE
+        applyPolledEvents(data);
+
     } catch (error) {
         console.error('[POLL] Error:', error);
     }
@@ -760,13 +1234,32 @@ async function poll() {
  * @returns {boolean} true if retry initiated
  */
 export function retrySseConnection() {
+    // The leader owns the connection - ask it to retry
+    if (isFollower) {
+        if (leaderMode !== 'polling') return false;
+        window.tabCoordinator.publish(TAB_TOPIC, { kind: 'retry' });
+        return true;
+    }
+
     if (!isPollingMode) return false;
 
     console.log('[SSE] Retrying SSE connection from polling mode');
     stopPolling();
     isPollingMode = false;
     sseFailureCount = 0;
+    socketFailureCount = 0;
     reconnectAttempts = 0;
 
-    return connectSse();
+    return preferredTransport === 'websocket' ? connectSocket() : connectSse();
 }
+
+// leaflet-interop.js (a separate module graph) reaches the socket through window
+window.mapUpdates = window.mapUpdates || {};
+Object.assign(window.mapUpdates, {
+    sendSocketMessage,
+    createPing,
+    setPresenceMap,
+    shareCursor,
+    getConnectionMode,
+    isFollowerTab: () => isFollower
+});
@@ -0,0 +1,616 @@
+/**
+ * Canvas Marker Layer Module
+ * Draws game marker sprites into one canvas instead of one DOM element per marker, so maps with
+ * tens of thousands of markers stay responsive. CanvasMarker mirrors the part of the L.Marker API
+ * marker-manager uses (icons, tooltips, events), so the manager drives either renderer the same way.
+ *
+ * Markers are bucketed in a world-space grid to cull what's off screen. Every draw records the
+ * rectangles it painted in a screen-space grid, which hover, click and contextmenu hit-test
+ * against (topmost sprite wins, like DOM stacking).
+ */
+
+import { HnHMaxZoom } from './leaflet-config.js';
+
+const PANE_NAME = 'canvasMarkerPane';
+const PANE_Z_INDEX = 590;      // Just under markerPane (600): DOM timer markers stay on top
+const WORLD_CELL = 2048;       // Culling grid cell, in max-zoom pixels
+const HIT_CELL = 64;           // Hit-test grid cell, in screen pixels
+const DECLUTTER_CELL = 4;      // At most one sprite per cell this size (stacked duplicates when zoomed out)
+const PADDING = 0.25;          // Extra canvas around the view (fraction of its size) so pans don't show gaps
+const ICON_MARGIN = 64;        // Largest sprite extent past its anchor (glow icons included), screen pixels
+
+const OUTLINE_COLORS = {
+    target: 'rgba(255, 215, 0, 1)',
+    uncertain: 'rgba(255, 152, 0, 0.6)'
+};
+
+/**
+ * One marker drawn by a CanvasMarkerLayer
+ */
+export const CanvasMarker = L.Evented.extend({
+    options: {
+        icon: null,
+        zIndexOffset: 0
+    },
+
+    initialize: function (latlng, options) {
+        L.setOptions(this, options);
+        this._latlng = L.latLng(latlng);
+        this._layer = null;
+        this._hidden = false;
+        this._outline = null;
+        this._tooltip = null;
+    },
+
+    /**
+     * Leaflet-style addTo; the target must be a CanvasMarkerLayer
+     */
+    addTo: function (layer) {
+        layer.addLayer(this);
+        return this;
+    },
+
+    remove: function () {
+        this._layer?.removeLayer(this);
+        return this;
+    },
+
+    getLatLng: function () {
+        return this._latlng;
+    },
+
+    setLatLng: function (latlng) {
+        this._latlng = L.latLng(latlng);
+        this._tooltip?.setLatLng(this._latlng);
+        this._layer?._move(this);
+        return this.fire('move', { latlng: this._latlng });
+    },
+
+    /**
+     * Accepts the same L.icon objects a DOM marker does (iconUrl, iconSize, iconAnchor)
+     */
+    setIcon: function (icon) {
+        this.options.icon = icon;
+        this._layer?.redraw();
+        return this;
+    },
+
+    /**
+     * Markers with a higher offset are drawn last (on top) and are never decluttered
+     */
+    setZIndexOffset: function (offset) {
+        this.options.zIndexOffset = offset;
+        this._layer?.redraw();
+        return this;
+    },
+
+    /**
+     * Hide without removing (hidden marker types)
+     * @param {boolean} hidden
+     */
+    setHidden: function (hidden) {
+        if (this._hidden === hidden) {
+            return this;
+        }
+        this._hidden = hidden;
+        if (hidden) {
+            this._closeTooltip(true);
+        } else if (this._tooltip?.options.permanent) {
+            this.openTooltip();
+        }
+        this._layer?.redraw();
+        return this;
+    },
+
+    /**
+     * Ring around the sprite, the canvas stand-in for the jump-target CSS classes
+     * @param {'target'|'uncertain'|null} kind
+     */
+    setOutline: function (kind) {
+        this._outline = OUTLINE_COLORS[kind] || null;
+        this._layer?.redraw();
+        return this;
+    },
+
+    /**
+     * Canvas markers have no element of their own
+     */
+    getElement: function () {
+        return null;
+    },
+
+    bindTooltip: function (content, options) {
+        this.unbindTooltip();
+        this._tooltip = L.tooltip(options).setContent(content).setLatLng(this._latlng);
+        if (this._tooltip.options.permanent) {
+            this.openTooltip();
+        }
+        return this;
+    },
+
+    unbindTooltip: function () {
+        if (this._tooltip) {
+            this._closeTooltip(true);
+            this._tooltip = null;
+        }
+        return this;
+    },
+
+    getTooltip: function () {
+        return this._tooltip;
+    },
+
+    setTooltipContent: function (content) {
+        this._tooltip?.setContent(content);
+        return this;
+    },
+
+    /**
+     * @param {L.LatLng} [latlng] - Where to show it (sticky tooltips follow the mouse)
+     */
+    openTooltip: function (latlng) {
+        const map = this._layer?._map;
+        if (!this._tooltip || !map || this._hidden) {
+            return this;
+        }
+        this._tooltip.setLatLng(latlng || this._latlng);
+        if (!map.hasLayer(this._tooltip)) {
+            map.addLayer(this._tooltip);
+            this.fire('tooltipopen', { tooltip: this._tooltip });
+        }
+        return this;
+    },
+
+    closeTooltip: function () {
+        return this._closeTooltip(false);
+    },
+
+    isTooltipOpen: function () {
+        const map = this._layer?._map;
+        return !!(this._tooltip && map && map.hasLayer(this._tooltip));
+    },
+
+    _closeTooltip: function (force) {
+        const map = this._layer?._map;
+        if (!this._tooltip || !map || !map.hasLayer(this._tooltip)) {
+            return this;
+        }
+        // Like Leaflet: closing a permanent tooltip needs an unbind or an explicit force
+        if (this._tooltip.options.permanent && !force) {
+            return this;
+        }
+        map.removeLayer(this._tooltip);
+        this.fire('tooltipclose', { tooltip: this._tooltip });
+        return this;
+    },
+
+    _screenSize: function () {
+        const icon = this.options.icon;
+        return icon ? L.point(icon.options.iconSize) : null;
+    }
+});
+
+/**
+ * Layer that draws CanvasMarkers. Exposes addLayer/removeLayer/hasLayer/eachLayer/clearLayers
+ * like an L.LayerGroup.
+ */
+export const CanvasMarkerLayer = L.Layer.extend({
+    initialize: function () {
+        this._markers = new Set();
+        this._cells = new Map();      // "cx:cy" -> Set of markers (world grid)
+        this._positions = new Map();  // marker -> { x, y, cell } in max-zoom pixels
+        this._images = new Map();     // url -> HTMLImageElement
+        this._hitCells = new Map();   // "cx:cy" -> drawn hit rects (screen grid, last draw)
+        this._hover = null;
+        this._frame = null;
+        this._zooming = false;
+    },
+
+    onAdd: function (map) {
+        if (!map.getPane(PANE_NAME)) {
+            const pane = map.createPane(PANE_NAME);
+            pane.style.zIndex = PANE_Z_INDEX;
+            pane.style.pointerEvents = 'none';
+        }
+        this._canvas = L.DomUtil.create('canvas', 'canvas-marker-layer', map.getPane(PANE_NAME));
+        this._ctx = this._canvas.getContext('2d');
+
+        // Capture phase: a hit must not also reach the map's own click/contextmenu handlers
+        this._onDomEvent = (e) => this._handleDomEvent(e);
+        map.getContainer().addEventListener('click', this._onDomEvent, true);
+        map.getContainer().addEventListener('contextmenu', this._onDomEvent, true);
+
+        map.on('moveend viewreset resize zoomend', this._reset, this);
+        map.on('zoomstart', this._onZoomStart, this);
+        map.on('mousemove', this._onMouseMove, this);
+        map.on('mouseout', this._clearHover, this);
+
+        this._reset();
+        for (const marker of this._markers) {
+            if (marker._tooltip?.options.permanent) {
+                marker.openTooltip();
+            }
+        }
+    },
+
+    onRemove: function (map) {
+        this._clearHover();
+        for (const marker of this._markers) {
+            marker._closeTooltip(true);
+        }
+        map.getContainer().removeEventListener('click', this._onDomEvent, true);
+        map.getContainer().removeEventListener('contextmenu', this._onDomEvent, true);
+        map.off('moveend viewreset resize zoomend', this._reset, this);
+        map.off('zoomstart', this._onZoomStart, this);
+        map.off('mousemove', this._onMouseMove, this);
+        map.off('mouseout', this._clearHover, this);
+
+        if (this._frame) {
+            cancelAnimationFrame(this._frame);
+            this._frame = null;
+        }
+        L.DomUtil.remove(this._canvas);
+        this._canvas = null;
+        this._ctx = null;
+        this._hitCells.clear();
+    },
+
+    addLayer: function (marker) {
+        if (this._markers.has(marker)) {
+            return this;
+        }
+        marker._layer = this;
+        this._markers.add(marker);
+        this._index(marker);
+        if (this._map && marker._tooltip?.options.permanent) {
+            marker.openTooltip();
+        }
+        marker.fire('add');
+        this.redraw();
+        return this;
+    },
+
+    removeLayer: function (marker) {
+        if (!this._markers.has(marker)) {
+            return this;
+        }
+        if (this._hover === marker) {
+            this._clearHover();
+        }
+        marker._closeTooltip(true);
+        this._unindex(marker);
+        this._markers.delete(marker);
+        marker._layer = null;
+        marker.fire('remove');
+        this.redraw();
+        return this;
+    },
+
+    hasLayer: function (marker) {
+        return this._markers.has(marker);
+    },
+
+    eachLayer: function (fn, context) {
+        for (const marker of this._markers) {
+            fn.call(context, marker);
+        }
+        return this;
+    },
+
+    clearLayers: function () {
+        for (const marker of [...this._markers]) {
+            this.removeLayer(marker);
+        }
+        return this;
+    },
+
+    /**
+     * Schedule a redraw for the next frame (coalesces bursts such as a batch load)
+     */
+    redraw: function () {
+        if (!this._map || this._frame) {
+            return this;
+        }
+        this._frame = requestAnimationFrame(() => {
+            this._frame = null;
+            this._draw();
+        });
+        return this;
+    },
+
+    // ============ Spatial index ============
+
+    _index: function (marker) {
+        const p = this._map
+            ? this._map.project(marker._latlng, HnHMaxZoom)
+            : L.CRS.Simple.latLngToPoint(marker._latlng, HnHMaxZoom);
+        const cell = `${Math.floor(p.x / WORLD_CELL)}:${Math.floor(p.y / WORLD_CELL)}`;
+        this._positions.set(marker, { x: p.x, y: p.y, cell });
+        if (!this._cells.has(cell)) {
+            this._cells.set(cell, new Set());
+        }
+        this._cells.get(cell).add(marker);
+    },
+
+    _unindex: function (marker) {
+        const pos = this._positions.get(marker);
+        if (!pos) {
+            return;
+        }
+        const bucket = this._cells.get(pos.cell);
+        bucket?.delete(marker);
+        if (bucket && bucket.size === 0) {
+            this._cells.delete(pos.cell);
+        }
+        this._positions.delete(marker);
+    },
+
+    _move: function (marker) {
+        this._unindex(marker);
+        this._index(marker);
+        this.redraw();
+    },
+
+    // ============ Drawing ============
+
+    _onZoomStart: function () {
+        // Sprites are drawn for one zoom level; hide them until zoomend redraws
+        this._zooming = true;
+        this._clearHover();
+        if (this._canvas) {
+            this._canvas.style.visibility = 'hidden';
+        }
+    },
+
+    _reset: function () {
+        const map = this._map;
+        if (!map || !this._canvas) {
+            return;
+        }
+        this._zooming = false;
+
+        const size = map.getSize();
+        const padding = size.multiplyBy(PADDING).round();
+        const canvasSize = size.add(padding.multiplyBy(2));
+        const dpr = window.devicePixelRatio || 1;
+
+        // Canvas origin in layer coordinates: it moves with the map pane while panning
+        this._topLeft = map.containerPointToLayerPoint(padding.multiplyBy(-1)).round();
+        L.DomUtil.setPosition(this._canvas, this._topLeft);
+
+        this._size = canvasSize;
+        this._canvas.width = Math.round(canvasSize.x * dpr);
+        this._canvas.height = Math.round(canvasSize.y * dpr);
+        this._canvas.style.width = `${canvasSize.x}px`;
+        this._canvas.style.height = `${canvasSize.y}px`;
+        this._canvas.style.visibility = '';
+
+        this._draw();
+    },
+
+    _draw: function () {
+        const map = this._map;
+        const ctx = this._ctx;
+        if (!map || !ctx || !this._size || this._zooming) {
+            return;
+        }
+        if (this._frame) {
+            cancelAnimationFrame(this._frame);
+            this._frame = null;
+        }
+
+        const dpr = window.devicePixelRatio || 1;
+        ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
+        ctx.clearRect(0, 0, this._size.x, this._size.y);
+        this._hitCells = new Map();
+
+        // Screen (canvas) point of a max-zoom pixel: p * scale - offset
+        const scale = map.getZoomScale(map.getZoom(), HnHMaxZoom);
+        const offset = map.getPixelOrigin().add(this._topLeft);
+
+        const margin = ICON_MARGIN / scale;
+        const minCellX = Math.floor((offset.x / scale - margin) / WORLD_CELL);
+        const minCellY = Math.floor((offset.y / scale - margin) / WORLD_CELL);
+        const maxCellX = Math.floor(((offset.x + this._size.x) / scale + margin) / WORLD_CELL);
+        const maxCellY = Math.floor(((offset.y + this._size.y) / scale + margin) / WORLD_CELL);
+
+        const normal = [];
+        const raised = [];
+        for (let cx = minCellX; cx <= maxCellX; cx++) {
+            for (let cy = minCellY; cy <= maxCellY; cy++) {
+                const bucket = this._cells.get(`${cx}:${cy}`);
+                if (!bucket) {
+                    continue;
+                }
+                for (const marker of bucket) {
+                    if (marker._hidden || !marker.options.icon) {
+                        continue;
+                    }
+                    (marker.options.zIndexOffset > 0 ? raised : normal).push(marker);
+                }
+            }
+        }
+
+        // Zoomed out, thousands of sprites land on the same few pixels; drawing one per
+        // cell looks the same and keeps the frame short
+        const occupied = new Set();
+        for (const marker of normal) {
+            const pos = this._positions.get(marker);
+            const x = pos.x * scale - offset.x;
+            const y = pos.y * scale - offset.y;
+            const slot = `${Math.floor(x / DECLUTTER_CELL)}:${Math.floor(y / DECLUTTER_CELL)}`;
+            if (occupied.has(slot)) {
+                continue;
+            }
+            if (this._drawMarker(marker, x, y)) {
+                occupied.add(slot);
+            }
+        }
+        raised.sort((a, b) => a.options.zIndexOffset - b.options.zIndexOffset);
+        for (const marker of raised) {
+            const pos = this._positions.get(marker);
+            this._drawMarker(marker, pos.x * scale - offset.x, pos.y * scale - offset.y);
+        }
+    },
+
+    /**
+     * @returns {boolean} false while the sprite image is still loading
+     */
+    _drawMarker: function (marker, x, y) {
+        const iconOptions = marker.options.icon.options;
+        const image = this._getImage(iconOptions.iconUrl);
+        if (!image) {
+            return false;
+        }
+        const size = L.point(iconOptions.iconSize || [image.width, image.height]);
+        const anchor = iconOptions.iconAnchor ? L.point(iconOptions.iconAnchor) : size.divideBy(2);
+        const left = x - anchor.x;
+        const top = y - anchor.y;
+
+        if (left > this._size.x || top > this._size.y || left + size.x < 0 || top + size.y < 0) {
+            return true;
+        }
+
+        if (marker._outline) {
+            const ctx = this._ctx;
+            ctx.save();
+            ctx.strokeStyle = marker._outline;
+            ctx.lineWidth = 3;
+            ctx.shadowColor = marker._outline;
+            ctx.shadowBlur = 8;
+            ctx.beginPath();
+            ctx.arc(left + size.x / 2, top + size.y / 2, Math.max(size.x, size.y) / 2 + 2, 0, Math.PI * 2);
+            ctx.stroke();
+            ctx.restore();
+        }
+        this._ctx.drawImage(image, left, top, size.x, size.y);
+        this._recordHit(marker, left, top, left + size.x, top + size.y);
+        return true;
+    },
+
+    _getImage: function (url) {
+        let image = this._images.get(url);
+        if (!image) {
+            image = new Image();
+            image.onload = () => this.redraw();
+            image.onerror = () => console.warn('[CanvasMarkers] Failed to load', url);
+            image.src = url;
+            this._images.set(url, image);
+        }
+        return image.complete && image.naturalWidth > 0 ? image : null;
+    },
+
+    // ============ Hit testing ============
+
+    _recordHit: function (marker, x0, y0, x1, y1) {
+        const rect = { marker, x0, y0, x1, y1 };
+        for (let cx = Math.floor(x0 / HIT_CELL); cx <= Math.floor(x1 / HIT_CELL); cx++) {
+            for (let cy = Math.floor(y0 / HIT_CELL); cy <= Math.floor(y1 / HIT_CELL); cy++) {
+                const key = `${cx}:${cy}`;
+                if (!this._hitCells.has(key)) {
+                    this._hitCells.set(key, []);
+                }
+                this._hitCells.get(key).push(rect);
+            }
+        }
+    },
+
+    /**
+     * Topmost marker drawn under a container point
+     * @param {L.Point} containerPoint
+     * @returns {CanvasMarker|null}
+     */
+    _hitTest: function (containerPoint) {
+        if (!this._map || this._zooming || !this._topLeft) {
+            return null;
+        }
+        const p = this._map.containerPointToLayerPoint(containerPoint).subtract(this._topLeft);
+        const rects = this._hitCells.get(`${Math.floor(p.x / HIT_CELL)}:${Math.floor(p.y / HIT_CELL)}`);
+        if (!rects) {
+            return null;
+        }
+        // Later rects were drawn on top
+        for (let i = rects.length - 1; i >= 0; i--) {
+            const r = rects[i];
+            if (p.x >= r.x0 && p.x <= r.x1 && p.y >= r.y0 && p.y <= r.y1 && this._markers.has(r.marker)) {
+                return r.marker;
+            }
+        }
+        return null;
+    },
+
+    _handleDomEvent: function (e) {
+        const map = this._map;
+        // Controls, popups, tooltips and DOM markers sit above the canvas
+        if (!map || e.target.closest?.('.leaflet-control, .leaflet-popup-pane, .leaflet-tooltip-pane, .leaflet-marker-pane')) {
+            return;
+        }
+        // The click that ends a drag isn't a marker click
+        if (e.type === 'click' && map.dragging?.moved()) {
+            return;
+        }
+
+        const containerPoint = map.mouseEventToContainerPoint(e);
+        const marker = this._hitTest(containerPoint);
+        if (!marker) {
+            return;
+        }
+
+        e.stopPropagation();
+        if (e.type === 'contextmenu') {
+            e.preventDefault();
+        }
+        marker.fire(e.type, {
+            latlng: marker.getLatLng(),
+            containerPoint,
+            layerPoint: map.containerPointToLayerPoint(containerPoint),
+            originalEvent: e
+        });
+    },
+
+    _onMouseMove: function (e) {
+        const marker = this._hitTest(e.containerPoint);
+        if (marker !== this._hover) {
+            this._clearHover();
+            if (marker) {
+                this._hover = marker;
+                this._map.getContainer().style.cursor = 'pointer';
+                marker.fire('mouseover', { latlng: e.latlng, containerPoint: e.containerPoint, originalEvent: e.originalEvent });
+                if (!marker._tooltip?.options.permanent) {
+                    marker.openTooltip(marker._tooltip?.options.sticky ? e.latlng : undefined);
+                }
+            }
+        } else if (marker && marker._tooltip?.options.sticky && !marker._tooltip.options.permanent) {
+            marker._tooltip.setLatLng(e.latlng);
+        }
+    },
+
+    _clearHover: function () {
+        const marker = this._hover;
+        if (!marker) {
+            return;
+        }
+        this._hover = null;
+        if (this._map) {
+            this._map.getContainer().style.cursor = '';
+        }
+        marker.closeTooltip();
+        marker.fire('mouseout');
+    }
+});
+
+/**
+ * @returns {CanvasMarkerLayer}
+ */
+export function canvasMarkerLayer() {
+    return new CanvasMarkerLayer();
+}
+
+/**
+ * @param {L.LatLng|Array} latlng
+ * @param {object} options - { icon }
+ * @returns {CanvasMarker}
+ */
+export function canvasMarker(latlng, options) {
+    return new CanvasMarker(latlng, options);
+}
@@ -2,6 +2,11 @@
 // Handles character marker management and animations
 
 import { TileSize, HnHMaxZoom } from './leaflet-config.js';
+import { updateRouteProgress } from './navigation-manager.js';
+import { escapeHtml } from './safe-html.js';
+import { recordTrailPoint, clearAllTrails } from './character-trails.js';
+import { onCharacterMoved } from './follow-camera.js';
+import { evaluateWatchZones, forgetWatchZoneCharacters } from './watch-zones.js';
 
 // Character storage
 const characters = {};
@@ -39,6 +44,10 @@ function getOrCreateIcon(iconUrl, iconSize, className = '') {
  * Set the current map ID for character filtering
  */
 export function setCurrentMapId(mapId) {
+    if (mapId !== currentMapId) {
+        // Trail positions belong to the previous map
+        clearAllTrails();
+    }
     currentMapId = mapId;
 }
 
@@ -96,7 +105,7 @@ function refreshCharacterMarker(char) {
 
     // Update tooltip color
     const color = isMyCharacter ? '#FFD700' : getCharacterColor(char.data.type);
-    char.marker.setTooltipContent(`<div style='color:${color};'><b>${char.data.name}</b></div>`);
+    char.marker.setTooltipContent(`<div style='color:${color};'><b>${escapeHtml(char.data.name)}</b></div>`);
 }
 
 /**
@@ -129,7 +138,7 @@ export function addCharacter(characterData, mapInstance) {
 
     // Gold tooltip for my character, otherwise use type-based color
     const color = isMyCharacter ? '#FFD700' : getCharacterColor(characterData.type);
-    marker.bindTooltip(`<div style='color:${color};'><b>${characterData.name}</b></div>`, {
+    marker.bindTooltip(`<div style='color:${color};'><b>${escapeHtml(characterData.name)}</b></div>`, {
         permanent: true,
         direction: 'top',
         sticky: true,
@@ -149,6 +158,7 @@ export function addCharacter(characterData, mapInstance) {
         marker: marker,
         data: characterData
     };
+    recordTrailPoint(characterData.id, characterData.position, color, mapInstance);
 
     // Animate movement
     const slideTo = getSlideToPosition(characterData.speed, characterData.rotation, characterData.position.x, characterData.position.y);
@@ -157,6 +167,7 @@ export function addCharacter(characterData, mapInstance) {
     if (marker.slideTo) {
         marker.slideTo(slidePosition, { duration: updateIntervalMs });
     }
+    onCharacterMoved(characterData.id, characterData.map, currentMapId, slidePosition, updateIntervalMs);
 
     return true;
 }
@@ -171,8 +182,17 @@ export function addCharacter(characterData, mapInstance) {
 export function updateCharacter(characterId, characterData, mapInstance) {
     const char = characters[characterId];
 
+    // Lets the follow camera switch maps along with the followed character
+    if (characterData.map !== currentMapId) {
+        onCharacterMoved(characterId, characterData.map, currentMapId, null, 0);
+    }
+
     if (!char) {
-        return addCharacter(characterData, mapInstance);
+        const added = addCharacter(characterData, mapInstance);
+        if (added && characterData.name === myCharacterName) {
+            updateRouteProgress(characterData.position);
+        }
+        return added;
     }
 
     if (characterData.map !== currentMapId) {
@@ -182,6 +202,11 @@ export function updateCharacter(characterId, characterData, mapInstance) {
 
     // Check if this is "my character" for special highlighting
     const isMyCharacter = characterData.name === myCharacterName;
+
+    // Advance navigation progress along the active route
+    if (isMyCharacter) {
+        updateRouteProgress(characterData.position);
+    }
     const baseSize = 32;
     const iconSize = isMyCharacter ? Math.round(baseSize * 1.33) : baseSize; // 43px for my character
 
@@ -193,7 +218,7 @@ export function updateCharacter(characterId, characterData, mapInstance) {
     // Use cached icon to avoid 40+ allocations/sec with 20 characters
     marker.setIcon(getOrCreateIcon(iconUrl, iconSize, className));
 
-    marker.setTooltipContent(`<div style='color:${color};'><b>${characterData.name}</b></div>`);
+    marker.setTooltipContent(`<div style='color:${color};'><b>${escapeHtml(characterData.name)}</b></div>`);
 
     const position = mapInstance.unproject([characterData.position.x, characterData.position.y], HnHMaxZoom);
     marker.setLatLng(position);
@@ -209,6 +234,9 @@ export function updateCharacter(characterId, characterData, mapInstance) {
     if (marker.slideTo) {
         marker.slideTo(slidePosition, { duration: updateIntervalMs });
     }
+    onCharacterMoved(characterId, characterData.map, currentMapId, slidePosition, updateIntervalMs);
+
+    recordTrailPoint(characterId, characterData.position, color, mapInstance);
 
     char.data = characterData;
     return true;
@@ -259,6 +287,9 @@ export function setCharactersSnapshot(charactersData, mapInstance) {
         console.log('[Characters] First character sample:', JSON.stringify(charactersData[0]));
     }
 
+    // Watch zones see every character, not just those on the current map
+    evaluateWatchZones(charactersData, myCharacterName, true);
+
     // Track which character IDs are in the snapshot
     const snapshotIds = new Set(charactersData.map(c => c.id));
 
@@ -312,6 +343,14 @@ export function applyCharacterDelta(delta, mapInstance) {
     let updated = 0;
     let deleted = 0;
 
+    // Watch zones see every character, not just those on the current map
+    if (Array.isArray(delta.updates)) {
+        evaluateWatchZones(delta.updates, myCharacterName, false);
+    }
+    if (Array.isArray(delta.deletions)) {
+        forgetWatchZoneCharacters(delta.deletions);
+    }
+
     // Apply updates
     if (Array.isArray(delta.updates)) {
         for (const char of delta.updates) {
@@ -353,6 +392,42 @@ export function toggleCharacterTooltips(visible) {
     return true;
 }
 
+/**
+ * Characters currently on the map
+ * @returns {Array} - [{ id, name, type, iconUrl, position: {x, y}, isMine }] (positions in max-zoom pixels)
+ */
+export function getAllCharacterData() {
+    return Object.values(characters).map(char => ({
+        id: char.data.id,
+        name: char.data.name,
+        type: char.data.type,
+        iconUrl: `/${getCharacterIcon(char.data.type)}`,
+        position: char.data.position,
+        isMine: !!myCharacterName && char.data.name === myCharacterName
+    }));
+}
+
+/**
+ * Position of "my character", when it is on the current map
+ * @returns {{x: number, y: number}|null} - Max-zoom pixels
+ */
+export function getMyCharacterPosition() {
+    if (!myCharacterName) {
+        return null;
+    }
+    const mine = Object.values(characters).find(c => c.data?.name === myCharacterName);
+    return mine ? mine.data.position : null;
+}
+
+/**
+ * Current marker position of a character
+ * @param {number} characterId - Character ID
+ * @returns {object|null} - LatLng, or null if the character is not on the current map
+ */
+export function getCharacterLatLng(characterId) {
+    return characters[characterId]?.marker.getLatLng() ?? null;
+}
+
 /**
  * Jump map view to a character
  * @param {number} characterId - Character ID to jump to
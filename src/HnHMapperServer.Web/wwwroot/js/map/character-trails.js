@@ -0,0 +1,261 @@
+// Character Trails Module
+// Records where characters on the current map have been and draws a fading breadcrumb trail
+// for the characters the user turned trails on for. Positions are recorded for every character
+// all the time, so turning a trail on shows the recent history right away.
+
+import { HnHMaxZoom } from './leaflet-config.js';
+
+const WINDOW_STORAGE_KEY = 'havenmap_trail_window_minutes';
+const DEFAULT_WINDOW_MINUTES = 30;
+const MIN_WINDOW_MINUTES = 1;
+const MAX_WINDOW_MINUTES = 180;
+
+const MIN_POINT_DISTANCE = 3;        // Skip points closer than this (absolute units) to the last one...
+const MAX_POINT_INTERVAL_MS = 15000; // ...unless this much time passed (keeps the age fading accurate)
+const TELEPORT_DISTANCE = 1500;      // Jumps longer than this (hearthing, thingwalls) break the line
+const OFFLINE_GAP_MS = 120000;       // So do gaps in updates (character logged out and back in)
+
+const AGE_BUCKETS = 6;               // Trail is drawn as this many polylines, oldest most transparent
+const REDRAW_INTERVAL_MS = 10000;    // Re-fade/prune even when no updates arrive
+
+// characterId -> { color, points: [{ x, y, t, gap }] } where gap marks the start of a new line
+const trails = {};
+const enabledIds = new Set();
+const trailLayers = {}; // characterId -> [L.Polyline] (one per age bucket)
+
+let layerGroup = null;
+let mapRef = null;
+let redrawTimer = null;
+let windowMs = loadWindowMinutes() * 60000;
+
+/**
+ * Initialize the trail layer (safe to call again when the map is recreated). Trails start
+ * hidden again, like Blazor's list of trail characters.
+ * @param {object} mapInstance - Leaflet map instance
+ */
+export function initializeCharacterTrails(mapInstance) {
+    if (redrawTimer) {
+        clearInterval(redrawTimer);
+        redrawTimer = null;
+    }
+    enabledIds.clear();
+    for (const id of Object.keys(trailLayers)) {
+        delete trailLayers[id];
+    }
+    layerGroup?.remove();
+
+    mapRef = mapInstance;
+    layerGroup = L.layerGroup().addTo(mapInstance);
+}
+
+/**
+ * Record a character position. Called by character-manager for every add/update.
+ * @param {number} characterId - Character ID
+ * @param {{x: number, y: number}} position - Max-zoom pixels (game-absolute)
+ * @param {string} color - Trail color (the character's tooltip color)
+ * @param {object} mapInstance - Leaflet map instance
+ */
+export function recordTrailPoint(characterId, position, color, mapInstance) {
+    if (!position || !Number.isFinite(position.x) || !Number.isFinite(position.y)) {
+        return;
+    }
+    mapRef = mapInstance;
+
+    const now = Date.now();
+    const trail = trails[characterId] ??= { color, points: [] };
+    trail.color = color;
+
+    const last = trail.points[trail.points.length - 1];
+    if (last) {
+        const distance = Math.hypot(position.x - last.x, position.y - last.y);
+        if (distance < MIN_POINT_DISTANCE && now - last.t < MAX_POINT_INTERVAL_MS) {
+            return;
+        }
+        const gap = distance > TELEPORT_DISTANCE || now - last.t > OFFLINE_GAP_MS;
+        trail.points.push({ x: position.x, y: position.y, t: now, gap });
+    } else {
+        trail.points.push({ x: position.x, y: position.y, t: now, gap: true });
+    }
+
+    pruneTrail(characterId, now);
+    if (enabledIds.has(characterId)) {
+        renderTrail(characterId, now);
+    }
+}
+
+/**
+ * Show or hide the trail of one character
+ * @param {number} characterId - Character ID
+ * @param {boolean} enabled - Whether to draw the trail
+ * @returns {Array<number>} - IDs of all characters with a visible trail
+ */
+export function setTrailEnabled(characterId, enabled) {
+    if (enabled) {
+        enabledIds.add(characterId);
+        renderTrail(characterId, Date.now());
+    } else {
+        enabledIds.delete(characterId);
+        removeTrailLayers(characterId);
+    }
+    updateRedrawTimer();
+    return [...enabledIds];
+}
+
+/**
+ * @returns {Array<number>} - IDs of all characters with a visible trail
+ */
+export function getTrailCharacterIds() {
+    return [...enabledIds];
+}
+
+/**
+ * Set how far back trails reach (saved in localStorage)
+ * @param {number} minutes - Time window, clamped to 1-180 minutes
+ * @returns {number} - The window that was applied
+ */
+export function setTrailWindowMinutes(minutes) {
+    const clamped = clampWindowMinutes(minutes);
+    windowMs = clamped * 60000;
+    try {
+        localStorage.setItem(WINDOW_STORAGE_KEY, String(clamped));
+    } catch {
+        // Storage unavailable (private mode) - the window still applies for this session
+    }
+    redrawAll();
+    return clamped;
+}
+
+/**
+ * @returns {number} - Current trail time window in minutes
+ */
+export function getTrailWindowMinutes() {
+    return Math.round(windowMs / 60000);
+}
+
+/**
+ * Forget all recorded positions (map change). Trails stay enabled for characters that reappear.
+ */
+export function clearAllTrails() {
+    for (const id of Object.keys(trails)) {
+        delete trails[id];
+    }
+    for (const id of Object.keys(trailLayers)) {
+        removeTrailLayers(Number(id));
+    }
+}
+
+// Helper functions
+
+function loadWindowMinutes() {
+    try {
+        const stored = Number(localStorage.getItem(WINDOW_STORAGE_KEY));
+        return stored > 0 ? clampWindowMinutes(stored) : DEFAULT_WINDOW_MINUTES;
+    } catch {
+        return DEFAULT_WINDOW_MINUTES;
+    }
+}
+
+function clampWindowMinutes(minutes) {
+    const value = Math.round(Number(minutes));
+    if (!Number.isFinite(value)) {
+        return DEFAULT_WINDOW_MINUTES;
+    }
+    return Math.min(MAX_WINDOW_MINUTES, Math.max(MIN_WINDOW_MINUTES, value));
+}
+
+function pruneTrail(characterId, now) {
+    const trail = trails[characterId];
+    if (!trail) return;
+
+    const cutoff = now - windowMs;
+    const firstKept = trail.points.findIndex(p => p.t >= cutoff);
+    if (firstKept === -1) {
+        delete trails[characterId];
+    } else if (firstKept > 0) {
+        trail.points.splice(0, firstKept);
+        trail.points[0].gap = true;
+    }
+}
+
+/**
+ * Draw a trail as AGE_BUCKETS multi-polylines: each point goes into the bucket of its age, and
+ * each segment is drawn in the bucket of its newer end, so buckets join up without gaps.
+ */
+function renderTrail(characterId, now) {
+    const trail = trails[characterId];
+    if (!trail || !mapRef || trail.points.length < 2) {
+        removeTrailLayers(characterId);
+        return;
+    }
+
+    layerGroup ??= L.layerGroup().addTo(mapRef);
+
+    const bucketLines = Array.from({ length: AGE_BUCKETS }, () => []);
+    const bucketMs = windowMs / AGE_BUCKETS;
+    let current = null;
+    let currentBucket = -1;
+
+    for (let i = 1; i < trail.points.length; i++) {
+        const from = trail.points[i - 1];
+        const to = trail.points[i];
+        if (to.gap) {
+            current = null;
+            continue;
+        }
+
+        const age = now - to.t;
+        const bucket = Math.min(AGE_BUCKETS - 1, Math.max(0, Math.floor(age / bucketMs)));
+        if (!current || bucket !== currentBucket) {
+            current = [toLatLng(from)];
+            currentBucket = bucket;
+            bucketLines[bucket].push(current);
+        }
+        current.push(toLatLng(to));
+    }
+
+    const layers = trailLayers[characterId] ??= [];
+    for (let bucket = 0; bucket < AGE_BUCKETS; bucket++) {
+        // Newest bucket nearly opaque, oldest faint
+        const opacity = 0.9 - (0.75 * bucket) / (AGE_BUCKETS - 1);
+        if (!layers[bucket]) {
+            layers[bucket] = L.polyline([], {
+                color: trail.color,
+                weight: 3,
+                opacity,
+                interactive: false
+            }).addTo(layerGroup);
+        }
+        layers[bucket].setStyle({ color: trail.color, opacity });
+        layers[bucket].setLatLngs(bucketLines[bucket]);
+    }
+}
+
+function toLatLng(point) {
+    return mapRef.unproject([point.x, point.y], HnHMaxZoom);
+}
+
+function removeTrailLayers(characterId) {
+    const layers = trailLayers[characterId];
+    if (!layers) return;
+    layers.forEach(layer => layer?.remove());
+    delete trailLayers[characterId];
+}
+
+function redrawAll() {
+    const now = Date.now();
+    for (const id of Object.keys(trails)) {
+        pruneTrail(Number(id), now);
+    }
+    for (const id of enabledIds) {
+        renderTrail(id, now);
+    }
+}
+
+function updateRedrawTimer() {
+    if (enabledIds.size > 0 && !redrawTimer) {
+        redrawTimer = setInterval(redrawAll, REDRAW_INTERVAL_MS);
+    } else if (enabledIds.size === 0 && redrawTimer) {
+        clearInterval(redrawTimer);
+        redrawTimer = null;
+    }
+}
@@ -2,14 +2,23 @@
 // Handles user-placed custom marker management
 
 import { TileSize, BaseTileSize, HnHMaxZoom, HnHMinZoom } from './leaflet-config.js';
+import * as MarkerTimers from './marker-timers.js';
+import { escapeHtml, renderMarkdown } from './safe-html.js';
 
 // Custom marker storage
 const customMarkers = {};
+const customMarkerData = {}; // id -> normalized payload of the rendered marker (for timer events)
 let currentMapId = 0;
 let customMarkerLayer = null;
 let customMarkersInitialized = false;
 let pendingCustomMarkers = [];
 
+// Edit mode: editable markers can be dragged, and clicking one opens the inline editor.
+// One marker is edited at a time; its draft survives re-renders until saved or cancelled.
+let editModeEnabled = false;
+let editIcons = [];        // Icon paths offered by the inline editor
+let editSession = null;    // { id, base, draft, conflict, latest, popup, map, form }
+
 // Safely invoke .NET methods from JS
 let invokeDotNetSafe = null;
 
@@ -31,6 +40,10 @@ export function initializeCustomMarkerManager(layer, invokeFunc) {
  * Set the current map ID for marker filtering
  */
 export function setCurrentMapId(mapId) {
+    // The old map's markers are about to be cleared - just drop the draft
+    if (mapId !== currentMapId) {
+        endEditSession();
+    }
     currentMapId = mapId;
 }
 
@@ -67,6 +80,12 @@ export function addCustomMarker(marker, mapInstance) {
         return;
     }
 
+    // Keep the draft on screen; remember the server's copy for "load theirs"
+    if (editSession && editSession.id === normalized.id && customMarkers[normalized.id]) {
+        editSession.latest = normalized;
+        return;
+    }
+
     // Calculate absolute position from grid + local coords (use BaseTileSize for 100x100 game grid)
     const absX = normalized.coordX * BaseTileSize + normalized.x;
     const absY = normalized.coordY * BaseTileSize + normalized.y;
@@ -85,23 +104,23 @@ export function addCustomMarker(marker, mapInstance) {
     try {
         const latlng = mapInstance.unproject([absX, absY], HnHMaxZoom);
 
-        const iconSrc = resolveIconPath(normalized.icon);
-        // Check for timerText in both camelCase and PascalCase (from C#)
-        const timerText = marker.timerText || marker.TimerText || null;
+        const iconSrc = escapeHtml(resolveIconPath(normalized.icon));
+        const title = escapeHtml(normalized.title);
+        const hasTimer = normalized.timerReadyAt !== null || !!normalized.timerText;
 
         // Create custom marker icon with wrapper for distinct styling
         let iconHtml, iconSize, iconAnchor;
 
-        if (timerText) {
-            // Custom marker with timer - add timer border and text
+        if (hasTimer) {
+            // Custom marker with timer - add timer border and text (kept live by trackCustomMarkerTimer)
             iconHtml = `
                 <div class="marker-with-timer">
                     <img src="${iconSrc}"
                          class="marker-icon-img"
-                         alt="${normalized.title}"
+                         alt="${title}"
                          style="width: 32px; height: 32px; object-fit: contain; display: block;"
                          onerror="this.onerror=null;this.src='/gfx/terobjs/mm/custom.png';" />
-                    <div class="marker-timer-text">${timerText}</div>
+                    <div class="marker-timer-text">${getTimerBadgeText(normalized)}</div>
                 </div>
             `;
             iconSize = [32, 44]; // Add 12px for timer text
@@ -111,7 +130,7 @@ export function addCustomMarker(marker, mapInstance) {
             iconHtml = `
                 <div class="custom-marker" data-marker-id="${normalized.id}">
                     <img src="${iconSrc}"
-                         alt="${normalized.title}"
+                         alt="${title}"
                          style="width: 32px; height: 32px; object-fit: contain; display: block;"
                          onerror="this.onerror=null;this.src='/gfx/terobjs/mm/custom.png';" />
                 </div>
@@ -122,31 +141,32 @@ export function addCustomMarker(marker, mapInstance) {
 
         const customIcon = L.divIcon({
             html: iconHtml,
-            className: timerText ? 'marker-timer-container' : '', // Empty to avoid default leaflet-div-icon class
+            className: hasTimer ? 'marker-timer-container' : '', // Empty to avoid default leaflet-div-icon class
             iconSize: iconSize,
             iconAnchor: iconAnchor
         });
 
-        // Build popup HTML with full marker details
+        // Build popup HTML with full marker details. User text is escaped; the description
+        // may use the Markdown subset of safe-html.js.
         const descriptionHtml = normalized.description
-            ? `<p style="margin: 4px 0; white-space: pre-wrap; color: #333;">${normalized.description}</p>`
+            ? `<div style="margin: 4px 0; color: #333;">${renderMarkdown(normalized.description)}</div>`
             : '';
 
         const popupHtml = `
             <div style="min-width: 200px; background: white; padding: 12px; border-radius: 4px;">
-                <h4 style="margin: 0 0 8px 0; font-size: 1.1em; color: #333;">${normalized.title}</h4>
+                <h4 style="margin: 0 0 8px 0; font-size: 1.1em; color: #333;">${title}</h4>
                 ${descriptionHtml}
                 <div style="font-size: 0.85em; color: #666; margin-top: 8px; border-top: 1px solid #ddd; padding-top: 8px;">
                     <div style="margin: 2px 0;"><strong>Location:</strong> Grid (${normalized.coordX}, ${normalized.coordY}) + (${normalized.x}, ${normalized.y})</div>
-                    <div style="margin: 2px 0;"><strong>Created by:</strong> ${normalized.createdBy}</div>
-                    <div style="margin: 2px 0;"><strong>Placed:</strong> ${normalized.relativeTime}</div>
+                    <div style="margin: 2px 0;"><strong>Created by:</strong> ${escapeHtml(normalized.createdBy)}</div>
+                    <div style="margin: 2px 0;"><strong>Placed:</strong> ${escapeHtml(normalized.relativeTime)}</div>
                 </div>
             </div>
         `;
 
         // Create marker with both tooltip (hover) and popup (click)
         const leafletMarker = L.marker(latlng, { icon: customIcon })
-            .bindTooltip(`<strong>${normalized.title}</strong><br/>${normalized.relativeTime}`, {
+            .bindTooltip(`<strong>${title}</strong><br/>${escapeHtml(normalized.relativeTime)}`, {
                 direction: 'top',
                 offset: [0, -16]
             })
@@ -158,10 +178,19 @@ export function addCustomMarker(marker, mapInstance) {
 
         // Add click handlers
         leafletMarker.on('click', () => {
+            if (isEditable(customMarkerData[normalized.id])) {
+                openCustomMarkerEditor(normalized.id, mapInstance);
+                return;
+            }
             // Popup will open automatically due to bindPopup, but we can ensure it here
             leafletMarker.openPopup();
         });
 
+        // Edit mode dragging (enabled per marker by syncMarkerEditState)
+        leafletMarker.on('dragstart', () => openCustomMarkerEditor(normalized.id, mapInstance, true));
+        leafletMarker.on('drag', () => editSession?.popup.setLatLng(leafletMarker.getLatLng()));
+        leafletMarker.on('dragend', () => onEditDragEnd(normalized.id, leafletMarker, mapInstance));
+
         leafletMarker.on('contextmenu', (e) => {
             L.DomEvent.stopPropagation(e);
             // Pass screen coordinates for proper context menu positioning
@@ -178,7 +207,16 @@ export function addCustomMarker(marker, mapInstance) {
 
         // Store and add to layer
         customMarkers[normalized.id] = leafletMarker;
+        customMarkerData[normalized.id] = normalized;
         customMarkerLayer.addLayer(leafletMarker);
+
+        // Leaflet recreates the icon element from its HTML when the layer is toggled back on
+        leafletMarker.on('add', () => {
+            trackCustomMarkerTimer(customMarkerData[normalized.id], leafletMarker);
+            syncMarkerEditState(normalized.id);
+        });
+        trackCustomMarkerTimer(normalized, leafletMarker);
+        syncMarkerEditState(normalized.id);
     } catch (err) {
         console.error('[CustomMarker] Error adding custom marker:', err, normalized);
         // Don't crash the circuit - just skip this marker
@@ -214,6 +252,12 @@ export function flushCustomMarkerQueue(mapInstance) {
  * @param {object} mapInstance - Leaflet map instance
  */
 export function updateCustomMarker(markerId, marker, mapInstance) {
+    // The marker under edit keeps its draft (addCustomMarker records the new copy)
+    if (editSession?.id === markerId) {
+        addCustomMarker(marker, mapInstance);
+        return;
+    }
+
     // Remove old marker and add updated one
     removeCustomMarker(markerId);
     addCustomMarker(marker, mapInstance);
@@ -226,11 +270,58 @@ export function updateCustomMarker(markerId, marker, mapInstance) {
 export function removeCustomMarker(markerId) {
     if (!customMarkerLayer) return;
 
+    if (editSession?.id === markerId) {
+        console.warn('[CustomMarker] Marker under edit was removed', markerId);
+        endEditSession();
+    }
+
     const marker = customMarkers[markerId];
     if (marker) {
         customMarkerLayer.removeLayer(marker);
         delete customMarkers[markerId];
+        delete customMarkerData[markerId];
+        MarkerTimers.untrack(`custom:${markerId}`);
+    }
+}
+
+/**
+ * Apply a timer event from the map updates stream to the custom marker it belongs to.
+ * Completion and new ready times update the badge in place; adding or removing a timer
+ * rebuilds the marker (different icon).
+ * @param {string} name - timerCreated, timerUpdated, timerCompleted or timerDeleted
+ * @param {object} timer - Timer payload (camelCase); just { id } for timerDeleted
+ * @param {object} mapInstance - Leaflet map instance
+ * @returns {boolean} - True if a rendered custom marker was affected
+ */
+export function applyTimerEvent(name, timer, mapInstance) {
+    if (!timer) return false;
+
+    let data;
+    if (name === 'timerDeleted') {
+        data = Object.values(customMarkerData).find(d => d.timerId === timer.id);
+    } else if (timer.type === 'CustomMarker' && typeof timer.customMarkerId === 'number') {
+        data = customMarkerData[timer.customMarkerId];
     }
+    if (!data) return false;
+
+    const hadTimer = data.timerReadyAt !== null || !!data.timerText;
+    const updated = name === 'timerDeleted'
+        ? { ...data, timerId: null, timerReadyAt: null, timerCompleted: false, timerText: null }
+        : {
+            ...data,
+            timerId: timer.id,
+            timerReadyAt: MarkerTimers.parseUtc(timer.readyAt),
+            timerCompleted: name === 'timerCompleted' || !!timer.isCompleted,
+            timerText: null
+        };
+
+    if (hadTimer !== (updated.timerReadyAt !== null)) {
+        updateCustomMarker(data.id, updated, mapInstance);
+    } else {
+        customMarkerData[data.id] = updated;
+        trackCustomMarkerTimer(updated, customMarkers[data.id]);
+    }
+    return true;
 }
 
 /**
@@ -239,8 +330,18 @@ export function removeCustomMarker(markerId) {
 export function clearAllCustomMarkers() {
     if (!customMarkerLayer) return;
 
+    // A full re-render (e.g. after an SSE refresh) must not throw away the draft being edited
+    if (editSession && customMarkers[editSession.id]) {
+        Object.keys(customMarkers)
+            .filter(id => Number(id) !== editSession.id)
+            .forEach(id => removeCustomMarker(Number(id)));
+        return;
+    }
+
     customMarkerLayer.clearLayers();
     Object.keys(customMarkers).forEach(id => delete customMarkers[id]);
+    Object.keys(customMarkerData).forEach(id => delete customMarkerData[id]);
+    MarkerTimers.untrackAll('custom:');
 }
 
 /**
@@ -262,6 +363,14 @@ export function toggleCustomMarkers(visible, mapInstance) {
     }
 }
 
+/**
+ * Custom markers currently on the map (normalized payloads plus a resolved icon URL)
+ * @returns {Array}
+ */
+export function getAllCustomMarkerData() {
+    return Object.values(customMarkerData).map(data => ({ ...data, iconUrl: resolveIconPath(data.icon) }));
+}
+
 /**
  * Jump map view to a custom marker
  * @param {number} markerId - Marker ID to jump to
@@ -299,8 +408,373 @@ export function jumpToCustomMarker(markerId, zoomLevel, mapInstance) {
     return true;
 }
 
+// ============ Edit Mode ============
+
+/**
+ * Turn edit mode on or off. In edit mode, markers the user may edit can be dragged to a new spot
+ * and clicking one opens an inline title/icon editor; Save sends all changes as one update.
+ * @param {boolean} enabled - Whether edit mode is on
+ * @param {string[]} [icons] - Icon paths the server accepts (offered by the editor)
+ * @returns {boolean} - The new state
+ */
+export function setCustomMarkerEditMode(enabled, icons) {
+    editModeEnabled = !!enabled;
+    if (Array.isArray(icons)) {
+        editIcons = icons;
+    }
+    if (!editModeEnabled) {
+        cancelCustomMarkerEdit();
+    }
+    Object.keys(customMarkers).forEach(id => syncMarkerEditState(Number(id)));
+    console.log('[CustomMarker] Edit mode', editModeEnabled ? 'enabled' : 'disabled');
+    return editModeEnabled;
+}
+
+/**
+ * Check if edit mode is on
+ * @returns {boolean}
+ */
+export function isCustomMarkerEditModeEnabled() {
+    return editModeEnabled;
+}
+
+/**
+ * Note a customMarkerUpdated event from the map updates stream. When it is for the marker being
+ * edited, someone saved it mid-edit and the editor shows a conflict notice.
+ * @param {object} markerEvent - Custom marker event payload (camelCase)
+ * @returns {boolean} - True if the event was for the marker under edit
+ */
+export function noteCustomMarkerUpdated(markerEvent) {
+    const id = Number(markerEvent?.id ?? markerEvent?.Id);
+    if (!editSession || editSession.id !== id) {
+        return false;
+    }
+
+    // The event carries no description - keep ours
+    editSession.conflict = normalizeCustomMarker({ ...editSession.base, ...markerEvent });
+    renderEditorState();
+    return true;
+}
+
+/**
+ * Discard the draft being edited and show the marker as the server has it
+ */
+export function cancelCustomMarkerEdit() {
+    if (!editSession) return;
+
+    const { id, base, latest, map } = editSession;
+    endEditSession();
+    rerenderCustomMarker(id, latest ?? base, map);
+}
+
+/**
+ * Whether clicking/dragging this marker edits it (edit mode on, user may edit it, and no
+ * other marker is being edited)
+ */
+function isEditable(data) {
+    return editModeEnabled && !!data?.canEdit && (!editSession || editSession.id === data.id);
+}
+
+/**
+ * Apply edit mode to one rendered marker: dragging and the editable/editing classes
+ */
+function syncMarkerEditState(markerId) {
+    const leafletMarker = customMarkers[markerId];
+    if (!leafletMarker) return;
+
+    const editable = isEditable(customMarkerData[markerId]);
+    // Leaflet creates the drag handler when the marker is added; the option covers that case
+    leafletMarker.options.draggable = editable;
+    if (leafletMarker.dragging) {
+        editable ? leafletMarker.dragging.enable() : leafletMarker.dragging.disable();
+    }
+
+    const element = leafletMarker.getElement();
+    element?.classList.toggle('custom-marker-editable', editable);
+    element?.classList.toggle('custom-marker-editing', editSession?.id === markerId);
+}
+
+/**
+ * Start editing a marker (or bring its editor back). Called on click and on drag start.
+ * @param {boolean} [dragging] - Opened by a drag: don't pan the map under the cursor
+ */
+function openCustomMarkerEditor(markerId, mapInstance, dragging = false) {
+    const data = customMarkerData[markerId];
+    const leafletMarker = customMarkers[markerId];
+    if (!isEditable(data) || !leafletMarker || !mapInstance) return;
+
+    if (editSession) {
+        if (!mapInstance.hasLayer(editSession.popup)) {
+            editSession.popup.openOn(mapInstance);
+        }
+        return;
+    }
+
+    // Only Save, Cancel and the close button end the edit - not a stray map click
+    const popup = L.popup({
+        className: 'custom-marker-editor-popup',
+        closeOnClick: false,
+        autoClose: false,
+        closeOnEscapeKey: false,
+        autoPan: !dragging,
+        minWidth: 240,
+        offset: [0, -12]
+    });
+
+    editSession = {
+        id: markerId,
+        base: data,
+        draft: { title: data.title, icon: data.icon, coordX: data.coordX, coordY: data.coordY, x: data.x, y: data.y },
+        conflict: null,
+        latest: null,
+        error: null,
+        popup,
+        map: mapInstance,
+        form: buildEditorForm(data)
+    };
+
+    leafletMarker.closePopup();
+    leafletMarker.closeTooltip();
+    popup.setLatLng(leafletMarker.getLatLng()).setContent(editSession.form.root).openOn(mapInstance);
+    popup.on('remove', () => {
+        if (editSession?.popup === popup) {
+            cancelCustomMarkerEdit();
+        }
+    });
+
+    Object.keys(customMarkers).forEach(id => syncMarkerEditState(Number(id)));
+    renderEditorState();
+}
+
+/**
+ * Snap a dropped marker to grid-local coordinates (same math as road waypoints)
+ */
+function onEditDragEnd(markerId, leafletMarker, mapInstance) {
+    if (editSession?.id !== markerId) return;
+
+    const point = mapInstance.project(leafletMarker.getLatLng(), HnHMaxZoom);
+    const coordX = Math.floor(point.x / BaseTileSize);
+    const coordY = Math.floor(point.y / BaseTileSize);
+    const x = Math.floor(((point.x % BaseTileSize) + BaseTileSize) % BaseTileSize);
+    const y = Math.floor(((point.y % BaseTileSize) + BaseTileSize) % BaseTileSize);
+    Object.assign(editSession.draft, { coordX, coordY, x, y });
+
+    // Show the marker exactly where it will be saved
+    const snapped = mapInstance.unproject([coordX * BaseTileSize + x, coordY * BaseTileSize + y], HnHMaxZoom);
+    leafletMarker.setLatLng(snapped);
+    editSession.popup.setLatLng(snapped);
+    editSession.error = null;
+    renderEditorState();
+}
+
+/**
+ * Send the draft to .NET as one update. The saved values stay on screen; Blazor re-renders the
+ * marker with the server's copy (or the original one if the update fails).
+ */
+function saveCustomMarkerEdit() {
+    if (!editSession || getDraftProblem() || !isDraftChanged()) return;
+
+    const { id, base, draft, map } = editSession;
+    const title = draft.title.trim();
+    const pending = typeof invokeDotNetSafe === 'function'
+        ? invokeDotNetSafe('JsOnCustomMarkerEdited', id, title, draft.icon, draft.coordX, draft.coordY, draft.x, draft.y)
+        : null;
+
+    if (!pending) {
+        editSession.error = 'Not connected to the server - try again in a moment.';
+        renderEditorState();
+        return;
+    }
+
+    endEditSession();
+    rerenderCustomMarker(id, { ...base, ...draft, title }, map);
+}
+
+/**
+ * Close the editor without touching the marker
+ */
+function endEditSession() {
+    const session = editSession;
+    if (!session) return;
+
+    editSession = null;
+    session.popup.remove();
+    Object.keys(customMarkers).forEach(id => syncMarkerEditState(Number(id)));
+}
+
+function rerenderCustomMarker(markerId, data, mapInstance) {
+    removeCustomMarker(markerId);
+    addCustomMarker(data, mapInstance);
+}
+
+function isDraftChanged() {
+    const { draft, base } = editSession;
+    return draft.title.trim() !== base.title ||
+        draft.icon !== base.icon ||
+        draft.coordX !== base.coordX || draft.coordY !== base.coordY ||
+        draft.x !== base.x || draft.y !== base.y;
+}
+
+/**
+ * @returns {string|null} Why the draft can't be saved (mirrors the server's validation)
+ */
+function getDraftProblem() {
+    const { draft } = editSession;
+    if (draft.title.trim() === '') {
+        return 'Title is required.';
+    }
+    if (draft.icon === '') {
+        return 'Icon is required.';
+    }
+    if (editIcons.length > 0 && !editIcons.includes(draft.icon)) {
+        return 'Pick an icon from the list.';
+    }
+    return null;
+}
+
+/**
+ * Build the inline editor. Values are set through DOM properties, so user text is never parsed
+ * as HTML.
+ */
+function buildEditorForm(data) {
+    const root = L.DomUtil.create('form', 'custom-marker-editor');
+    root.noValidate = true;
+
+    const heading = L.DomUtil.create('div', 'custom-marker-editor-heading', root);
+    heading.textContent = 'Edit marker';
+
+    const conflict = L.DomUtil.create('div', 'custom-marker-editor-conflict', root);
+    const conflictText = L.DomUtil.create('div', '', conflict);
+    const loadTheirs = L.DomUtil.create('button', 'custom-marker-editor-link', conflict);
+    loadTheirs.type = 'button';
+    loadTheirs.textContent = 'Discard mine and load theirs';
+
+    const titleLabel = L.DomUtil.create('label', 'custom-marker-editor-label', root);
+    titleLabel.textContent = 'Title';
+    const titleInput = L.DomUtil.create('input', 'custom-marker-editor-input', titleLabel);
+    titleInput.type = 'text';
+    titleInput.maxLength = 80;
+    titleInput.value = data.title;
+
+    const iconLabel = L.DomUtil.create('label', 'custom-marker-editor-label', root);
+    iconLabel.textContent = 'Icon';
+    const iconRow = L.DomUtil.create('div', 'custom-marker-editor-icon-row', iconLabel);
+    const preview = L.DomUtil.create('img', 'custom-marker-editor-icon-preview', iconRow);
+    preview.alt = '';
+    preview.src = resolveIconPath(data.icon);
+    preview.addEventListener('error', () => {
+        if (!preview.src.endsWith('/gfx/terobjs/mm/custom.png')) {
+            preview.src = '/gfx/terobjs/mm/custom.png';
+        }
+    });
+    const iconInput = L.DomUtil.create('input', 'custom-marker-editor-input', iconRow);
+    iconInput.type = 'text';
+    iconInput.value = data.icon;
+    iconInput.placeholder = 'Type to search icons';
+    const iconList = L.DomUtil.create('datalist', '', iconRow);
+    iconList.id = 'custom-marker-editor-icons';
+    iconInput.setAttribute('list', iconList.id);
+    for (const icon of editIcons) {
+        const option = L.DomUtil.create('option', '', iconList);
+        option.value = icon;
+    }
+
+    const location = L.DomUtil.create('div', 'custom-marker-editor-location', root);
+    const error = L.DomUtil.create('div', 'custom-marker-editor-error', root);
+
+    const actions = L.DomUtil.create('div', 'custom-marker-editor-actions', root);
+    const cancel = L.DomUtil.create('button', 'custom-marker-editor-button', actions);
+    cancel.type = 'button';
+    cancel.textContent = 'Cancel';
+    const save = L.DomUtil.create('button', 'custom-marker-editor-button primary', actions);
+    save.type = 'submit';
+    save.textContent = 'Save';
+
+    // Keep typing and clicks away from the map (keyboard panning/zoom, Alt+M, map clicks)
+    L.DomEvent.disableClickPropagation(root);
+    L.DomEvent.disableScrollPropagation(root);
+    root.addEventListener('keydown', (e) => {
+        e.stopPropagation();
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            cancelCustomMarkerEdit();
+        }
+    });
+
+    titleInput.addEventListener('input', () => {
+        editSession.draft.title = titleInput.value;
+        editSession.error = null;
+        renderEditorState();
+    });
+    iconInput.addEventListener('input', () => {
+        editSession.draft.icon = iconInput.value.trim();
+        editSession.error = null;
+        preview.src = resolveIconPath(editSession.draft.icon);
+        renderEditorState();
+    });
+    root.addEventListener('submit', (e) => {
+        e.preventDefault();
+        saveCustomMarkerEdit();
+    });
+    cancel.addEventListener('click', () => cancelCustomMarkerEdit());
+    loadTheirs.addEventListener('click', () => {
+        const { id, latest, conflict: theirs, map } = editSession;
+        endEditSession();
+        rerenderCustomMarker(id, latest ?? theirs, map);
+    });
+
+    setTimeout(() => titleInput.focus(), 0);
+
+    return { root, conflict, conflictText, location, error, save };
+}
+
+function renderEditorState() {
+    if (!editSession) return;
+
+    const { draft, conflict, form } = editSession;
+    form.location.textContent = `Grid (${draft.coordX}, ${draft.coordY}) + (${draft.x}, ${draft.y}) - drag the marker to move it`;
+
+    form.conflict.hidden = !conflict;
+    if (conflict) {
+        form.conflictText.textContent = `Someone else saved this marker while you were editing it ` +
+            `(now "${conflict.title}" at grid (${conflict.coordX}, ${conflict.coordY})). Saving replaces their changes.`;
+    }
+
+    const problem = getDraftProblem();
+    form.error.textContent = editSession.error ?? (isDraftChanged() ? problem : null) ?? '';
+    form.save.disabled = !!problem || !isDraftChanged();
+}
+
 // Helper functions
 
+function getTimerBadgeText(normalized) {
+    if (normalized.timerReadyAt === null) {
+        return normalized.timerText;
+    }
+    return MarkerTimers.formatCountdown(normalized.timerCompleted ? 0 : normalized.timerReadyAt - Date.now());
+}
+
+/**
+ * Keep a custom marker's timer badge counting down on the shared ticker (until READY)
+ * @param {object} normalized - Normalized marker payload
+ * @param {L.Marker} leafletMarker
+ */
+function trackCustomMarkerTimer(normalized, leafletMarker) {
+    if (!normalized) return;
+    const key = `custom:${normalized.id}`;
+    if (normalized.timerReadyAt === null || !leafletMarker) {
+        MarkerTimers.untrack(key);
+        return;
+    }
+
+    MarkerTimers.track(key, now => {
+        if (customMarkers[normalized.id] !== leafletMarker || customMarkerData[normalized.id] !== normalized) {
+            return false;
+        }
+        return MarkerTimers.renderTimerBadge(leafletMarker.getElement(), normalized.timerReadyAt, normalized.timerCompleted, now);
+    });
+}
+
 function resolveIconPath(icon) {
     if (!icon || typeof icon !== 'string') {
         return '/gfx/terobjs/mm/custom.png';
@@ -314,7 +788,12 @@ function resolveIconPath(icon) {
     return trimmed.startsWith('/') ? trimmed : `/${trimmed}`;
 }
 
-function normalizeCustomMarker(marker) {
+/**
+ * Normalize a custom marker payload (camelCase or PascalCase) to the shape used by this module
+ * @param {object} marker
+ * @returns {object|null} null if the payload isn't an object
+ */
+export function normalizeCustomMarker(marker) {
     if (!marker || typeof marker !== 'object') {
         return null;
     }
@@ -355,10 +834,16 @@ function normalizeCustomMarker(marker) {
     const createdBy = (resolve(marker.createdBy, marker.CreatedBy, '') ?? '').toString();
     const relativeTime = (resolve(marker.relativeTime, marker.RelativeTime, '') ?? '').toString();
     const hidden = coerceBool(resolve(marker.hidden, marker.Hidden), false);
+    const canEdit = coerceBool(resolve(marker.canEdit, marker.CanEdit), false);
 
     const placedAt = resolve(marker.placedAt, marker.PlacedAt, null);
     const updatedAt = resolve(marker.updatedAt, marker.UpdatedAt, null);
 
+    const timerText = resolve(marker.timerText, marker.TimerText, null);
+    const timerId = resolve(marker.timerId, marker.TimerId, null);
+    const timerReadyAt = MarkerTimers.parseUtc(resolve(marker.timerReadyAt, marker.TimerReadyAt, null));
+    const timerCompleted = coerceBool(resolve(marker.timerCompleted, marker.TimerCompleted), false);
+
     return {
         id,
         mapId,
@@ -372,7 +857,12 @@ function normalizeCustomMarker(marker) {
         createdBy,
         relativeTime,
         hidden,
+        canEdit,
         placedAt,
-        updatedAt
+        updatedAt,
+        timerText,
+        timerId,
+        timerReadyAt,
+        timerCompleted
     };
 }
@@ -0,0 +1,66 @@
+// Delaunay Adjacency Module
+// Pure thingwall adjacency computation shared by voronoi-adjacency.js and navigation-worker.js
+// Two thingwalls are "adjacent" if they share a Delaunay edge (equivalent to sharing a Voronoi border)
+
+/**
+ * Compute thingwall adjacency from positions
+ * @param {Array} positions - Array of {id, x, y} in absolute pixels
+ * @param {Function} Delaunay - d3.Delaunay constructor (global in the page, imported in the worker)
+ * @returns {Map} - thingwallId -> Set<adjacentIds> (empty when there are fewer than 3 thingwalls)
+ */
+export function computeThingwallAdjacency(positions, Delaunay) {
+    const adjacency = new Map();
+
+    // Need at least 3 points for meaningful Delaunay
+    if (!positions || positions.length < 3) {
+        return adjacency;
+    }
+
+    const delaunay = Delaunay.from(positions.map(p => [p.x, p.y]));
+
+    // Initialize empty sets for all thingwalls
+    for (const tw of positions) {
+        adjacency.set(tw.id, new Set());
+    }
+
+    const addEdge = (indexA, indexB) => {
+        const idA = positions[indexA].id;
+        const idB = positions[indexB].id;
+        adjacency.get(idA).add(idB);
+        adjacency.get(idB).add(idA);
+    };
+
+    // Extract edges from triangulation
+    // Delaunay.triangles contains triangle vertex indices as [i0, j0, k0, i1, j1, k1, ...]
+    const triangles = delaunay.triangles;
+    for (let i = 0; i < triangles.length; i += 3) {
+        const a = triangles[i];
+        const b = triangles[i + 1];
+        const c = triangles[i + 2];
+
+        // Each triangle has 3 edges: a-b, b-c, c-a
+        addEdge(a, b);
+        addEdge(b, c);
+        addEdge(c, a);
+    }
+
+    return adjacency;
+}
+
+/**
+ * Convert an adjacency map into a structured-clone friendly array
+ * @param {Map} adjacency - thingwallId -> Set<adjacentIds>
+ * @returns {Array} - [[thingwallId, [adjacentIds]], ...]
+ */
+export function serializeAdjacency(adjacency) {
+    return Array.from(adjacency, ([id, neighbours]) => [id, Array.from(neighbours)]);
+}
+
+/**
+ * Rebuild an adjacency map from serializeAdjacency output
+ * @param {Array} entries - [[thingwallId, [adjacentIds]], ...]
+ * @returns {Map} - thingwallId -> Set<adjacentIds>
+ */
+export function deserializeAdjacency(entries) {
+    return new Map((entries || []).map(([id, neighbours]) => [id, new Set(neighbours)]));
+}
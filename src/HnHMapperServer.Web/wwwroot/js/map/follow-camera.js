@@ -0,0 +1,164 @@
+// Follow Camera Module
+// Keeps the view on a followed character as character-manager moves it. The camera pans along
+// with the marker's slide animation (same target, same duration), so the two move in lockstep.
+// Two modes: 'center' keeps the character centered, 'deadzone' only pans when the character
+// leaves a box in the middle of the screen. Dragging the map disengages follow.
+
+const MODE_STORAGE_KEY = 'havenmap_follow_mode';
+const DEADZONE_FRACTION = 0.5; // Dead-zone box covers the middle 50% of the map in each direction
+const FOLLOW_ZOOM = 5;         // Minimum zoom when follow starts or has to jump (matches jumpToCharacter)
+
+let mapRef = null;
+let invokeDotNetSafe = null;
+
+let followedId = null;
+let followMode = loadMode();
+let requestedMapId = null; // Map switch already requested from Blazor (avoid repeating it every update)
+
+/**
+ * Initialize the follow camera
+ * @param {object} mapInstance - Leaflet map instance
+ * @param {function} invokeFunc - Function to invoke .NET methods
+ */
+export function initializeFollowCamera(mapInstance, invokeFunc) {
+    mapRef = mapInstance;
+    invokeDotNetSafe = invokeFunc;
+
+    // 'dragstart' only fires for user drags, not for our own panTo/panBy
+    mapInstance.on('dragstart', () => {
+        if (followedId === null) return;
+        followedId = null;
+        requestedMapId = null;
+        invokeDotNetSafe?.('JsOnFollowDisengaged');
+    });
+}
+
+/**
+ * Start following a character. Centers on it right away if it is on the current map.
+ * @param {number} characterId - Character ID
+ * @param {object|null} latlng - Current marker position, if the character is on this map
+ */
+export function startFollowing(characterId, latlng) {
+    followedId = characterId;
+    requestedMapId = null;
+
+    if (latlng && mapRef) {
+        mapRef.setView(latlng, Math.max(mapRef.getZoom(), FOLLOW_ZOOM), { animate: false });
+    }
+    console.log('[FollowCamera] Following character', characterId, 'mode:', followMode);
+}
+
+/**
+ * Stop following (no callback to .NET - the caller already knows)
+ */
+export function stopFollowing() {
+    followedId = null;
+    requestedMapId = null;
+}
+
+/**
+ * @returns {number|null} - ID of the followed character
+ */
+export function getFollowedCharacterId() {
+    return followedId;
+}
+
+/**
+ * Set the follow mode (saved in localStorage)
+ * @param {string} mode - 'center' or 'deadzone'
+ * @returns {string} - The mode that was applied
+ */
+export function setFollowMode(mode) {
+    followMode = mode === 'deadzone' ? 'deadzone' : 'center';
+    try {
+        localStorage.setItem(MODE_STORAGE_KEY, followMode);
+    } catch {
+        // Storage unavailable - the mode still applies for this session
+    }
+    return followMode;
+}
+
+/**
+ * @returns {string} - Current follow mode ('center' or 'deadzone')
+ */
+export function getFollowMode() {
+    return followMode;
+}
+
+/**
+ * Called by character-manager whenever a character's position is applied
+ * @param {number} characterId - Character ID
+ * @param {number} characterMapId - Map the character is on
+ * @param {number} currentMapId - Map currently shown
+ * @param {object} targetLatLng - Where the marker's slide animation ends
+ * @param {number} durationMs - Slide duration
+ */
+export function onCharacterMoved(characterId, characterMapId, currentMapId, targetLatLng, durationMs) {
+    if (followedId === null || characterId !== followedId || !mapRef) {
+        return;
+    }
+
+    // Followed character changed maps: Blazor switches via changeMap and reloads map-scoped state
+    if (characterMapId !== currentMapId) {
+        if (requestedMapId !== characterMapId) {
+            requestedMapId = characterMapId;
+            console.log('[FollowCamera] Followed character moved to map', characterMapId);
+            invokeDotNetSafe?.('JsOnFollowedCharacterMapChanged', characterMapId);
+        }
+        return;
+    }
+    requestedMapId = null;
+
+    const size = mapRef.getSize();
+    const center = mapRef.latLngToContainerPoint(mapRef.getCenter());
+    const target = mapRef.latLngToContainerPoint(targetLatLng);
+
+    // Off-screen (after a map switch, teleport or hearth): jump instead of a long pan
+    if (target.x < 0 || target.y < 0 || target.x > size.x || target.y > size.y) {
+        mapRef.setView(targetLatLng, Math.max(mapRef.getZoom(), FOLLOW_ZOOM), { animate: false });
+        return;
+    }
+
+    let offset;
+    if (followMode === 'deadzone') {
+        const halfW = (size.x * DEADZONE_FRACTION) / 2;
+        const halfH = (size.y * DEADZONE_FRACTION) / 2;
+        offset = L.point(
+            overflow(target.x - center.x, halfW),
+            overflow(target.y - center.y, halfH)
+        );
+    } else {
+        offset = target.subtract(center);
+    }
+
+    if (Math.abs(offset.x) < 1 && Math.abs(offset.y) < 1) {
+        return;
+    }
+
+    // Linear easing over the slide duration matches the marker's own animation
+    mapRef.panBy(offset, {
+        animate: true,
+        duration: Math.max(0.25, durationMs / 1000),
+        easeLinearity: 1,
+        noMoveStart: true
+    });
+}
+
+// Helper functions
+
+/**
+ * How far a value sticks out of [-half, half] (0 when inside)
+ */
+function overflow(value, half) {
+    if (value > half) return value - half;
+    if (value < -half) return value + half;
+    return 0;
+}
+
+function loadMode() {
+    try {
+        return localStorage.getItem(MODE_STORAGE_KEY) === 'deadzone' ? 'deadzone' : 'center';
+    } catch {
+        return 'center';
+    }
+}
@@ -0,0 +1,326 @@
+/**
+ * GeoJSON Transfer Module
+ * Exports a map's custom markers, roads and active pings as a GeoJSON FeatureCollection and reads
+ * such files back for import, with an on-map preview of what would be created.
+ *
+ * Coordinates are game-absolute: x = gridX * 100 + localX, y = gridY * 100 + localY (y grows
+ * southwards), the same scheme the map uses for marker positions. A file therefore moves between
+ * maps by adding a grid offset. Exported files carry an `hnhMapper` member with the source map.
+ */
+
+import { BaseTileSize, HnHMaxZoom } from './leaflet-config.js';
+import { normalizeCustomMarker } from './custom-marker-manager.js';
+import { normalizeRoad } from './road-manager.js';
+import { getAllPingData, describePing, normalizePingType, PING_TYPES } from './ping-manager.js';
+import { escapeHtml } from './safe-html.js';
+
+const FORMAT_VERSION = 1;
+const MAX_IMPORT_FEATURES = 2000;
+const MAX_PING_MESSAGE_LENGTH = 80; // PingConstants.MaxMessageLength on the server
+
+// Preview colors by feature status (see getPreviewStatus)
+const PREVIEW_COLORS = {
+    new: '#43a047',
+    duplicate: '#fb8c00',
+    skipped: '#9e9e9e'
+};
+
+let previewLayer = null;
+
+/**
+ * Build the GeoJSON for a map's annotations
+ * @param {number} mapId - Source map ID
+ * @param {string} mapName - Source map name
+ * @param {Array} customMarkers - Custom marker payloads (normalized with normalizeCustomMarker)
+ * @param {Array} roads - Road payloads (normalized with normalizeRoad)
+ * @param {Array} pings - Ping data from getAllPingData
+ * @returns {object} GeoJSON FeatureCollection
+ */
+export function buildAnnotationsGeoJson(mapId, mapName, customMarkers, roads, pings) {
+    const features = [];
+
+    for (const raw of customMarkers ?? []) {
+        const marker = normalizeCustomMarker(raw);
+        if (!marker) continue;
+        features.push({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: toAbsolute(marker) },
+            properties: {
+                kind: 'customMarker',
+                title: marker.title,
+                description: marker.description,
+                icon: marker.icon,
+                hidden: marker.hidden,
+                createdBy: marker.createdBy,
+                placedAt: marker.placedAt
+            }
+        });
+    }
+
+    for (const raw of roads ?? []) {
+        const road = normalizeRoad(raw);
+        if (!road || road.waypoints.length < 2) continue;
+        features.push({
+            type: 'Feature',
+            geometry: { type: 'LineString', coordinates: road.waypoints.map(toAbsolute) },
+            properties: {
+                kind: 'road',
+                name: road.name,
+                hidden: road.hidden,
+                createdBy: road.createdBy
+            }
+        });
+    }
+
+    for (const ping of pings ?? []) {
+        features.push({
+            type: 'Feature',
+            geometry: { type: 'Point', coordinates: toAbsolute(ping) },
+            properties: {
+                kind: 'ping',
+                pingType: ping.type ?? 'default',
+                message: ping.message ?? null,
+                createdBy: ping.createdBy,
+                expiresAt: ping.expiresAt
+            }
+        });
+    }
+
+    return {
+        type: 'FeatureCollection',
+        hnhMapper: {
+            version: FORMAT_VERSION,
+            coordinates: 'game-absolute',
+            mapId,
+            mapName,
+            exportedAt: new Date().toISOString()
+        },
+        features
+    };
+}
+
+/**
+ * Export a map's annotations and download them as a .geojson file. Pings come from the map
+ * (only the active ones on this map); markers and roads are passed in by Blazor.
+ * @param {number} mapId - Map ID
+ * @param {string} mapName - Map name (also used for the file name)
+ * @param {Array} customMarkers - Custom markers of the map
+ * @param {Array} roads - Roads of the map
+ * @returns {{markers: number, roads: number, pings: number}} Exported feature counts
+ */
+export function exportAnnotations(mapId, mapName, customMarkers, roads) {
+    const pings = getAllPingData().filter(p => !p.mapId || p.mapId === mapId);
+    const geoJson = buildAnnotationsGeoJson(mapId, mapName, customMarkers, roads, pings);
+
+    const counts = { markers: 0, roads: 0, pings: 0 };
+    for (const feature of geoJson.features) {
+        const kind = feature.properties.kind;
+        if (kind === 'customMarker') counts.markers++;
+        else if (kind === 'road') counts.roads++;
+        else counts.pings++;
+    }
+
+    const safeName = (mapName || `map-${mapId}`).replace(/[^\w.-]+/g, '_');
+    const blob = new Blob([JSON.stringify(geoJson, null, 2)], { type: 'application/geo+json' });
+    downloadBlob(blob, `${safeName}-annotations.geojson`);
+
+    console.log('[GeoJSON] Exported', counts);
+    return counts;
+}
+
+/**
+ * Parse a GeoJSON file for import. Points become custom markers (or pings when exported as
+ * such), LineStrings become roads; other geometries are skipped. Works with files from other
+ * tools as long as they use game-absolute coordinates.
+ * @param {string} text - File content
+ * @returns {object} { error, sourceMapId, sourceMapName, features, skipped } where each feature is
+ *          { index, kind, title, description, icon, hidden, points: [{ x, y }] } (pings also
+ *          carry pingType and message)
+ */
+export function parseAnnotations(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        return { error: 'The file is not valid JSON.' };
+    }
+
+    const rawFeatures = data?.type === 'FeatureCollection' ? data.features
+        : data?.type === 'Feature' ? [data]
+        : null;
+    if (!Array.isArray(rawFeatures)) {
+        return { error: 'The file is not a GeoJSON Feature or FeatureCollection.' };
+    }
+    if (rawFeatures.length > MAX_IMPORT_FEATURES) {
+        return { error: `The file has ${rawFeatures.length} features; at most ${MAX_IMPORT_FEATURES} can be imported at once.` };
+    }
+
+    const features = [];
+    let skipped = 0;
+    rawFeatures.forEach((raw, index) => {
+        const feature = parseFeature(raw, index);
+        if (feature) {
+            features.push(feature);
+        } else {
+            skipped++;
+        }
+    });
+
+    const meta = data.hnhMapper && typeof data.hnhMapper === 'object' ? data.hnhMapper : {};
+    return {
+        error: null,
+        sourceMapId: Number.isInteger(meta.mapId) ? meta.mapId : null,
+        sourceMapName: typeof meta.mapName === 'string' ? meta.mapName : null,
+        features,
+        skipped
+    };
+}
+
+/**
+ * Show (or refresh) the import preview on the map
+ * @param {Array} features - Parsed features with .NET's selection state ({ ..., selected, duplicateOf })
+ * @param {number} offsetX - Offset added to every x (absolute units)
+ * @param {number} offsetY - Offset added to every y (absolute units)
+ * @param {boolean} fit - Move the map so the preview is in view
+ * @param {object} mapInstance - Leaflet map instance
+ */
+export function showImportPreview(features, offsetX, offsetY, fit, mapInstance) {
+    if (!mapInstance) return;
+
+    clearImportPreview();
+    previewLayer = L.layerGroup().addTo(mapInstance);
+
+    const toLatLng = point => mapInstance.unproject([point.x + offsetX, point.y + offsetY], HnHMaxZoom);
+    const bounds = L.latLngBounds([]);
+
+    for (const feature of features ?? []) {
+        if (feature.imported) continue;
+
+        const status = getPreviewStatus(feature);
+        const color = PREVIEW_COLORS[status];
+        const latlngs = (feature.points ?? []).map(toLatLng);
+        if (latlngs.length === 0) continue;
+        latlngs.forEach(latlng => bounds.extend(latlng));
+
+        const layer = feature.kind === 'road'
+            ? L.polyline(latlngs, { color, weight: 4, opacity: 0.9, dashArray: '10, 6', interactive: true })
+            : L.circleMarker(latlngs[0], { radius: feature.kind === 'ping' ? 6 : 8, color, fillColor: color, fillOpacity: 0.5, weight: 2, dashArray: '4, 3' });
+
+        const statusText = status === 'duplicate' ? `likely duplicate of "${feature.duplicateOf}"`
+            : status === 'skipped' ? 'not selected'
+            : 'will be imported';
+        layer.bindTooltip(`<strong>${escapeHtml(feature.title)}</strong><br/>${escapeHtml(statusText)}`, { direction: 'top', sticky: feature.kind === 'road' });
+        layer.addTo(previewLayer);
+    }
+
+    if (fit && bounds.isValid()) {
+        mapInstance.fitBounds(bounds.pad(0.2), { maxZoom: 6 });
+    }
+}
+
+/**
+ * Remove the import preview from the map
+ */
+export function clearImportPreview() {
+    if (previewLayer) {
+        previewLayer.remove();
+        previewLayer = null;
+    }
+}
+
+// ============ Helper Functions ============
+
+/**
+ * Grid + local coordinates to a game-absolute [x, y] pair
+ */
+function toAbsolute(point) {
+    return [point.coordX * BaseTileSize + point.x, point.coordY * BaseTileSize + point.y];
+}
+
+/**
+ * @returns {{x: number, y: number}|null} Rounded position, or null if not a finite [x, y] pair
+ */
+function readPosition(coordinates) {
+    if (!Array.isArray(coordinates) || coordinates.length < 2) return null;
+    const [x, y] = coordinates;
+    if (!Number.isFinite(x) || !Number.isFinite(y)) return null;
+    return { x: Math.round(x), y: Math.round(y) };
+}
+
+/**
+ * Absolute position to the grid + local form the normalizers expect
+ */
+function toGridPoint(point) {
+    const coordX = Math.floor(point.x / BaseTileSize);
+    const coordY = Math.floor(point.y / BaseTileSize);
+    return { coordX, coordY, x: point.x - coordX * BaseTileSize, y: point.y - coordY * BaseTileSize };
+}
+
+function parseFeature(raw, index) {
+    if (raw?.type !== 'Feature' || !raw.geometry) return null;
+
+    const properties = raw.properties && typeof raw.properties === 'object' ? raw.properties : {};
+    const { type, coordinates } = raw.geometry;
+
+    if (type === 'Point') {
+        const point = readPosition(coordinates);
+        if (!point) return null;
+
+        if (properties.kind === 'ping') {
+            const by = typeof properties.createdBy === 'string' ? properties.createdBy : null;
+            const message = typeof properties.message === 'string' && properties.message.trim()
+                ? properties.message.trim().slice(0, MAX_PING_MESSAGE_LENGTH)
+                : null;
+            const pingType = normalizePingType(properties.pingType);
+            const label = PING_TYPES[pingType].label;
+            const title = by ? describePing(pingType, message, by) : (message ? `${label}: ${message}` : label);
+            return { index, kind: 'ping', title, description: null, icon: '', hidden: false, points: [point], pingType, message };
+        }
+
+        const marker = normalizeCustomMarker({
+            ...properties,
+            ...toGridPoint(point),
+            title: properties.title ?? properties.name ?? ''
+        });
+        return {
+            index,
+            kind: 'customMarker',
+            title: marker.title.trim() || 'Imported marker',
+            description: typeof marker.description === 'string' ? marker.description : null,
+            icon: marker.icon,
+            hidden: marker.hidden,
+            points: [point]
+        };
+    }
+
+    if (type === 'LineString') {
+        const points = Array.isArray(coordinates) ? coordinates.map(readPosition) : [];
+        if (points.length < 2 || points.some(p => !p)) return null;
+
+        const road = normalizeRoad({
+            name: properties.name ?? properties.title,
+            hidden: properties.hidden,
+            waypoints: points.map(toGridPoint)
+        });
+        return { index, kind: 'road', title: road.name, description: null, icon: '', hidden: road.hidden, points };
+    }
+
+    return null;
+}
+
+function getPreviewStatus(feature) {
+    if (!feature.selected) return 'skipped';
+    return feature.duplicateOf ? 'duplicate' : 'new';
+}
+
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const anchor = document.createElement('a');
+    anchor.href = url;
+    anchor.download = fileName;
+    document.body.appendChild(anchor);
+    anchor.click();
+    anchor.remove();
+    // Revoking synchronously can abort the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
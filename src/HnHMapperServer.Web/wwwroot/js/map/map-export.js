@@ -0,0 +1,391 @@
+// Map Export Module
+// Renders a grid-coordinate rectangle of a map into a single image: tiles are fetched through
+// the same URL scheme SmartTileLayer uses and stitched on an (Offscreen)Canvas, optionally with
+// overlays (claims/villages/provinces), roads and marker icons composited on top, then the
+// result is downloaded as PNG or WebP.
+
+import { TileSize, BaseTileSize, HnHMinZoom, HnHMaxZoom } from './leaflet-config.js';
+import { getAllMarkerData, getHiddenMarkerTypes } from './marker-manager.js';
+import { getAllRoadsData, getRoadColor } from './road-manager.js';
+import { getRoadPoints } from './road-graph.js';
+import { requestOverlaysForArea, drawOverlaysToContext } from './overlay-layer.js';
+
+const FETCH_CONCURRENCY = 6;                 // Parallel tile fetches (same as offline downloads)
+const MAX_EXPORT_DIMENSION = 16384;          // Browsers refuse larger canvases on either side
+const MAX_EXPORT_PIXELS = 64 * 1024 * 1024;  // 256 MB of RGBA; keep in sync with ExportMapDialog
+const PROGRESS_REPORT_INTERVAL_MS = 250;     // Throttle progress callbacks
+const OVERLAY_TIMEOUT_MS = 15000;            // Longest wait for each chunk of uncached overlay grids
+
+const MARKER_ICON_SIZE = 36;                 // Same icon geometry as marker-manager.js
+const MARKER_ANCHOR = [18, 18];
+const CUSTOM_MARKER_ANCHOR = [11, 21];
+const CAVE_ICON_URL = '/gfx/hud/mmap/cave.png';
+
+let activeExport = null;        // AbortController of the running export
+
+/**
+ * Compute output geometry for an export request
+ * @param {object} options - { gridMinX, gridMinY, gridMaxX, gridMaxY, zoom }
+ * @returns {object} - { width, height, pixelsPerGrid, tileCount, tooLarge, maxDimension, maxPixels }
+ */
+export function estimateMapExport(options) {
+    const { gridMinX, gridMinY, gridMaxX, gridMaxY } = normalizeRect(options);
+    const zoom = clampZoom(options.zoom);
+    const hnhZoom = HnHMaxZoom - zoom;
+    const pixelsPerGrid = BaseTileSize / Math.pow(2, hnhZoom);
+
+    const width = Math.ceil((gridMaxX - gridMinX + 1) * pixelsPerGrid);
+    const height = Math.ceil((gridMaxY - gridMinY + 1) * pixelsPerGrid);
+    const ranges = getTileRange(gridMinX, gridMinY, gridMaxX, gridMaxY, hnhZoom);
+    const tileCount = (ranges.maxX - ranges.minX + 1) * (ranges.maxY - ranges.minY + 1);
+
+    return {
+        width,
+        height,
+        pixelsPerGrid,
+        tileCount,
+        tooLarge: width > MAX_EXPORT_DIMENSION || height > MAX_EXPORT_DIMENSION || width * height > MAX_EXPORT_PIXELS,
+        maxDimension: MAX_EXPORT_DIMENSION,
+        maxPixels: MAX_EXPORT_PIXELS
+    };
+}
+
+/**
+ * Export a map region as an image and download it
+ * @param {object} options - { mapId, revision, gridMinX, gridMinY, gridMaxX, gridMaxY, zoom (Leaflet zoom),
+ *                             format ('png'|'webp'), includeOverlays, includeRoads, includeMarkers }
+ * @param {function} onProgress - Called with { phase, completed, total }, throttled
+ * @returns {Promise<object>} - { success, cancelled, fileName, width, height, bytes, missingTiles, missingOverlays, error }
+ */
+export async function exportMapImage(options, onProgress) {
+    if (activeExport) {
+        return { success: false, error: 'An export is already running' };
+    }
+    if (!options || !options.mapId) {
+        return { success: false, error: 'No map selected' };
+    }
+
+    const rect = normalizeRect(options);
+    const estimate = estimateMapExport(options);
+    if (estimate.tooLarge) {
+        return {
+            success: false,
+            error: `Image would be ${estimate.width}x${estimate.height} px; pick a smaller area or a lower zoom`
+        };
+    }
+    if (estimate.width < 1 || estimate.height < 1) {
+        return { success: false, error: 'Area is too small at this zoom' };
+    }
+
+    const controller = new AbortController();
+    activeExport = controller;
+    const signal = controller.signal;
+
+    const zoom = clampZoom(options.zoom);
+    const hnhZoom = HnHMaxZoom - zoom;
+    const format = options.format === 'webp' ? 'webp' : 'png';
+    const progress = { phase: 'tiles', completed: 0, total: estimate.tileCount };
+    let lastReport = 0;
+
+    const report = (force) => {
+        const now = Date.now();
+        if (!force && now - lastReport < PROGRESS_REPORT_INTERVAL_MS) return;
+        lastReport = now;
+        if (onProgress) {
+            onProgress({ ...progress });
+        }
+    };
+
+    const setPhase = (phase, total = 0) => {
+        progress.phase = phase;
+        progress.completed = 0;
+        progress.total = total;
+        report(true);
+    };
+
+    try {
+        const canvas = createCanvas(estimate.width, estimate.height);
+        const ctx = canvas.getContext('2d');
+        if (!ctx) {
+            return { success: false, error: 'Could not create a canvas of this size' };
+        }
+
+        // Overlay data for grids never shown on screen has to be fetched first; start it now
+        // so it loads while tiles are downloading
+        const overlaysLoaded = options.includeOverlays
+            ? requestOverlaysForArea(options.mapId, rect.gridMinX, rect.gridMinY, rect.gridMaxX, rect.gridMaxY,
+                estimate.pixelsPerGrid, OVERLAY_TIMEOUT_MS, signal)
+            : Promise.resolve({ requested: 0, missing: 0 });
+
+        report(true);
+        const missingTiles = await drawTiles(ctx, options.mapId, options.revision || 1, rect, hnhZoom,
+            estimate.pixelsPerGrid, signal, progress, report);
+        if (signal.aborted) return { success: false, cancelled: true };
+
+        let missingOverlays = 0;
+        if (options.includeOverlays) {
+            setPhase('overlays');
+            missingOverlays = (await overlaysLoaded).missing;
+            if (signal.aborted) return { success: false, cancelled: true };
+            drawOverlaysToContext(ctx, options.mapId, rect.gridMinX, rect.gridMinY, rect.gridMaxX, rect.gridMaxY,
+                estimate.pixelsPerGrid);
+        }
+
+        if (options.includeRoads) {
+            setPhase('roads');
+            drawRoads(ctx, options.mapId, rect, estimate.pixelsPerGrid);
+        }
+
+        if (options.includeMarkers) {
+            const markers = getExportMarkers(options.mapId, rect);
+            setPhase('markers', markers.length);
+            await drawMarkers(ctx, markers, rect, estimate.pixelsPerGrid, signal, progress, report);
+            if (signal.aborted) return { success: false, cancelled: true };
+        }
+
+        setPhase('encoding');
+        const blob = await canvasToBlob(canvas, `image/${format}`);
+        if (signal.aborted) return { success: false, cancelled: true };
+        if (!blob) {
+            return { success: false, error: 'The browser could not encode the image' };
+        }
+
+        // Browsers without a WebP encoder silently hand back a PNG
+        const extension = blob.type === 'image/webp' ? 'webp' : 'png';
+        const fileName = `map-${options.mapId}-${rect.gridMinX}_${rect.gridMinY}-${rect.gridMaxX}_${rect.gridMaxY}-z${zoom}.${extension}`;
+        downloadBlob(blob, fileName);
+
+        console.log(`[MapExport] Exported ${fileName}: ${estimate.width}x${estimate.height}, ${blob.size} bytes, ${missingTiles} missing tiles, ${missingOverlays} missing overlay grids`);
+        return {
+            success: true,
+            fileName,
+            width: estimate.width,
+            height: estimate.height,
+            bytes: blob.size,
+            missingTiles,
+            missingOverlays
+        };
+    } catch (e) {
+        if (signal.aborted) return { success: false, cancelled: true };
+        console.error('[MapExport] Export failed:', e);
+        return { success: false, error: e?.message || 'Export failed' };
+    } finally {
+        activeExport = null;
+    }
+}
+
+/**
+ * Cancel the running export (no-op if none)
+ * @returns {boolean} - True if an export was running
+ */
+export function cancelMapExport() {
+    if (!activeExport) return false;
+    activeExport.abort();
+    return true;
+}
+
+/**
+ * Check whether an export is running
+ * @returns {boolean}
+ */
+export function isMapExportRunning() {
+    return activeExport !== null;
+}
+
+// ============ Rendering ============
+
+/**
+ * Fetch and draw every tile touching the rectangle
+ * @returns {Promise<number>} - Tiles that failed or don't exist (left transparent)
+ */
+async function drawTiles(ctx, mapId, revision, rect, hnhZoom, pixelsPerGrid, signal, progress, report) {
+    const range = getTileRange(rect.gridMinX, rect.gridMinY, rect.gridMaxX, rect.gridMaxY, hnhZoom);
+    const gridsPerTile = (TileSize / BaseTileSize) * Math.pow(2, hnhZoom);
+    const tileOutputSize = gridsPerTile * pixelsPerGrid;
+    let missing = 0;
+
+    function* tiles() {
+        for (let x = range.minX; x <= range.maxX; x++) {
+            for (let y = range.minY; y <= range.maxY; y++) {
+                yield { x, y };
+            }
+        }
+    }
+    const queue = tiles();
+
+    const worker = async () => {
+        for (let next = queue.next(); !next.done && !signal.aborted; next = queue.next()) {
+            const { x, y } = next.value;
+            try {
+                const url = `/map/tiles/${mapId}/${hnhZoom}/${x}_${y}.webp?v=${revision}`;
+                const response = await fetch(url, { signal, credentials: 'same-origin' });
+                if (response.ok) {
+                    const bitmap = await createImageBitmap(await response.blob());
+                    ctx.drawImage(bitmap,
+                        (x * gridsPerTile - rect.gridMinX) * pixelsPerGrid,
+                        (y * gridsPerTile - rect.gridMinY) * pixelsPerGrid,
+                        tileOutputSize, tileOutputSize);
+                    bitmap.close();
+                } else {
+                    // 404 = unmapped part of the area
+                    missing++;
+                }
+            } catch (e) {
+                if (signal.aborted) break;
+                missing++;
+            }
+            progress.completed++;
+            report(false);
+        }
+    };
+
+    await Promise.all(Array.from({ length: FETCH_CONCURRENCY }, worker));
+    return missing;
+}
+
+function drawRoads(ctx, mapId, rect, pixelsPerGrid) {
+    const scale = pixelsPerGrid / BaseTileSize;
+    const originX = rect.gridMinX * BaseTileSize;
+    const originY = rect.gridMinY * BaseTileSize;
+
+    ctx.save();
+    ctx.lineWidth = 4;
+    ctx.lineJoin = 'round';
+    ctx.lineCap = 'round';
+    ctx.globalAlpha = 0.85;
+
+    for (const road of getAllRoadsData()) {
+        if (road.mapId !== mapId || road.hidden) continue;
+        const points = getRoadPoints(road);
+        if (!points) continue;
+
+        ctx.strokeStyle = getRoadColor(road.id);
+        ctx.beginPath();
+        points.forEach((p, i) => {
+            const px = (p.x - originX) * scale;
+            const py = (p.y - originY) * scale;
+            if (i === 0) {
+                ctx.moveTo(px, py);
+            } else {
+                ctx.lineTo(px, py);
+            }
+        });
+        ctx.stroke();
+    }
+
+    ctx.restore();
+}
+
+/**
+ * Markers of the map inside the rectangle, honouring the hidden flag and hidden marker types
+ */
+function getExportMarkers(mapId, rect) {
+    const hiddenTypes = new Set(getHiddenMarkerTypes());
+    const minX = rect.gridMinX * BaseTileSize;
+    const minY = rect.gridMinY * BaseTileSize;
+    const maxX = (rect.gridMaxX + 1) * BaseTileSize;
+    const maxY = (rect.gridMaxY + 1) * BaseTileSize;
+
+    return getAllMarkerData().filter(m =>
+        m.map === mapId && !m.hidden && m.position && !hiddenTypes.has(m.image) &&
+        m.position.x >= minX && m.position.x < maxX && m.position.y >= minY && m.position.y < maxY);
+}
+
+async function drawMarkers(ctx, markers, rect, pixelsPerGrid, signal, progress, report) {
+    const scale = pixelsPerGrid / BaseTileSize;
+    const originX = rect.gridMinX * BaseTileSize;
+    const originY = rect.gridMinY * BaseTileSize;
+    const icons = new Map(); // url -> Promise<ImageBitmap|null>
+
+    const loadIcon = (url) => {
+        if (!icons.has(url)) {
+            icons.set(url, fetch(url, { signal, credentials: 'same-origin' })
+                .then(response => response.ok ? response.blob() : null)
+                .then(blob => blob ? createImageBitmap(blob) : null)
+                .catch(() => null));
+        }
+        return icons.get(url);
+    };
+
+    for (const marker of markers) {
+        if (signal.aborted) break;
+
+        const isCave = (marker.name || '').toLowerCase() === 'cave';
+        const isCustom = marker.image === 'gfx/terobjs/mm/custom';
+        const icon = await loadIcon(isCave ? CAVE_ICON_URL : `/${marker.image}.png`);
+        if (icon) {
+            const anchor = isCustom && !isCave ? CUSTOM_MARKER_ANCHOR : MARKER_ANCHOR;
+            ctx.drawImage(icon,
+                (marker.position.x - originX) * scale - anchor[0],
+                (marker.position.y - originY) * scale - anchor[1],
+                MARKER_ICON_SIZE, MARKER_ICON_SIZE);
+        }
+        progress.completed++;
+        report(false);
+    }
+
+    for (const pending of icons.values()) {
+        const icon = await pending;
+        icon?.close();
+    }
+}
+
+// ============ Helpers ============
+
+function normalizeRect(options) {
+    const x1 = Math.floor(Number(options.gridMinX) || 0);
+    const y1 = Math.floor(Number(options.gridMinY) || 0);
+    const x2 = Math.floor(Number(options.gridMaxX) || 0);
+    const y2 = Math.floor(Number(options.gridMaxY) || 0);
+    return {
+        gridMinX: Math.min(x1, x2),
+        gridMinY: Math.min(y1, y2),
+        gridMaxX: Math.max(x1, x2),
+        gridMaxY: Math.max(y1, y2)
+    };
+}
+
+function clampZoom(zoom) {
+    const value = Math.round(Number(zoom));
+    if (!Number.isFinite(value)) return HnHMaxZoom;
+    return Math.max(HnHMinZoom, Math.min(HnHMaxZoom, value));
+}
+
+/**
+ * Tile index range at an HnH zoom level covering a grid rectangle
+ */
+function getTileRange(gridMinX, gridMinY, gridMaxX, gridMaxY, hnhZoom) {
+    const gridsPerTile = (TileSize / BaseTileSize) * Math.pow(2, hnhZoom);
+    return {
+        minX: Math.floor(gridMinX / gridsPerTile),
+        minY: Math.floor(gridMinY / gridsPerTile),
+        maxX: Math.floor(gridMaxX / gridsPerTile),
+        maxY: Math.floor(gridMaxY / gridsPerTile)
+    };
+}
+
+function createCanvas(width, height) {
+    if (typeof OffscreenCanvas !== 'undefined') {
+        return new OffscreenCanvas(width, height);
+    }
+    return Object.assign(document.createElement('canvas'), { width, height });
+}
+
+function canvasToBlob(canvas, type) {
+    if (typeof canvas.convertToBlob === 'function') {
+        return canvas.convertToBlob({ type, quality: 0.92 });
+    }
+    return new Promise(resolve => canvas.toBlob(resolve, type, 0.92));
+}
+
+function downloadBlob(blob, fileName) {
+    const url = URL.createObjectURL(blob);
+    const anchor = document.createElement('a');
+    anchor.href = url;
+    anchor.download = fileName;
+    document.body.appendChild(anchor);
+    anchor.click();
+    anchor.remove();
+    // Revoking synchronously can abort the download in some browsers
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -4,12 +4,27 @@
 import { HnHMaxZoom } from './leaflet-config.js';
 import * as VoronoiAdjacency from './voronoi-adjacency.js';
 import * as GlowIcon from './glow-icon.js';
-
-// Glow colours for the two highlightable marker types. The glow is baked into the icon
-// bitmap rather than applied as a CSS filter - see glow-icon.js for why.
-const HIGHLIGHT_GLOW_COLORS = {
-    thingwall: '#00cffd',
-    questgiver: '#2CDB2C'
+import * as MarkerTimers from './marker-timers.js';
+import * as CanvasMarkers from './canvas-marker-layer.js';
+import { escapeHtml } from './safe-html.js';
+
+// Highlight rules: user-defined rules first, then the built-in toggles below
+const DEFAULT_RULE_COLOR = '#ffd54f';
+const RULE_LABEL_CLASS = 'highlight-rule-label';
+const RULE_HIGHLIGHT_CLASS = 'highlight-rule-highlighted';
+const HIGHLIGHT_CLASSES = ['thingwall-highlighted', 'questgiver-highlighted', RULE_HIGHLIGHT_CLASS];
+
+// Built-in highlight rules behind the thingwall / quest giver toggles. The glow is baked into
+// the icon bitmap rather than applied as a CSS filter - see glow-icon.js for why.
+const BUILTIN_HIGHLIGHT_RULES = {
+    thingwall: compileHighlightRule({
+        id: 'builtin:thingwall', matchBy: 'type', pattern: 'thingwall', color: '#00cffd',
+        labelStyle: 'permanent', labelClass: 'thingwall-label', highlightClass: 'thingwall-highlighted'
+    }),
+    questgiver: compileHighlightRule({
+        id: 'builtin:questgiver', matchBy: 'type', pattern: 'questgiver', color: '#2CDB2C',
+        labelStyle: 'permanent', labelClass: 'questgiver-label', highlightClass: 'questgiver-highlighted'
+    })
 };
 
 // Marker storage - visible markers with their Leaflet instances
@@ -20,6 +35,12 @@ let currentMapId = 0;
 let markerLayer = null;
 let detailedMarkerLayer = null;
 
+// Canvas renderer (one canvas instead of a DOM element per marker, for very large maps).
+// Only plain-icon markers of the main layer are drawn there; timer badges and the detailed
+// layer keep their DOM markers.
+let canvasRendererEnabled = false;
+let canvasLayer = null;
+
 // Hidden marker types (by image path)
 const hiddenMarkerTypes = new Set();
 
@@ -32,6 +53,11 @@ let questGiverHighlightEnabled = false;
 // Marker filter mode state (hide all markers except highlighted ones)
 let markerFilterModeEnabled = false;
 
+// User-defined highlight rules (compiled, in priority order) and the subset that hides
+// every marker they don't match
+let highlightRules = [];
+let showOnlyRules = [];
+
 // Master visibility toggle for markers layer (from sidebar Layers panel)
 // When false, markers are stored in allMarkerData but not rendered.
 // This allows toggling markers on/off without losing data.
@@ -62,6 +88,53 @@ export function setMarkerLayers(mainLayer, detailLayer) {
     detailedMarkerLayer = detailLayer;
 }
 
+/**
+ * Switch game markers between DOM markers and the canvas renderer
+ * @param {boolean} enabled - Whether to draw markers into a canvas
+ * @param {object} mapInstance - Leaflet map instance
+ * @returns {boolean} - Always true
+ */
+export function setCanvasRendererEnabled(enabled, mapInstance) {
+    if (!mapInstance) {
+        console.warn('[MarkerManager] Cannot toggle canvas renderer - mapInstance is null');
+        return false;
+    }
+
+    if (canvasRendererEnabled === enabled) {
+        return true; // No change needed
+    }
+
+    canvasRendererEnabled = enabled;
+    rebuildAllMarkers(mapInstance);
+
+    if (!enabled && canvasLayer) {
+        mapInstance.removeLayer(canvasLayer);
+        canvasLayer = null;
+    }
+
+    console.log(`[MarkerManager] Canvas marker renderer ${enabled ? 'enabled' : 'disabled'}`);
+    return true;
+}
+
+/**
+ * Get whether the canvas renderer is enabled
+ * @returns {boolean}
+ */
+export function isCanvasRendererEnabled() {
+    return canvasRendererEnabled;
+}
+
+/**
+ * Canvas layer of the current map, created on first use (a new map instance gets a new one)
+ * @param {object} mapInstance - Leaflet map instance
+ */
+function getCanvasLayer(mapInstance) {
+    if (!canvasLayer || !mapInstance.hasLayer(canvasLayer)) {
+        canvasLayer = CanvasMarkers.canvasMarkerLayer().addTo(mapInstance);
+    }
+    return canvasLayer;
+}
+
 /**
  * Set the current map ID for marker filtering
  */
@@ -103,6 +176,10 @@ export function refreshMarkerVisibility(mapInstance) {
     // 1. Toggle visibility of existing markers via CSS (fast, reversible)
     Object.values(markers).forEach(mark => {
         const isHidden = hiddenMarkerTypes.has(mark.data.image);
+        if (mark.canvas) {
+            mark.marker.setHidden(isHidden);
+            return;
+        }
         const el = mark.marker.getElement();
         if (el) {
             el.style.display = isHidden ? 'none' : '';
@@ -120,7 +197,8 @@ export function refreshMarkerVisibility(mapInstance) {
 
 /**
  * Add a marker to the map
- * @param {object} markerData - Marker data with id, name, image, position, type, ready, minReady, maxReady, hidden
+ * @param {object} markerData - Marker data with id, name, image, position, type, ready, minReady, maxReady, hidden,
+ *   and timerId/timerReadyAt/timerCompleted when a timer is attached
  * @param {object} mapInstance - Leaflet map instance
  * @param {boolean} skipStorage - If true, don't store in allMarkerData (used during rebuilds)
  * @returns {boolean} - True if marker was added
@@ -159,16 +237,12 @@ export function addMarker(markerData, mapInstance, skipStorage = false) {
     const isCustom = markerData.image === "gfx/terobjs/mm/custom";
     const isCave = markerData.name.toLowerCase() === "cave";
     const isThingwall = markerData.type === "thingwall";
-    const isQuestGiver = markerData.type === "questgiver";
-    const shouldHighlightThingwall = isThingwall && thingwallHighlightEnabled;
-    const shouldHighlightQuestGiver = isQuestGiver && questGiverHighlightEnabled;
-    const shouldHighlight = shouldHighlightThingwall || shouldHighlightQuestGiver;
+    const rule = getHighlightRule(markerData);
+    const shouldHighlight = !!rule;
 
-    // Marker filter mode: hide all markers except highlighted ones
-    if (markerFilterModeEnabled) {
-        if (!shouldHighlight) {
-            return false; // Skip non-highlighted markers when filter mode is active
-        }
+    // Marker filter mode and "show only matching" rules: skip markers they hide
+    if (!passesHighlightFilters(markerData, rule)) {
+        return false;
     }
 
     // All markers use consistent 36x36 size - highlighting is purely via CSS glow effect
@@ -177,14 +251,15 @@ export function addMarker(markerData, mapInstance, skipStorage = false) {
     let iconAnchor = isCustom && !isCave ? [11, 21] : [18, 18];
 
     let icon;
-    if (markerData.timerText) {
-        // Use divIcon for markers with timers to allow HTML overlay
+    const hasTimer = hasMarkerTimer(markerData);
+    if (hasTimer) {
+        // Use divIcon for markers with timers to allow HTML overlay (the text is kept live by trackMarkerTimer)
         const actualIconUrl = isCave ? '/gfx/hud/mmap/cave.png' : iconUrl;
         icon = L.divIcon({
             html: `
                 <div class="marker-with-timer">
                     <img src="${actualIconUrl}" class="marker-icon-img" style="width: ${iconSize[0]}px; height: ${iconSize[1]}px;" />
-                    <div class="marker-timer-text">${markerData.timerText}</div>
+                    <div class="marker-timer-text">${getTimerBadgeText(markerData)}</div>
                 </div>
             `,
             iconSize: [iconSize[0], iconSize[1] + 12], // Add 12px for timer text
@@ -201,36 +276,24 @@ export function addMarker(markerData, mapInstance, skipStorage = false) {
         });
     }
 
-    const position = mapInstance.unproject([markerData.position.x, markerData.position.y], HnHMaxZoom);
-    const marker = L.marker(position, { icon: icon, riseOnHover: true });
+    const isDetailed = markerData.image === "gfx/hud/mmap/cave" || markerData.image === "gfx/terobjs/mm/burrow";
+    const useCanvas = canvasRendererEnabled && !hasTimer && !isDetailed;
 
-    const color = getMarkerColor(markerData.type);
-    const extra = getMarkerReadyText(markerData);
+    const position = mapInstance.unproject([markerData.position.x, markerData.position.y], HnHMaxZoom);
+    const marker = useCanvas
+        ? CanvasMarkers.canvasMarker(position, { icon: icon })
+        : L.marker(position, { icon: icon, riseOnHover: true });
 
-    // Determine tooltip and highlight class based on marker type
-    const tooltipClass = shouldHighlightThingwall ? 'thingwall-label' :
-                         shouldHighlightQuestGiver ? 'questgiver-label' : '';
-    const highlightClass = shouldHighlightThingwall ? 'thingwall-highlighted' :
-                           shouldHighlightQuestGiver ? 'questgiver-highlighted' : '';
+    marker.bindTooltip(buildTooltipHtml(markerData), getTooltipOptions(rule));
 
-    marker.bindTooltip(`<div style='color:${color};'><b>${markerData.name} ${extra}</b></div>`, {
-        permanent: shouldHighlight,
-        direction: 'top',
-        sticky: true,
-        opacity: 0.9,
-        className: tooltipClass
+    // Re-apply the highlight class whenever Leaflet creates the marker element
+    marker.on('add', () => {
+        const current = markers[markerData.id];
+        if (current && current.marker === marker) {
+            syncHighlightClass(current);
+        }
     });
 
-    // Add highlight class to marker element if highlighting is enabled
-    if (shouldHighlight && highlightClass) {
-        marker.on('add', () => {
-            const el = marker.getElement();
-            if (el) {
-                el.classList.add(highlightClass);
-            }
-        });
-    }
-
     marker.on('click', () => {
         invokeDotNetSafe('JsOnMarkerClicked', markerData.id);
     });
@@ -244,22 +307,39 @@ export function addMarker(markerData, mapInstance, skipStorage = false) {
     });
 
     // Add to appropriate layer
-    if (markerData.image === "gfx/hud/mmap/cave" || markerData.image === "gfx/terobjs/mm/burrow") {
+    if (useCanvas) {
+        marker.addTo(getCanvasLayer(mapInstance));
+    } else if (isDetailed) {
         marker.addTo(detailedMarkerLayer);
     } else {
         marker.addTo(markerLayer);
     }
 
-    markers[markerData.id] = {
+    const mark = {
         marker: marker,
         data: markerData,
         // Kept so highlighting can swap to a glow-baked icon and back again.
         // Timer markers use a divIcon and are left alone.
-        plainIcon: markerData.timerText ? null : icon
+        plainIcon: hasTimer ? null : icon,
+        canvas: useCanvas,
+        // Which rule (and rule look) the marker was last styled for, see updateMarkerHighlighting
+        highlightKey: getHighlightKey(rule)
     };
+    markers[markerData.id] = mark;
+
+    // Countdowns run on the shared ticker. The tooltip is refreshed as it opens, and the badge
+    // whenever Leaflet recreates the icon element from its HTML (layer toggled back on).
+    marker.on('tooltipopen', () => {
+        marker.setTooltipContent(buildTooltipHtml(mark.data));
+        colorRuleLabel(mark);
+    });
+    marker.on('add', () => trackMarkerTimer(mark));
+    trackMarkerTimer(mark);
 
+    syncHighlightClass(mark);
+    colorRuleLabel(mark);
     if (shouldHighlight) {
-        applyHighlightIcon(markers[markerData.id], true);
+        applyHighlightIcon(mark, true);
     }
 
     // Track thingwalls separately for Voronoi adjacency computation
@@ -338,28 +418,25 @@ export function updateMarker(markerId, markerData, mapInstance) {
             return false;
         }
 
-        // Check if timer state has changed (added, removed, or text changed)
-        const oldTimerText = mark.data.timerText || null;
-        const newTimerText = markerData.timerText || null;
-
-        if (oldTimerText !== newTimerText) {
-            // Timer state changed - need to recreate marker with new icon
-            // Remove old marker and add new one with updated timer border/text
+        // A timer added or removed swaps the icon type - recreate the marker.
+        // A changed ready time is just a different countdown and updates in place.
+        if (hasMarkerTimer(mark.data) !== hasMarkerTimer(markerData)) {
             removeMarker(markerId, mapInstance);
             addMarker(markerData, mapInstance);
             return true;
         }
 
+        mark.data = markerData;
+        allMarkerData[markerId] = markerData;
+
         // Update tooltip
-        const extra = getMarkerReadyText(markerData);
-        const color = getMarkerColor(markerData.type);
-        mark.marker.setTooltipContent(`<div style='color:${color};'><b>${markerData.name} ${extra}</b></div>`);
+        mark.marker.setTooltipContent(buildTooltipHtml(markerData));
 
         // Update position (in case coordinates changed)
         const position = mapInstance.unproject([markerData.position.x, markerData.position.y], HnHMaxZoom);
         mark.marker.setLatLng(position);
 
-        mark.data = markerData;
+        trackMarkerTimer(mark);
         return true;
     }
     return false;
@@ -374,13 +451,67 @@ export function updateMarker(markerId, markerData, mapInstance) {
 export function removeMarker(markerId, mapInstance) {
     const mark = markers[markerId];
     if (mark) {
-        mapInstance.removeLayer(mark.marker);
+        if (mark.canvas) {
+            mark.marker.remove();
+        } else {
+            mapInstance.removeLayer(mark.marker);
+        }
         delete markers[markerId];
+        MarkerTimers.untrack(`marker:${markerId}`);
         return true;
     }
     return false;
 }
 
+/**
+ * Apply a timer event from the map updates stream to the marker it belongs to, without waiting
+ * for the Blazor round trip. Completion flips the badge to READY in place; creating or deleting
+ * a timer recreates the marker (the icon type changes).
+ * @param {string} name - timerCreated, timerUpdated, timerCompleted or timerDeleted
+ * @param {object} timer - Timer payload (camelCase); just { id } for timerDeleted
+ * @param {object} mapInstance - Leaflet map instance
+ * @returns {boolean} - True if a marker of the current map was affected
+ */
+export function applyTimerEvent(name, timer, mapInstance) {
+    if (!timer) {
+        return false;
+    }
+
+    let data;
+    if (name === 'timerDeleted') {
+        data = Object.values(allMarkerData).find(d => d.timerId === timer.id);
+    } else if (timer.type === 'Marker' && typeof timer.markerId === 'number') {
+        data = allMarkerData[timer.markerId];
+    }
+    if (!data) {
+        return false;
+    }
+
+    const updated = name === 'timerDeleted'
+        ? { ...data, timerId: null, timerReadyAt: null, timerCompleted: false, timerText: null }
+        : {
+            ...data,
+            timerId: timer.id,
+            timerReadyAt: MarkerTimers.parseUtc(timer.readyAt),
+            timerCompleted: name === 'timerCompleted' || !!timer.isCompleted,
+            timerText: null
+        };
+
+    allMarkerData[data.id] = updated;
+    if (markers[data.id]) {
+        updateMarker(data.id, updated, mapInstance);
+    }
+    return true;
+}
+
+/**
+ * Get stored data for every marker of the current map (including hidden/filtered ones)
+ * @returns {array} - Array of marker data objects
+ */
+export function getAllMarkerData() {
+    return Object.values(allMarkerData);
+}
+
 /**
  * Clear all markers from the map
  * @param {object} mapInstance - Leaflet map instance
@@ -388,6 +519,7 @@ export function removeMarker(markerId, mapInstance) {
  */
 export function clearAllMarkers(mapInstance) {
     Object.keys(markers).forEach(id => removeMarker(parseInt(id), mapInstance));
+    MarkerTimers.untrackAll('marker:');
     // Also clear stored marker data
     Object.keys(allMarkerData).forEach(id => delete allMarkerData[id]);
     // Clear thingwall tracking
@@ -406,6 +538,10 @@ function rebuildAllMarkers(mapInstance) {
     // Remove all visible markers from the map
     Object.keys(markers).forEach(id => {
         const mark = markers[id];
+        if (mark.canvas) {
+            mark.marker.remove();
+            return;
+        }
         if (markerLayer && markerLayer.hasLayer(mark.marker)) {
             markerLayer.removeLayer(mark.marker);
         }
@@ -417,6 +553,7 @@ function rebuildAllMarkers(mapInstance) {
 
     // Clear markers object
     Object.keys(markers).forEach(id => delete markers[id]);
+    MarkerTimers.untrackAll('marker:');
 
     // Clear thingwall tracking (will be repopulated during addMarker)
     Object.keys(thingwallMarkers).forEach(id => delete thingwallMarkers[id]);
@@ -470,13 +607,101 @@ export function jumpToMarker(markerId, mapInstance) {
 }
 
 /**
- * Whether a marker's type is currently highlighted
+ * First highlight rule matching a marker: user rules in list order, then the built-in toggles
+ * @param {object} data - Marker data
+ * @returns {object|null} Compiled rule
+ */
+function getHighlightRule(data) {
+    for (const rule of highlightRules) {
+        if (rule.test(data)) {
+            return rule;
+        }
+    }
+    if (thingwallHighlightEnabled && BUILTIN_HIGHLIGHT_RULES.thingwall.test(data)) {
+        return BUILTIN_HIGHLIGHT_RULES.thingwall;
+    }
+    if (questGiverHighlightEnabled && BUILTIN_HIGHLIGHT_RULES.questgiver.test(data)) {
+        return BUILTIN_HIGHLIGHT_RULES.questgiver;
+    }
+    return null;
+}
+
+/**
+ * Whether filter mode and "show only matching" rules let a marker be shown
  * @param {object} data - Marker data
+ * @param {object|null} rule - getHighlightRule(data), when the caller already has it
  * @returns {boolean}
  */
-function isMarkerHighlighted(data) {
-    return (data.type === "thingwall" && thingwallHighlightEnabled) ||
-           (data.type === "questgiver" && questGiverHighlightEnabled);
+function passesHighlightFilters(data, rule = getHighlightRule(data)) {
+    if (markerFilterModeEnabled && !rule) {
+        return false;
+    }
+    return showOnlyRules.length === 0 || showOnlyRules.some(r => r.test(data));
+}
+
+/**
+ * Identity of a rule's look, so re-styling can skip markers whose rule didn't change
+ * @param {object|null} rule
+ * @returns {string}
+ */
+function getHighlightKey(rule) {
+    return rule ? `${rule.id}|${rule.color}|${rule.labelStyle}` : '';
+}
+
+/**
+ * Tooltip options for a marker highlighted by a rule (or not highlighted at all)
+ * @param {object|null} rule
+ */
+function getTooltipOptions(rule) {
+    return {
+        permanent: rule?.labelStyle === 'permanent',
+        direction: 'top',
+        sticky: true,
+        opacity: 0.9,
+        className: rule ? rule.labelClass : ''
+    };
+}
+
+/**
+ * User rules color their label through a CSS variable (the built-in ones have their own classes)
+ * @param {object} mark - Entry from the `markers` registry
+ */
+function colorRuleLabel(mark) {
+    const el = mark.marker.getTooltip()?.getElement();
+    if (el) {
+        const rule = getHighlightRule(mark.data);
+        el.style.setProperty('--highlight-rule-color', rule ? rule.color : '');
+    }
+}
+
+/**
+ * Validate a rule from .NET (or a built-in one) and build its matcher.
+ * Patterns are case-insensitive and accept `*` wildcards. Type and image patterns must match
+ * the whole value; a name pattern without wildcards matches anywhere in the name.
+ * @param {object} rule - { id, matchBy: 'type'|'image'|'name', pattern, color, labelStyle, showOnlyMatching }
+ * @returns {object|null} Compiled rule, or null when it can't match anything
+ */
+function compileHighlightRule(rule) {
+    const pattern = typeof rule?.pattern === 'string' ? rule.pattern.trim() : '';
+    const field = rule?.matchBy;
+    if (!pattern || !['type', 'image', 'name'].includes(field)) {
+        return null;
+    }
+
+    const source = pattern.split('*').map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+    const anchored = field !== 'name' || pattern.includes('*');
+    const regex = new RegExp(anchored ? `^${source}$` : source, 'i');
+    const isBuiltin = String(rule.id).startsWith('builtin:');
+
+    return {
+        id: String(rule.id),
+        color: /^#[0-9a-f]{6}$/i.test(rule.color) ? rule.color : DEFAULT_RULE_COLOR,
+        labelStyle: rule.labelStyle === 'permanent' ? 'permanent' : 'hover',
+        showOnlyMatching: !!rule.showOnlyMatching,
+        labelClass: isBuiltin ? rule.labelClass : (rule.labelStyle === 'permanent' ? RULE_LABEL_CLASS : ''),
+        highlightClass: isBuiltin ? rule.highlightClass : RULE_HIGHLIGHT_CLASS,
+        test: data => typeof data?.[field] === 'string' && regex.test(data[field])
+    };
 }
 
 /**
@@ -501,21 +726,22 @@ function applyHighlightIcon(mark, highlighted) {
         return;
     }
 
-    const color = HIGHLIGHT_GLOW_COLORS[mark.data.type];
-    if (!color) {
+    const rule = getHighlightRule(mark.data);
+    if (!rule) {
         return;
     }
+    const key = getHighlightKey(rule);
 
     const baseSize = plain.options.iconSize[0];
     const baseAnchor = plain.options.iconAnchor;
 
-    GlowIcon.getGlowIcon(plain.options.iconUrl, color, baseSize).then(glow => {
+    GlowIcon.getGlowIcon(plain.options.iconUrl, rule.color, baseSize).then(glow => {
         if (!glow) {
             return; // Baking failed - marker keeps its plain icon
         }
         // Baking is async: the marker may have been removed, rebuilt or unhighlighted
         // while we waited.
-        if (markers[mark.data.id] !== mark || !isMarkerHighlighted(mark.data)) {
+        if (markers[mark.data.id] !== mark || getHighlightKey(getHighlightRule(mark.data)) !== key) {
             return;
         }
         mark.marker.setIcon(L.icon({
@@ -534,13 +760,19 @@ function applyHighlightIcon(mark, highlighted) {
  * @param {object} mark - Entry from the `markers` registry
  */
 function syncHighlightClass(mark) {
+    const rule = getHighlightRule(mark.data);
+    if (mark.canvas) {
+        // Canvas markers have no element; the draw order carries the stacking instead
+        mark.marker.setZIndexOffset(rule ? 1000 : 0);
+        return;
+    }
     const el = mark.marker.getElement();
     if (!el) {
         return;
     }
-    const data = mark.data;
-    el.classList.toggle('thingwall-highlighted', data.type === "thingwall" && thingwallHighlightEnabled);
-    el.classList.toggle('questgiver-highlighted', data.type === "questgiver" && questGiverHighlightEnabled);
+    for (const className of HIGHLIGHT_CLASSES) {
+        el.classList.toggle(className, rule?.highlightClass === className);
+    }
 }
 
 /**
@@ -549,24 +781,20 @@ function syncHighlightClass(mark) {
  */
 function updateMarkerHighlighting() {
     Object.values(markers).forEach(mark => {
-        const data = mark.data;
-        const isThingwall = data.type === "thingwall";
-        const isQuestGiver = data.type === "questgiver";
-
-        // Only these two types can ever be highlighted. Rebinding the tooltip of every
-        // marker on the map is a long main-thread task on large maps, and it used to drop
-        // the ready-timer text from all the markers it touched needlessly.
-        if (!isThingwall && !isQuestGiver) {
+        const rule = getHighlightRule(mark.data);
+        const key = getHighlightKey(rule);
+
+        // Only touch markers whose rule changed. Rebinding the tooltip of every marker on
+        // the map is a long main-thread task on large maps, and it used to drop the
+        // ready-timer text from all the markers it touched needlessly.
+        if (mark.highlightKey === key) {
             return;
         }
-
-        const shouldHighlightThingwall = isThingwall && thingwallHighlightEnabled;
-        const shouldHighlightQuestGiver = isQuestGiver && questGiverHighlightEnabled;
-        const shouldHighlight = shouldHighlightThingwall || shouldHighlightQuestGiver;
+        mark.highlightKey = key;
 
         // The glow lives in the icon bitmap now; the CSS class only carries stacking order.
         // applyHighlightIcon re-applies the class after it swaps the icon.
-        applyHighlightIcon(mark, shouldHighlight);
+        applyHighlightIcon(mark, !!rule);
         syncHighlightClass(mark);
 
         // Toggle tooltip permanence and visibility
@@ -574,20 +802,12 @@ function updateMarkerHighlighting() {
         if (tooltip) {
             // Leaflet needs tooltip to be removed and re-added to change permanence
             mark.marker.unbindTooltip();
-            const color = getMarkerColor(data.type);
-            const extra = getMarkerReadyText(data);
-            const tooltipClass = shouldHighlightThingwall ? 'thingwall-label' :
-                                 shouldHighlightQuestGiver ? 'questgiver-label' : '';
-            mark.marker.bindTooltip(`<div style='color:${color};'><b>${data.name} ${extra}</b></div>`, {
-                permanent: shouldHighlight,
-                direction: 'top',
-                sticky: true,
-                opacity: 0.9,
-                className: tooltipClass
-            });
-            if (shouldHighlight) {
+            const options = getTooltipOptions(rule);
+            mark.marker.bindTooltip(buildTooltipHtml(mark.data), options);
+            if (options.permanent) {
                 mark.marker.openTooltip();
             }
+            colorRuleLabel(mark);
         }
     });
 }
@@ -666,6 +886,39 @@ export function isQuestGiverHighlightEnabled() {
     return questGiverHighlightEnabled;
 }
 
+/**
+ * Replace the user-defined highlight rules. Rules are tried in list order; the first match
+ * picks the marker's glow color and label style, and each rule with showOnlyMatching hides
+ * every marker none of those rules match.
+ * @param {Array} rules - [{ id, enabled, matchBy: 'type'|'image'|'name', pattern, color, labelStyle: 'hover'|'permanent', showOnlyMatching }]
+ * @param {object} mapInstance - Leaflet map instance
+ * @returns {number} - Number of active (valid, enabled) rules
+ */
+export function setHighlightRules(rules, mapInstance) {
+    if (!mapInstance) {
+        console.warn('[MarkerManager] Cannot set highlight rules - mapInstance is null');
+        return 0;
+    }
+
+    const hadShowOnly = showOnlyRules.length > 0;
+    highlightRules = (Array.isArray(rules) ? rules : [])
+        .filter(r => r && r.enabled !== false)
+        .map(compileHighlightRule)
+        .filter(r => r !== null);
+    showOnlyRules = highlightRules.filter(r => r.showOnlyMatching);
+
+    // Same split as the built-in toggles: when rules decide which markers exist (filter
+    // mode or "show only"), rebuild; otherwise restyle the markers in place
+    if (markerFilterModeEnabled || hadShowOnly || showOnlyRules.length > 0) {
+        rebuildAllMarkers(mapInstance);
+    } else {
+        updateMarkerHighlighting();
+    }
+
+    console.log(`[MarkerManager] ${highlightRules.length} highlight rule(s) active`);
+    return highlightRules.length;
+}
+
 /**
  * Enable/disable marker filter mode
  * When enabled, hides all markers except those with active highlights (thingwalls, quest givers)
@@ -717,15 +970,13 @@ export function setMarkerFilterModeEnabled(enabled, mapInstance) {
  */
 function updateMarkerFilterVisibility() {
     Object.values(markers).forEach(mark => {
-        const data = mark.data;
-        const isThingwall = data.type === "thingwall";
-        const isQuestGiver = data.type === "questgiver";
-        const shouldHighlightThingwall = isThingwall && thingwallHighlightEnabled;
-        const shouldHighlightQuestGiver = isQuestGiver && questGiverHighlightEnabled;
-        const isHighlighted = shouldHighlightThingwall || shouldHighlightQuestGiver;
+        // In filter mode, only highlighted markers are visible; "show only" rules narrow it further
+        const shouldShow = passesHighlightFilters(mark.data);
 
-        // In filter mode, only highlighted markers are visible
-        const shouldShow = !markerFilterModeEnabled || isHighlighted;
+        if (mark.canvas) {
+            mark.marker.setHidden(!shouldShow || hiddenMarkerTypes.has(mark.data.image));
+            return;
+        }
 
         // Use CSS display instead of DOM add/remove (much faster)
         const el = mark.marker.getElement();
@@ -787,33 +1038,72 @@ function getMarkerColor(type) {
     return "#FFF";
 }
 
-function getMarkerReadyText(markerData) {
-    if (markerData.ready) {
+function hasReadyWindow(markerData) {
+    return markerData.maxReady !== -1 && markerData.minReady !== -1;
+}
+
+function getMarkerReadyText(markerData, now = Date.now()) {
+    // Past the end of the window it is ready, whether or not the server has said so yet
+    if (markerData.ready || (hasReadyWindow(markerData) && now >= markerData.maxReady)) {
         return "READY";
     }
-    if (markerData.maxReady !== -1 && markerData.minReady !== -1) {
-        const now = Date.now();
-        const minTime = msToTimeStr(markerData.minReady - now);
-        const maxTime = msToTimeStr(markerData.maxReady - now);
+    if (hasReadyWindow(markerData)) {
+        const minTime = MarkerTimers.msToTimeStr(markerData.minReady - now);
+        const maxTime = MarkerTimers.msToTimeStr(markerData.maxReady - now);
         return `(Ready in [${minTime}] to [${maxTime}])`;
     }
     return "";
 }
 
-function msToTimeStr(duration) {
-    if (duration < 0) duration = 0;
+function buildTooltipHtml(markerData, now = Date.now()) {
+    const color = getMarkerColor(markerData.type);
+    return `<div style='color:${color};'><b>${escapeHtml(markerData.name)} ${getMarkerReadyText(markerData, now)}</b></div>`;
+}
+
+function hasMarkerTimer(markerData) {
+    return markerData.timerReadyAt != null || !!markerData.timerText;
+}
+
+function getTimerBadgeText(markerData) {
+    const readyAt = MarkerTimers.parseUtc(markerData.timerReadyAt);
+    if (readyAt === null) {
+        return markerData.timerText;
+    }
+    return MarkerTimers.formatCountdown(markerData.timerCompleted ? 0 : readyAt - Date.now());
+}
 
-    const seconds = Math.floor((duration / 1000) % 60);
-    const minutes = Math.floor((duration / (1000 * 60)) % 60);
-    const hours = Math.floor((duration / (1000 * 60 * 60)) % 24);
-    const days = Math.floor(duration / (1000 * 60 * 60 * 24));
+/**
+ * Keep a marker's timer badge and open ready-window tooltip counting down on the shared ticker.
+ * Stops once both have reached READY; called again whenever the marker data changes.
+ * @param {object} mark - Entry from the `markers` registry
+ */
+function trackMarkerTimer(mark) {
+    const data = mark.data;
+    const key = `marker:${data.id}`;
+    const readyAt = MarkerTimers.parseUtc(data.timerReadyAt);
+    const windowOpen = !data.ready && hasReadyWindow(data);
 
-    const d = days > 0 ? `${days}d` : "";
-    const h = (days > 0 || hours > 0) ? `${hours}h ` : "";
-    const m = (days <= 0 && (hours > 0 || minutes > 0)) ? `${minutes}m ` : "";
-    const s = (days <= 0 && hours <= 0) ? `${seconds}s` : "";
+    if (readyAt === null && !windowOpen) {
+        MarkerTimers.untrack(key);
+        return;
+    }
 
-    return d + h + m + s;
+    MarkerTimers.track(key, now => {
+        if (markers[data.id] !== mark || mark.data !== data) {
+            return false;
+        }
+        let ticking = false;
+        if (readyAt !== null) {
+            ticking = MarkerTimers.renderTimerBadge(mark.marker.getElement(), readyAt, !!data.timerCompleted, now);
+        }
+        if (windowOpen) {
+            if (mark.marker.isTooltipOpen()) {
+                mark.marker.setTooltipContent(buildTooltipHtml(data, now));
+            }
+            ticking = ticking || now < data.maxReady;
+        }
+        return ticking;
+    });
 }
 
 // ============ Voronoi/Jump Connection Helpers ============
@@ -849,8 +1139,12 @@ function highlightThingwallMarker(thingwallId, highlight, isUncertain = false) {
     if (!tw) return;
 
     const el = tw.marker.getElement();
+    const isCanvas = markers[thingwallId]?.canvas;
 
     if (highlight) {
+        if (isCanvas) {
+            tw.marker.setOutline(isUncertain ? 'uncertain' : 'target');
+        }
         // Add glow effect class
         if (el) {
             if (isUncertain) {
@@ -860,19 +1154,22 @@ function highlightThingwallMarker(thingwallId, highlight, isUncertain = false) {
             }
         }
 
-        // If thingwall highlighting is OFF, show the tooltip/name
-        if (!thingwallHighlightEnabled) {
+        // Unless a highlight rule already keeps the name shown, show the tooltip/name
+        if (!tw.marker.getTooltip()?.options.permanent) {
             tw.marker.openTooltip();
         }
     } else {
+        if (isCanvas) {
+            tw.marker.setOutline(null);
+        }
         // Remove all highlight classes
         if (el) {
             el.classList.remove('thingwall-jump-target');
             el.classList.remove('thingwall-jump-target-uncertain');
         }
 
-        // If thingwall highlighting is OFF, hide the tooltip
-        if (!thingwallHighlightEnabled) {
+        // Unless a highlight rule keeps the name shown, hide the tooltip
+        if (!tw.marker.getTooltip()?.options.permanent) {
             tw.marker.closeTooltip();
         }
     }
@@ -893,6 +1190,7 @@ function unhighlightThingwallMarker(thingwallId) {
 function updateVoronoiAdjacency(mapInstance) {
     const thingwalls = Object.values(thingwallMarkers).map(tw => ({
         id: tw.data.id,
+        name: tw.data.name,
         position: tw.data.position
     }));
     VoronoiAdjacency.updateThingwalls(thingwalls);
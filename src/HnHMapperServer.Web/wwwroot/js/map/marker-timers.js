@@ -0,0 +1,161 @@
+/**
+ * Marker Timers Module
+ * One shared ticker that keeps countdowns on the map live: the timer badge of marker and custom
+ * marker icons, and the "Ready in [..] to [..]" tooltip text of resource markers. Each tracked
+ * entry is an update callback run once per second; entries that have nothing left to count down
+ * drop out, and the ticker stops when none are left.
+ */
+
+// State variables
+const TICK_INTERVAL_MS = 1000;
+const entries = new Map(); // key -> update(now), returns false once there is nothing left to tick
+let tickInterval = null;
+
+/**
+ * Start (or replace) a countdown. The callback runs right away and then on every tick.
+ * @param {string} key - Unique per visual, e.g. `marker:12` or `custom:7`
+ * @param {Function} update - (now: number) => boolean; return false to stop ticking
+ */
+export function track(key, update) {
+    if (update(Date.now()) === false) {
+        untrack(key);
+        return;
+    }
+    entries.set(key, update);
+    if (!tickInterval) {
+        tickInterval = setInterval(tick, TICK_INTERVAL_MS);
+    }
+}
+
+/**
+ * Stop a countdown (marker removed or rebuilt)
+ * @param {string} key
+ */
+export function untrack(key) {
+    entries.delete(key);
+    if (entries.size === 0) {
+        stopTicker();
+    }
+}
+
+/**
+ * Stop every countdown whose key starts with a prefix (e.g. all custom markers on a clear)
+ * @param {string} prefix
+ */
+export function untrackAll(prefix) {
+    for (const key of [...entries.keys()]) {
+        if (key.startsWith(prefix)) {
+            entries.delete(key);
+        }
+    }
+    if (entries.size === 0) {
+        stopTicker();
+    }
+}
+
+/**
+ * Compact countdown for timer badges (same format as the server-rendered TimerText)
+ * @param {number} remainingMs
+ * @returns {string} e.g. "2d 3h", "2h 15m", "45m", "30s", or "READY"
+ */
+export function formatCountdown(remainingMs) {
+    if (remainingMs <= 0) return 'READY';
+
+    const totalSeconds = Math.floor(remainingMs / 1000);
+    const days = Math.floor(totalSeconds / 86400);
+    const hours = Math.floor(totalSeconds / 3600);
+    const minutes = Math.floor(totalSeconds / 60);
+
+    if (days >= 1) return `${days}d ${hours % 24}h`;
+    if (hours >= 1) return `${hours}h ${minutes % 60}m`;
+    if (minutes >= 1) return `${minutes}m`;
+    return `${totalSeconds}s`;
+}
+
+/**
+ * Longer duration text used in resource marker tooltips
+ * @param {number} duration - Milliseconds
+ * @returns {string} e.g. "1d3h ", "2h 5m ", "4m 10s"
+ */
+export function msToTimeStr(duration) {
+    if (duration < 0) duration = 0;
+
+    const seconds = Math.floor((duration / 1000) % 60);
+    const minutes = Math.floor((duration / (1000 * 60)) % 60);
+    const hours = Math.floor((duration / (1000 * 60 * 60)) % 24);
+    const days = Math.floor(duration / (1000 * 60 * 60 * 24));
+
+    const d = days > 0 ? `${days}d` : "";
+    const h = (days > 0 || hours > 0) ? `${hours}h ` : "";
+    const m = (days <= 0 && (hours > 0 || minutes > 0)) ? `${minutes}m ` : "";
+    const s = (days <= 0 && hours <= 0) ? `${seconds}s` : "";
+
+    return d + h + m + s;
+}
+
+/**
+ * Parse a server timestamp into epoch milliseconds. Accepts epoch numbers and ISO strings;
+ * ISO strings without an offset are UTC (the server stores UTC but may serialize it unmarked).
+ * @param {number|string|null|undefined} value
+ * @returns {number|null}
+ */
+export function parseUtc(value) {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+    }
+    if (typeof value !== 'string' || value.length === 0) {
+        return null;
+    }
+    const hasOffset = /(Z|[+-]\d{2}:?\d{2})$/i.test(value);
+    const parsed = Date.parse(hasOffset ? value : `${value}Z`);
+    return Number.isFinite(parsed) ? parsed : null;
+}
+
+/**
+ * Render a timer badge (`.marker-with-timer` > `.marker-timer-text`) for a point in time.
+ * Shared by marker-manager and custom-marker-manager.
+ * @param {HTMLElement|null} element - The marker's icon element
+ * @param {number} readyAt - Epoch milliseconds
+ * @param {boolean} completed - The server already reported the timer done
+ * @param {number} now
+ * @returns {boolean} false once the badge shows READY (nothing left to count down)
+ */
+export function renderTimerBadge(element, readyAt, completed, now) {
+    const remaining = completed ? 0 : readyAt - now;
+    const container = element?.querySelector('.marker-with-timer');
+    const text = element?.querySelector('.marker-timer-text');
+    if (text) {
+        const value = formatCountdown(remaining);
+        if (text.textContent !== value) {
+            text.textContent = value;
+        }
+    }
+    container?.classList.toggle('marker-timer-ready', remaining <= 0);
+    return remaining > 0;
+}
+
+function tick() {
+    const now = Date.now();
+    for (const [key, update] of entries) {
+        let keep;
+        try {
+            keep = update(now);
+        } catch (err) {
+            console.warn('[MarkerTimers] Update failed for', key, err);
+            keep = false;
+        }
+        if (keep === false) {
+            entries.delete(key);
+        }
+    }
+    if (entries.size === 0) {
+        stopTicker();
+    }
+}
+
+function stopTicker() {
+    if (tickInterval) {
+        clearInterval(tickInterval);
+        tickInterval = null;
+    }
+}
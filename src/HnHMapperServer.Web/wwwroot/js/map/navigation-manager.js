@@ -1,19 +1,47 @@
 // Navigation Manager Module
 // Handles road pathfinding and route calculation
+// The road graph lives in navigation-worker.js; road-graph.js runs on the main thread only as a fallback.
 
 import { BaseTileSize, HnHMaxZoom } from './leaflet-config.js';
+import * as RoadGraph from './road-graph.js';
+import { calculateDistance, getRoadPoints, waypointToAbsolute } from './road-graph.js';
+import { getAdjacencyMap, getThingwallPositions, hasAdjacencyData } from './voronoi-adjacency.js';
+import { isWorkerAvailable, onWorkerFailure, postToWorker, requestFromWorker } from './navigation-worker-client.js';
 
 // Navigation state
 let currentRoute = null;
 let routeMarkers = [];
 let mapInstanceRef = null;
+let invokeDotNetSafe = null;
+
+// Route progress tracking state (driven by "my character" position updates)
+let routeProgress = null; // { steps, currentStep, offRoute, completed, lastReportedStep, lastReportedRemaining }
+
+// Progress tracking thresholds (absolute pixels)
+const OFF_ROUTE_DISTANCE = 150;       // Max distance from a road leg before the character counts as off-route
+const OFF_ROUTE_JUMP_DISTANCE = 400;  // Off-road walking legs are only a straight-line suggestion, so allow more slack
+const STEP_COMPLETE_DISTANCE = 30;    // Remaining length at which a leg counts as done
+const ARRIVAL_DISTANCE = 50;          // Same as the "destination is very close" cutoff in findRoute
+const PROGRESS_REPORT_DISTANCE = 25;  // Minimum change in remaining distance before notifying Blazor again
+
+// Roads currently known to the graph, kept so the main-thread fallback can be rebuilt if the worker dies
+const graphRoadData = new Map(); // roadId -> road
+let useLocalGraph = false;
+
+onWorkerFailure(() => {
+    useLocalGraph = true;
+    RoadGraph.clearRoads();
+    graphRoadData.forEach(road => RoadGraph.addRoad(road));
+});
 
 /**
  * Initialize navigation manager
  * @param {object} mapInstance - Leaflet map instance
+ * @param {function} invokeFunc - Function to invoke .NET methods
  */
-export function initializeNavigation(mapInstance) {
+export function initializeNavigation(mapInstance, invokeFunc) {
     mapInstanceRef = mapInstance;
+    invokeDotNetSafe = invokeFunc;
 }
 
 /**
@@ -24,19 +52,6 @@ export function setMapInstance(mapInstance) {
     mapInstanceRef = mapInstance;
 }
 
-/**
- * Convert waypoint to absolute pixel position
- * @param {object} wp - Waypoint with coordX, coordY, x, y
- * @returns {object} - {x, y} in absolute pixels
- */
-function waypointToAbsolute(wp) {
-    // Use BaseTileSize for 100x100 game grid coordinates
-    return {
-        x: wp.coordX * BaseTileSize + wp.x,
-        y: wp.coordY * BaseTileSize + wp.y
-    };
-}
-
 /**
  * Convert absolute pixel position to waypoint format
  * @param {number} absX - Absolute X coordinate
@@ -53,425 +68,292 @@ function absoluteToWaypoint(absX, absY) {
     };
 }
 
+// ============ Road Graph ============
+
 /**
- * Calculate Euclidean distance between two points
- * @param {object} p1 - First point {x, y}
- * @param {object} p2 - Second point {x, y}
- * @returns {number} - Distance in pixels
+ * Check whether graph work should run on the main thread
  */
-function calculateDistance(p1, p2) {
-    const dx = p1.x - p2.x;
-    const dy = p1.y - p2.y;
-    return Math.sqrt(dx * dx + dy * dy);
+function isLocalGraph() {
+    if (!useLocalGraph && !isWorkerAvailable()) {
+        useLocalGraph = true;
+    }
+    return useLocalGraph;
 }
 
 /**
- * Get the start and end points of a road (first and last waypoints)
- * @param {object} road - Road object with waypoints
- * @returns {object} - {start: {x, y}, end: {x, y}}
+ * Add (or replace) a road in the road graph
+ * Called by the road manager whenever a road is rendered on the current map.
+ * @param {object} road - Normalized road object {id, name, waypoints}
  */
-function getRoadEndpoints(road) {
-    let waypoints = road.waypoints;
-
-    // Handle string waypoints (JSON)
-    if (typeof waypoints === 'string') {
-        try {
-            waypoints = JSON.parse(waypoints);
-        } catch (e) {
-            console.warn('[Navigation] Failed to parse waypoints for road', road.id, e);
-            return null;
-        }
-    }
+export function addRoadToGraph(road) {
+    const roadId = road?.id ?? road?.Id;
+    if (roadId === undefined || roadId === null) return;
 
-    if (!waypoints || !Array.isArray(waypoints) || waypoints.length < 2) {
-        console.warn('[Navigation] Road', road.id, 'has invalid waypoints:', waypoints);
-        return null;
+    graphRoadData.set(roadId, road);
+    if (isLocalGraph()) {
+        RoadGraph.addRoad(road);
+    } else {
+        postToWorker('addRoad', { road });
     }
-
-    const firstWp = waypoints[0];
-    const lastWp = waypoints[waypoints.length - 1];
-
-    return {
-        start: waypointToAbsolute({
-            coordX: firstWp.coordX ?? firstWp.CoordX ?? 0,
-            coordY: firstWp.coordY ?? firstWp.CoordY ?? 0,
-            x: firstWp.x ?? firstWp.X ?? 0,
-            y: firstWp.y ?? firstWp.Y ?? 0
-        }),
-        end: waypointToAbsolute({
-            coordX: lastWp.coordX ?? lastWp.CoordX ?? 0,
-            coordY: lastWp.coordY ?? lastWp.CoordY ?? 0,
-            x: lastWp.x ?? lastWp.X ?? 0,
-            y: lastWp.y ?? lastWp.Y ?? 0
-        })
-    };
 }
 
 /**
- * Get the closest point on a road to a given point
- * @param {object} point - Point {x, y} in absolute pixels
- * @param {object} road - Road object with waypoints
- * @returns {object} - {point: {x, y}, distance: number, isStart: boolean}
+ * Remove a road from the road graph
+ * @param {number} roadId - Road ID to remove
  */
-function getClosestEndpointOnRoad(point, road) {
-    const endpoints = getRoadEndpoints(road);
-    if (!endpoints) return null;
-
-    const distToStart = calculateDistance(point, endpoints.start);
-    const distToEnd = calculateDistance(point, endpoints.end);
-
-    if (distToStart <= distToEnd) {
-        return { point: endpoints.start, distance: distToStart, isStart: true };
+export function removeRoadFromGraph(roadId) {
+    graphRoadData.delete(roadId);
+    graphRoadData.delete(Number(roadId));
+    if (isLocalGraph()) {
+        RoadGraph.removeRoad(roadId);
     } else {
-        return { point: endpoints.end, distance: distToEnd, isStart: false };
+        postToWorker('removeRoad', { roadId });
     }
 }
 
 /**
- * Calculate the total length of a road by summing waypoint segments
- * @param {object} road - Road object with waypoints
- * @returns {number} - Total length in pixels
+ * Clear the road graph (e.g. on map change)
  */
-function getRoadLength(road) {
-    const waypoints = typeof road.waypoints === 'string'
-        ? JSON.parse(road.waypoints)
-        : road.waypoints;
-
-    if (!waypoints || waypoints.length < 2) return 0;
-
-    let totalLength = 0;
-    for (let i = 1; i < waypoints.length; i++) {
-        const prev = waypointToAbsolute({
-            coordX: waypoints[i-1].coordX ?? waypoints[i-1].CoordX ?? 0,
-            coordY: waypoints[i-1].coordY ?? waypoints[i-1].CoordY ?? 0,
-            x: waypoints[i-1].x ?? waypoints[i-1].X ?? 0,
-            y: waypoints[i-1].y ?? waypoints[i-1].Y ?? 0
-        });
-        const curr = waypointToAbsolute({
-            coordX: waypoints[i].coordX ?? waypoints[i].CoordX ?? 0,
-            coordY: waypoints[i].coordY ?? waypoints[i].CoordY ?? 0,
-            x: waypoints[i].x ?? waypoints[i].X ?? 0,
-            y: waypoints[i].y ?? waypoints[i].Y ?? 0
-        });
-        totalLength += calculateDistance(prev, curr);
+export function clearRoadGraph() {
+    graphRoadData.clear();
+    if (isLocalGraph()) {
+        RoadGraph.clearRoads();
+    } else {
+        postToWorker('clearRoads');
     }
-    return totalLength;
 }
 
 /**
- * A* pathfinding to find optimal road sequence
+ * Find a route over the road graph (and optionally thingwall teleports)
+ * Runs in the navigation worker when available, so the map keeps panning during long searches.
  * @param {object} startPoint - Starting point {coordX, coordY, x, y}
  * @param {object} endPoint - Destination point {coordX, coordY, x, y}
- * @param {array} roads - Array of road objects
- * @returns {object} - {roads: [road objects in order], totalDistance: number, segments: [{road, entryPoint, exitPoint, jumpDistance}]}
+ * @param {object} options - {useThingwalls: boolean}
+ * @returns {Promise<object>} - Route object (see road-graph.js findRoute)
  */
-export function findRoute(startPoint, endPoint, roads) {
-    console.log('[Navigation] findRoute: Processing', roads?.length || 0, 'roads');
-    console.log('[Navigation] Start point:', startPoint);
-    console.log('[Navigation] End point:', endPoint);
-
-    if (!roads || roads.length === 0) {
-        console.warn('[Navigation] No roads provided to findRoute');
-        return { roads: [], totalDistance: 0, segments: [], error: 'No roads available' };
-    }
-
-    const start = waypointToAbsolute(startPoint);
-    const end = waypointToAbsolute(endPoint);
-    console.log('[Navigation] Absolute start:', start, 'end:', end);
-
-    // Special case: if start and end are very close, no route needed
-    const directDistance = calculateDistance(start, end);
-    if (directDistance < 50) {
-        return { roads: [], totalDistance: directDistance, segments: [], message: 'Destination is very close' };
-    }
+export async function findRoute(startPoint, endPoint, options = {}) {
+    const useThingwalls = options?.useThingwalls === true;
 
-    // Build graph nodes: each road has two endpoint nodes
-    // Node ID format: "road_{roadId}_{start|end}"
-    const nodes = new Map();
-    const roadMap = new Map();
-
-    let roadsWithEndpoints = 0;
-    roads.forEach(road => {
-        const id = road.id ?? road.Id;
-        const endpoints = getRoadEndpoints(road);
-        if (!endpoints) {
-            console.warn('[Navigation] Road', id, 'has no valid endpoints, waypoints:', road.waypoints);
-            return;
+    if (!isLocalGraph()) {
+        try {
+            return await requestFromWorker('findRoute', { startPoint, endPoint, options: { useThingwalls } });
+        } catch (e) {
+            // Worker died mid-request - the failure listener has rebuilt the local graph
+            console.warn('[Navigation] Worker route query failed, retrying on main thread:', e.message);
         }
+    }
 
-        roadsWithEndpoints++;
-        roadMap.set(id, road);
-        nodes.set(`road_${id}_start`, {
-            type: 'road_endpoint',
-            roadId: id,
-            isStart: true,
-            point: endpoints.start,
-            road: road
-        });
-        nodes.set(`road_${id}_end`, {
-            type: 'road_endpoint',
-            roadId: id,
-            isStart: false,
-            point: endpoints.end,
-            road: road
-        });
+    return RoadGraph.findRoute(startPoint, endPoint, {
+        thingwalls: useThingwalls && hasAdjacencyData()
+            ? { positions: getThingwallPositions(), adjacency: getAdjacencyMap() }
+            : null
     });
+}
 
-    console.log('[Navigation] Built graph with', roadsWithEndpoints, 'roads having valid endpoints');
-    console.log('[Navigation] Road IDs in roadMap:', Array.from(roadMap.keys()));
-
-    // Log road endpoints for debugging
-    roadMap.forEach((road, id) => {
-        const endpoints = getRoadEndpoints(road);
-        if (endpoints) {
-            console.log(`[Navigation] Road ${id} "${road.name || road.Name}": start=(${endpoints.start.x}, ${endpoints.start.y}), end=(${endpoints.end.x}, ${endpoints.end.y})`);
-        }
-    });
+// ============ Itinerary & Progress Tracking ============
 
-    if (roadsWithEndpoints === 0) {
-        console.error('[Navigation] No roads have valid endpoints!');
-        return { roads: [], totalDistance: 0, segments: [], error: 'No roads have valid waypoint data' };
+/**
+ * Turn a route from findRoute into an ordered, turn-by-turn itinerary
+ * Off-road walking before a road/teleport and the final walk to the destination become their own legs.
+ * @param {object} route - Route object from findRoute
+ * @returns {array} - [{index, kind: 'jump'|'road'|'teleport', label, distance, roadId, from, to, path}]
+ */
+export function buildItinerary(route) {
+    if (!route || !Array.isArray(route.segments) || route.segments.length === 0) {
+        return [];
     }
 
-    // Add virtual start and end nodes
-    nodes.set('start', { type: 'start', point: start });
-    nodes.set('end', { type: 'end', point: end });
+    const steps = [];
+    let lastPoint = route.start ?? null;
+
+    const pushStep = (kind, label, path, distance, roadId = 0) => {
+        steps.push({
+            index: steps.length,
+            kind,
+            label,
+            distance: Math.round(distance),
+            roadId,
+            from: path[0],
+            to: path[path.length - 1],
+            path
+        });
+    };
 
-    // A* implementation
-    const openSet = new Set(['start']);
-    const cameFrom = new Map();
-    const gScore = new Map();
-    const fScore = new Map();
+    for (const seg of route.segments) {
+        const isTeleport = seg.type === 'teleport';
+        const path = isTeleport
+            ? [seg.entryPoint, seg.exitPoint]
+            : (seg.points ?? getRoadPoints(seg.road) ?? []);
+        if (path.length === 0 || !path[0]) continue;
 
-    // Initialize scores
-    nodes.forEach((_, nodeId) => {
-        gScore.set(nodeId, Infinity);
-        fScore.set(nodeId, Infinity);
-    });
-    gScore.set('start', 0);
-    fScore.set('start', calculateDistance(start, end));
-
-    while (openSet.size > 0) {
-        // Find node with lowest fScore in openSet
-        let current = null;
-        let lowestF = Infinity;
-        for (const nodeId of openSet) {
-            const f = fScore.get(nodeId);
-            if (f < lowestF) {
-                lowestF = f;
-                current = nodeId;
-            }
+        if (seg.jumpDistance > 0 && lastPoint) {
+            const target = isTeleport ? seg.fromThingwallName : seg.roadName;
+            pushStep('jump', `Walk to ${target}`, [lastPoint, path[0]], seg.jumpDistance);
         }
 
-        if (current === 'end') {
-            // Reconstruct path
-            console.log('[Navigation] A* found path to end, reconstructing...');
-            console.log('[Navigation] cameFrom map size:', cameFrom.size);
-            // Log the full cameFrom chain
-            let traceNode = 'end';
-            const trace = [];
-            while (traceNode) {
-                trace.unshift(traceNode);
-                traceNode = cameFrom.get(traceNode);
-            }
-            console.log('[Navigation] Full path trace:', trace);
-            return reconstructPath(cameFrom, current, nodes, roadMap, start, end);
+        if (isTeleport) {
+            pushStep('teleport', `Teleport from ${seg.fromThingwallName} to ${seg.toThingwallName}`, path, 0);
+        } else {
+            pushStep('road', `Follow ${seg.roadName}`, path, seg.roadLength, seg.roadId);
         }
 
-        openSet.delete(current);
-        const currentNode = nodes.get(current);
+        lastPoint = path[path.length - 1];
+    }
 
-        // Get neighbors
-        const neighbors = getNeighbors(current, currentNode, nodes, roadMap);
+    const last = route.segments[route.segments.length - 1];
+    if (last.finalJumpDistance > 0 && lastPoint && route.end) {
+        pushStep('jump', 'Walk to destination', [lastPoint, route.end], last.finalJumpDistance);
+    }
 
-        for (const { neighborId, cost } of neighbors) {
-            const tentativeG = gScore.get(current) + cost;
+    return steps;
+}
 
-            if (tentativeG < gScore.get(neighborId)) {
-                cameFrom.set(neighborId, current);
-                gScore.set(neighborId, tentativeG);
+/**
+ * Project a point onto a polyline
+ * @returns {object} - {distance: distance to the line, along: length along the line to the projection, length: total length}
+ */
+function projectOntoPath(path, point) {
+    let best = { distance: Infinity, along: 0 };
+    let walked = 0;
 
-                const neighborNode = nodes.get(neighborId);
-                const heuristic = calculateDistance(neighborNode.point, end);
-                fScore.set(neighborId, tentativeG + heuristic);
+    if (path.length === 1) {
+        return { distance: calculateDistance(path[0], point), along: 0, length: 0 };
+    }
 
-                openSet.add(neighborId);
-            }
+    for (let i = 1; i < path.length; i++) {
+        const a = path[i - 1];
+        const b = path[i];
+        const dx = b.x - a.x;
+        const dy = b.y - a.y;
+        const lengthSq = dx * dx + dy * dy;
+        const segLength = Math.sqrt(lengthSq);
+
+        let t = lengthSq > 0 ? ((point.x - a.x) * dx + (point.y - a.y) * dy) / lengthSq : 0;
+        t = Math.max(0, Math.min(1, t));
+
+        const projected = { x: a.x + t * dx, y: a.y + t * dy };
+        const distance = calculateDistance(projected, point);
+        if (distance < best.distance) {
+            best = { distance, along: walked + t * segLength };
         }
+        walked += segLength;
     }
 
-    // No path found - return closest road to destination
-    return findClosestRoadToDestination(start, end, roads);
+    return { ...best, length: walked };
 }
 
-// Jump penalty settings - makes direct jumps MUCH more expensive than road travel
-// This strongly encourages the algorithm to use roads rather than jumping
-const JUMP_PENALTY_MULTIPLIER = 10.0;  // 10x penalty for jump distance
-const JUMP_BASE_PENALTY = 500;          // Fixed penalty for any jump (discourages many small jumps too)
-
 /**
- * Calculate penalized jump cost
+ * Measure how close a position is to an itinerary step
+ * Teleports are instant, so only their two thingwalls count as "on route".
  */
-function getJumpCost(distance) {
-    return JUMP_BASE_PENALTY + (distance * JUMP_PENALTY_MULTIPLIER);
+function measureStep(step, position) {
+    if (step.kind === 'teleport') {
+        const toFrom = calculateDistance(step.from, position);
+        const toTo = calculateDistance(step.to, position);
+        return toTo <= toFrom
+            ? { distance: toTo, along: 0, length: 0 }
+            : { distance: toFrom, along: -1, length: 0 };
+    }
+    return projectOntoPath(step.path, position);
 }
 
 /**
- * Get neighbors for A* algorithm
+ * Get the itinerary of the tracked route
+ * @returns {array} - Itinerary steps with done flags (empty when no route)
  */
-function getNeighbors(currentId, currentNode, nodes, roadMap) {
-    const neighbors = [];
-
-    if (currentNode.type === 'start') {
-        // From start, can jump to any road endpoint (penalized)
-        nodes.forEach((node, nodeId) => {
-            if (node.type === 'road_endpoint') {
-                const distance = calculateDistance(currentNode.point, node.point);
-                const cost = getJumpCost(distance);
-                neighbors.push({ neighborId: nodeId, cost });
-            }
-        });
-    } else if (currentNode.type === 'road_endpoint') {
-        // From a road endpoint, can:
-        // 1. Travel along the road to the other endpoint (no penalty - roads are fast!)
-        // 2. Jump to any other road's endpoint (heavily penalized)
-        // 3. Jump to destination (heavily penalized)
-
-        const road = currentNode.road;
-        const roadLength = getRoadLength(road);
-        const otherEndId = `road_${currentNode.roadId}_${currentNode.isStart ? 'end' : 'start'}`;
-
-        // Travel along road to other endpoint - NO PENALTY (roads are the preferred path)
-        neighbors.push({ neighborId: otherEndId, cost: roadLength });
-
-        // Jump to other roads (heavily penalized)
-        nodes.forEach((node, nodeId) => {
-            if (node.type === 'road_endpoint' && node.roadId !== currentNode.roadId) {
-                const distance = calculateDistance(currentNode.point, node.point);
-                const cost = getJumpCost(distance);
-                neighbors.push({ neighborId: nodeId, cost });
-            }
-        });
-
-        // Jump to destination (heavily penalized)
-        const destNode = nodes.get('end');
-        const distance = calculateDistance(currentNode.point, destNode.point);
-        const costToEnd = getJumpCost(distance);
-        neighbors.push({ neighborId: 'end', cost: costToEnd });
-    }
-
-    return neighbors;
+export function getRouteItinerary() {
+    if (!routeProgress) return [];
+    return routeProgress.steps.map(({ path, ...step }) => step);
 }
 
 /**
- * Reconstruct path from A* result
+ * Feed a new position of "my character" into route progress tracking
+ * Advances the current leg, marks passed legs done and raises off-route/completed events.
+ * @param {object} position - Absolute position {x, y}
  */
-function reconstructPath(cameFrom, current, nodes, roadMap, start, end) {
-    const path = [current];
-    while (cameFrom.has(current)) {
-        current = cameFrom.get(current);
-        path.unshift(current);
+export function updateRouteProgress(position) {
+    if (!routeProgress || routeProgress.completed || !position) return;
+
+    const { steps } = routeProgress;
+    if (steps.length === 0) return;
+
+    // Arrived?
+    if (currentRoute?.end && calculateDistance(position, currentRoute.end) <= ARRIVAL_DISTANCE) {
+        steps.forEach(step => { step.done = true; });
+        routeProgress.currentStep = steps.length;
+        routeProgress.completed = true;
+        routeProgress.offRoute = false;
+        notifyProgress(0, true);
+        if (typeof invokeDotNetSafe === 'function') {
+            invokeDotNetSafe('JsOnRouteCompleted');
+        }
+        return;
     }
 
-    console.log('[Navigation] Reconstructing path, nodes in path:', path);
-
-    // Extract roads from path
-    const segments = [];
-    const visitedRoads = new Set();
-    let totalDistance = 0;
-    let lastPoint = start;
-
-    for (let i = 0; i < path.length; i++) {
-        const nodeId = path[i];
-        const node = nodes.get(nodeId);
-
-        console.log('[Navigation] Processing node:', nodeId, 'type:', node?.type, 'roadId:', node?.roadId);
-
-        if (node.type === 'road_endpoint' && !visitedRoads.has(node.roadId)) {
-            visitedRoads.add(node.roadId);
-            const road = roadMap.get(node.roadId);
-            const endpoints = getRoadEndpoints(road);
-
-            // Calculate jump distance to this road
-            const jumpDistance = calculateDistance(lastPoint, node.point);
-
-            // Determine entry and exit points
-            const entryPoint = node.point;
-            const exitPoint = node.isStart ? endpoints.end : endpoints.start;
-            const roadLength = getRoadLength(road);
-
-            console.log('[Navigation] Adding road segment:', node.roadId, road.name ?? road.Name);
-
-            segments.push({
-                road: road,
-                roadId: node.roadId,
-                roadName: road.name ?? road.Name ?? `Road ${node.roadId}`,
-                entryPoint: entryPoint,
-                exitPoint: exitPoint,
-                jumpDistance: Math.round(jumpDistance),
-                roadLength: Math.round(roadLength)
-            });
-
-            totalDistance += jumpDistance + roadLength;
-            lastPoint = exitPoint;
-        } else if (node.type === 'end') {
-            // Add final jump to destination
-            const finalJump = calculateDistance(lastPoint, end);
-            totalDistance += finalJump;
-            if (segments.length > 0) {
-                segments[segments.length - 1].finalJumpDistance = Math.round(finalJump);
+    // Find the closest remaining leg; later legs win ties so shortcuts skip ahead
+    let best = null;
+    for (let i = routeProgress.currentStep; i < steps.length; i++) {
+        const measure = measureStep(steps[i], position);
+        if (!best || measure.distance <= best.distance) {
+            best = { index: i, ...measure };
+        }
+    }
+    if (!best) return;
+
+    const tolerance = steps[best.index].kind === 'jump' ? OFF_ROUTE_JUMP_DISTANCE : OFF_ROUTE_DISTANCE;
+    if (best.distance > tolerance) {
+        if (!routeProgress.offRoute) {
+            routeProgress.offRoute = true;
+            if (typeof invokeDotNetSafe === 'function') {
+                invokeDotNetSafe('JsOnRouteOffRoute', Math.round(best.distance));
             }
         }
+        return;
     }
+    routeProgress.offRoute = false;
 
-    console.log('[Navigation] Final segments:', segments.length, 'roads');
-    segments.forEach((seg, i) => {
-        console.log(`[Navigation] Segment ${i + 1}: roadId=${seg.roadId}, name=${seg.roadName}`);
-    });
+    for (let i = routeProgress.currentStep; i < best.index; i++) {
+        steps[i].done = true;
+    }
+    routeProgress.currentStep = best.index;
+
+    let remainingOnStep = Math.max(0, best.length - best.along);
+    if (best.along >= 0 && remainingOnStep <= STEP_COMPLETE_DISTANCE) {
+        steps[best.index].done = true;
+        routeProgress.currentStep = best.index + 1;
+        remainingOnStep = 0;
+    } else if (best.along < 0) {
+        // Waiting at the source thingwall of a teleport
+        remainingOnStep = 0;
+    }
 
-    return {
-        roads: segments.map(s => s.road),
-        totalDistance: Math.round(totalDistance),
-        segments: segments,
-        success: true
-    };
+    let remaining = remainingOnStep;
+    for (let i = best.index + 1; i < steps.length; i++) {
+        remaining += steps[i].distance;
+    }
+
+    notifyProgress(remaining, false);
 }
 
 /**
- * Fallback: find the single closest road to destination
+ * Report progress to Blazor when the current leg or remaining distance changed noticeably
  */
-function findClosestRoadToDestination(start, end, roads) {
-    let closestRoad = null;
-    let closestDistance = Infinity;
-    let closestEndpoint = null;
-
-    roads.forEach(road => {
-        const closest = getClosestEndpointOnRoad(end, road);
-        if (closest && closest.distance < closestDistance) {
-            closestDistance = closest.distance;
-            closestRoad = road;
-            closestEndpoint = closest;
-        }
-    });
-
-    if (closestRoad) {
-        const jumpToRoad = calculateDistance(start, closestEndpoint.point);
-        return {
-            roads: [closestRoad],
-            totalDistance: Math.round(jumpToRoad + closestDistance),
-            segments: [{
-                road: closestRoad,
-                roadId: closestRoad.id ?? closestRoad.Id,
-                roadName: closestRoad.name ?? closestRoad.Name ?? 'Unknown Road',
-                jumpDistance: Math.round(jumpToRoad),
-                roadLength: Math.round(getRoadLength(closestRoad))
-            }],
-            success: true,
-            partial: true
-        };
+function notifyProgress(remaining, force) {
+    const changedStep = routeProgress.currentStep !== routeProgress.lastReportedStep;
+    const changedDistance = Math.abs(remaining - routeProgress.lastReportedRemaining) >= PROGRESS_REPORT_DISTANCE;
+    if (!force && !changedStep && !changedDistance) return;
+
+    routeProgress.lastReportedStep = routeProgress.currentStep;
+    routeProgress.lastReportedRemaining = remaining;
+
+    if (typeof invokeDotNetSafe === 'function') {
+        invokeDotNetSafe('JsOnRouteProgress', {
+            currentStep: routeProgress.currentStep,
+            totalSteps: routeProgress.steps.length,
+            remainingDistance: Math.round(remaining),
+            completed: routeProgress.completed
+        });
     }
-
-    return { roads: [], totalDistance: 0, segments: [], error: 'No suitable route found' };
 }
 
 /**
@@ -483,11 +365,16 @@ export function getCurrentRoute() {
 }
 
 /**
- * Set current route
+ * Set current route and start tracking progress along it
  * @param {object} route - Route object from findRoute
  */
 export function setCurrentRoute(route) {
     currentRoute = route;
+
+    const steps = buildItinerary(route).map(step => ({ ...step, done: false }));
+    routeProgress = steps.length > 0
+        ? { steps, currentStep: 0, offRoute: false, completed: false, lastReportedStep: 0, lastReportedRemaining: Infinity }
+        : null;
 }
 
 /**
@@ -495,6 +382,7 @@ export function setCurrentRoute(route) {
  */
 export function clearCurrentRoute() {
     currentRoute = null;
+    routeProgress = null;
 }
 
 /**
@@ -0,0 +1,129 @@
+// Navigation Worker Client Module
+// Owns the navigation worker instance and turns its messages into promises.
+// Callers fall back to running the same code on the main thread when workers are unavailable.
+
+// Worker state
+let worker = null;
+let workerFailed = false;
+let nextRequestId = 1;
+const pendingRequests = new Map(); // requestId -> { resolve, reject }
+const failureListeners = [];
+
+/**
+ * Get the worker, creating it on first use
+ * @returns {Worker|null} - Worker instance, or null if workers are unsupported or failed
+ */
+function getWorker() {
+    if (worker || workerFailed) {
+        return worker;
+    }
+
+    if (typeof Worker === 'undefined') {
+        markFailed(new Error('Web Workers are not supported'));
+        return null;
+    }
+
+    try {
+        worker = new Worker(new URL('./navigation-worker.js', import.meta.url), { type: 'module' });
+    } catch (e) {
+        markFailed(e);
+        return null;
+    }
+
+    worker.addEventListener('message', (event) => {
+        const { requestId, result, error } = event.data || {};
+        const pending = pendingRequests.get(requestId);
+        if (!pending) return;
+
+        pendingRequests.delete(requestId);
+        if (error) {
+            pending.reject(new Error(error));
+        } else {
+            pending.resolve(result);
+        }
+    });
+
+    worker.addEventListener('error', (event) => {
+        console.error('[NavigationWorker] Worker error:', event.message || event);
+        event.preventDefault?.();
+        markFailed(new Error(event.message || 'Navigation worker failed'));
+    });
+
+    console.log('[NavigationWorker] Started');
+    return worker;
+}
+
+/**
+ * Tear down the worker after an error and notify listeners so they can switch to main-thread mode
+ */
+function markFailed(error) {
+    if (workerFailed) return;
+    workerFailed = true;
+
+    if (worker) {
+        worker.terminate();
+        worker = null;
+    }
+
+    pendingRequests.forEach(pending => pending.reject(error));
+    pendingRequests.clear();
+
+    console.warn('[NavigationWorker] Falling back to main thread:', error.message);
+    failureListeners.forEach(listener => {
+        try {
+            listener(error);
+        } catch (e) {
+            console.error('[NavigationWorker] Failure listener error:', e);
+        }
+    });
+}
+
+/**
+ * Check whether the worker can be used
+ * @returns {boolean}
+ */
+export function isWorkerAvailable() {
+    return getWorker() !== null;
+}
+
+/**
+ * Register a callback invoked once if the worker fails
+ * @param {function} listener - Callback receiving the error
+ */
+export function onWorkerFailure(listener) {
+    failureListeners.push(listener);
+}
+
+/**
+ * Send a fire-and-forget message (incremental road/thingwall changes)
+ * @param {string} type - Message type
+ * @param {object} payload - Message payload
+ * @returns {boolean} - True if the message was posted
+ */
+export function postToWorker(type, payload = {}) {
+    const target = getWorker();
+    if (!target) return false;
+
+    target.postMessage({ type, ...payload });
+    return true;
+}
+
+/**
+ * Send a query and wait for the worker's answer
+ * Messages are handled in order, so a query always sees every change posted before it.
+ * @param {string} type - Message type
+ * @param {object} payload - Message payload
+ * @returns {Promise<any>} - Resolves with the worker's result
+ */
+export function requestFromWorker(type, payload = {}) {
+    const target = getWorker();
+    if (!target) {
+        return Promise.reject(new Error('Navigation worker unavailable'));
+    }
+
+    const requestId = nextRequestId++;
+    return new Promise((resolve, reject) => {
+        pendingRequests.set(requestId, { resolve, reject });
+        target.postMessage({ type, requestId, ...payload });
+    });
+}
@@ -0,0 +1,57 @@
+// Navigation Worker
+// Module worker that owns the road graph and the thingwall triangulation so routing
+// and Delaunay computation never block map panning. Started by navigation-worker-client.js.
+
+import '../../lib/d3-delaunay/d3-delaunay.min.js'; // UMD build, registers globalThis.d3
+import * as RoadGraph from './road-graph.js';
+import { computeThingwallAdjacency, serializeAdjacency } from './delaunay-adjacency.js';
+
+// Thingwall state
+let thingwallPositions = []; // [{id, name, x, y}]
+let thingwallAdjacency = new Map(); // thingwallId -> Set<adjacentIds>
+
+const handlers = {
+    // Incremental road changes (no reply)
+    addRoad: ({ road }) => RoadGraph.addRoad(road),
+    removeRoad: ({ roadId }) => RoadGraph.removeRoad(roadId),
+    clearRoads: () => RoadGraph.clearRoads(),
+
+    // Replace thingwall positions and answer with the new adjacency
+    setThingwalls: ({ thingwalls }) => {
+        thingwallPositions = thingwalls || [];
+        thingwallAdjacency = computeThingwallAdjacency(thingwallPositions, globalThis.d3.Delaunay);
+        return serializeAdjacency(thingwallAdjacency);
+    },
+
+    getAdjacentThingwalls: ({ thingwallId }) => Array.from(thingwallAdjacency.get(thingwallId) || []),
+
+    findRoute: ({ startPoint, endPoint, options }) => RoadGraph.findRoute(startPoint, endPoint, {
+        thingwalls: options?.useThingwalls
+            ? { positions: thingwallPositions, adjacency: thingwallAdjacency }
+            : null
+    })
+};
+
+self.addEventListener('message', (event) => {
+    const { type, requestId, ...payload } = event.data || {};
+    const handler = handlers[type];
+
+    if (!handler) {
+        if (requestId !== undefined) {
+            self.postMessage({ requestId, error: `Unknown message type: ${type}` });
+        }
+        return;
+    }
+
+    try {
+        const result = handler(payload);
+        if (requestId !== undefined) {
+            self.postMessage({ requestId, result });
+        }
+    } catch (e) {
+        console.error('[NavigationWorker] Error handling', type, e);
+        if (requestId !== undefined) {
+            self.postMessage({ requestId, error: e?.message || String(e) });
+        }
+    }
+});
@@ -0,0 +1,520 @@
+// Offline Area Manager Module
+// Handles "Download area for offline use": rectangle selection on the map, tile count/size
+// estimates, and bounded-concurrency tile downloads into the tile store with progress and cancel.
+// Markers and roads inside the area are snapshotted into IndexedDB next to the area record.
+
+import { TileSize, HnHMinZoom, HnHMaxZoom } from './leaflet-config.js';
+import * as TileStore from './tile-store.js';
+import { getAllMarkerData } from './marker-manager.js';
+import { getAllRoadsData } from './road-manager.js';
+import { getRoadPoints } from './road-graph.js';
+
+const DOWNLOAD_CONCURRENCY = 6;              // Parallel tile fetches (same as public map preloading)
+const MAX_AREA_TILES = 20000;                // Refuse selections larger than this
+const DEFAULT_TILE_BYTES = 30 * 1024;        // Estimate per tile until the tile store has real numbers
+const PROGRESS_REPORT_INTERVAL_MS = 250;     // Throttle progress callbacks to .NET
+const MIN_SELECTION_PIXELS = 10;             // Ignore accidental clicks while selecting
+
+const AREA_DB_NAME = 'hnh-offline-areas';   // Login.razor deletes it by this name after logout
+const AREA_DB_VERSION = 1;
+const AREA_STORE = 'areas';
+
+// Module state
+let invokeDotNetSafe = null;
+let mapInstanceRef = null;
+
+// Selection state
+let isSelecting = false;
+let selectionStart = null;      // Leaflet latlng where the drag started
+let selectionRect = null;       // L.rectangle shown while selecting and after selection
+
+// Download state
+let activeDownload = null;      // { id, controller }
+let areaDbPromise = null;
+
+/**
+ * Initialize offline area manager
+ * @param {object} mapInstance - Leaflet map instance
+ * @param {function} invokeFunc - Function to invoke .NET methods
+ */
+export function initializeOfflineAreas(mapInstance, invokeFunc) {
+    mapInstanceRef = mapInstance;
+    invokeDotNetSafe = invokeFunc;
+}
+
+// ============ Area Selection ============
+
+/**
+ * Enter selection mode: the next drag on the map draws the area rectangle
+ * @param {object} mapInstance - Leaflet map instance
+ */
+export function startAreaSelection(mapInstance) {
+    if (!mapInstance || isSelecting) return;
+
+    clearAreaSelection();
+    mapInstanceRef = mapInstance;
+    isSelecting = true;
+
+    mapInstance.dragging.disable();
+    mapInstance.boxZoom.disable();
+    mapInstance.getContainer().style.cursor = 'crosshair';
+
+    mapInstance.on('mousedown', onSelectionMouseDown);
+    mapInstance.on('mousemove', onSelectionMouseMove);
+    mapInstance.on('mouseup', onSelectionMouseUp);
+    document.addEventListener('keydown', onSelectionKeyDown);
+
+    console.log('[OfflineArea] Selection mode started');
+}
+
+/**
+ * Leave selection mode without selecting anything
+ * @param {object} mapInstance - Leaflet map instance
+ */
+export function cancelAreaSelection(mapInstance) {
+    if (!isSelecting) return;
+    stopSelecting(mapInstance || mapInstanceRef);
+    clearAreaSelection();
+    console.log('[OfflineArea] Selection cancelled');
+}
+
+/**
+ * Remove the selection rectangle from the map
+ */
+export function clearAreaSelection() {
+    if (selectionRect) {
+        selectionRect.remove();
+        selectionRect = null;
+    }
+    selectionStart = null;
+}
+
+/**
+ * Check if selection mode is active
+ * @returns {boolean}
+ */
+export function isInAreaSelectionMode() {
+    return isSelecting;
+}
+
+function stopSelecting(mapInstance) {
+    isSelecting = false;
+    document.removeEventListener('keydown', onSelectionKeyDown);
+
+    if (!mapInstance) return;
+    mapInstance.off('mousedown', onSelectionMouseDown);
+    mapInstance.off('mousemove', onSelectionMouseMove);
+    mapInstance.off('mouseup', onSelectionMouseUp);
+    mapInstance.dragging.enable();
+    mapInstance.boxZoom.enable();
+    mapInstance.getContainer().style.cursor = '';
+}
+
+function onSelectionMouseDown(e) {
+    if (!isSelecting || e.originalEvent?.button !== 0) return;
+
+    selectionStart = e.latlng;
+    if (selectionRect) {
+        selectionRect.remove();
+    }
+    selectionRect = L.rectangle([selectionStart, selectionStart], {
+        color: '#2196F3',
+        weight: 2,
+        dashArray: '6, 6',
+        fillOpacity: 0.1,
+        interactive: false
+    }).addTo(e.target);
+}
+
+function onSelectionMouseMove(e) {
+    if (!isSelecting || !selectionStart || !selectionRect) return;
+    selectionRect.setBounds(L.latLngBounds(selectionStart, e.latlng));
+}
+
+function onSelectionMouseUp(e) {
+    if (!isSelecting || !selectionStart) return;
+
+    const mapInstance = e.target;
+    const start = mapInstance.project(selectionStart, HnHMaxZoom);
+    const end = mapInstance.project(e.latlng, HnHMaxZoom);
+
+    // Compare on screen so a tiny drag at low zoom still counts as a click
+    const startScreen = mapInstance.latLngToContainerPoint(selectionStart);
+    const endScreen = mapInstance.latLngToContainerPoint(e.latlng);
+    if (Math.abs(startScreen.x - endScreen.x) < MIN_SELECTION_PIXELS ||
+        Math.abs(startScreen.y - endScreen.y) < MIN_SELECTION_PIXELS) {
+        clearAreaSelection();
+        return;
+    }
+
+    stopSelecting(mapInstance);
+    selectionRect.setBounds(L.latLngBounds(selectionStart, e.latlng));
+    selectionStart = null;
+
+    const bounds = {
+        minX: Math.floor(Math.min(start.x, end.x)),
+        minY: Math.floor(Math.min(start.y, end.y)),
+        maxX: Math.ceil(Math.max(start.x, end.x)),
+        maxY: Math.ceil(Math.max(start.y, end.y))
+    };
+
+    console.log('[OfflineArea] Area selected:', bounds);
+    if (invokeDotNetSafe) {
+        invokeDotNetSafe('JsOnOfflineAreaSelected', bounds);
+    }
+}
+
+function onSelectionKeyDown(e) {
+    if (e.key !== 'Escape') return;
+    cancelAreaSelection(mapInstanceRef);
+    if (invokeDotNetSafe) {
+        invokeDotNetSafe('JsOnOfflineAreaSelectionCancelled');
+    }
+}
+
+// ============ Estimates ============
+
+/**
+ * Tile ranges covering an area for a range of zoom levels
+ * @param {object} bounds - {minX, minY, maxX, maxY} in absolute pixels
+ * @param {number} minZoom - Lowest Leaflet zoom to include
+ * @param {number} maxZoom - Highest Leaflet zoom to include
+ * @returns {Array} - [{ zoom, z, minX, maxX, minY, maxY, count }] where z is the HnH (URL) zoom
+ */
+function getTileRanges(bounds, minZoom, maxZoom) {
+    const ranges = [];
+    const from = Math.max(HnHMinZoom, Math.min(minZoom, maxZoom));
+    const to = Math.min(HnHMaxZoom, Math.max(minZoom, maxZoom));
+
+    for (let zoom = from; zoom <= to; zoom++) {
+        // Leaflet zoom is reversed for the tile URL: HnH zoom 0 is full detail
+        const z = HnHMaxZoom - zoom;
+        const span = TileSize * (1 << z); // Absolute pixels covered by one tile at this zoom
+
+        const range = {
+            zoom,
+            z,
+            minX: Math.floor(bounds.minX / span),
+            maxX: Math.floor(bounds.maxX / span),
+            minY: Math.floor(bounds.minY / span),
+            maxY: Math.floor(bounds.maxY / span)
+        };
+        range.count = (range.maxX - range.minX + 1) * (range.maxY - range.minY + 1);
+        ranges.push(range);
+    }
+
+    return ranges;
+}
+
+/**
+ * Estimate how many tiles (and bytes) downloading an area would take
+ * Empty (never mapped) tiles are included, so this is an upper bound.
+ * @param {object} bounds - {minX, minY, maxX, maxY} in absolute pixels
+ * @param {number} minZoom - Lowest Leaflet zoom to include
+ * @param {number} maxZoom - Highest Leaflet zoom to include
+ * @returns {Promise<object>} - {tileCount, estimatedBytes, maxTiles, persistent, zooms: [{zoom, tiles}]}
+ */
+export async function estimateAreaDownload(bounds, minZoom, maxZoom) {
+    const ranges = getTileRanges(bounds, minZoom, maxZoom);
+    const tileCount = ranges.reduce((sum, r) => sum + r.count, 0);
+
+    // Use the average size of tiles we already store, if any
+    let bytesPerTile = DEFAULT_TILE_BYTES;
+    const stats = await TileStore.getTileStoreStats();
+    if (stats && stats.tiles > 0) {
+        bytesPerTile = stats.totalBytes / stats.tiles;
+    }
+
+    return {
+        tileCount,
+        estimatedBytes: Math.round(tileCount * bytesPerTile),
+        maxTiles: MAX_AREA_TILES,
+        persistent: TileStore.isTileStoreActive(),
+        zooms: ranges.map(r => ({ zoom: r.zoom, tiles: r.count }))
+    };
+}
+
+// ============ Download ============
+
+/**
+ * Start downloading an area in the background
+ * Progress is reported through JsOnOfflineDownloadProgress, the outcome through JsOnOfflineDownloadFinished.
+ * @param {object} options - {mapId, revision, bounds, minZoom, maxZoom, name}
+ * @returns {Promise<object>} - {success, areaId, total} or {success: false, error}
+ */
+export async function startAreaDownload(options) {
+    const { mapId, revision, bounds, minZoom, maxZoom, name } = options || {};
+
+    if (activeDownload) {
+        return { success: false, error: 'A download is already running' };
+    }
+    if (!Number.isInteger(mapId) || mapId <= 0 || !bounds) {
+        return { success: false, error: 'Invalid map or area' };
+    }
+
+    const ranges = getTileRanges(bounds, minZoom, maxZoom);
+    const total = ranges.reduce((sum, r) => sum + r.count, 0);
+    if (total === 0) {
+        return { success: false, error: 'The area contains no tiles' };
+    }
+    if (total > MAX_AREA_TILES) {
+        return { success: false, error: `Too many tiles (${total}, max ${MAX_AREA_TILES}). Select a smaller area or fewer zoom levels.` };
+    }
+
+    const areaId = `area-${mapId}-${Date.now()}`;
+    const controller = new AbortController();
+    activeDownload = { id: areaId, controller };
+
+    // Pin before fetching so freshly stored tiles can't be evicted mid-download. If the tile
+    // worker refuses, the download still runs but the area is saved as not pinned.
+    const pinned = await TileStore.pinTileRanges(areaId, mapId, ranges.map(({ z, minX, maxX, minY, maxY }) => ({ z, minX, maxX, minY, maxY })));
+
+    const area = {
+        id: areaId,
+        mapId,
+        name: name || `Area ${Math.floor(bounds.minX / 100)}, ${Math.floor(bounds.minY / 100)}`,
+        bounds,
+        minZoom: Math.min(minZoom, maxZoom),
+        maxZoom: Math.max(minZoom, maxZoom),
+        revision: revision || 1,
+        pinned
+    };
+
+    console.log(`[OfflineArea] Downloading ${total} tiles for ${areaId}`);
+    runDownload(area, ranges, total, controller.signal)
+        .catch(e => console.error('[OfflineArea] Download failed:', e));
+
+    return { success: true, areaId, total };
+}
+
+/**
+ * Cancel the running download (tiles already fetched stay in the tile store, unpinned)
+ * @returns {boolean} - True if a download was running
+ */
+export function cancelAreaDownload() {
+    if (!activeDownload) return false;
+    activeDownload.controller.abort();
+    return true;
+}
+
+/**
+ * Check if a download is running
+ * @returns {boolean}
+ */
+export function isAreaDownloadRunning() {
+    return activeDownload !== null;
+}
+
+async function runDownload(area, ranges, total, signal) {
+    const progress = { areaId: area.id, total, completed: 0, failed: 0, empty: 0, bytes: 0 };
+    let lastReport = 0;
+
+    const report = (force) => {
+        const now = Date.now();
+        if (!force && now - lastReport < PROGRESS_REPORT_INTERVAL_MS) return;
+        lastReport = now;
+        if (invokeDotNetSafe) {
+            invokeDotNetSafe('JsOnOfflineDownloadProgress', { ...progress });
+        }
+    };
+
+    // Lazily walk all tiles of all ranges so no URL list has to be built up front
+    function* tileUrls() {
+        for (const r of ranges) {
+            for (let x = r.minX; x <= r.maxX; x++) {
+                for (let y = r.minY; y <= r.maxY; y++) {
+                    yield `/map/tiles/${area.mapId}/${r.z}/${x}_${y}.webp?v=${area.revision}`;
+                }
+            }
+        }
+    }
+    const queue = tileUrls();
+
+    const worker = async () => {
+        for (let next = queue.next(); !next.done && !signal.aborted; next = queue.next()) {
+            try {
+                const response = await fetch(next.value, { signal, credentials: 'same-origin', priority: 'low' });
+                if (response.ok) {
+                    const blob = await response.blob();
+                    progress.bytes += blob.size;
+                } else if (response.status === 404) {
+                    progress.empty++;
+                } else {
+                    progress.failed++;
+                }
+            } catch (e) {
+                if (signal.aborted) break;
+                progress.failed++;
+            }
+            progress.completed++;
+            report(false);
+        }
+    };
+
+    report(true);
+    await Promise.all(Array.from({ length: DOWNLOAD_CONCURRENCY }, worker));
+
+    const cancelled = signal.aborted;
+    activeDownload = null;
+
+    let markerCount = 0;
+    let roadCount = 0;
+    if (cancelled) {
+        await TileStore.unpinTileRanges(area.id);
+    } else {
+        const snapshot = snapshotAreaData(area.mapId, area.bounds);
+        markerCount = snapshot.markers.length;
+        roadCount = snapshot.roads.length;
+
+        try {
+            await putArea({
+                ...area,
+                tileCount: total - progress.empty,
+                failedTiles: progress.failed,
+                bytes: progress.bytes,
+                createdAt: Date.now(),
+                markers: snapshot.markers,
+                roads: snapshot.roads
+            });
+        } catch (e) {
+            console.error('[OfflineArea] Failed to save area record:', e);
+        }
+    }
+
+    console.log(`[OfflineArea] ${cancelled ? 'Cancelled' : 'Finished'} ${area.id}:`,
+        `${progress.completed}/${total} tiles, ${progress.failed} failed, ${progress.empty} empty`);
+
+    report(true);
+    if (invokeDotNetSafe) {
+        invokeDotNetSafe('JsOnOfflineDownloadFinished', {
+            ...progress,
+            cancelled,
+            pinned: area.pinned,
+            markers: markerCount,
+            roads: roadCount
+        });
+    }
+}
+
+/**
+ * Copy markers and roads of a map that fall inside the area
+ * Roads are kept whole if any of their points is inside.
+ * @returns {object} - {markers: [...], roads: [...]}
+ */
+function snapshotAreaData(mapId, bounds) {
+    const inside = (x, y) => x >= bounds.minX && x <= bounds.maxX && y >= bounds.minY && y <= bounds.maxY;
+
+    const markers = getAllMarkerData().filter(m =>
+        m.map === mapId && m.position && inside(m.position.x, m.position.y));
+
+    const roads = getAllRoadsData().filter(road =>
+        road.mapId === mapId && getRoadPoints(road).some(p => inside(p.x, p.y)));
+
+    // Plain copies so IndexedDB doesn't try to clone anything Leaflet attached
+    return {
+        markers: JSON.parse(JSON.stringify(markers)),
+        roads: JSON.parse(JSON.stringify(roads))
+    };
+}
+
+// ============ Saved Areas ============
+
+function openAreaDb() {
+    if (areaDbPromise) return areaDbPromise;
+
+    areaDbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(AREA_DB_NAME, AREA_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const store = request.result.createObjectStore(AREA_STORE, { keyPath: 'id' });
+            store.createIndex('mapId', 'mapId', { unique: false });
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            areaDbPromise = null;
+            reject(request.error);
+        };
+    });
+
+    return areaDbPromise;
+}
+
+function runAreaTransaction(mode, action) {
+    return openAreaDb().then(db => new Promise((resolve, reject) => {
+        const tx = db.transaction(AREA_STORE, mode);
+        const request = action(tx.objectStore(AREA_STORE));
+        tx.oncomplete = () => resolve(request?.result);
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    }));
+}
+
+function putArea(area) {
+    return runAreaTransaction('readwrite', store => store.put(area));
+}
+
+/**
+ * List saved offline areas (without their marker/road snapshots)
+ * @param {number} mapId - Optional map ID filter
+ * @returns {Promise<Array>} - Newest first
+ */
+export async function listOfflineAreas(mapId) {
+    try {
+        const areas = await runAreaTransaction('readonly', store =>
+            mapId ? store.index('mapId').getAll(mapId) : store.getAll());
+
+        return (areas || [])
+            .map(({ markers, roads, ...summary }) => ({
+                ...summary,
+                markerCount: markers?.length || 0,
+                roadCount: roads?.length || 0
+            }))
+            .sort((a, b) => b.createdAt - a.createdAt);
+    } catch (e) {
+        console.warn('[OfflineArea] Failed to list areas:', e);
+        return [];
+    }
+}
+
+/**
+ * Get a saved area including its marker and road snapshots
+ * @param {string} areaId - Area ID
+ * @returns {Promise<object|null>}
+ */
+export async function getOfflineArea(areaId) {
+    try {
+        return await runAreaTransaction('readonly', store => store.get(areaId)) || null;
+    } catch (e) {
+        console.warn('[OfflineArea] Failed to read area', areaId, e);
+        return null;
+    }
+}
+
+/**
+ * Delete a saved area; its tiles stay cached but become evictable
+ * @param {string} areaId - Area ID
+ * @returns {Promise<boolean>}
+ */
+export async function deleteOfflineArea(areaId) {
+    try {
+        await runAreaTransaction('readwrite', store => store.delete(areaId));
+        await TileStore.unpinTileRanges(areaId);
+        return true;
+    } catch (e) {
+        console.warn('[OfflineArea] Failed to delete area', areaId, e);
+        return false;
+    }
+}
+
+/**
+ * Delete every saved area of a map (map deleted or merged away)
+ * The tile store drops the pins itself when the map is purged.
+ * @param {number} mapId - Map ID
+ */
+export async function deleteOfflineAreasForMap(mapId) {
+    try {
+        const areas = await listOfflineAreas(mapId);
+        await Promise.all(areas.map(area => runAreaTransaction('readwrite', store => store.delete(area.id))));
+    } catch (e) {
+        console.warn('[OfflineArea] Failed to delete areas for map', mapId, e);
+    }
+}
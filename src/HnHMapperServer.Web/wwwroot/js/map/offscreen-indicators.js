@@ -0,0 +1,212 @@
+// Off-screen Indicators Module
+// Arrows along the edge of the map pointing at things outside the view: active pings, the
+// followed character (or "my character") and the route destination. Each arrow shows a label and
+// the distance, and a click pans to the target. Ping arrows fade out as the ping nears expiry.
+
+import { HnHMaxZoom } from './leaflet-config.js';
+import * as PingManager from './ping-manager.js';
+import * as CharacterManager from './character-manager.js';
+import { getFollowedCharacterId } from './follow-camera.js';
+
+const REFRESH_INTERVAL_MS = 1000;  // Characters move and pings fade without any map event
+const EDGE_INSET_X = 72;           // Keep the label (up to ~140px wide) inside the map
+const EDGE_INSET_Y = 36;
+const PING_FADE_MS = 30000;        // Ping arrows fade over the last 30 seconds
+const MIN_PING_OPACITY = 0.25;
+
+const COLORS = {
+    mine: '#FFD700',
+    character: '#FFFFFF',
+    route: '#EF4444'
+};
+
+let mapRef = null;
+let container = null;
+let refreshTimer = null;
+let currentMapId = 0;
+let routeDestination = null;       // { x, y, mapId } in absolute pixels
+
+const indicatorElements = new Map(); // key -> { root, arrow, label, distance }
+
+/**
+ * Initialize the indicators for a map (safe to call again when the map is recreated)
+ * @param {object} mapInstance - Leaflet map instance
+ */
+export function initializeOffscreenIndicators(mapInstance) {
+    if (refreshTimer) {
+        clearInterval(refreshTimer);
+    }
+    container?.remove();
+    indicatorElements.clear();
+
+    mapRef = mapInstance;
+    container = L.DomUtil.create('div', 'offscreen-indicators', mapInstance.getContainer());
+    // Clicks on an arrow must not reach the map (context menu, drawing modes)
+    L.DomEvent.disableClickPropagation(container);
+
+    mapInstance.on('move zoomend resize', refreshIndicators);
+    refreshTimer = setInterval(refreshIndicators, REFRESH_INTERVAL_MS);
+}
+
+/**
+ * Set the map shown, so a route destination on another map gets no arrow
+ * @param {number} mapId - Map ID
+ */
+export function setCurrentMapId(mapId) {
+    currentMapId = mapId;
+    refreshIndicators();
+}
+
+/**
+ * Set or clear the route destination
+ * @param {{x: number, y: number}|null} point - Destination in absolute pixels, or null
+ * @param {number} mapId - Map the route was found on
+ */
+export function setRouteDestination(point, mapId) {
+    routeDestination = point && Number.isFinite(point.x) && Number.isFinite(point.y)
+        ? { x: point.x, y: point.y, mapId }
+        : null;
+    refreshIndicators();
+}
+
+/**
+ * Recompute every arrow. Called on pan/zoom and on a timer.
+ */
+export function refreshIndicators() {
+    if (!mapRef || !container) return;
+
+    const size = mapRef.getSize();
+    const seen = new Set();
+    if (size.x > 0 && size.y > 0) {
+        const origin = getDistanceOrigin();
+        for (const target of collectTargets()) {
+            const point = mapRef.latLngToContainerPoint(target.latLng);
+            if (point.x >= 0 && point.y >= 0 && point.x <= size.x && point.y <= size.y) {
+                continue; // On screen
+            }
+            seen.add(target.key);
+            renderIndicator(target, point, size, origin);
+        }
+    }
+
+    for (const [key, element] of indicatorElements) {
+        if (!seen.has(key)) {
+            element.root.remove();
+            indicatorElements.delete(key);
+        }
+    }
+}
+
+// Helper functions
+
+/**
+ * Everything that can get an arrow, most important first (later arrows draw on top)
+ */
+function collectTargets() {
+    const targets = [];
+    const now = Date.now();
+
+    for (const ping of PingManager.getActivePings()) {
+        if (ping.mapId && currentMapId && ping.mapId !== currentMapId) continue;
+        const remaining = ping.expiresAt - now;
+        if (!(remaining > 0)) continue;
+        targets.push({
+            key: `ping-${ping.id}`,
+            kind: 'ping',
+            latLng: ping.latLng,
+            label: PingManager.describePing(ping.type, ping.message, ping.createdBy),
+            color: PingManager.PING_TYPES[PingManager.normalizePingType(ping.type)].color,
+            opacity: Math.max(MIN_PING_OPACITY, Math.min(1, remaining / PING_FADE_MS))
+        });
+    }
+
+    const followedId = getFollowedCharacterId();
+    for (const character of CharacterManager.getAllCharacterData()) {
+        if (character.id !== followedId && !character.isMine) continue;
+        const latLng = CharacterManager.getCharacterLatLng(character.id);
+        if (!latLng) continue;
+        targets.push({
+            key: `character-${character.id}`,
+            kind: 'character',
+            latLng,
+            label: character.name,
+            color: character.isMine ? COLORS.mine : COLORS.character,
+            opacity: 1
+        });
+    }
+
+    if (routeDestination && routeDestination.mapId === currentMapId) {
+        targets.push({
+            key: 'route',
+            kind: 'route',
+            latLng: mapRef.unproject([routeDestination.x, routeDestination.y], HnHMaxZoom),
+            label: 'Destination',
+            color: COLORS.route,
+            opacity: 1
+        });
+    }
+
+    return targets;
+}
+
+/**
+ * Distances are measured from "my character" when it is on this map, else from the view center
+ */
+function getDistanceOrigin() {
+    return CharacterManager.getMyCharacterPosition() ?? mapRef.project(mapRef.getCenter(), HnHMaxZoom);
+}
+
+function renderIndicator(target, point, size, origin) {
+    let element = indicatorElements.get(target.key);
+    if (!element) {
+        element = createIndicatorElement(target);
+        indicatorElements.set(target.key, element);
+    }
+
+    // Where the line from the view center to the target crosses the inset edge
+    const cx = size.x / 2;
+    const cy = size.y / 2;
+    const dx = point.x - cx;
+    const dy = point.y - cy;
+    const scale = Math.min(
+        dx !== 0 ? (cx - EDGE_INSET_X) / Math.abs(dx) : Infinity,
+        dy !== 0 ? (cy - EDGE_INSET_Y) / Math.abs(dy) : Infinity
+    );
+    const x = cx + dx * scale;
+    const y = cy + dy * scale;
+    const angle = Math.atan2(dy, dx) * 180 / Math.PI;
+
+    const absolute = mapRef.project(target.latLng, HnHMaxZoom);
+    const distance = Math.hypot(absolute.x - origin.x, absolute.y - origin.y);
+
+    element.target = target;
+    element.root.style.left = `${x}px`;
+    element.root.style.top = `${y}px`;
+    element.root.style.opacity = String(target.opacity);
+    element.arrow.style.transform = `rotate(${angle}deg)`;
+    element.label.textContent = target.label;
+    element.distance.textContent = formatDistance(distance);
+}
+
+function createIndicatorElement(target) {
+    const root = L.DomUtil.create('div', `offscreen-indicator offscreen-indicator-${target.kind}`, container);
+    root.style.setProperty('--indicator-color', target.color);
+    root.title = 'Click to go there';
+
+    const arrow = L.DomUtil.create('div', 'offscreen-indicator-arrow', root);
+    const text = L.DomUtil.create('div', 'offscreen-indicator-text', root);
+    const label = L.DomUtil.create('div', 'offscreen-indicator-label', text);
+    const distance = L.DomUtil.create('div', 'offscreen-indicator-distance', text);
+
+    const element = { root, arrow, label, distance, target };
+    L.DomEvent.on(root, 'click', e => {
+        L.DomEvent.stop(e);
+        mapRef?.setView(element.target.latLng, mapRef.getZoom(), { animate: true, duration: 0.5 });
+    });
+    return element;
+}
+
+function formatDistance(distance) {
+    if (distance < 1000) return `${Math.round(distance)} tiles`;
+    return `${(distance / 1000).toFixed(1)}k tiles`;
+}
@@ -0,0 +1,318 @@
+/**
+ * Outbox Module
+ * Persists user-initiated JS -> .NET mutations (Alt+M pings, finished road drawings, sketches) in
+ * localStorage so a SignalR blip or a reload can't lose them. Entries are delivered one at a
+ * time, in order, once the circuit answers. Each entry carries an idempotency key that .NET
+ * forwards to the API (Idempotency-Key header): a delivery retried after a lost reply replays
+ * the first result instead of creating a second ping or road.
+ *
+ * The queue is shared by every open tab, but each entry is delivered by one tab only: the tab
+ * that queued it (its dialogs and previews are there), or - once that tab is gone - whichever
+ * tab claims it first. Both use Web Locks; without them every tab delivers what it sees.
+ */
+
+// State variables
+const STORAGE_KEY = 'havenmap_outbox';
+const MAX_ENTRIES = 50;
+const MAX_AGE_MS = 24 * 60 * 60 * 1000;  // Matches the server's idempotency retention
+const MAX_ATTEMPTS = 3;                   // Deliveries that reached .NET but threw
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 15000;
+const TAB_LOCK_PREFIX = 'havenmap-outbox-tab-';     // Held by each tab for as long as it is open
+const ENTRY_LOCK_PREFIX = 'havenmap-outbox-entry-'; // Held while an entry is being delivered
+const locksSupported = typeof navigator !== 'undefined' && !!navigator.locks;
+const tabId = window.tabCoordinator?.tabId ?? Math.random().toString(36).slice(2);
+
+let getDotnetRef = () => null;
+let indicator = null;
+let flushing = false;
+let retryTimer = null;
+let retryAttempts = 0;
+let memoryEntries = null;  // Used when localStorage is unavailable (then only reconnects are covered)
+let holdingTabLock = false;
+const removedListeners = new Set();
+
+/**
+ * Initialize the outbox and deliver anything left over from a previous page load
+ * @param {Function} dotnetRefGetter - Returns the current DotNet object reference (MapView)
+ * @param {HTMLElement} container - Map container the pending-changes indicator is added to
+ */
+export function initializeOutbox(dotnetRefGetter, container) {
+    getDotnetRef = dotnetRefGetter;
+
+    // Lets other tabs see this one is alive and owns its entries (released when the tab closes)
+    if (locksSupported && !holdingTabLock) {
+        holdingTabLock = true;
+        navigator.locks.request(TAB_LOCK_PREFIX + tabId, () => new Promise(() => {}));
+    }
+
+    indicator?.remove();
+    indicator = document.createElement('div');
+    indicator.className = 'outbox-indicator';
+    indicator.title = 'Waiting for the connection to the server - these changes are saved and will be sent automatically';
+    container.appendChild(indicator);
+
+    // Another tab may add or deliver entries (the queue is shared through localStorage)
+    window.removeEventListener('storage', onStorage);
+    window.addEventListener('storage', onStorage);
+
+    renderIndicator();
+    flush();
+}
+
+/**
+ * Queue a .NET call. The entry key is appended as the method's last argument.
+ * @param {string} method - [JSInvokable] method on the MapView reference
+ * @param {Array} args - Arguments (must survive JSON round-tripping)
+ * @param {string} [key] - Idempotency key, when the caller already used one (e.g. a socket ping)
+ * @returns {string} The entry key
+ */
+export function enqueue(method, args, key = newIdempotencyKey()) {
+    writeEntries([...readEntries(), { key, method, args, owner: tabId, createdAt: Date.now(), attempts: 0 }].slice(-MAX_ENTRIES));
+    renderIndicator();
+    flush();
+    return key;
+}
+
+/**
+ * Deliver this tab's queued entries (and those of closed tabs) in order. Stops at the first
+ * entry the circuit can't take and retries with backoff; safe to call at any time (e.g. when
+ * Blazor reports the circuit is up).
+ */
+export async function flush() {
+    if (flushing) return;
+    flushing = true;
+    clearTimeout(retryTimer);
+    retryTimer = null;
+
+    try {
+        for (;;) {
+            const { entry, waiting } = await nextEntry();
+            if (!entry) {
+                if (waiting) {
+                    // Another tab's entries: delivered there, or by us once that tab closes
+                    scheduleRetry();
+                } else {
+                    retryAttempts = 0;
+                }
+                break;
+            }
+
+            const dotnetRef = getDotnetRef();
+            if (!dotnetRef || typeof dotnetRef.invokeMethodAsync !== 'function') {
+                scheduleRetry();
+                break;
+            }
+
+            const result = await withEntryLock(entry.key, () => deliver(dotnetRef, entry));
+            renderIndicator();
+            if (result !== 'delivered') {
+                scheduleRetry();
+                break;
+            }
+        }
+    } finally {
+        flushing = false;
+    }
+}
+
+/**
+ * Register a callback for entries leaving the queue in another tab (delivered there or dropped)
+ * @param {function(string)} handler - Receives the entry key
+ * @returns {Function} Unsubscribe
+ */
+export function onEntryRemoved(handler) {
+    removedListeners.add(handler);
+    return () => removedListeners.delete(handler);
+}
+
+/**
+ * Number of undelivered entries
+ * @returns {number}
+ */
+export function getPendingCount() {
+    return readEntries().length;
+}
+
+/**
+ * New random idempotency key
+ * @returns {string}
+ */
+export function newIdempotencyKey() {
+    if (typeof crypto !== 'undefined' && typeof crypto.randomUUID === 'function') {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2)}${Math.random().toString(36).slice(2)}`;
+}
+
+/**
+ * First entry this tab may deliver: its own, or one whose tab is gone
+ * @returns {Promise<{entry: object|null, waiting: boolean}>} waiting = entries of other live tabs remain
+ */
+async function nextEntry() {
+    const entries = readEntries();
+    if (entries.length === 0) return { entry: null, waiting: false };
+    if (!locksSupported) return { entry: entries[0], waiting: false };
+
+    let liveTabs;
+    try {
+        const { held } = await navigator.locks.query();
+        liveTabs = new Set(held.map(lock => lock.name));
+    } catch {
+        return { entry: entries.find(e => e.owner === tabId) ?? null, waiting: true };
+    }
+
+    const entry = entries.find(e => e.owner === tabId || !e.owner || !liveTabs.has(TAB_LOCK_PREFIX + e.owner));
+    return { entry: entry ?? null, waiting: !entry };
+}
+
+/**
+ * Run fn while holding the entry's lock, so two tabs never deliver the same entry
+ * @returns {Promise<string>} fn's result, or 'busy' when another tab is delivering it
+ */
+async function withEntryLock(key, fn) {
+    if (!locksSupported) return fn();
+    return navigator.locks.request(ENTRY_LOCK_PREFIX + key, { ifAvailable: true }, lock => lock ? fn() : 'busy');
+}
+
+/**
+ * @returns {Promise<string>} 'delivered' (or dropped) to go on with the next entry, 'retry' to stop
+ */
+async function deliver(dotnetRef, entry) {
+    // Another tab may have delivered it between reading the queue and taking the lock
+    if (!readEntries().some(e => e.key === entry.key)) return 'delivered';
+
+    try {
+        await dotnetRef.invokeMethodAsync(entry.method, ...entry.args, entry.key);
+        removeEntry(entry.key);
+        retryAttempts = 0;
+        return 'delivered';
+    } catch (err) {
+        if (isConnectionError(err)) {
+            console.debug('[Outbox] Circuit unavailable, keeping', entry.method);
+            return 'retry';
+        }
+
+        // .NET ran and threw - retrying is unlikely to help, but don't give up on the first try
+        console.error('[Outbox] Delivery failed:', entry.method, err?.message || err);
+        if (!bumpAttempts(entry.key)) {
+            console.warn('[Outbox] Dropping after', MAX_ATTEMPTS, 'attempts:', entry.method);
+            removeEntry(entry.key);
+            return 'delivered';
+        }
+        return 'retry';
+    }
+}
+
+function scheduleRetry() {
+    if (retryTimer) return;
+    const delay = Math.min(RETRY_BASE_MS * Math.pow(2, retryAttempts), RETRY_MAX_MS);
+    retryAttempts++;
+    retryTimer = setTimeout(() => {
+        retryTimer = null;
+        flush();
+    }, delay);
+}
+
+/**
+ * Same "not connected" signatures leaflet-interop's invokeDotNetSafe drops quietly
+ */
+function isConnectionError(err) {
+    const message = err?.message || String(err || '');
+    return message.includes('No interop methods') ||
+        message.includes('Cannot send data') ||
+        message.includes('not in the') ||
+        message.includes('Connected') ||
+        message.includes('circuit');
+}
+
+function onStorage(e) {
+    if (e.key !== STORAGE_KEY) return;
+
+    const remaining = new Set(parseEntries(e.newValue).map(entry => entry.key));
+    for (const entry of parseEntries(e.oldValue)) {
+        if (remaining.has(entry.key)) continue;
+        for (const handler of removedListeners) {
+            try {
+                handler(entry.key);
+            } catch (err) {
+                console.error('[Outbox] Entry removed handler failed:', err);
+            }
+        }
+    }
+
+    renderIndicator();
+    flush();
+}
+
+function parseEntries(value) {
+    try {
+        const entries = JSON.parse(value || '[]');
+        return Array.isArray(entries) ? entries.filter(e => e && typeof e.key === 'string') : [];
+    } catch {
+        return [];
+    }
+}
+
+function renderIndicator() {
+    if (!indicator) return;
+    const count = getPendingCount();
+    indicator.style.display = count > 0 ? '' : 'none';
+    indicator.textContent = count === 1 ? '1 pending change' : `${count} pending changes`;
+}
+
+/**
+ * Read the queue, dropping entries too old for the server to still deduplicate.
+ * Always read fresh: other tabs write the same key.
+ */
+function readEntries() {
+    let entries;
+    try {
+        entries = memoryEntries ?? JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]');
+    } catch {
+        entries = [];
+    }
+    if (!Array.isArray(entries)) return [];
+
+    const cutoff = Date.now() - MAX_AGE_MS;
+    const fresh = entries.filter(e => e && typeof e.method === 'string' && Array.isArray(e.args) && e.createdAt > cutoff);
+    if (fresh.length !== entries.length) {
+        writeEntries(fresh);
+    }
+    return fresh;
+}
+
+function writeEntries(entries) {
+    if (memoryEntries) {
+        memoryEntries = entries;
+        return;
+    }
+    try {
+        if (entries.length === 0) {
+            localStorage.removeItem(STORAGE_KEY);
+        } else {
+            localStorage.setItem(STORAGE_KEY, JSON.stringify(entries));
+        }
+    } catch (e) {
+        console.warn('[Outbox] Could not persist queue, keeping it in memory:', e);
+        memoryEntries = entries;
+    }
+}
+
+function removeEntry(key) {
+    writeEntries(readEntries().filter(e => e.key !== key));
+}
+
+/**
+ * @returns {boolean} false once the entry has used up its attempts
+ */
+function bumpAttempts(key) {
+    let keep = true;
+    writeEntries(readEntries().map(e => {
+        if (e.key !== key) return e;
+        const attempts = (e.attempts || 0) + 1;
+        keep = attempts < MAX_ATTEMPTS;
+        return { ...e, attempts };
+    }));
+    return keep;
+}
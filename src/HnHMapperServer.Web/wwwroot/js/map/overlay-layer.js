@@ -45,6 +45,7 @@ const MAX_OVERLAY_SCALE_FACTOR = 16;
 // Safety cap on grid coords queued for fetching per map at any one time (~cap/100 HTTP batches).
 // Coords skipped by the cap are NOT marked pending, so a later redraw can still request them.
 const MAX_PENDING_FETCH_COORDS = 3000;
+const EXPORT_REQUEST_CHUNK = 1000; // Image export requests at most this many coords at a time
 
 // Overlay data cache: mapId -> coordKey -> overlayType -> Uint8Array
 const overlayCache = {};
@@ -52,6 +53,10 @@ const overlayCache = {};
 // Pending fetch requests to prevent duplicate Blazor calls
 const pendingFetches = new Set();
 
+// Coords sent to Blazor and not answered yet: mapId -> Map(coordKey -> Promise of the batch).
+// Only image export waits on these; the live layer just repaints when data arrives.
+const inFlightCoords = new Map();
+
 // Request batching state for coalescing multiple tile requests
 let pendingCoords = new Map(); // mapId -> Set<coordKey>
 let batchTimer = null;
@@ -178,8 +183,8 @@ function flushBatchedRequests() {
 
             console.debug(`[Overlay] Sending batch: ${chunk.length} coords for map ${mapId}`);
 
-            // Request data from Blazor (fire-and-forget, response comes via setOverlayData)
-            requestOverlaysCallback(mapId, coordStr);
+            // Request data from Blazor (response comes via setOverlayData before the call completes)
+            trackInFlight(mapId, chunk, requestOverlaysCallback(mapId, coordStr));
 
             // Clear pending flag after a timeout (in case Blazor doesn't respond)
             setTimeout(() => {
@@ -193,7 +198,29 @@ function flushBatchedRequests() {
 }
 
 /**
- * Set the callback function to request overlays from Blazor
+ * Remember which coords a batch covers until the Blazor call settles
+ * @param {Promise|null} request - Result of the request callback (null when not sent)
+ */
+function trackInFlight(mapId, coordKeys, request) {
+    if (!request || typeof request.then !== 'function') return;
+
+    if (!inFlightCoords.has(mapId)) {
+        inFlightCoords.set(mapId, new Map());
+    }
+    const requests = inFlightCoords.get(mapId);
+    const settled = Promise.resolve(request).catch(() => null).then(() => {
+        for (const key of coordKeys) {
+            if (requests.get(key) === settled) requests.delete(key);
+        }
+    });
+    for (const key of coordKeys) {
+        requests.set(key, settled);
+    }
+}
+
+/**
+ * Set the callback function to request overlays from Blazor.
+ * The callback should return a Promise that settles once the data was handed to setOverlayData.
  */
 export function setRequestOverlaysCallback(callback) {
     requestOverlaysCallback = callback;
@@ -637,3 +664,192 @@ export function invalidateOverlayAtCoord(mapId, x, y, overlayType) {
         requestOverlays(mapId, [{ x, y }]);
     }
 }
+
+// ============ Image Export ============
+
+/**
+ * Check whether overlays are drawn at a given scale (same zoom gate as the live layer)
+ * @param {number} pixelsPerGrid - Output pixels per 100x100 game grid
+ * @returns {boolean}
+ */
+function isExportScaleRendered(pixelsPerGrid) {
+    return TileSize / pixelsPerGrid <= MAX_OVERLAY_SCALE_FACTOR;
+}
+
+/**
+ * Fetch overlay data that isn't cached yet for a grid rectangle (map image export) and wait for
+ * it. Coords are requested in chunks that stay under MAX_PENDING_FETCH_COORDS, each chunk given
+ * timeoutMs to arrive.
+ * @param {number} timeoutMs - Longest wait per chunk
+ * @param {AbortSignal} [signal] - Stops waiting (and requesting further chunks)
+ * @returns {Promise<{requested: number, missing: number}>} - Grids fetched, and grids whose data
+ *          did not arrive in time (or could not be requested)
+ */
+export async function requestOverlaysForArea(mapId, gridMinX, gridMinY, gridMaxX, gridMaxY, pixelsPerGrid, timeoutMs, signal) {
+    if (enabledOverlayTypes.size === 0 || !isExportScaleRendered(pixelsPerGrid)) {
+        return { requested: 0, missing: 0 };
+    }
+
+    // Uncached coords get requested; coords already pending may still be in flight from the
+    // live layer, so those are waited on as well
+    const coords = [];
+    for (let gx = gridMinX; gx <= gridMaxX; gx++) {
+        for (let gy = gridMinY; gy <= gridMaxY; gy++) {
+            const entry = getOverlayData(mapId, gx, gy);
+            if (entry === null || entry._pending) {
+                coords.push({ x: gx, y: gy });
+            }
+        }
+    }
+
+    let requested = 0;
+    let missing = 0;
+    for (let i = 0; i < coords.length; i += EXPORT_REQUEST_CHUNK) {
+        const chunk = coords.slice(i, i + EXPORT_REQUEST_CHUNK);
+        if (signal?.aborted) {
+            missing += chunk.length;
+            continue;
+        }
+
+        const keys = chunk.map(c => `${c.x}_${c.y}`);
+        const fresh = keys.filter((key, j) => getOverlayData(mapId, chunk[j].x, chunk[j].y) === null);
+        requested += fresh.length;
+
+        requestOverlays(mapId, chunk);
+        // Send now instead of after the debounce window
+        clearTimeout(batchTimer);
+        flushBatchedRequests();
+
+        // Fresh coords that are not in flight now were never sent (capped, or not connected)
+        const requests = inFlightCoords.get(mapId);
+        const unsent = fresh.filter(key => !requests?.has(key));
+        missing += unsent.length;
+
+        const sent = new Set(unsent);
+        missing += await waitForCoords(mapId, keys.filter(key => !sent.has(key)), timeoutMs, signal);
+    }
+
+    return { requested, missing };
+}
+
+/**
+ * Wait until the batches covering the given coord keys are answered
+ * @returns {Promise<number>} - Coords still unanswered when the timeout or abort hit
+ */
+async function waitForCoords(mapId, keys, timeoutMs, signal) {
+    const requests = inFlightCoords.get(mapId);
+    const batches = new Set(keys.map(key => requests?.get(key)).filter(Boolean));
+    if (batches.size === 0) return 0;
+
+    let timer = null;
+    let onAbort = null;
+    await Promise.race([
+        Promise.all(batches),
+        new Promise(resolve => {
+            timer = setTimeout(resolve, timeoutMs);
+            onAbort = resolve;
+            signal?.addEventListener('abort', onAbort, { once: true });
+        })
+    ]);
+    clearTimeout(timer);
+    signal?.removeEventListener('abort', onAbort);
+
+    // A finished batch leaves coords without overlays pending — those are answered, not missing
+    return keys.filter(key => requests.has(key)).length;
+}
+
+/**
+ * Wait until the batches covering coords are answered
+ * @returns {Promise<number>} - Coords still unanswered (timed out, or never sent)
+ */
+async function waitForCoords(mapId, coords, timeoutMs, signal) {
+    const requests = inFlightCoords.get(mapId);
+    const keys = coords.map(c => `${c.x}_${c.y}`);
+    const batches = new Set(keys.map(key => requests?.get(key)).filter(Boolean));
+
+    if (batches.size > 0) {
+        let timer = null;
+        let onAbort = null;
+        await Promise.race([
+            Promise.all(batches),
+            new Promise(resolve => {
+                timer = setTimeout(resolve, timeoutMs);
+                onAbort = resolve;
+                signal?.addEventListener('abort', onAbort, { once: true });
+            })
+        ]);
+        clearTimeout(timer);
+        signal?.removeEventListener('abort', onAbort);
+    }
+
+    // Answered = data cached, or the batch completed (no data there); still in flight or never
+    // marked pending (request not sent / capped) = missing
+    return keys.filter(key => {
+        if (requests?.has(key)) return true;
+        const entry = overlayCache[mapId]?.[key];
+        return !entry || (entry._pending && !batches.size);
+    }).length;
+}
+
+/**
+ * Draw the enabled overlay types for a grid rectangle onto an export canvas
+ * Only cached data is drawn. Grids are rendered at full detail in TileSize blocks
+ * (reusing the live layer's pixel renderer) and scaled into place.
+ * @param {CanvasRenderingContext2D|OffscreenCanvasRenderingContext2D} ctx - Target context
+ * @param {number} mapId - Map ID
+ * @param {number} gridMinX - First grid X (drawn at canvas x = 0)
+ * @param {number} gridMinY - First grid Y (drawn at canvas y = 0)
+ * @param {number} gridMaxX - Last grid X (inclusive)
+ * @param {number} gridMaxY - Last grid Y (inclusive)
+ * @param {number} pixelsPerGrid - Output pixels per grid
+ * @returns {number} - Number of grids that had overlay data
+ */
+export function drawOverlaysToContext(ctx, mapId, gridMinX, gridMinY, gridMaxX, gridMaxY, pixelsPerGrid) {
+    if (!overlayCanvasLayer || enabledOverlayTypes.size === 0 || !isExportScaleRendered(pixelsPerGrid)) {
+        return 0;
+    }
+
+    const gridsPerBlock = TileSize / BaseTileSize;
+    const scratch = typeof OffscreenCanvas !== 'undefined'
+        ? new OffscreenCanvas(TileSize, TileSize)
+        : Object.assign(document.createElement('canvas'), { width: TileSize, height: TileSize });
+    const scratchCtx = scratch.getContext('2d');
+    const blockSize = gridsPerBlock * pixelsPerGrid;
+    let drawnGrids = 0;
+
+    for (let blockX = gridMinX; blockX <= gridMaxX; blockX += gridsPerBlock) {
+        for (let blockY = gridMinY; blockY <= gridMaxY; blockY += gridsPerBlock) {
+            let imageData = null;
+
+            for (let gx = blockX; gx < blockX + gridsPerBlock && gx <= gridMaxX; gx++) {
+                for (let gy = blockY; gy < blockY + gridsPerBlock && gy <= gridMaxY; gy++) {
+                    const overlayData = getOverlayData(mapId, gx, gy);
+                    if (!overlayData || overlayData._pending) continue;
+
+                    let drewGrid = false;
+                    for (const overlayType of enabledOverlayTypes) {
+                        const data = overlayData[overlayType];
+                        const color = OVERLAY_COLORS[overlayType];
+                        if (!data || !color) continue;
+
+                        imageData = imageData || scratchCtx.createImageData(TileSize, TileSize);
+                        overlayCanvasLayer._renderFullToImageData(imageData.data, data,
+                            (gx - blockX) * BaseTileSize, (gy - blockY) * BaseTileSize,
+                            color, OUTLINE_TYPES.has(overlayType));
+                        drewGrid = true;
+                    }
+                    if (drewGrid) drawnGrids++;
+                }
+            }
+
+            if (imageData) {
+                scratchCtx.putImageData(imageData, 0, 0);
+                ctx.drawImage(scratch,
+                    (blockX - gridMinX) * pixelsPerGrid, (blockY - gridMinY) * pixelsPerGrid,
+                    blockSize, blockSize);
+            }
+        }
+    }
+
+    return drawnGrids;
+}
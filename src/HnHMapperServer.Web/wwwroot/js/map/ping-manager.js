@@ -4,6 +4,7 @@
  */
 
 import { BaseTileSize, HnHMaxZoom } from './leaflet-config.js';
+import { escapeHtml } from './safe-html.js';
 
 // State variables
 let mapInstance = null;
@@ -11,6 +12,43 @@ let activePings = {}; // pingId -> { marker, expiresAt, timeoutId, ping }
 let latestPing = null; // Stores the most recent ping
 const PING_ICON_SIZE = 48;
 const PING_DURATION_MS = 60000; // 60 seconds
+const PING_SOUND_FILE = '/sounds/ping.wav';
+
+/**
+ * Ping types (same names as PingConstants on the server; colors also in map-styles.css).
+ * ping.wav is the only sound asset, so the types sound different through pitch (playbackRate)
+ * and the number of beeps.
+ */
+export const PING_TYPES = {
+    default: { label: 'Ping', glyph: '', color: '#f44336', sound: { rate: 1, beeps: 1 } },
+    danger: { label: 'Danger', glyph: '!', color: '#D50000', sound: { rate: 1.35, beeps: 3 } },
+    gather: { label: 'Gather here', glyph: '\u2691', color: '#2979FF', sound: { rate: 0.8, beeps: 2 } },
+    resource: { label: 'Resource', glyph: '\u25C6', color: '#2CDB2C', sound: { rate: 1.15, beeps: 1 } },
+    help: { label: 'Help', glyph: '?', color: '#FF9100', sound: { rate: 1, beeps: 2 } }
+};
+const BEEP_INTERVAL_MS = 180;
+
+/**
+ * Known ping type for a (possibly missing or unknown) type name
+ * @param {string} [type] - Ping type name
+ * @returns {string} A key of PING_TYPES
+ */
+export function normalizePingType(type) {
+    const name = typeof type === 'string' ? type.trim().toLowerCase() : '';
+    return Object.prototype.hasOwnProperty.call(PING_TYPES, name) ? name : 'default';
+}
+
+/**
+ * Tooltip/label text for a ping: "Danger: wolves by the river - Alice"
+ * @param {string} type - Ping type name
+ * @param {string|null} message - Optional message
+ * @param {string} createdBy - Creator's name
+ * @returns {string} Plain text (escape before using as HTML)
+ */
+export function describePing(type, message, createdBy) {
+    const label = PING_TYPES[normalizePingType(type)].label;
+    return message ? `${label}: ${message} - ${createdBy}` : `${label} by ${createdBy}`;
+}
 
 /**
  * Initialize the ping manager with a map instance
@@ -23,7 +61,7 @@ export function initialize(map) {
 
 /**
  * Create and add a ping marker to the map
- * @param {Object} ping - Ping data from API (id, mapId, coordX, coordY, x, y, createdBy, createdAt, expiresAt)
+ * @param {Object} ping - Ping data from API (id, mapId, coordX, coordY, x, y, type, message, createdBy, createdAt, expiresAt)
  * @param {boolean} playSound - Whether to play the ping sound
  */
 export function addPing(ping, playSound = true) {
@@ -41,6 +79,8 @@ export function addPing(ping, playSound = true) {
     const coordY = ping.CoordY || ping.coordY;
     const x = ping.X || ping.x;
     const y = ping.Y || ping.y;
+    const type = normalizePingType(ping.Type || ping.type);
+    const message = ping.Message || ping.message || null;
     const createdBy = ping.CreatedBy || ping.createdBy || 'Unknown';
     const expiresAt = ping.ExpiresAt || ping.expiresAt;
 
@@ -63,12 +103,13 @@ export function addPing(ping, playSound = true) {
 
     console.log(`[PingManager] LatLng:`, latLng);
 
-    // Create pulsing ping icon using divIcon
+    // Create pulsing ping icon using divIcon, colored and labelled by type
+    const pingType = PING_TYPES[type];
     const pingIcon = L.divIcon({
         html: `
-            <div class="ping-marker">
+            <div class="ping-marker ping-type-${type}">
                 <div class="ping-pulse"></div>
-                <div class="ping-core"></div>
+                <div class="ping-core">${escapeHtml(pingType.glyph)}</div>
             </div>
         `,
         className: 'ping-icon-container',
@@ -85,9 +126,10 @@ export function addPing(ping, playSound = true) {
 
     console.log('[PingManager] Marker created:', marker);
 
-    // Add tooltip with creator and remaining time
-    marker.bindTooltip(`Ping by ${createdBy}`, {
-        permanent: false,
+    // Add tooltip with type, message and creator. A message stays visible so it gets read.
+    marker.bindTooltip(escapeHtml(describePing(type, message, createdBy)), {
+        permanent: !!message,
+        className: `ping-tooltip ping-type-${type}`,
         direction: 'top',
         offset: [0, -24]
     });
@@ -113,7 +155,7 @@ export function addPing(ping, playSound = true) {
         marker,
         expiresAt: expiresAtDate,
         timeoutId,
-        ping: { Id: pingId, MapId: mapId, CoordX: coordX, CoordY: coordY, X: x, Y: y, CreatedBy: createdBy }
+        ping: { Id: pingId, MapId: mapId, CoordX: coordX, CoordY: coordY, X: x, Y: y, Type: type, Message: message, CreatedBy: createdBy }
     };
 
     // Update latest ping reference
@@ -122,10 +164,10 @@ export function addPing(ping, playSound = true) {
     // Play sound if requested
     if (playSound) {
         console.log('[PingManager] Playing sound...');
-        playPingSound();
+        playPingSound(type);
     }
 
-    console.log(`[PingManager] Added ping ${pingId} by ${createdBy} at (${coordX},${coordY},${x},${y}), expires in ${Math.round(timeUntilExpire / 1000)}s`);
+    console.log(`[PingManager] Added ${type} ping ${pingId} by ${createdBy} at (${coordX},${coordY},${x},${y}), expires in ${Math.round(timeUntilExpire / 1000)}s`);
 }
 
 /**
@@ -158,12 +200,28 @@ export function removePing(pingId, notifyServer = false) {
 }
 
 /**
- * Play the ping notification sound
+ * Play the notification sound for a ping type
+ * @param {string} type - Ping type name
  */
-function playPingSound() {
+function playPingSound(type) {
+    // With several map tabs open only the one holding the shared stream plays it
+    if (window.mapUpdates?.isFollowerTab?.()) {
+        return;
+    }
+
+    const { rate, beeps } = PING_TYPES[normalizePingType(type)].sound;
+    for (let i = 0; i < beeps; i++) {
+        setTimeout(() => playBeep(rate), i * BEEP_INTERVAL_MS);
+    }
+}
+
+function playBeep(rate) {
     try {
-        const audio = new Audio('/sounds/ping.wav');
+        const audio = new Audio(PING_SOUND_FILE);
         audio.volume = 0.5; // 50% volume
+        // Let the rate change the pitch too, so the types are told apart by ear
+        audio.preservesPitch = false;
+        audio.playbackRate = rate;
         // Cleanup after playback ends to prevent memory leak
         audio.onended = () => { audio.src = ''; };
         audio.play().catch(err => {
@@ -200,3 +258,38 @@ export function getActivePingCount() {
 export function getLatestPing() {
     return latestPing;
 }
+
+/**
+ * Active pings (for the GeoJSON export)
+ * @returns {Array} { id, mapId, coordX, coordY, x, y, type, message, createdBy, expiresAt } per ping
+ */
+export function getAllPingData() {
+    return Object.values(activePings).map(({ ping, expiresAt }) => ({
+        id: ping.Id,
+        mapId: ping.MapId,
+        coordX: ping.CoordX,
+        coordY: ping.CoordY,
+        x: ping.X,
+        y: ping.Y,
+        type: ping.Type,
+        message: ping.Message,
+        createdBy: ping.CreatedBy,
+        expiresAt: Number.isFinite(expiresAt.getTime()) ? expiresAt.toISOString() : null
+    }));
+}
+
+/**
+ * Active pings with their marker position (for the off-screen indicators)
+ * @returns {Array} { id, mapId, latLng, type, message, createdBy, expiresAt } per ping, expiresAt in ms
+ */
+export function getActivePings() {
+    return Object.values(activePings).map(({ marker, ping, expiresAt }) => ({
+        id: ping.Id,
+        mapId: ping.MapId,
+        latLng: marker.getLatLng(),
+        type: ping.Type,
+        message: ping.Message,
+        createdBy: ping.CreatedBy,
+        expiresAt: expiresAt.getTime()
+    }));
+}
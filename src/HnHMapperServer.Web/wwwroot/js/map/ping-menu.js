@@ -0,0 +1,118 @@
+/**
+ * Ping Menu Module
+ * Radial menu for typed pings (Alt+Shift+M). The ping types sit on a ring around the spot being
+ * pinged, with an optional message field below. Click a type or press its number (1-5) to send;
+ * Enter in the message field sends a plain ping; Esc or a click elsewhere closes the menu.
+ */
+
+import { PING_TYPES } from './ping-manager.js';
+
+const RING_RADIUS = 64;
+const MAX_MESSAGE_LENGTH = 80; // PingConstants.MaxMessageLength on the server
+
+let mapRef = null;
+let menu = null;          // { root, input, latLng, onPick }
+let keydownHandler = null;
+let pointerdownHandler = null;
+
+/**
+ * Open the menu at a map position, replacing any open one
+ * @param {object} mapInstance - Leaflet map instance
+ * @param {object} latLng - Spot to ping
+ * @param {function(string, string|null)} onPick - Called with the chosen type and message
+ */
+export function openPingMenu(mapInstance, latLng, onPick) {
+    closePingMenu();
+    mapRef = mapInstance;
+
+    const point = mapInstance.latLngToContainerPoint(latLng);
+    const root = L.DomUtil.create('div', 'ping-menu', mapInstance.getContainer());
+    root.style.left = `${point.x}px`;
+    root.style.top = `${point.y}px`;
+    L.DomEvent.disableClickPropagation(root);
+    L.DomEvent.disableScrollPropagation(root);
+
+    const types = Object.keys(PING_TYPES);
+    types.forEach((type, index) => {
+        const { label, glyph } = PING_TYPES[type];
+        const angle = -Math.PI / 2 + index * 2 * Math.PI / types.length; // First one at the top
+        const option = L.DomUtil.create('button', `ping-menu-option ping-type-${type}`, root);
+        option.type = 'button';
+        option.style.left = `${Math.round(Math.cos(angle) * RING_RADIUS)}px`;
+        option.style.top = `${Math.round(Math.sin(angle) * RING_RADIUS)}px`;
+        option.title = `${label} (${index + 1})`;
+
+        const icon = L.DomUtil.create('span', 'ping-menu-glyph', option);
+        icon.textContent = glyph || '●';
+        const text = L.DomUtil.create('span', 'ping-menu-label', option);
+        text.textContent = label;
+
+        L.DomEvent.on(option, 'click', e => {
+            L.DomEvent.stop(e);
+            pick(type);
+        });
+    });
+
+    L.DomUtil.create('div', 'ping-menu-center', root);
+
+    const input = L.DomUtil.create('input', 'ping-menu-message', root);
+    input.type = 'text';
+    input.maxLength = MAX_MESSAGE_LENGTH;
+    input.placeholder = 'Message (optional)';
+    input.style.top = `${RING_RADIUS + 40}px`;
+
+    menu = { root, input, latLng, onPick };
+
+    keydownHandler = e => {
+        if (!menu) return;
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            closePingMenu();
+        } else if (e.key === 'Enter' && e.target === input) {
+            e.preventDefault();
+            pick('default');
+        } else if (e.target !== input && !e.altKey && !e.ctrlKey && !e.metaKey && /^[1-9]$/.test(e.key)) {
+            const type = types[Number(e.key) - 1];
+            if (type) {
+                e.preventDefault();
+                pick(type);
+            }
+        }
+    };
+    pointerdownHandler = e => {
+        if (menu && !menu.root.contains(e.target)) {
+            closePingMenu();
+        }
+    };
+    document.addEventListener('keydown', keydownHandler);
+    document.addEventListener('pointerdown', pointerdownHandler, true);
+    mapInstance.on('zoomstart movestart', closePingMenu);
+}
+
+/**
+ * Close the menu without sending anything
+ */
+export function closePingMenu() {
+    if (keydownHandler) {
+        document.removeEventListener('keydown', keydownHandler);
+        keydownHandler = null;
+    }
+    if (pointerdownHandler) {
+        document.removeEventListener('pointerdown', pointerdownHandler, true);
+        pointerdownHandler = null;
+    }
+    mapRef?.off('zoomstart movestart', closePingMenu);
+
+    menu?.root.remove();
+    menu = null;
+}
+
+// Helper functions
+
+function pick(type) {
+    if (!menu) return;
+    const { input, onPick } = menu;
+    const message = input.value.trim().slice(0, MAX_MESSAGE_LENGTH) || null;
+    closePingMenu();
+    onPick(type, message);
+}
@@ -0,0 +1,130 @@
+/**
+ * Presence Layer Module
+ * Shows the live cursors of other users viewing the same map (WebSocket transport only)
+ */
+
+import { HnHMaxZoom } from './leaflet-config.js';
+
+// State variables
+let mapInstance = null;
+let cursorLayer = null;
+let currentMapId = 0;
+const cursors = new Map(); // connectionId -> { marker, lastSeen }
+let sweepInterval = null;
+const CURSOR_STALE_MS = 5000;   // Hide a cursor that stopped moving (user left the map area)
+const SWEEP_INTERVAL_MS = 1000;
+
+/**
+ * Initialize the presence layer with a map instance
+ * @param {L.Map} map - Leaflet map instance
+ */
+export function initializePresenceLayer(map) {
+    mapInstance = map;
+    cursorLayer = L.layerGroup().addTo(mapInstance);
+
+    if (sweepInterval) {
+        clearInterval(sweepInterval);
+    }
+    sweepInterval = setInterval(removeStaleCursors, SWEEP_INTERVAL_MS);
+    console.log('[PresenceLayer] Initialized');
+}
+
+/**
+ * Set the current map; cursors from the previous map are dropped
+ * @param {number} mapId
+ */
+export function setCurrentMapId(mapId) {
+    if (mapId === currentMapId) return;
+    currentMapId = mapId;
+    clearCursors();
+}
+
+/**
+ * Show or move another user's cursor
+ * @param {Object} cursor - { connectionId, userName, mapId, x, y } (absolute pixels at max zoom)
+ */
+export function updateCursor(cursor) {
+    if (!cursorLayer || !cursor || cursor.mapId !== currentMapId) return;
+
+    const latLng = mapInstance.unproject([cursor.x, cursor.y], HnHMaxZoom);
+    const existing = cursors.get(cursor.connectionId);
+    if (existing) {
+        existing.marker.setLatLng(latLng);
+        existing.lastSeen = Date.now();
+        return;
+    }
+
+    const marker = L.marker(latLng, {
+        icon: createCursorIcon(cursor.userName),
+        interactive: false,
+        keyboard: false,
+        zIndexOffset: 2000
+    }).addTo(cursorLayer);
+
+    cursors.set(cursor.connectionId, { marker, lastSeen: Date.now() });
+}
+
+/**
+ * Apply the tenant's viewer list: drop cursors of connections that left or switched maps
+ * @param {Array} viewers - [{ connectionId, userName, mapId }]
+ */
+export function setPresence(viewers) {
+    if (!Array.isArray(viewers)) return;
+
+    const onThisMap = new Set(viewers.filter(v => v.mapId === currentMapId).map(v => v.connectionId));
+    for (const connectionId of [...cursors.keys()]) {
+        if (!onThisMap.has(connectionId)) {
+            removeCursor(connectionId);
+        }
+    }
+}
+
+/**
+ * Remove all cursors
+ */
+export function clearCursors() {
+    for (const connectionId of [...cursors.keys()]) {
+        removeCursor(connectionId);
+    }
+}
+
+function removeCursor(connectionId) {
+    const entry = cursors.get(connectionId);
+    if (!entry) return;
+    cursorLayer?.removeLayer(entry.marker);
+    cursors.delete(connectionId);
+}
+
+function removeStaleCursors() {
+    const cutoff = Date.now() - CURSOR_STALE_MS;
+    for (const [connectionId, entry] of cursors) {
+        if (entry.lastSeen < cutoff) {
+            removeCursor(connectionId);
+        }
+    }
+}
+
+/**
+ * Cursor arrow with the user name. Built with textContent: user names are user input.
+ * @param {string} userName
+ */
+function createCursorIcon(userName) {
+    const container = document.createElement('div');
+    container.className = 'presence-cursor';
+
+    const arrow = document.createElement('div');
+    arrow.className = 'presence-cursor-arrow';
+    container.appendChild(arrow);
+
+    const label = document.createElement('div');
+    label.className = 'presence-cursor-label';
+    label.textContent = userName || 'Unknown';
+    container.appendChild(label);
+
+    return L.divIcon({
+        html: container,
+        className: 'presence-cursor-container',
+        iconSize: [0, 0],
+        iconAnchor: [0, 0]
+    });
+}
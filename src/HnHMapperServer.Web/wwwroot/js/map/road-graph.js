@@ -0,0 +1,718 @@
+// Road Graph Module
+// Road graph with incremental updates and A* route finding.
+// Has no Leaflet/DOM dependencies so it can run both on the main thread and inside navigation-worker.js.
+
+// Mirrors leaflet-config.js, which needs Leaflet and cannot be loaded in a worker
+const BaseTileSize = 100;
+
+// Road graph state (kept in sync incrementally with the roads on the current map)
+// Nodes are every waypoint of every road plus junctions where roads cross.
+// Waypoints shared by several roads collapse into a single node.
+const graphRoads = new Map();     // roadId -> { road, points, junctions, nodeKeys, terminals }
+const graphNodes = new Map();     // nodeKey -> { point, refs }
+const graphAdjacency = new Map(); // nodeKey -> array of { to, length, roadId }
+const segmentIndex = new Map();   // cellKey -> Set of "roadId:segmentIndex"
+
+// Size of the spatial buckets used to find crossing segments (absolute pixels)
+const SEGMENT_INDEX_CELL_SIZE = 500;
+
+/**
+ * Convert waypoint to absolute pixel position
+ * @param {object} wp - Waypoint with coordX, coordY, x, y
+ * @returns {object} - {x, y} in absolute pixels
+ */
+export function waypointToAbsolute(wp) {
+    // Use BaseTileSize for 100x100 game grid coordinates
+    return {
+        x: wp.coordX * BaseTileSize + wp.x,
+        y: wp.coordY * BaseTileSize + wp.y
+    };
+}
+
+/**
+ * Calculate Euclidean distance between two points
+ * @param {object} p1 - First point {x, y}
+ * @param {object} p2 - Second point {x, y}
+ * @returns {number} - Distance in pixels
+ */
+export function calculateDistance(p1, p2) {
+    const dx = p1.x - p2.x;
+    const dy = p1.y - p2.y;
+    return Math.sqrt(dx * dx + dy * dy);
+}
+
+/**
+ * Get all waypoints of a road as absolute pixel positions
+ * @param {object} road - Road object with waypoints
+ * @returns {array|null} - Array of {x, y} or null when the waypoints are unusable
+ */
+export function getRoadPoints(road) {
+    let waypoints = road.waypoints ?? road.Waypoints;
+
+    // Handle string waypoints (JSON)
+    if (typeof waypoints === 'string') {
+        try {
+            waypoints = JSON.parse(waypoints);
+        } catch (e) {
+            console.warn('[Navigation] Failed to parse waypoints for road', road.id ?? road.Id, e);
+            return null;
+        }
+    }
+
+    if (!waypoints || !Array.isArray(waypoints) || waypoints.length < 2) {
+        return null;
+    }
+
+    return waypoints.map(wp => waypointToAbsolute({
+        coordX: wp.coordX ?? wp.CoordX ?? 0,
+        coordY: wp.coordY ?? wp.CoordY ?? 0,
+        x: wp.x ?? wp.X ?? 0,
+        y: wp.y ?? wp.Y ?? 0
+    }));
+}
+
+/**
+ * Get the start and end points of a road (first and last waypoints)
+ * @param {object} road - Road object with waypoints
+ * @returns {object} - {start: {x, y}, end: {x, y}}
+ */
+function getRoadEndpoints(road) {
+    const points = getRoadPoints(road);
+    if (!points) return null;
+
+    return {
+        start: points[0],
+        end: points[points.length - 1]
+    };
+}
+
+/**
+ * Get the closest point on a road to a given point
+ * @param {object} point - Point {x, y} in absolute pixels
+ * @param {object} road - Road object with waypoints
+ * @returns {object} - {point: {x, y}, distance: number, isStart: boolean}
+ */
+function getClosestEndpointOnRoad(point, road) {
+    const endpoints = getRoadEndpoints(road);
+    if (!endpoints) return null;
+
+    const distToStart = calculateDistance(point, endpoints.start);
+    const distToEnd = calculateDistance(point, endpoints.end);
+
+    if (distToStart <= distToEnd) {
+        return { point: endpoints.start, distance: distToStart, isStart: true };
+    } else {
+        return { point: endpoints.end, distance: distToEnd, isStart: false };
+    }
+}
+
+/**
+ * Calculate the total length of a road by summing waypoint segments
+ * @param {object} road - Road object with waypoints
+ * @returns {number} - Total length in pixels
+ */
+function getRoadLength(road) {
+    const points = getRoadPoints(road);
+    if (!points) return 0;
+
+    let totalLength = 0;
+    for (let i = 1; i < points.length; i++) {
+        totalLength += calculateDistance(points[i - 1], points[i]);
+    }
+    return totalLength;
+}
+
+// ============ Road Graph ============
+
+/**
+ * Build a node key from an absolute position
+ * Junction points are fractional, so positions are rounded to keep keys stable.
+ */
+function getNodeKey(point) {
+    return `${Math.round(point.x)},${Math.round(point.y)}`;
+}
+
+function getCellKey(cx, cy) {
+    return `${cx},${cy}`;
+}
+
+/**
+ * Get the spatial index cells covered by a segment's bounding box
+ */
+function getSegmentCells(a, b) {
+    const minX = Math.floor(Math.min(a.x, b.x) / SEGMENT_INDEX_CELL_SIZE);
+    const maxX = Math.floor(Math.max(a.x, b.x) / SEGMENT_INDEX_CELL_SIZE);
+    const minY = Math.floor(Math.min(a.y, b.y) / SEGMENT_INDEX_CELL_SIZE);
+    const maxY = Math.floor(Math.max(a.y, b.y) / SEGMENT_INDEX_CELL_SIZE);
+
+    const cells = [];
+    for (let cx = minX; cx <= maxX; cx++) {
+        for (let cy = minY; cy <= maxY; cy++) {
+            cells.push(getCellKey(cx, cy));
+        }
+    }
+    return cells;
+}
+
+/**
+ * Intersect two segments p1-p2 and p3-p4
+ * @returns {object|null} - {point, t, u} where t/u are the positions along each segment (0..1)
+ */
+function intersectSegments(p1, p2, p3, p4) {
+    const d1x = p2.x - p1.x;
+    const d1y = p2.y - p1.y;
+    const d2x = p4.x - p3.x;
+    const d2y = p4.y - p3.y;
+
+    const denom = d1x * d2y - d1y * d2x;
+    if (denom === 0) return null; // Parallel or collinear - shared waypoints handle the overlap case
+
+    const ox = p3.x - p1.x;
+    const oy = p3.y - p1.y;
+    const t = (ox * d2y - oy * d2x) / denom;
+    const u = (ox * d1y - oy * d1x) / denom;
+
+    if (t < 0 || t > 1 || u < 0 || u > 1) return null;
+
+    return {
+        point: { x: p1.x + t * d1x, y: p1.y + t * d1y },
+        t,
+        u
+    };
+}
+
+function retainNode(key, point) {
+    const node = graphNodes.get(key);
+    if (node) {
+        node.refs++;
+    } else {
+        graphNodes.set(key, { point, refs: 1 });
+        graphAdjacency.set(key, []);
+    }
+}
+
+function releaseNode(key) {
+    const node = graphNodes.get(key);
+    if (!node) return;
+    node.refs--;
+    if (node.refs <= 0) {
+        graphNodes.delete(key);
+        graphAdjacency.delete(key);
+    }
+}
+
+/**
+ * Remove a road's edges (and unreferenced nodes) from the graph
+ */
+function unlinkRoadEdges(entry) {
+    const roadId = entry.road.id;
+    for (const key of entry.nodeKeys) {
+        const edges = graphAdjacency.get(key);
+        if (edges) {
+            graphAdjacency.set(key, edges.filter(e => e.roadId !== roadId));
+        }
+    }
+    entry.nodeKeys.forEach(releaseNode);
+    entry.nodeKeys = [];
+    entry.terminals = [];
+}
+
+/**
+ * (Re)build a road's edges from its waypoints and the junctions found on it
+ */
+function linkRoadEdges(entry) {
+    const roadId = entry.road.id;
+    const { points, junctions } = entry;
+
+    // Walk the polyline, inserting junctions in order along each segment
+    const chain = [];
+    for (let i = 0; i < points.length; i++) {
+        chain.push(points[i]);
+        if (i < points.length - 1) {
+            junctions
+                .filter(j => j.segmentIndex === i)
+                .sort((a, b) => a.t - b.t)
+                .forEach(j => chain.push(j.point));
+        }
+    }
+
+    const keys = [];
+    const keyPoints = [];
+    for (const point of chain) {
+        const key = getNodeKey(point);
+        if (keys.length > 0 && keys[keys.length - 1] === key) continue;
+        keys.push(key);
+        keyPoints.push(point);
+    }
+
+    // Every distinct node on the road holds one reference
+    const uniqueKeys = [...new Set(keys)];
+    uniqueKeys.forEach(key => retainNode(key, keyPoints[keys.indexOf(key)]));
+    entry.nodeKeys = uniqueKeys;
+    entry.terminals = [keys[0], keys[keys.length - 1]];
+
+    for (let i = 1; i < keys.length; i++) {
+        const from = keys[i - 1];
+        const to = keys[i];
+        const length = calculateDistance(keyPoints[i - 1], keyPoints[i]);
+        graphAdjacency.get(from).push({ to, length, roadId });
+        graphAdjacency.get(to).push({ to: from, length, roadId });
+    }
+}
+
+function indexRoadSegments(entry) {
+    const roadId = entry.road.id;
+    for (let i = 0; i < entry.points.length - 1; i++) {
+        for (const cell of getSegmentCells(entry.points[i], entry.points[i + 1])) {
+            if (!segmentIndex.has(cell)) {
+                segmentIndex.set(cell, new Set());
+            }
+            segmentIndex.get(cell).add(`${roadId}:${i}`);
+        }
+    }
+}
+
+function unindexRoadSegments(entry) {
+    const roadId = entry.road.id;
+    for (let i = 0; i < entry.points.length - 1; i++) {
+        for (const cell of getSegmentCells(entry.points[i], entry.points[i + 1])) {
+            const bucket = segmentIndex.get(cell);
+            if (!bucket) continue;
+            bucket.delete(`${roadId}:${i}`);
+            if (bucket.size === 0) {
+                segmentIndex.delete(cell);
+            }
+        }
+    }
+}
+
+/**
+ * Add (or replace) a road in the cached road graph
+ * @param {object} road - Normalized road object {id, name, waypoints}
+ */
+export function addRoad(road) {
+    const roadId = road?.id ?? road?.Id;
+    if (roadId === undefined || roadId === null) return;
+
+    if (graphRoads.has(roadId)) {
+        removeRoad(roadId);
+    }
+
+    const points = getRoadPoints(road);
+    if (!points) return;
+
+    const entry = {
+        road: { ...road, id: roadId },
+        points,
+        junctions: [],
+        nodeKeys: [],
+        terminals: []
+    };
+
+    // Find crossings with roads already in the graph
+    const touchedRoads = new Set();
+    for (let i = 0; i < points.length - 1; i++) {
+        const checked = new Set();
+        for (const cell of getSegmentCells(points[i], points[i + 1])) {
+            const bucket = segmentIndex.get(cell);
+            if (!bucket) continue;
+
+            for (const ref of bucket) {
+                if (checked.has(ref)) continue;
+                checked.add(ref);
+
+                const [otherIdRaw, otherIndexRaw] = ref.split(':');
+                const other = graphRoads.get(Number(otherIdRaw)) ?? graphRoads.get(otherIdRaw);
+                if (!other) continue;
+
+                const otherIndex = Number(otherIndexRaw);
+                const hit = intersectSegments(points[i], points[i + 1], other.points[otherIndex], other.points[otherIndex + 1]);
+                if (!hit) continue;
+
+                entry.junctions.push({ segmentIndex: i, t: hit.t, point: hit.point, withRoadId: other.road.id });
+                other.junctions.push({ segmentIndex: otherIndex, t: hit.u, point: hit.point, withRoadId: roadId });
+                touchedRoads.add(other);
+            }
+        }
+    }
+
+    graphRoads.set(roadId, entry);
+    indexRoadSegments(entry);
+    linkRoadEdges(entry);
+
+    // Crossed roads gain a junction node, so their edges are rebuilt
+    touchedRoads.forEach(other => {
+        unlinkRoadEdges(other);
+        linkRoadEdges(other);
+    });
+}
+
+/**
+ * Remove a road from the cached road graph
+ * @param {number} roadId - Road ID to remove
+ */
+export function removeRoad(roadId) {
+    const entry = graphRoads.get(roadId) ?? graphRoads.get(Number(roadId));
+    if (!entry) return;
+
+    const id = entry.road.id;
+    unlinkRoadEdges(entry);
+    unindexRoadSegments(entry);
+    graphRoads.delete(id);
+
+    // Drop junctions other roads had with this one
+    graphRoads.forEach(other => {
+        const before = other.junctions.length;
+        other.junctions = other.junctions.filter(j => j.withRoadId !== id);
+        if (other.junctions.length !== before) {
+            unlinkRoadEdges(other);
+            linkRoadEdges(other);
+        }
+    });
+}
+
+/**
+ * Clear the cached road graph (e.g. on map change)
+ */
+export function clearRoads() {
+    graphRoads.clear();
+    graphNodes.clear();
+    graphAdjacency.clear();
+    segmentIndex.clear();
+}
+
+/**
+ * Get the number of roads currently in the graph
+ * @returns {number}
+ */
+export function getRoadCount() {
+    return graphRoads.size;
+}
+
+// ============ Priority Queue ============
+
+/**
+ * Create a binary min-heap keyed by priority
+ * @returns {object} - {push(value, priority), pop(), size()}
+ */
+function createMinHeap() {
+    const items = [];
+
+    const swap = (i, j) => {
+        const tmp = items[i];
+        items[i] = items[j];
+        items[j] = tmp;
+    };
+
+    return {
+        push(value, priority) {
+            items.push({ value, priority });
+            let i = items.length - 1;
+            while (i > 0) {
+                const parent = (i - 1) >> 1;
+                if (items[parent].priority <= items[i].priority) break;
+                swap(i, parent);
+                i = parent;
+            }
+        },
+        pop() {
+            if (items.length === 0) return undefined;
+            const top = items[0];
+            const last = items.pop();
+            if (items.length > 0) {
+                items[0] = last;
+                let i = 0;
+                for (;;) {
+                    const left = i * 2 + 1;
+                    const right = left + 1;
+                    let smallest = i;
+                    if (left < items.length && items[left].priority < items[smallest].priority) smallest = left;
+                    if (right < items.length && items[right].priority < items[smallest].priority) smallest = right;
+                    if (smallest === i) break;
+                    swap(i, smallest);
+                    i = smallest;
+                }
+            }
+            return top.value;
+        },
+        size() {
+            return items.length;
+        }
+    };
+}
+
+// ============ Route Finding ============
+
+/**
+ * A* pathfinding over the cached road graph
+ * When thingwalls are supplied, adjacent thingwalls (Voronoi neighbours) are linked by
+ * zero-distance teleport edges and can be walked to/from like road ends.
+ * @param {object} startPoint - Starting point {coordX, coordY, x, y}
+ * @param {object} endPoint - Destination point {coordX, coordY, x, y}
+ * @param {object} options - {thingwalls: {positions: [{id, name, x, y}], adjacency: Map<id, Set<id>>}|null}
+ * @returns {object} - {roads: [road objects in order], totalDistance: number, segments: [{type, road, entryPoint, exitPoint, jumpDistance}]}
+ */
+export function findRoute(startPoint, endPoint, options = {}) {
+    const thingwalls = options?.thingwalls;
+    const useThingwalls = !!thingwalls && thingwalls.positions.length > 0 && thingwalls.adjacency.size > 0;
+
+    if (graphRoads.size === 0 && !useThingwalls) {
+        return { roads: [], totalDistance: 0, segments: [], error: 'No roads available' };
+    }
+
+    const start = waypointToAbsolute(startPoint);
+    const end = waypointToAbsolute(endPoint);
+
+    // Special case: if start and end are very close, no route needed
+    const directDistance = calculateDistance(start, end);
+    if (directDistance < 50) {
+        return { roads: [], totalDistance: directDistance, segments: [], message: 'Destination is very close' };
+    }
+
+    // Road ends are the only places a traveller jumps between roads
+    const terminalKeys = new Set();
+    graphRoads.forEach(entry => entry.terminals.forEach(key => terminalKeys.add(key)));
+
+    // Thingwalls behave like road ends, plus they teleport to their neighbours
+    const thingwallNodes = new Map(); // "tw_{id}" -> {id, name, point}
+    if (useThingwalls) {
+        thingwalls.positions.forEach(tw => {
+            const key = `tw_${tw.id}`;
+            thingwallNodes.set(key, { id: tw.id, name: tw.name, point: { x: tw.x, y: tw.y } });
+            terminalKeys.add(key);
+        });
+    }
+
+    const pointOf = (key) => {
+        if (key === 'start') return start;
+        if (key === 'end') return end;
+        return thingwallNodes.get(key)?.point ?? graphNodes.get(key).point;
+    };
+
+    // Zero-cost teleports make straight-line distance an overestimate, so fall back to Dijkstra
+    const heuristic = useThingwalls ? () => 0 : (point) => calculateDistance(point, end);
+
+    const openSet = createMinHeap();
+    const cameFrom = new Map(); // nodeKey -> { from, roadId|null, teleport }
+    const gScore = new Map([['start', 0]]);
+    const closed = new Set();
+
+    openSet.push('start', heuristic(start));
+
+    while (openSet.size() > 0) {
+        const current = openSet.pop();
+        if (closed.has(current)) continue;
+        closed.add(current);
+
+        if (current === 'end') {
+            // A path made only of jumps is no route at all
+            const route = reconstructPath(cameFrom, pointOf, thingwallNodes);
+            if (route.segments.length > 0) {
+                return route;
+            }
+            break;
+        }
+
+        const currentG = gScore.get(current);
+        const currentPoint = pointOf(current);
+
+        const relax = (neighborKey, cost, roadId, teleport = false) => {
+            if (closed.has(neighborKey)) return;
+            const tentativeG = currentG + cost;
+            if (tentativeG < (gScore.get(neighborKey) ?? Infinity)) {
+                gScore.set(neighborKey, tentativeG);
+                cameFrom.set(neighborKey, { from: current, roadId, teleport });
+                openSet.push(neighborKey, tentativeG + heuristic(pointOf(neighborKey)));
+            }
+        };
+
+        if (current === 'start') {
+            // From start, can jump onto any point of any road or walk to a thingwall (penalized)
+            graphNodes.forEach((node, key) => {
+                relax(key, getJumpCost(calculateDistance(currentPoint, node.point)), null);
+            });
+            thingwallNodes.forEach((node, key) => {
+                relax(key, getJumpCost(calculateDistance(currentPoint, node.point)), null);
+            });
+            continue;
+        }
+
+        // Travel along roads - NO PENALTY (roads are the preferred path)
+        for (const edge of graphAdjacency.get(current) ?? []) {
+            relax(edge.to, edge.length, edge.roadId);
+        }
+
+        // Teleport to adjacent thingwalls - free
+        const thingwall = thingwallNodes.get(current);
+        if (thingwall) {
+            (thingwalls.adjacency.get(thingwall.id) ?? []).forEach(adjacentId => {
+                const key = `tw_${adjacentId}`;
+                if (thingwallNodes.has(key)) {
+                    relax(key, 0, null, true);
+                }
+            });
+        }
+
+        // From the end of a road, jump to the end of another road (heavily penalized)
+        if (terminalKeys.has(current)) {
+            terminalKeys.forEach(key => {
+                if (key !== current) {
+                    relax(key, getJumpCost(calculateDistance(currentPoint, pointOf(key))), null);
+                }
+            });
+        }
+
+        // Jump to destination (heavily penalized)
+        relax('end', getJumpCost(calculateDistance(currentPoint, end)), null);
+    }
+
+    // No path found - return closest road to destination
+    return findClosestRoadToDestination(start, end, Array.from(graphRoads.values(), e => e.road));
+}
+
+// Jump penalty settings - makes direct jumps MUCH more expensive than road travel
+// This strongly encourages the algorithm to use roads rather than jumping
+const JUMP_PENALTY_MULTIPLIER = 10.0;  // 10x penalty for jump distance
+const JUMP_BASE_PENALTY = 500;          // Fixed penalty for any jump (discourages many small jumps too)
+
+/**
+ * Calculate penalized jump cost
+ */
+function getJumpCost(distance) {
+    return JUMP_BASE_PENALTY + (distance * JUMP_PENALTY_MULTIPLIER);
+}
+
+/**
+ * Reconstruct path from A* result
+ * Consecutive edges on the same road are merged into one segment; each teleport is its own segment.
+ */
+function reconstructPath(cameFrom, pointOf, thingwallNodes) {
+    const steps = [];
+    let current = 'end';
+    while (cameFrom.has(current)) {
+        const step = cameFrom.get(current);
+        steps.unshift({ from: step.from, to: current, roadId: step.roadId, teleport: step.teleport });
+        current = step.from;
+    }
+
+    const segments = [];
+    let totalDistance = 0;
+    let pendingJump = 0;
+    let active = null;
+
+    for (const step of steps) {
+        const fromPoint = pointOf(step.from);
+        const toPoint = pointOf(step.to);
+
+        if (step.teleport) {
+            const from = thingwallNodes.get(step.from);
+            const to = thingwallNodes.get(step.to);
+            const fromName = from.name || `Thingwall ${from.id}`;
+            const toName = to.name || `Thingwall ${to.id}`;
+            segments.push({
+                type: 'teleport',
+                roadId: 0,
+                roadName: `${fromName} → ${toName}`,
+                fromThingwallId: from.id,
+                toThingwallId: to.id,
+                fromThingwallName: fromName,
+                toThingwallName: toName,
+                entryPoint: fromPoint,
+                exitPoint: toPoint,
+                jumpDistance: Math.round(pendingJump),
+                roadLength: 0
+            });
+            active = null;
+            pendingJump = 0;
+            continue;
+        }
+
+        const distance = calculateDistance(fromPoint, toPoint);
+        totalDistance += distance;
+
+        if (step.roadId === null) {
+            active = null;
+            pendingJump += distance;
+            continue;
+        }
+
+        if (!active || active.roadId !== step.roadId) {
+            const road = graphRoads.get(step.roadId).road;
+            active = {
+                type: 'road',
+                road: road,
+                roadId: step.roadId,
+                roadName: road.name ?? road.Name ?? `Road ${step.roadId}`,
+                entryPoint: fromPoint,
+                exitPoint: toPoint,
+                points: [fromPoint],
+                jumpDistance: Math.round(pendingJump),
+                roadLength: 0
+            };
+            segments.push(active);
+            pendingJump = 0;
+        }
+
+        active.exitPoint = toPoint;
+        active.points.push(toPoint);
+        active.roadLength += distance;
+    }
+
+    segments.forEach(seg => {
+        seg.roadLength = Math.round(seg.roadLength);
+    });
+
+    // Add final jump to destination
+    if (segments.length > 0) {
+        segments[segments.length - 1].finalJumpDistance = Math.round(pendingJump);
+    }
+
+    return {
+        roads: segments.filter(s => s.type === 'road').map(s => s.road),
+        totalDistance: Math.round(totalDistance),
+        segments: segments,
+        start: pointOf('start'),
+        end: pointOf('end'),
+        success: true
+    };
+}
+
+/**
+ * Fallback: find the single closest road to destination
+ */
+function findClosestRoadToDestination(start, end, roads) {
+    let closestRoad = null;
+    let closestDistance = Infinity;
+    let closestEndpoint = null;
+
+    roads.forEach(road => {
+        const closest = getClosestEndpointOnRoad(end, road);
+        if (closest && closest.distance < closestDistance) {
+            closestDistance = closest.distance;
+            closestRoad = road;
+            closestEndpoint = closest;
+        }
+    });
+
+    if (closestRoad) {
+        const jumpToRoad = calculateDistance(start, closestEndpoint.point);
+        return {
+            roads: [closestRoad],
+            totalDistance: Math.round(jumpToRoad + closestDistance),
+            segments: [{
+                type: 'road',
+                road: closestRoad,
+                roadId: closestRoad.id ?? closestRoad.Id,
+                roadName: closestRoad.name ?? closestRoad.Name ?? 'Unknown Road',
+                jumpDistance: Math.round(jumpToRoad),
+                roadLength: Math.round(getRoadLength(closestRoad))
+            }],
+            start,
+            end,
+            success: true,
+            partial: true
+        };
+    }
+
+    return { roads: [], totalDistance: 0, segments: [], error: 'No suitable route found' };
+}
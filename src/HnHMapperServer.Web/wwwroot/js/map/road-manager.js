@@ -2,6 +2,9 @@
 // Handles user-drawn road/path management
 
 import { TileSize, BaseTileSize, HnHMaxZoom, HnHMinZoom } from './leaflet-config.js';
+import { addRoadToGraph, removeRoadFromGraph, clearRoadGraph } from './navigation-manager.js';
+import * as Outbox from './outbox.js';
+import { escapeHtml } from './safe-html.js';
 
 // Road storage
 const roads = {};
@@ -52,7 +55,7 @@ const ROAD_COLOR_PALETTE = [
  * @param {number} roadId - Road ID
  * @returns {string} - Hex color code
  */
-function getRoadColor(roadId) {
+export function getRoadColor(roadId) {
     return ROAD_COLOR_PALETTE[roadId % ROAD_COLOR_PALETTE.length];
 }
 
@@ -195,7 +198,7 @@ export function addRoad(road, mapInstance) {
         });
 
         // Create road label (shown along the line)
-        polyline.bindTooltip(normalized.name, {
+        polyline.bindTooltip(escapeHtml(normalized.name), {
             permanent: false,
             sticky: true,
             direction: 'top',
@@ -250,6 +253,9 @@ export function addRoad(road, mapInstance) {
         };
 
         roadLayer.addLayer(polyline);
+
+        // Keep the navigation graph in sync with rendered roads
+        addRoadToGraph(normalized);
     } catch (err) {
         console.error('[Road] Error adding road:', err, normalized);
     }
@@ -302,6 +308,7 @@ export function removeRoad(roadId) {
             mapInstanceRef.removeLayer(roadData.waypointLayer);
         }
         delete roads[roadId];
+        removeRoadFromGraph(roadId);
     }
 }
 
@@ -318,6 +325,7 @@ export function clearAllRoads() {
         }
         delete roads[id];
     });
+    clearRoadGraph();
 }
 
 /**
@@ -410,7 +418,7 @@ export function selectRoad(roadId, mapInstance) {
         selectionLabelMarker = L.marker(midPoint, {
             icon: L.divIcon({
                 className: 'road-selection-label-container',
-                html: `<div class="road-selected-label" style="border-color: ${roadData.color}; box-shadow: 0 0 12px ${roadData.color}, 0 4px 12px rgba(0,0,0,0.5);">${roadData.data.name}</div>`,
+                html: `<div class="road-selected-label" style="border-color: ${roadData.color}; box-shadow: 0 0 12px ${roadData.color}, 0 4px 12px rgba(0,0,0,0.5);">${escapeHtml(roadData.data.name)}</div>`,
                 iconSize: null,
                 iconAnchor: [0, 0]
             }),
@@ -505,6 +513,7 @@ export function clearRoadSelection() {
 // Route highlighting state
 let routeHighlightedRoads = [];
 let routeMarkers = [];
+let routeTeleportLayers = [];
 let startMarker = null;
 let endMarker = null;
 
@@ -513,9 +522,10 @@ let endMarker = null;
  * @param {array} roadIds - Array of road IDs in order
  * @param {object} startPoint - Start point {x, y} in absolute pixels
  * @param {object} endPoint - End point {x, y} in absolute pixels
+ * @param {array} teleports - Thingwall hops [{from: {x, y}, to: {x, y}, fromName, toName}] in absolute pixels
  * @param {object} mapInstance - Leaflet map instance
  */
-export function highlightRoute(roadIds, startPoint, endPoint, mapInstance) {
+export function highlightRoute(roadIds, startPoint, endPoint, teleports, mapInstance) {
     if (!mapInstance || !roadLayer) return;
 
     console.log('[Road] highlightRoute called with', roadIds.length, 'road IDs:', roadIds);
@@ -586,6 +596,47 @@ export function highlightRoute(roadIds, startPoint, endPoint, mapInstance) {
         });
     });
 
+    // Draw thingwall teleport hops as dotted arcs between the two thingwalls
+    (teleports || []).forEach(hop => {
+        if (!hop?.from || !hop?.to) return;
+
+        const fromLatLng = mapInstance.unproject([hop.from.x, hop.from.y], HnHMaxZoom);
+        const toLatLng = mapInstance.unproject([hop.to.x, hop.to.y], HnHMaxZoom);
+
+        const line = L.polyline([fromLatLng, toLatLng], {
+            color: '#a855f7',
+            weight: 3,
+            opacity: 0.9,
+            dashArray: '2, 8',
+            lineCap: 'round',
+            interactive: false,
+            className: 'route-teleport-line'
+        });
+        line.addTo(mapInstance);
+        routeTeleportLayers.push(line);
+
+        const hopMarker = L.marker(toLatLng, {
+            icon: L.divIcon({
+                className: 'route-teleport-marker',
+                html: '<div class="route-teleport-icon">T</div>',
+                iconSize: [24, 24],
+                iconAnchor: [12, 12]
+            }),
+            interactive: false,
+            zIndexOffset: 2200
+        });
+        if (hop.toName) {
+            hopMarker.bindTooltip(`Teleport to ${escapeHtml(hop.toName)}`, {
+                permanent: true,
+                direction: 'top',
+                offset: [0, -12],
+                className: 'route-teleport-tooltip'
+            });
+        }
+        hopMarker.addTo(mapInstance);
+        routeTeleportLayers.push(hopMarker);
+    });
+
     // Add start marker (green)
     if (startPoint) {
         const startLatLng = mapInstance.unproject([startPoint.x, startPoint.y], HnHMaxZoom);
@@ -683,6 +734,14 @@ export function clearRouteHighlight(mapInstance) {
     });
     routeMarkers = [];
 
+    // Remove teleport hops
+    routeTeleportLayers.forEach(layer => {
+        if (mapInstance && mapInstance.hasLayer(layer)) {
+            mapInstance.removeLayer(layer);
+        }
+    });
+    routeTeleportLayers = [];
+
     // Remove start/end markers
     if (startMarker && mapInstance && mapInstance.hasLayer(startMarker)) {
         mapInstance.removeLayer(startMarker);
@@ -701,7 +760,7 @@ export function clearRouteHighlight(mapInstance) {
  * @returns {boolean}
  */
 export function hasRouteHighlight() {
-    return routeHighlightedRoads.length > 0;
+    return routeHighlightedRoads.length > 0 || routeTeleportLayers.length > 0;
 }
 
 /**
@@ -822,21 +881,12 @@ export function finishDrawingRoad(mapInstance) {
     // Remove temporary markers and polyline
     cleanupDrawingTemp(mapInstance);
 
-    // Notify Blazor with waypoints
+    // Notify Blazor with waypoints - through the outbox, so a drawing finished during a
+    // circuit blip (or just before a reload) still reaches the name dialog
     console.log('[Road] Finishing drawing with', waypoints.length, 'waypoints, mapId:', currentMapId);
-    console.log('[Road] invokeDotNetSafe type:', typeof invokeDotNetSafe);
     console.log('[Road] Waypoints:', JSON.stringify(waypoints));
 
-    if (typeof invokeDotNetSafe === 'function') {
-        try {
-            invokeDotNetSafe('JsOnRoadDrawingComplete', currentMapId, waypoints);
-            console.log('[Road] invokeDotNetSafe called successfully');
-        } catch (err) {
-            console.error('[Road] Error calling invokeDotNetSafe:', err);
-        }
-    } else {
-        console.error('[Road] invokeDotNetSafe is NOT a function! Type:', typeof invokeDotNetSafe);
-    }
+    Outbox.enqueue('JsOnRoadDrawingComplete', [currentMapId, waypoints]);
 
     currentDrawingPoints = [];
 }
@@ -898,7 +948,7 @@ function cleanupDrawingTemp(mapInstance) {
 /**
  * Normalize road object from API response
  */
-function normalizeRoad(road) {
+export function normalizeRoad(road) {
     if (!road || typeof road !== 'object') {
         return null;
     }
@@ -0,0 +1,151 @@
+/**
+ * Safe HTML Module
+ * Everything users type (marker titles and descriptions, road and character names) ends up in
+ * Leaflet tooltips, popups and divIcons, which take HTML strings. This module escapes that text
+ * by default and renders a small Markdown subset for custom marker descriptions:
+ *
+ *   **bold**, *italic*, `code`
+ *   - bullet lists, 1. numbered lists, - [ ] / - [x] checkbox lists
+ *   [label](map:gridX,gridY) or [label](map:gridX,gridY,x,y) - jumps the map to that spot
+ *   [label](https://...) - opens in a new tab
+ *
+ * The renderer escapes its input before applying any Markdown, so raw HTML never survives.
+ */
+
+import { BaseTileSize, HnHMaxZoom } from './leaflet-config.js';
+
+const HTML_ESCAPES = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+const MAP_LINK_PATTERN = /^map:(-?\d+),(-?\d+)(?:,(\d{1,3}),(\d{1,3}))?$/;
+const WEB_LINK_PATTERN = /^https?:\/\/[^\s]+$/i;
+
+/**
+ * Escape text for use in HTML content or a quoted attribute
+ * @param {any} value - null/undefined become an empty string
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+    if (value === null || value === undefined) {
+        return '';
+    }
+    return String(value).replace(/[&<>"']/g, ch => HTML_ESCAPES[ch]);
+}
+
+/**
+ * Render the Markdown subset described above to safe HTML
+ * @param {string|null|undefined} text
+ * @returns {string} HTML wrapped in a `.safe-markdown` div (empty string for empty input)
+ */
+export function renderMarkdown(text) {
+    if (text === null || text === undefined || String(text).trim() === '') {
+        return '';
+    }
+
+    const html = [];
+    let paragraph = [];
+    let list = null; // { tag: 'ul'|'ol', checklist: boolean, items: [] }
+
+    const flushParagraph = () => {
+        if (paragraph.length > 0) {
+            html.push(`<p>${paragraph.join('<br/>')}</p>`);
+            paragraph = [];
+        }
+    };
+    const flushList = () => {
+        if (list) {
+            const className = list.checklist ? ' class="safe-markdown-checklist"' : '';
+            html.push(`<${list.tag}${className}>${list.items.join('')}</${list.tag}>`);
+            list = null;
+        }
+    };
+    const addItem = (tag, checklist, itemHtml) => {
+        flushParagraph();
+        if (list && (list.tag !== tag || list.checklist !== checklist)) {
+            flushList();
+        }
+        list ??= { tag, checklist, items: [] };
+        list.items.push(`<li>${itemHtml}</li>`);
+    };
+
+    for (const rawLine of String(text).replace(/\r\n?/g, '\n').split('\n')) {
+        const line = rawLine.trimEnd();
+        let match;
+
+        if (line.trim() === '') {
+            flushParagraph();
+            flushList();
+        } else if ((match = /^\s*[-*]\s+\[([ xX])\]\s+(.*)$/.exec(line))) {
+            const checked = match[1] !== ' ' ? ' checked' : '';
+            addItem('ul', true, `<label><input type="checkbox" disabled${checked} /> ${renderInline(match[2])}</label>`);
+        } else if ((match = /^\s*[-*]\s+(.*)$/.exec(line))) {
+            addItem('ul', false, renderInline(match[1]));
+        } else if ((match = /^\s*\d+[.)]\s+(.*)$/.exec(line))) {
+            addItem('ol', false, renderInline(match[1]));
+        } else {
+            flushList();
+            paragraph.push(renderInline(line));
+        }
+    }
+    flushParagraph();
+    flushList();
+
+    return `<div class="safe-markdown">${html.join('')}</div>`;
+}
+
+/**
+ * Jump the map when a rendered map link is clicked. Listens on the map container, so it
+ * covers popups and tooltips; call once per map instance.
+ * @param {object} mapInstance - Leaflet map instance
+ */
+export function handleMapLinkClicks(mapInstance) {
+    mapInstance.getContainer().addEventListener('click', (e) => {
+        const link = e.target.closest?.('a.map-coord-link');
+        if (!link) {
+            return;
+        }
+        e.preventDefault();
+        e.stopPropagation();
+
+        const x = Number(link.dataset.gridX) * BaseTileSize + Number(link.dataset.x);
+        const y = Number(link.dataset.gridY) * BaseTileSize + Number(link.dataset.y);
+        if (!Number.isFinite(x) || !Number.isFinite(y)) {
+            return;
+        }
+        mapInstance.closePopup();
+        mapInstance.setView(mapInstance.unproject([x, y], HnHMaxZoom), Math.max(mapInstance.getZoom(), 5));
+    });
+}
+
+/**
+ * Inline Markdown on one line: escape first, then turn the (escaped) markup into tags
+ */
+function renderInline(text) {
+    // Code spans first, so their content isn't formatted; placeholders keep them out of the way
+    const codeSpans = [];
+    let out = escapeHtml(text).replace(/`([^`]+)`/g, (_, code) => {
+        codeSpans.push(`<code>${code}</code>`);
+        return `\u0000${codeSpans.length - 1}\u0000`;
+    });
+
+    out = out.replace(/\[([^\]]+)\]\(([^)\s]+)\)/g, (whole, label, target) => renderLink(label, target) ?? whole);
+    out = out.replace(/\*\*(.+?)\*\*/g, '<strong>$1</strong>');
+    out = out.replace(/(^|[^*])\*([^*\s][^*]*?)\*(?!\*)/g, '$1<em>$2</em>');
+
+    return out.replace(/\u0000(\d+)\u0000/g, (_, index) => codeSpans[Number(index)]);
+}
+
+/**
+ * @param {string} label - Already escaped
+ * @param {string} target - Already escaped (so it can't leave the attribute)
+ * @returns {string|null} null for targets we don't link (left as plain text)
+ */
+function renderLink(label, target) {
+    const mapLink = MAP_LINK_PATTERN.exec(target);
+    if (mapLink) {
+        const [, gridX, gridY, x = '50', y = '50'] = mapLink;
+        return `<a href="#" class="map-coord-link" data-grid-x="${gridX}" data-grid-y="${gridY}" data-x="${x}" data-y="${y}">${label}</a>`;
+    }
+    if (WEB_LINK_PATTERN.test(target)) {
+        return `<a href="${target}" target="_blank" rel="noopener noreferrer nofollow">${label}</a>`;
+    }
+    return null;
+}
@@ -0,0 +1,418 @@
+/**
+ * Search Palette Module
+ * Ctrl+K (Cmd+K on macOS) opens a command palette over the map that fuzzy-searches what the
+ * map already holds in memory: game markers, custom markers, roads and characters. Hits are
+ * listed with their type icon and distance from "my character"; Enter (or a click) jumps to
+ * the hit through the owning manager's jump function.
+ */
+
+import { BaseTileSize, HnHMaxZoom } from './leaflet-config.js';
+import * as MarkerManager from './marker-manager.js';
+import * as CustomMarkerManager from './custom-marker-manager.js';
+import * as RoadManager from './road-manager.js';
+import * as CharacterManager from './character-manager.js';
+import { getRoadPoints } from './road-graph.js';
+
+const MAX_RESULTS = 50;
+const KIND_ORDER = { character: 0, custom: 1, marker: 2, road: 3 };  // Tie-break between equal scores
+const KIND_LABELS = { character: 'Player', custom: 'Custom marker', marker: 'Marker', road: 'Road' };
+
+// Module state
+let mapInstanceRef = null;
+let palette = null;         // { root, input, list }
+let entries = [];           // Index built when the palette opens
+let results = [];
+let selectedIndex = 0;
+let keydownHandler = null;
+
+/**
+ * Initialize the palette for a map (safe to call again when the map is recreated)
+ * @param {object} mapInstance - Leaflet map instance
+ */
+export function initializeSearchPalette(mapInstance) {
+    mapInstanceRef = mapInstance;
+
+    palette?.root.remove();
+    palette = null;
+
+    // Document-level listener must not accumulate across SPA re-entries
+    if (keydownHandler) {
+        document.removeEventListener('keydown', keydownHandler);
+    }
+    keydownHandler = (e) => {
+        if ((e.ctrlKey || e.metaKey) && !e.altKey && e.key.toLowerCase() === 'k') {
+            e.preventDefault();
+            if (isSearchPaletteOpen()) {
+                closeSearchPalette();
+            } else {
+                openSearchPalette();
+            }
+        }
+    };
+    document.addEventListener('keydown', keydownHandler);
+}
+
+/**
+ * Open the palette with a fresh index of the current map
+ * @param {string} [query] - Initial query
+ */
+export function openSearchPalette(query = '') {
+    if (!mapInstanceRef) {
+        return;
+    }
+    if (!palette) {
+        palette = createPalette(mapInstanceRef.getContainer());
+    }
+
+    entries = buildIndex();
+    palette.root.style.display = '';
+    palette.input.value = query;
+    palette.input.focus();
+    runSearch();
+}
+
+/**
+ * Close the palette (the index is dropped; it is rebuilt on the next open)
+ */
+export function closeSearchPalette() {
+    if (!palette) {
+        return;
+    }
+    palette.root.style.display = 'none';
+    palette.input.blur();
+    entries = [];
+    results = [];
+}
+
+/**
+ * @returns {boolean}
+ */
+export function isSearchPaletteOpen() {
+    return !!palette && palette.root.style.display !== 'none';
+}
+
+/**
+ * Score how well a query fuzzy-matches a text: every query character must appear in order.
+ * Consecutive characters, word starts and an early first match score higher.
+ * @param {string} query - Lowercase query (no spaces)
+ * @param {string} text - Lowercase text
+ * @returns {{score: number, positions: number[]}|null} - null when it doesn't match
+ */
+export function fuzzyMatch(query, text) {
+    if (!query) {
+        return { score: 0, positions: [] };
+    }
+
+    const positions = [];
+    let score = 0;
+    let from = 0;
+    let previous = -2;
+    for (const ch of query) {
+        const index = text.indexOf(ch, from);
+        if (index === -1) {
+            return null;
+        }
+        const wordStart = index === 0 || /[\s\-_/.(]/.test(text[index - 1]);
+        score += 1;
+        if (index === previous + 1) score += 5;     // Consecutive run
+        if (wordStart) score += 8;                  // Start of a word
+        positions.push(index);
+        previous = index;
+        from = index + 1;
+    }
+
+    // Prefer matches that start early and don't sprawl across the text
+    score -= positions[0] * 0.2;
+    score -= (positions[positions.length - 1] - positions[0] + 1 - query.length) * 0.5;
+    if (text.startsWith(query)) score += 10;
+    return { score, positions };
+}
+
+// ============ Index ============
+
+function buildIndex() {
+    const index = [];
+
+    for (const data of MarkerManager.getAllMarkerData()) {
+        if (!data.name) continue;
+        index.push(entry('marker', data.id, data.name, `/${data.image}.png`, data.position, data.type));
+    }
+
+    for (const data of CustomMarkerManager.getAllCustomMarkerData()) {
+        if (!data.title) continue;
+        const position = { x: data.coordX * BaseTileSize + data.x, y: data.coordY * BaseTileSize + data.y };
+        index.push(entry('custom', data.id, data.title, data.iconUrl, position, data.createdBy));
+    }
+
+    for (const road of RoadManager.getAllRoadsData()) {
+        if (!road.name) continue;
+        index.push(entry('road', road.id, road.name, null, getRoadPoints(road), road.createdBy));
+    }
+
+    for (const data of CharacterManager.getAllCharacterData()) {
+        if (!data.name) continue;
+        index.push(entry('character', data.id, data.name, data.iconUrl, data.position, data.isMine ? 'You' : null));
+    }
+
+    return index;
+}
+
+/**
+ * @param {string} kind - marker, custom, road or character
+ * @param {Array|object|null} position - One {x, y} or a list of them (roads), in max-zoom pixels
+ */
+function entry(kind, id, label, iconUrl, position, detail) {
+    return {
+        kind,
+        id,
+        label,
+        search: label.toLowerCase(),
+        iconUrl,
+        points: Array.isArray(position) ? position : (position ? [position] : []),
+        detail: detail || ''
+    };
+}
+
+// ============ Search ============
+
+function runSearch() {
+    const query = palette.input.value.trim().toLowerCase().replace(/\s+/g, ' ');
+    const origin = CharacterManager.getMyCharacterPosition();
+
+    const scored = [];
+    for (const e of entries) {
+        // Spaces separate terms; each term must match on its own
+        let total = 0;
+        let positions = [];
+        let matched = true;
+        for (const term of query.split(' ')) {
+            const match = fuzzyMatch(term, e.search);
+            if (!match) {
+                matched = false;
+                break;
+            }
+            total += match.score;
+            positions = positions.concat(match.positions);
+        }
+        if (!matched) continue;
+        scored.push({ entry: e, score: total, positions, distance: getDistance(e, origin) });
+    }
+
+    scored.sort((a, b) => {
+        if (b.score !== a.score) return b.score - a.score;
+        if (a.distance !== b.distance) return (a.distance ?? Infinity) - (b.distance ?? Infinity);
+        return KIND_ORDER[a.entry.kind] - KIND_ORDER[b.entry.kind];
+    });
+
+    results = scored.slice(0, MAX_RESULTS);
+    selectedIndex = 0;
+    renderResults(scored.length);
+}
+
+/**
+ * Distance from my character in tiles (max-zoom pixels), to the nearest point of the entry
+ * @returns {number|null}
+ */
+function getDistance(e, origin) {
+    if (!origin || e.points.length === 0) {
+        return null;
+    }
+    let best = Infinity;
+    for (const p of e.points) {
+        best = Math.min(best, Math.hypot(p.x - origin.x, p.y - origin.y));
+    }
+    return best;
+}
+
+function formatDistance(distance) {
+    if (distance === null) return '';
+    if (distance < 1000) return `${Math.round(distance)} tiles`;
+    return `${(distance / 1000).toFixed(1)}k tiles`;
+}
+
+function jumpTo(result) {
+    const e = result.entry;
+    const map = mapInstanceRef;
+    closeSearchPalette();
+
+    let jumped = false;
+    switch (e.kind) {
+        case 'marker':
+            jumped = MarkerManager.jumpToMarker(e.id, map);
+            break;
+        case 'custom':
+            jumped = CustomMarkerManager.jumpToCustomMarker(e.id, null, map);
+            break;
+        case 'road':
+            jumped = RoadManager.jumpToRoad(e.id, map);
+            break;
+        case 'character':
+            jumped = CharacterManager.jumpToCharacter(e.id, map);
+            break;
+    }
+
+    // Markers hidden by a filter have no map element to jump to; center on their position
+    if (!jumped && e.points.length > 0) {
+        map.setView(map.unproject([e.points[0].x, e.points[0].y], HnHMaxZoom), Math.max(map.getZoom(), 5));
+    }
+}
+
+// ============ DOM ============
+
+function createPalette(container) {
+    const root = document.createElement('div');
+    root.className = 'search-palette';
+    root.style.display = 'none';
+    root.innerHTML = `
+        <div class="search-palette-box" role="dialog" aria-label="Search the map">
+            <input class="search-palette-input" type="text" placeholder="Search markers, roads, players..." autocomplete="off" spellcheck="false" />
+            <div class="search-palette-results" role="listbox"></div>
+            <div class="search-palette-hint">↑↓ to select · Enter to jump · Esc to close</div>
+        </div>
+    `;
+    container.appendChild(root);
+
+    // Clicks, drags and wheel inside the palette must not reach the map
+    L.DomEvent.disableClickPropagation(root);
+    L.DomEvent.disableScrollPropagation(root);
+
+    const input = root.querySelector('.search-palette-input');
+    const list = root.querySelector('.search-palette-results');
+
+    input.addEventListener('input', runSearch);
+    input.addEventListener('keydown', (e) => {
+        // Keep the map's keyboard panning/zooming out of the text field
+        if (['ArrowDown', 'ArrowUp', 'ArrowLeft', 'ArrowRight', 'Enter', 'Escape', '+', '-'].includes(e.key)) {
+            e.stopPropagation();
+        }
+        if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+            e.preventDefault();
+            if (results.length > 0) {
+                const step = e.key === 'ArrowDown' ? 1 : -1;
+                selectedIndex = (selectedIndex + step + results.length) % results.length;
+                updateSelection();
+            }
+        } else if (e.key === 'Enter') {
+            e.preventDefault();
+            if (results[selectedIndex]) {
+                jumpTo(results[selectedIndex]);
+            }
+        } else if (e.key === 'Escape') {
+            e.preventDefault();
+            closeSearchPalette();
+        }
+    });
+
+    list.addEventListener('mousedown', (e) => {
+        const row = e.target.closest('.search-palette-item');
+        if (row) {
+            e.preventDefault(); // Keep focus in the input until we jump
+            jumpTo(results[Number(row.dataset.index)]);
+        }
+    });
+
+    // Clicking the backdrop closes the palette
+    root.addEventListener('mousedown', (e) => {
+        if (e.target === root) {
+            closeSearchPalette();
+        }
+    });
+
+    return { root, input, list };
+}
+
+function renderResults(totalMatches) {
+    const list = palette.list;
+    list.replaceChildren();
+
+    if (results.length === 0) {
+        const empty = document.createElement('div');
+        empty.className = 'search-palette-empty';
+        empty.textContent = entries.length === 0 ? 'Nothing on this map to search yet' : 'No matches';
+        list.appendChild(empty);
+        return;
+    }
+
+    results.forEach((result, index) => {
+        const e = result.entry;
+        const row = document.createElement('div');
+        row.className = 'search-palette-item';
+        row.dataset.index = String(index);
+        row.setAttribute('role', 'option');
+
+        const icon = document.createElement('span');
+        icon.className = `search-palette-icon search-palette-icon-${e.kind}`;
+        if (e.iconUrl) {
+            const img = document.createElement('img');
+            img.src = e.iconUrl;
+            img.alt = '';
+            icon.appendChild(img);
+        }
+
+        const text = document.createElement('span');
+        text.className = 'search-palette-text';
+        const label = document.createElement('span');
+        label.className = 'search-palette-label';
+        appendHighlighted(label, e.label, result.positions);
+        const kind = document.createElement('span');
+        kind.className = 'search-palette-kind';
+        kind.textContent = e.detail ? `${KIND_LABELS[e.kind]} · ${e.detail}` : KIND_LABELS[e.kind];
+        text.append(label, kind);
+
+        const distance = document.createElement('span');
+        distance.className = 'search-palette-distance';
+        distance.textContent = formatDistance(result.distance);
+
+        row.append(icon, text, distance);
+        list.appendChild(row);
+    });
+
+    if (totalMatches > results.length) {
+        const more = document.createElement('div');
+        more.className = 'search-palette-empty';
+        more.textContent = `${totalMatches - results.length} more - keep typing to narrow down`;
+        list.appendChild(more);
+    }
+
+    updateSelection();
+}
+
+/**
+ * Label text with the matched characters wrapped in <mark> (built as nodes: names are user text)
+ */
+function appendHighlighted(parent, text, positions) {
+    const matched = new Set(positions);
+    let run = '';
+    let runMatched = false;
+    const flush = () => {
+        if (!run) return;
+        if (runMatched) {
+            const mark = document.createElement('mark');
+            mark.textContent = run;
+            parent.appendChild(mark);
+        } else {
+            parent.appendChild(document.createTextNode(run));
+        }
+        run = '';
+    };
+    for (let i = 0; i < text.length; i++) {
+        const isMatch = matched.has(i);
+        if (isMatch !== runMatched) {
+            flush();
+            runMatched = isMatch;
+        }
+        run += text[i];
+    }
+    flush();
+}
+
+function updateSelection() {
+    palette.list.querySelectorAll('.search-palette-item').forEach((row, index) => {
+        const selected = index === selectedIndex;
+        row.classList.toggle('selected', selected);
+        row.setAttribute('aria-selected', String(selected));
+        if (selected) {
+            row.scrollIntoView({ block: 'nearest' });
+        }
+    });
+}
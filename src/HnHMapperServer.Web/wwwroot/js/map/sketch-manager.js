@@ -0,0 +1,530 @@
+// Sketch Manager Module
+// Freehand strokes, arrows and text labels drawn on the map and shared live with everyone viewing
+// the same map. Points are game-absolute coordinates (max-zoom pixels). A finished sketch goes
+// through the outbox to Blazor, which posts it; the server broadcasts it back as a sketchCreated
+// event. Until then it is shown faded as "pending". Sketches drawn with a lifetime disappear at
+// their expiry time (the server deletes them too); the others stay until erased.
+
+import { HnHMaxZoom } from './leaflet-config.js';
+import { escapeHtml } from './safe-html.js';
+import { parseUtc } from './marker-timers.js';
+import * as Outbox from './outbox.js';
+
+// Limits shared with the server (SketchConstants)
+const MAX_POINTS = 1000;
+const MAX_TEXT_LENGTH = 80;
+const MIN_WIDTH = 1;
+const MAX_WIDTH = 12;
+
+const DEFAULT_COLOR = '#ff3b30';
+const DEFAULT_WIDTH = 4;
+const MIN_SEGMENT_PIXELS = 3;       // Pen samples closer than this to the previous one are skipped
+const SIMPLIFY_TOLERANCE_PIXELS = 1.5;
+const MIN_ARROW_PIXELS = 10;        // Shorter drags are treated as accidental clicks
+const PENDING_OPACITY = 0.45;
+
+let mapRef = null;
+let invokeDotNetSafe = null;
+let layerGroup = null;
+let currentMapId = 0;
+
+const sketches = new Map();         // id -> { data, layers, expiryTimer }
+const pendingSketches = new Map();  // outbox key -> layers shown until the server confirms
+
+// Tool state
+let activeTool = null;              // 'pen' | 'arrow' | 'text' | 'erase' while sketching
+let toolOptions = { color: DEFAULT_COLOR, width: DEFAULT_WIDTH, expiresInMinutes: null };
+let drawPoints = [];                // Latlngs of the stroke/arrow being drawn
+let drawPreview = null;
+let textInput = null;               // { element, latLng } while typing a label
+let spacePanning = false;
+let removeOutboxListener = null;
+
+/**
+ * Initialize the sketch layer (safe to call again when the map is recreated)
+ * @param {object} mapInstance - Leaflet map instance
+ * @param {function} invokeFunc - Function to invoke .NET methods
+ */
+export function initializeSketchManager(mapInstance, invokeFunc) {
+    // A previous map (SPA re-entry) is already removed - only drop what is left of its state
+    cancelCurrentDrawing();
+    document.removeEventListener('keydown', onKeyDown);
+    document.removeEventListener('keyup', onKeyUp);
+    activeTool = null;
+    spacePanning = false;
+    for (const entry of sketches.values()) {
+        clearTimeout(entry.expiryTimer);
+    }
+    sketches.clear();
+    pendingSketches.clear();
+
+    mapRef = mapInstance;
+    invokeDotNetSafe = invokeFunc;
+    layerGroup?.remove();
+    layerGroup = L.layerGroup().addTo(mapInstance);
+    currentMapId = 0;
+
+    // A sketch queued here but delivered (or dropped) by another tab arrives as a sketchCreated event
+    removeOutboxListener?.();
+    removeOutboxListener = Outbox.onEntryRemoved(key => {
+        if (pendingSketches.has(key)) {
+            resolvePendingSketch(key, null);
+        }
+    });
+}
+
+/**
+ * Switch to another map: its sketches are loaded by Blazor (setSketches)
+ * @param {number} mapId - Map now shown
+ */
+export function setCurrentMapId(mapId) {
+    if (mapId === currentMapId) return;
+    currentMapId = mapId;
+    cancelCurrentDrawing();
+    clearAllSketches();
+}
+
+/**
+ * Replace the shown sketches
+ * @param {Array} list - Sketches of the current map (SketchViewDto)
+ */
+export function setSketches(list) {
+    clearAllSketches();
+    for (const sketch of list || []) {
+        addSketch(sketch);
+    }
+}
+
+/**
+ * Show a sketch (no-op for other maps; re-adding an ID replaces it)
+ * @param {object} sketch - Sketch from the API or a sketchCreated event
+ */
+export function addSketch(sketch) {
+    const data = normalizeSketch(sketch);
+    if (!data || !layerGroup) return;
+    if (currentMapId && data.mapId !== currentMapId) return;
+
+    removeSketch(data.id);
+
+    const remaining = data.expiresAt === null ? Infinity : data.expiresAt - Date.now();
+    if (remaining <= 0) return;
+
+    const layers = createSketchLayers(data, false);
+    for (const layer of layers) {
+        layer.on('click', e => onSketchClick(e, data.id));
+        layer.addTo(layerGroup);
+    }
+
+    // setTimeout can't wait longer than ~24.8 days; persistent sketches need no timer at all
+    const expiryTimer = Number.isFinite(remaining) && remaining < 2147483647
+        ? setTimeout(() => removeSketch(data.id), remaining)
+        : null;
+    sketches.set(data.id, { data, layers, expiryTimer });
+}
+
+/**
+ * Remove a shown sketch
+ * @param {number} sketchId - Sketch ID
+ */
+export function removeSketch(sketchId) {
+    const entry = sketches.get(sketchId);
+    if (!entry) return;
+    clearTimeout(entry.expiryTimer);
+    entry.layers.forEach(layer => layer.remove());
+    sketches.delete(sketchId);
+}
+
+/**
+ * Remove every shown sketch (including pending ones)
+ */
+export function clearAllSketches() {
+    for (const id of [...sketches.keys()]) {
+        removeSketch(id);
+    }
+    for (const layers of pendingSketches.values()) {
+        layers.forEach(layer => layer.remove());
+    }
+    pendingSketches.clear();
+}
+
+/**
+ * Apply a sketchCreated / sketchDeleted stream event (JS fast path from map-updates.js)
+ * @param {string} name - Event name
+ * @param {object} payload - Event payload
+ */
+export function applySketchEvent(name, payload) {
+    if (name === 'sketchCreated') {
+        addSketch(payload);
+    } else if (name === 'sketchDeleted') {
+        const id = Number(payload?.id ?? payload?.Id);
+        if (Number.isFinite(id)) {
+            removeSketch(id);
+        }
+    }
+}
+
+/**
+ * Drop the faded preview of a sketch Blazor has finished posting
+ * @param {string} key - Outbox idempotency key of the sketch
+ * @param {object|null} sketch - Created sketch, or null if the server rejected it
+ */
+export function resolvePendingSketch(key, sketch) {
+    pendingSketches.get(key)?.forEach(layer => layer.remove());
+    pendingSketches.delete(key);
+    if (sketch) {
+        addSketch(sketch);
+    }
+}
+
+// ============ Tools ============
+
+/**
+ * Start (or switch) a sketch tool.
+ * pen: press and drag to draw. arrow: press at the tail and drag to the head. text: click to
+ * place a label. erase: click a sketch to delete it. Hold Space to pan while drawing; Escape
+ * leaves the tool.
+ * @param {string} tool - 'pen', 'arrow', 'text' or 'erase'
+ * @param {object} options - { color: '#rrggbb', width: 1-12, expiresInMinutes: number|null }
+ */
+export function startSketching(tool, options) {
+    if (!mapRef) return;
+    stopSketching();
+
+    activeTool = ['pen', 'arrow', 'text', 'erase'].includes(tool) ? tool : 'pen';
+    setSketchOptions(options);
+
+    const container = mapRef.getContainer();
+    container.classList.add('sketching', `sketching-${activeTool}`);
+    if (activeTool === 'pen' || activeTool === 'arrow') {
+        mapRef.dragging.disable();
+        mapRef.on('mousedown', onDrawMouseDown);
+    } else if (activeTool === 'text') {
+        mapRef.on('click', onTextClick);
+    }
+    mapRef.doubleClickZoom.disable();
+    document.addEventListener('keydown', onKeyDown);
+    document.addEventListener('keyup', onKeyUp);
+
+    console.log('[Sketch] Tool', activeTool);
+}
+
+/**
+ * Change color, width or lifetime of the next sketches without leaving the tool
+ * @param {object} options - { color, width, expiresInMinutes }
+ */
+export function setSketchOptions(options) {
+    const color = typeof options?.color === 'string' && /^#[0-9a-f]{6}$/i.test(options.color)
+        ? options.color.toLowerCase()
+        : toolOptions.color;
+    const width = Number.isFinite(options?.width)
+        ? Math.min(MAX_WIDTH, Math.max(MIN_WIDTH, Math.round(options.width)))
+        : toolOptions.width;
+    const expiresInMinutes = Number.isFinite(options?.expiresInMinutes) && options.expiresInMinutes > 0
+        ? Math.round(options.expiresInMinutes)
+        : null;
+    toolOptions = { color, width, expiresInMinutes };
+}
+
+/**
+ * Leave the current tool (no callback to .NET)
+ */
+export function stopSketching() {
+    cancelCurrentDrawing();
+    document.removeEventListener('keydown', onKeyDown);
+    document.removeEventListener('keyup', onKeyUp);
+
+    // Only give back what startSketching took - another drawing mode may have disabled dragging
+    if (mapRef && activeTool) {
+        mapRef.off('mousedown', onDrawMouseDown);
+        mapRef.off('click', onTextClick);
+        mapRef.dragging.enable();
+        mapRef.doubleClickZoom.enable();
+        const container = mapRef.getContainer();
+        container.classList.remove('sketching', 'sketching-pen', 'sketching-arrow', 'sketching-text', 'sketching-erase');
+    }
+    activeTool = null;
+    spacePanning = false;
+}
+
+// Helper functions
+
+function onDrawMouseDown(e) {
+    if (spacePanning || e.originalEvent?.button !== 0) return;
+    drawPoints = [e.latlng];
+    updateDrawPreview(e.latlng);
+    mapRef.on('mousemove', onDrawMouseMove);
+    // Finish even when the button is released outside the map
+    document.addEventListener('mouseup', onDrawMouseUp);
+}
+
+function onDrawMouseMove(e) {
+    if (drawPoints.length === 0) return;
+    if (activeTool === 'pen') {
+        const last = mapRef.latLngToContainerPoint(drawPoints[drawPoints.length - 1]);
+        if (last.distanceTo(e.containerPoint) < MIN_SEGMENT_PIXELS) return;
+        drawPoints.push(e.latlng);
+    }
+    updateDrawPreview(e.latlng);
+}
+
+function onDrawMouseUp(e) {
+    document.removeEventListener('mouseup', onDrawMouseUp);
+    mapRef.off('mousemove', onDrawMouseMove);
+    if (drawPoints.length === 0) return;
+
+    const latLngs = drawPoints;
+    const endLatLng = mapRef.mouseEventToLatLng(e);
+    drawPoints = [];
+    drawPreview?.remove();
+    drawPreview = null;
+
+    if (activeTool === 'arrow') {
+        const tail = mapRef.latLngToContainerPoint(latLngs[0]);
+        if (tail.distanceTo(mapRef.latLngToContainerPoint(endLatLng)) < MIN_ARROW_PIXELS) return;
+        submitSketch('arrow', [toAbsolute(latLngs[0]), toAbsolute(endLatLng)], null);
+        return;
+    }
+
+    const points = simplifyStroke(latLngs.map(toAbsolute));
+    if (points.length >= 2) {
+        submitSketch('stroke', points, null);
+    }
+}
+
+function updateDrawPreview(cursorLatLng) {
+    const latLngs = activeTool === 'arrow' ? [drawPoints[0], cursorLatLng] : drawPoints;
+    if (!drawPreview) {
+        drawPreview = L.polyline(latLngs, {
+            color: toolOptions.color,
+            weight: toolOptions.width,
+            opacity: 0.8,
+            lineCap: 'round',
+            lineJoin: 'round',
+            dashArray: activeTool === 'arrow' ? '8, 8' : null,
+            interactive: false
+        }).addTo(mapRef);
+    } else {
+        drawPreview.setLatLngs(latLngs);
+    }
+}
+
+function onTextClick(e) {
+    closeTextInput();
+
+    const point = mapRef.latLngToContainerPoint(e.latlng);
+    const element = L.DomUtil.create('input', 'sketch-text-input', mapRef.getContainer());
+    element.type = 'text';
+    element.maxLength = MAX_TEXT_LENGTH;
+    element.placeholder = 'Label, Enter to place';
+    element.style.left = `${point.x}px`;
+    element.style.top = `${point.y}px`;
+    element.style.color = toolOptions.color;
+    L.DomEvent.disableClickPropagation(element);
+
+    textInput = { element, latLng: e.latlng };
+    element.addEventListener('keydown', ev => {
+        if (ev.key === 'Enter') {
+            ev.preventDefault();
+            commitTextInput();
+        }
+    });
+    element.addEventListener('blur', () => setTimeout(() => {
+        if (textInput?.element === element) closeTextInput();
+    }, 0));
+    element.focus();
+}
+
+function commitTextInput() {
+    if (!textInput) return;
+    const text = textInput.element.value.trim().slice(0, MAX_TEXT_LENGTH);
+    const latLng = textInput.latLng;
+    closeTextInput();
+    if (text) {
+        submitSketch('text', [toAbsolute(latLng)], text);
+    }
+}
+
+function closeTextInput() {
+    textInput?.element.remove();
+    textInput = null;
+}
+
+function onKeyDown(e) {
+    if (e.key === 'Escape') {
+        if (drawPoints.length > 0 || textInput) {
+            cancelCurrentDrawing();
+        } else {
+            stopSketching();
+            invokeDotNetSafe?.('JsOnSketchToolStopped');
+        }
+    } else if (e.key === ' ' && !spacePanning && (activeTool === 'pen' || activeTool === 'arrow')
+        && !e.target?.closest?.('input, textarea') && drawPoints.length === 0) {
+        e.preventDefault();
+        spacePanning = true;
+        mapRef.dragging.enable();
+        mapRef.getContainer().classList.add('sketch-panning');
+    }
+}
+
+function onKeyUp(e) {
+    if (e.key === ' ' && spacePanning) {
+        spacePanning = false;
+        mapRef.dragging.disable();
+        mapRef.getContainer().classList.remove('sketch-panning');
+    }
+}
+
+function cancelCurrentDrawing() {
+    document.removeEventListener('mouseup', onDrawMouseUp);
+    mapRef?.off('mousemove', onDrawMouseMove);
+    drawPoints = [];
+    drawPreview?.remove();
+    drawPreview = null;
+    closeTextInput();
+}
+
+function onSketchClick(e, sketchId) {
+    if (activeTool !== 'erase') return;
+    L.DomEvent.stop(e);
+    invokeDotNetSafe?.('JsOnSketchEraseRequested', sketchId);
+}
+
+/**
+ * Show the sketch faded and hand it to Blazor through the outbox
+ */
+function submitSketch(kind, points, text) {
+    if (!currentMapId) return;
+
+    const sketch = {
+        mapId: currentMapId,
+        kind,
+        points,
+        text,
+        color: toolOptions.color,
+        width: toolOptions.width,
+        expiresInMinutes: toolOptions.expiresInMinutes
+    };
+    const key = Outbox.newIdempotencyKey();
+
+    const layers = createSketchLayers({ ...sketch, createdBy: null }, true);
+    layers.forEach(layer => layer.addTo(layerGroup));
+    pendingSketches.set(key, layers);
+
+    Outbox.enqueue('JsOnSketchComplete', [currentMapId, sketch], key);
+}
+
+/**
+ * Leaflet layers for a sketch: a polyline for strokes, a polyline plus a head for arrows and a
+ * label for text
+ */
+function createSketchLayers(data, pending) {
+    const latLngs = data.points.map(fromAbsolute);
+    const opacity = pending ? PENDING_OPACITY : 0.9;
+    const tooltip = data.createdBy ? `Sketch by ${escapeHtml(data.createdBy)}` : null;
+    const layers = [];
+
+    if (data.kind === 'text') {
+        const fontSize = 10 + data.width * 2;
+        layers.push(L.marker(latLngs[0], {
+            icon: L.divIcon({
+                className: 'sketch-text-icon',
+                html: `<div class="sketch-text" style="color: ${data.color}; font-size: ${fontSize}px; opacity: ${opacity};">${escapeHtml(data.text)}</div>`,
+                iconSize: null
+            }),
+            interactive: !pending,
+            keyboard: false
+        }));
+    } else {
+        layers.push(L.polyline(latLngs, {
+            color: data.color,
+            weight: data.width,
+            opacity,
+            lineCap: 'round',
+            lineJoin: 'round',
+            interactive: !pending,
+            className: 'sketch-line'
+        }));
+
+        if (data.kind === 'arrow' && latLngs.length === 2) {
+            const [tail, head] = data.points;
+            const angle = Math.atan2(head.y - tail.y, head.x - tail.x) * 180 / Math.PI + 90;
+            const size = 10 + data.width * 2;
+            layers.push(L.marker(latLngs[1], {
+                icon: L.divIcon({
+                    className: 'sketch-arrowhead',
+                    html: `<div class="sketch-arrowhead-tip" style="border-width: 0 ${size / 2}px ${size}px; border-bottom-color: ${data.color}; opacity: ${opacity}; transform: rotate(${angle}deg);"></div>`,
+                    iconSize: [size, size],
+                    iconAnchor: [size / 2, 0]
+                }),
+                interactive: !pending,
+                keyboard: false
+            }));
+        }
+    }
+
+    if (tooltip) {
+        const expiry = data.expiresAt === null ? '' : ` · until ${new Date(data.expiresAt).toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`;
+        layers.forEach(layer => layer.bindTooltip(tooltip + expiry, { sticky: true, className: 'sketch-tooltip' }));
+    }
+    return layers;
+}
+
+/**
+ * Drop pen samples that don't change the shape, keeping the stroke under the server's point limit
+ */
+function simplifyStroke(points) {
+    const scale = Math.pow(2, HnHMaxZoom - mapRef.getZoom()); // Absolute units per screen pixel
+    let tolerance = SIMPLIFY_TOLERANCE_PIXELS * scale;
+    let simplified = L.LineUtil.simplify(points.map(p => L.point(p.x, p.y)), tolerance);
+    while (simplified.length > MAX_POINTS) {
+        tolerance *= 2;
+        simplified = L.LineUtil.simplify(simplified, tolerance);
+    }
+
+    const result = [];
+    for (const p of simplified) {
+        const point = { x: Math.round(p.x), y: Math.round(p.y) };
+        const last = result[result.length - 1];
+        if (!last || last.x !== point.x || last.y !== point.y) {
+            result.push(point);
+        }
+    }
+    return result;
+}
+
+function toAbsolute(latLng) {
+    const point = mapRef.project(latLng, HnHMaxZoom);
+    return { x: Math.round(point.x), y: Math.round(point.y) };
+}
+
+function fromAbsolute(point) {
+    return mapRef.unproject([point.x, point.y], HnHMaxZoom);
+}
+
+/**
+ * Sketch from the API / stream (camelCase or PascalCase) in the shape the layers use
+ */
+function normalizeSketch(sketch) {
+    if (!sketch || typeof sketch !== 'object') return null;
+
+    const id = Number(sketch.id ?? sketch.Id);
+    const kind = String(sketch.kind ?? sketch.Kind ?? '').toLowerCase();
+    const points = (sketch.points ?? sketch.Points ?? [])
+        .map(p => ({ x: Number(p.x ?? p.X), y: Number(p.y ?? p.Y) }))
+        .filter(p => Number.isFinite(p.x) && Number.isFinite(p.y));
+    if (!Number.isFinite(id) || points.length === 0) return null;
+
+    const color = String(sketch.color ?? sketch.Color ?? '');
+    const width = Number(sketch.width ?? sketch.Width);
+    return {
+        id,
+        mapId: Number(sketch.mapId ?? sketch.MapId) || 0,
+        kind: ['stroke', 'arrow', 'text'].includes(kind) ? kind : 'stroke',
+        points,
+        text: sketch.text ?? sketch.Text ?? '',
+        color: /^#[0-9a-f]{6}$/i.test(color) ? color : DEFAULT_COLOR,
+        width: Number.isFinite(width) ? Math.min(MAX_WIDTH, Math.max(MIN_WIDTH, width)) : DEFAULT_WIDTH,
+        createdBy: sketch.createdBy ?? sketch.CreatedBy ?? 'Unknown',
+        expiresAt: parseUtc(sketch.expiresAt ?? sketch.ExpiresAt ?? null)
+    };
+}
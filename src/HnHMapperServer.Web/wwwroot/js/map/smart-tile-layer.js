@@ -2,6 +2,7 @@
 // Custom Leaflet tile layer with caching, revision management, and smooth transitions
 
 import { TileSize, BaseTileSize, HnHMinZoom, HnHMaxZoom } from './leaflet-config.js';
+import { purgeMapTiles } from './tile-store.js';
 
 // Pre-computed scale factors for each zoom level (bit shift is 5x faster than Math.pow)
 // Each zoom level covers 2x2 tiles of the next level, and 400x400 tiles cover 4x4 base 100x100 grid cells
@@ -320,6 +321,32 @@ export const SmartTileLayer = L.TileLayer.extend({
         }
     },
 
+    // Forget everything known about a map (deleted or merged away): in-memory state here and the
+    // persisted tiles in the tile store. State is prototype-shared, so this covers main and overlay layers.
+    purgeMap: function (mapId) {
+        const prefix = `${mapId}:`;
+
+        delete this.cache[mapId];
+        // Compact past the LRU head index (maintained by leaflet-interop's tile update queue)
+        this.cacheKeys = this.cacheKeys.slice(this._cacheKeysHead || 0).filter(entry => entry.mapId !== mapId);
+        this._cacheKeysHead = 0;
+        delete this.mapRevisions[mapId];
+
+        if (this.revisionDebounce[mapId]) {
+            clearTimeout(this.revisionDebounce[mapId]);
+            delete this.revisionDebounce[mapId];
+        }
+
+        for (const key of Object.keys(this.negativeCache)) {
+            if (key.startsWith(prefix)) delete this.negativeCache[key];
+        }
+        for (const key of Object.keys(this.tileStates)) {
+            if (key.startsWith(prefix)) delete this.tileStates[key];
+        }
+
+        return purgeMapTiles(mapId);
+    },
+
     // Clear negative cache entries for visible tiles in current viewport
     // Called after zoom/move to allow retry of tiles that may have been temporarily unavailable
     clearVisibleNegativeCache: function () {
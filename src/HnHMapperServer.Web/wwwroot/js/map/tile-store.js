@@ -0,0 +1,172 @@
+// Tile Store Module
+// Registers the tile service worker (wwwroot/tile-service-worker.js) that persists map tiles
+// across reloads and serves them while the server is unreachable, and forwards purge/stat
+// requests to it. Without service worker support tiles simply fall back to the HTTP cache.
+
+const SERVICE_WORKER_URL = '/tile-service-worker.js';
+const MESSAGE_TIMEOUT_MS = 10000;
+
+let registrationPromise = null;
+
+/**
+ * Register the tile service worker (idempotent)
+ * @returns {Promise<ServiceWorkerRegistration|null>} - Registration, or null if unsupported/failed
+ */
+export function registerTileStore() {
+    if (registrationPromise) {
+        return registrationPromise;
+    }
+
+    if (typeof navigator === 'undefined' || !('serviceWorker' in navigator)) {
+        console.log('[TileStore] Service workers not supported, persistent tile cache disabled');
+        registrationPromise = Promise.resolve(null);
+        return registrationPromise;
+    }
+
+    registrationPromise = navigator.serviceWorker.register(SERVICE_WORKER_URL, { scope: '/' })
+        .then(registration => {
+            console.log('[TileStore] Service worker registered');
+            return registration;
+        })
+        .catch(error => {
+            // Insecure origins (plain HTTP other than localhost) end up here
+            console.warn('[TileStore] Service worker registration failed:', error);
+            return null;
+        });
+
+    return registrationPromise;
+}
+
+/**
+ * Send a message to the active tile service worker and wait for its reply
+ * @param {string} type - Message type
+ * @param {object} payload - Message payload
+ * @returns {Promise<any>} - Worker result, or null if no worker is active
+ */
+async function sendToTileWorker(type, payload = {}) {
+    const registration = await registerTileStore();
+    const worker = registration?.active;
+    if (!worker) {
+        return null;
+    }
+
+    return new Promise((resolve, reject) => {
+        const channel = new MessageChannel();
+        const timeout = setTimeout(() => {
+            channel.port1.close();
+            reject(new Error(`Tile service worker did not answer '${type}'`));
+        }, MESSAGE_TIMEOUT_MS);
+
+        channel.port1.onmessage = (event) => {
+            clearTimeout(timeout);
+            channel.port1.close();
+            const { result, error } = event.data || {};
+            if (error) {
+                reject(new Error(error));
+            } else {
+                resolve(result);
+            }
+        };
+
+        worker.postMessage({ type, ...payload }, [channel.port2]);
+    });
+}
+
+/**
+ * Drop every persisted tile of a map (map deleted or merged away)
+ * @param {number} mapId - Map ID
+ * @returns {Promise<number>} - Number of tiles removed (0 if no worker)
+ */
+export async function purgeMapTiles(mapId) {
+    if (!Number.isInteger(mapId) || mapId <= 0) {
+        return 0;
+    }
+
+    try {
+        const removed = await sendToTileWorker('purgeMap', { mapId }) || 0;
+        console.log(`[TileStore] Purged ${removed} tiles for map ${mapId}`);
+        return removed;
+    } catch (e) {
+        console.warn(`[TileStore] Failed to purge map ${mapId}:`, e);
+        return 0;
+    }
+}
+
+/**
+ * Drop every persisted tile of every map
+ * @returns {Promise<boolean>} - True if the store was cleared
+ */
+export async function clearTileStore() {
+    try {
+        await sendToTileWorker('clearAll');
+        return true;
+    } catch (e) {
+        console.warn('[TileStore] Failed to clear tile store:', e);
+        return false;
+    }
+}
+
+/**
+ * Get persisted tile counts and sizes
+ * @returns {Promise<object|null>} - { tiles, totalBytes, budgetBytes, maps: { mapId: { tiles, bytes } } }
+ */
+export async function getTileStoreStats() {
+    try {
+        return await sendToTileWorker('getStats');
+    } catch (e) {
+        console.warn('[TileStore] Failed to read tile store stats:', e);
+        return null;
+    }
+}
+
+/**
+ * Change the size budget; least recently used tiles are evicted to fit
+ * @param {number} bytes - New budget in bytes
+ * @returns {Promise<boolean>} - True if the budget was applied
+ */
+export async function setTileStoreBudget(bytes) {
+    try {
+        await sendToTileWorker('setBudget', { bytes });
+        return true;
+    } catch (e) {
+        console.warn('[TileStore] Failed to set tile store budget:', e);
+        return false;
+    }
+}
+
+/**
+ * Protect a set of tile ranges from LRU eviction (areas downloaded for offline use)
+ * @param {string} id - Pin ID (offline area ID)
+ * @param {number} mapId - Map ID
+ * @param {Array} ranges - [{ z, minX, maxX, minY, maxY }] in HnH zoom / tile coordinates
+ * @returns {Promise<boolean>} - True if the pin was stored
+ */
+export async function pinTileRanges(id, mapId, ranges) {
+    try {
+        await sendToTileWorker('pin', { id, mapId, ranges });
+        return true;
+    } catch (e) {
+        console.warn(`[TileStore] Failed to pin tiles for ${id}:`, e);
+        return false;
+    }
+}
+
+/**
+ * Release a pin created by pinTileRanges; its tiles become evictable again
+ * @param {string} id - Pin ID
+ */
+export async function unpinTileRanges(id) {
+    try {
+        await sendToTileWorker('unpin', { id });
+    } catch (e) {
+        console.warn(`[TileStore] Failed to unpin tiles for ${id}:`, e);
+    }
+}
+
+/**
+ * Check whether tile requests from this page currently go through the tile service worker
+ * @returns {boolean}
+ */
+export function isTileStoreActive() {
+    return typeof navigator !== 'undefined' && !!navigator.serviceWorker?.controller;
+}
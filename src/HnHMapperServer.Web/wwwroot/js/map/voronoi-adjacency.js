@@ -3,9 +3,12 @@
 // Two thingwalls are "adjacent" if they share a Delaunay edge (equivalent to sharing a Voronoi border)
 
 import { HnHMaxZoom } from './leaflet-config.js';
+import { computeThingwallAdjacency, deserializeAdjacency } from './delaunay-adjacency.js';
+import { isWorkerAvailable, requestFromWorker } from './navigation-worker-client.js';
+import { escapeHtml } from './safe-html.js';
 
 // State
-let delaunay = null;
+let adjacencyRevision = 0; // Bumped on every update so late worker answers for old positions are dropped
 let adjacencyMap = new Map(); // thingwallId -> Set<adjacentIds>
 let thingwallPositions = []; // [{id, x, y}]
 let positionIndexMap = new Map(); // thingwallId -> index in positions array
@@ -77,16 +80,22 @@ export function isEnabled() {
 
 /**
  * Update thingwall positions and recompute adjacency
- * Called when thingwall markers change
- * @param {Array} thingwalls - Array of {id, position: {x, y}}
+ * Called when thingwall markers change. The triangulation runs in the navigation worker
+ * (which also uses it for routing); adjacency is applied when the worker answers.
+ * @param {Array} thingwalls - Array of {id, name, position: {x, y}}
+ * @returns {Promise<void>} - Resolves once adjacency is up to date
  */
-export function updateThingwalls(thingwalls) {
+export async function updateThingwalls(thingwalls) {
+    const revision = ++adjacencyRevision;
+    positionIndexMap.clear();
+
     if (!thingwalls || thingwalls.length < 3) {
         // Need at least 3 points for meaningful Delaunay
         adjacencyMap.clear();
-        positionIndexMap.clear();
         thingwallPositions = [];
-        delaunay = null;
+        if (isWorkerAvailable()) {
+            requestFromWorker('setThingwalls', { thingwalls: [] }).catch(() => { });
+        }
         console.log('[VoronoiAdjacency] Not enough thingwalls for adjacency computation');
         return;
     }
@@ -96,59 +105,38 @@ export function updateThingwalls(thingwalls) {
         positionIndexMap.set(tw.id, index);
         return {
             id: tw.id,
+            name: tw.name,
             x: tw.position.x,
             y: tw.position.y
         };
     });
 
-    // Compute Delaunay triangulation using d3-delaunay
-    // d3.Delaunay is available globally from the script tag
-    const points = thingwallPositions.map(p => [p.x, p.y]);
-
-    try {
-        delaunay = d3.Delaunay.from(points);
-    } catch (e) {
-        console.error('[VoronoiAdjacency] Error computing Delaunay:', e);
-        return;
+    let adjacency = null;
+    if (isWorkerAvailable()) {
+        try {
+            adjacency = deserializeAdjacency(await requestFromWorker('setThingwalls', { thingwalls: thingwallPositions }));
+        } catch (e) {
+            console.warn('[VoronoiAdjacency] Worker triangulation failed, computing on main thread:', e.message);
+        }
     }
 
-    // Build adjacency map from Delaunay edges
-    adjacencyMap.clear();
-
-    // Initialize empty sets for all thingwalls
-    for (const tw of thingwallPositions) {
-        adjacencyMap.set(tw.id, new Set());
+    if (!adjacency) {
+        // d3.Delaunay is available globally from the script tag
+        try {
+            adjacency = computeThingwallAdjacency(thingwallPositions, d3.Delaunay);
+        } catch (e) {
+            console.error('[VoronoiAdjacency] Error computing Delaunay:', e);
+            return;
+        }
     }
 
-    // Extract edges from triangulation
-    // Delaunay.triangles contains triangle vertex indices as [i0, j0, k0, i1, j1, k1, ...]
-    const triangles = delaunay.triangles;
-    for (let i = 0; i < triangles.length; i += 3) {
-        const a = triangles[i];
-        const b = triangles[i + 1];
-        const c = triangles[i + 2];
-
-        // Each triangle has 3 edges: a-b, b-c, c-a
-        addEdge(a, b);
-        addEdge(b, c);
-        addEdge(c, a);
-    }
+    // A newer update started while this one was computing
+    if (revision !== adjacencyRevision) return;
 
+    adjacencyMap = adjacency;
     console.log(`[VoronoiAdjacency] Computed adjacency for ${thingwalls.length} thingwalls`);
 }
 
-/**
- * Add a bidirectional edge between two thingwalls in the adjacency map
- * @param {number} indexA - Index in thingwallPositions array
- * @param {number} indexB - Index in thingwallPositions array
- */
-function addEdge(indexA, indexB) {
-    const idA = thingwallPositions[indexA].id;
-    const idB = thingwallPositions[indexB].id;
-    adjacencyMap.get(idA).add(idB);
-    adjacencyMap.get(idB).add(idA);
-}
-
 /**
  * Get adjacent thingwall IDs for a given thingwall
  * @param {number} thingwallId
@@ -158,6 +146,22 @@ export function getAdjacentThingwalls(thingwallId) {
     return adjacencyMap.get(thingwallId) || new Set();
 }
 
+/**
+ * Get the full adjacency map (used by main-thread route finding)
+ * @returns {Map} - thingwallId -> Set<adjacentIds>
+ */
+export function getAdjacencyMap() {
+    return adjacencyMap;
+}
+
+/**
+ * Get all tracked thingwalls with their positions
+ * @returns {Array} - Array of {id, name, x, y} in absolute pixels
+ */
+export function getThingwallPositions() {
+    return thingwallPositions.slice();
+}
+
 /**
  * Get the position of a thingwall by its ID
  * @param {number} thingwallId - Thingwall ID
@@ -257,7 +261,7 @@ function drawConnection(fromId, toId, level, getMarkerLatLng, getMarkerName, unc
             const label = L.marker([labelLat, labelLng], {
                 icon: L.divIcon({
                     className: 'connection-label',
-                    html: `<div class="connection-label-text" style="color:${labelColor}; opacity:${labelOpacity};">${name}</div>`,
+                    html: `<div class="connection-label-text" style="color:${labelColor}; opacity:${labelOpacity};">${escapeHtml(name)}</div>`,
                     iconSize: [0, 0],
                     iconAnchor: [0, 0]
                 }),
@@ -391,10 +395,13 @@ function clearHighlights() {
 export function cleanup() {
     clearConnectionLines();
     clearHighlights();
+    adjacencyRevision++;
     adjacencyMap.clear();
     positionIndexMap.clear();
     thingwallPositions = [];
-    delaunay = null;
+    if (isWorkerAvailable()) {
+        requestFromWorker('setThingwalls', { thingwalls: [] }).catch(() => { });
+    }
     console.log('[VoronoiAdjacency] Cleaned up');
 }
 
@@ -411,5 +418,5 @@ export function getThingwallCount() {
  * @returns {boolean}
  */
 export function hasAdjacencyData() {
-    return delaunay !== null && adjacencyMap.size > 0;
+    return adjacencyMap.size > 0;
 }
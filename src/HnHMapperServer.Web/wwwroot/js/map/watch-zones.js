@@ -0,0 +1,583 @@
+// Watch Zones Module
+// User-drawn circles/polygons (saved in localStorage) that raise an alert through
+// notification-center.js when a character of a watched kin color enters them. Every character
+// update is evaluated, including characters on other maps, so a zone around the base keeps
+// watching while the user looks elsewhere.
+
+import { HnHMaxZoom } from './leaflet-config.js';
+import { escapeHtml } from './safe-html.js';
+
+const ZONES_STORAGE_KEY = 'havenmap_watch_zones';
+const ALERTS_STORAGE_KEY = 'havenmap_watch_zone_alerts'; // zoneId -> last alert time, shared by tabs
+
+const DEFAULT_GROUPS = [0, 2];      // White (not in the kin list) and red
+const DEFAULT_COOLDOWN_MINUTES = 5;
+const MIN_COOLDOWN_MINUTES = 1;
+const MAX_COOLDOWN_MINUTES = 240;
+
+const CIRCLE_SEGMENTS = 64;         // Circles are drawn as polygons (the HnH CRS isn't uniform in lat/lng)
+const MIN_DRAW_PIXELS = 10;         // Ignore accidental clicks/tiny drags while drawing
+const ALERT_FLASH_MS = 4000;
+
+const ZONE_COLOR = '#FF9800';
+const DISABLED_COLOR = '#9E9E9E';
+const ALERT_COLOR = '#E10000';
+
+// Kin color names, index = the N in the character type 'player-N' (see getCharacterColor)
+const GROUP_NAMES = ['white', 'green', 'red', 'blue', 'teal', 'yellow', 'purple', 'orange'];
+
+let mapRef = null;
+let invokeDotNetSafe = null;
+let layerGroup = null;
+let currentMapId = 0;
+
+let zones = loadZones();
+let alertTimes = {};              // Fallback for loadAlertTimes when localStorage is unavailable
+const zoneLayers = {};            // zoneId -> L.Polygon
+const flashTimers = {};           // zoneId -> timeout resetting the alert style
+const insideKeys = new Set();     // `${zoneId}:${characterId}` for characters currently inside
+
+// Drawing state
+let drawingShape = null;          // 'circle' | 'polygon' while drawing
+let drawCenter = null;            // Circle: latlng of the center
+let drawPoints = [];              // Polygon: latlngs clicked so far
+let drawPreview = null;           // L.Polygon shown while drawing
+
+/**
+ * Initialize watch zones
+ * @param {object} mapInstance - Leaflet map instance
+ * @param {function} invokeFunc - Function to invoke .NET methods
+ */
+export function initializeWatchZones(mapInstance, invokeFunc) {
+    cancelZoneDrawing();
+    mapRef = mapInstance;
+    invokeDotNetSafe = invokeFunc;
+    layerGroup?.remove();
+    layerGroup = L.layerGroup().addTo(mapInstance);
+    for (const id of Object.keys(zoneLayers)) {
+        delete zoneLayers[id];
+    }
+    currentMapId = 0; // Zones appear with the first changeMap
+}
+
+/**
+ * Show the zones of another map
+ * @param {number} mapId - Map now shown
+ */
+export function setCurrentMapId(mapId) {
+    if (mapId === currentMapId) return;
+    currentMapId = mapId;
+    if (drawingShape) {
+        cancelZoneDrawing();
+        invokeDotNetSafe?.('JsOnWatchZoneDrawingCancelled');
+    }
+    renderZones();
+}
+
+// ============ Zone Storage ============
+
+/**
+ * @param {number} mapId - Map ID
+ * @returns {Array} - Zones of the map, with the time of their last alert
+ */
+export function listWatchZones(mapId) {
+    const alerts = loadAlertTimes();
+    return zones
+        .filter(zone => zone.mapId === mapId)
+        .map(zone => ({ ...zone, lastAlertAt: alerts[zone.id] ? new Date(alerts[zone.id]).toISOString() : null }));
+}
+
+/**
+ * Change the name, rules or enabled flag of a zone (geometry can't be edited - redraw instead)
+ * @param {string} zoneId - Zone ID
+ * @param {object} changes - { name, groups, cooldownMinutes, enabled }
+ * @returns {object|null} - The updated zone, or null if it doesn't exist
+ */
+export function updateWatchZone(zoneId, changes) {
+    const zone = zones.find(z => z.id === zoneId);
+    if (!zone || !changes) return null;
+
+    if (typeof changes.name === 'string' && changes.name.trim()) {
+        zone.name = changes.name.trim().slice(0, 60);
+    }
+    if (Array.isArray(changes.groups)) {
+        zone.groups = normalizeGroups(changes.groups);
+    }
+    if (changes.cooldownMinutes !== undefined) {
+        zone.cooldownMinutes = clampCooldown(changes.cooldownMinutes);
+    }
+    if (typeof changes.enabled === 'boolean') {
+        zone.enabled = changes.enabled;
+    }
+
+    // Re-evaluate from scratch so characters already inside an enabled zone count as entering
+    forgetZone(zone.id);
+    saveZones();
+    renderZones();
+    return { ...zone };
+}
+
+/**
+ * @param {string} zoneId - Zone ID
+ * @returns {boolean} - True if a zone was deleted
+ */
+export function deleteWatchZone(zoneId) {
+    const count = zones.length;
+    zones = zones.filter(z => z.id !== zoneId);
+    if (zones.length === count) return false;
+
+    forgetZone(zoneId);
+    const alerts = loadAlertTimes();
+    delete alerts[zoneId];
+    saveAlertTimes(alerts);
+    saveZones();
+    renderZones();
+    return true;
+}
+
+/**
+ * Fit the view to a zone on the current map
+ * @param {string} zoneId - Zone ID
+ * @returns {boolean} - True if the zone was found
+ */
+export function jumpToWatchZone(zoneId) {
+    const layer = zoneLayers[zoneId];
+    if (!layer || !mapRef) return false;
+    mapRef.fitBounds(layer.getBounds(), { maxZoom: HnHMaxZoom, padding: [40, 40] });
+    return true;
+}
+
+// ============ Drawing ============
+
+/**
+ * Start drawing a zone on the current map.
+ * Circle: press at the center and drag out the radius. Polygon: click the corners, double-click
+ * or Enter to finish, Backspace removes the last corner. Escape cancels either.
+ * @param {string} shape - 'circle' or 'polygon'
+ */
+export function startZoneDrawing(shape) {
+    if (!mapRef || currentMapId <= 0) return;
+    cancelZoneDrawing();
+
+    drawingShape = shape === 'polygon' ? 'polygon' : 'circle';
+    mapRef.getContainer().style.cursor = 'crosshair';
+    mapRef.doubleClickZoom.disable();
+
+    if (drawingShape === 'circle') {
+        mapRef.dragging.disable();
+        mapRef.on('mousedown', onCircleMouseDown);
+        mapRef.on('mouseup', onCircleMouseUp);
+    } else {
+        mapRef.on('click', onPolygonClick);
+        mapRef.on('dblclick', onPolygonDoubleClick);
+    }
+    mapRef.on('mousemove', onDrawMouseMove);
+    document.addEventListener('keydown', onDrawKeyDown);
+
+    console.log('[WatchZone] Drawing', drawingShape);
+}
+
+/**
+ * Leave drawing mode without creating a zone (no callback to .NET)
+ */
+export function cancelZoneDrawing() {
+    if (!drawingShape) return;
+    stopDrawing();
+    console.log('[WatchZone] Drawing cancelled');
+}
+
+function stopDrawing() {
+    drawingShape = null;
+    drawCenter = null;
+    drawPoints = [];
+    drawPreview?.remove();
+    drawPreview = null;
+    document.removeEventListener('keydown', onDrawKeyDown);
+
+    if (!mapRef) return;
+    mapRef.off('mousedown', onCircleMouseDown);
+    mapRef.off('mouseup', onCircleMouseUp);
+    mapRef.off('click', onPolygonClick);
+    mapRef.off('dblclick', onPolygonDoubleClick);
+    mapRef.off('mousemove', onDrawMouseMove);
+    mapRef.dragging.enable();
+    mapRef.doubleClickZoom.enable();
+    mapRef.getContainer().style.cursor = '';
+}
+
+function onCircleMouseDown(e) {
+    if (e.originalEvent?.button !== 0) return;
+    drawCenter = e.latlng;
+    updateDrawPreview(e.latlng);
+}
+
+function onCircleMouseUp(e) {
+    if (!drawCenter) return;
+
+    const centerScreen = mapRef.latLngToContainerPoint(drawCenter);
+    if (centerScreen.distanceTo(mapRef.latLngToContainerPoint(e.latlng)) < MIN_DRAW_PIXELS) {
+        // A click, not a drag: keep waiting for a proper drag
+        drawCenter = null;
+        drawPreview?.remove();
+        drawPreview = null;
+        return;
+    }
+
+    const center = toPoint(drawCenter);
+    const radius = Math.round(center.distanceTo(toPoint(e.latlng)));
+    finishDrawing({ shape: 'circle', center: { x: Math.round(center.x), y: Math.round(center.y) }, radius, points: [] });
+}
+
+function onPolygonClick(e) {
+    // The clicks of a double-click land on the same spot - don't add them twice
+    const last = drawPoints[drawPoints.length - 1];
+    if (last && mapRef.latLngToContainerPoint(last).distanceTo(e.containerPoint) < MIN_DRAW_PIXELS) {
+        return;
+    }
+    drawPoints.push(e.latlng);
+    updateDrawPreview(e.latlng);
+}
+
+function onPolygonDoubleClick(e) {
+    L.DomEvent.stopPropagation(e);
+    L.DomEvent.preventDefault(e);
+    finishPolygon();
+}
+
+function finishPolygon() {
+    if (drawPoints.length < 3) return;
+    const points = drawPoints.map(latlng => {
+        const point = toPoint(latlng);
+        return { x: Math.round(point.x), y: Math.round(point.y) };
+    });
+    finishDrawing({ shape: 'polygon', center: null, radius: 0, points });
+}
+
+function onDrawMouseMove(e) {
+    if (drawingShape === 'circle' && !drawCenter) return;
+    if (drawingShape === 'polygon' && drawPoints.length === 0) return;
+    updateDrawPreview(e.latlng);
+}
+
+function onDrawKeyDown(e) {
+    if (e.key === 'Escape') {
+        cancelZoneDrawing();
+        invokeDotNetSafe?.('JsOnWatchZoneDrawingCancelled');
+    } else if (e.target?.closest?.('input, textarea')) {
+        // Typing in the panel (e.g. renaming a zone) while drawing
+    } else if (e.key === 'Enter' && drawingShape === 'polygon') {
+        finishPolygon();
+    } else if (e.key === 'Backspace' && drawingShape === 'polygon' && drawPoints.length > 0) {
+        drawPoints.pop();
+        updateDrawPreview(drawPoints[drawPoints.length - 1] ?? null);
+    }
+}
+
+function updateDrawPreview(cursorLatLng) {
+    let latlngs;
+    if (drawingShape === 'circle') {
+        const center = toPoint(drawCenter);
+        latlngs = circleLatLngs(center, cursorLatLng ? center.distanceTo(toPoint(cursorLatLng)) : 0);
+    } else {
+        latlngs = cursorLatLng ? [...drawPoints, cursorLatLng] : [...drawPoints];
+    }
+
+    if (!drawPreview) {
+        drawPreview = L.polygon(latlngs, {
+            color: ZONE_COLOR,
+            weight: 2,
+            dashArray: '6, 6',
+            fillOpacity: 0.1,
+            interactive: false
+        }).addTo(mapRef);
+    } else {
+        drawPreview.setLatLngs(latlngs);
+    }
+}
+
+function finishDrawing(geometry) {
+    stopDrawing();
+
+    const count = zones.filter(z => z.mapId === currentMapId).length;
+    const zone = {
+        id: `wz-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+        mapId: currentMapId,
+        name: `Zone ${count + 1}`,
+        ...geometry,
+        groups: [...DEFAULT_GROUPS],
+        cooldownMinutes: DEFAULT_COOLDOWN_MINUTES,
+        enabled: true
+    };
+    zones.push(zone);
+    saveZones();
+    renderZones();
+
+    // Alerts need the OS permission; asking while the user is setting up a zone is the least surprising time
+    window.notificationCenter?.requestNotificationPermission?.();
+
+    console.log('[WatchZone] Created', zone.id, zone.shape);
+    invokeDotNetSafe?.('JsOnWatchZoneCreated', { ...zone, lastAlertAt: null });
+}
+
+// ============ Evaluation ============
+
+/**
+ * Check character positions against the zones. Called by character-manager with every
+ * snapshot and delta, before it filters characters to the current map.
+ * @param {Array} characters - Characters {id, name, map, position: {x, y}, type}
+ * @param {string|null} myCharacterName - Never alert about the user's own character
+ * @param {boolean} isSnapshot - The list is complete: characters missing from it are gone
+ */
+export function evaluateWatchZones(characters, myCharacterName, isSnapshot) {
+    if (!Array.isArray(characters)) return;
+    if (isSnapshot) {
+        const presentIds = new Set(characters.map(c => String(c.id)));
+        for (const key of insideKeys) {
+            if (!presentIds.has(key.slice(key.indexOf(':') + 1))) {
+                insideKeys.delete(key);
+            }
+        }
+    }
+    if (zones.length === 0) return;
+
+    const entered = new Map(); // zone -> characters that just entered it
+    for (const character of characters) {
+        const position = character?.position;
+        if (!position || !Number.isFinite(position.x) || !Number.isFinite(position.y)) continue;
+
+        for (const zone of zones) {
+            if (!zone.enabled || zone.mapId !== character.map) continue;
+
+            const key = `${zone.id}:${character.id}`;
+            if (!containsPoint(zone, position)) {
+                insideKeys.delete(key);
+                continue;
+            }
+            if (insideKeys.has(key)) continue;
+
+            insideKeys.add(key);
+            if (character.name === myCharacterName || !zone.groups.includes(getKinGroup(character.type))) continue;
+
+            if (!entered.has(zone)) entered.set(zone, []);
+            entered.get(zone).push(character);
+        }
+    }
+
+    for (const [zone, intruders] of entered) {
+        raiseAlert(zone, intruders);
+    }
+}
+
+/**
+ * Forget characters that went offline, so coming back counts as entering again
+ * @param {Array<number>} characterIds - Removed character IDs
+ */
+export function forgetWatchZoneCharacters(characterIds) {
+    if (!Array.isArray(characterIds) || insideKeys.size === 0) return;
+    const removed = new Set(characterIds.map(String));
+    for (const key of insideKeys) {
+        if (removed.has(key.slice(key.indexOf(':') + 1))) {
+            insideKeys.delete(key);
+        }
+    }
+}
+
+function raiseAlert(zone, intruders) {
+    // Cooldown is checked against localStorage so several open tabs raise one alert between them
+    const now = Date.now();
+    const alerts = loadAlertTimes();
+    if (alerts[zone.id] && now - alerts[zone.id] < zone.cooldownMinutes * 60000) {
+        console.log('[WatchZone] Alert suppressed by cooldown:', zone.name);
+        return;
+    }
+    alerts[zone.id] = now;
+    saveAlertTimes(alerts);
+
+    const names = intruders
+        .map(c => `${c.name || 'Unknown'} (${GROUP_NAMES[getKinGroup(c.type)]})`)
+        .join(', ');
+    console.log('[WatchZone] Alert:', zone.name, '-', names);
+
+    flashZone(zone.id);
+    if (window.notificationCenter?.notifyLocal) {
+        window.notificationCenter.notifyLocal({
+            type: 'WatchZoneAlert',
+            title: `Watch zone: ${zone.name}`,
+            message: `${names} entered`,
+            priority: 'High',
+            tag: `watch-zone-${zone.id}`
+        });
+    }
+    invokeDotNetSafe?.('JsOnWatchZoneAlert', zone.id);
+}
+
+// ============ Rendering ============
+
+function renderZones() {
+    if (!layerGroup || !mapRef) return;
+
+    const visibleIds = new Set();
+    for (const zone of zones) {
+        if (zone.mapId !== currentMapId) continue;
+        visibleIds.add(zone.id);
+
+        const latlngs = zone.shape === 'circle'
+            ? circleLatLngs(L.point(zone.center.x, zone.center.y), zone.radius)
+            : zone.points.map(p => mapRef.unproject([p.x, p.y], HnHMaxZoom));
+        const style = {
+            color: zone.enabled ? ZONE_COLOR : DISABLED_COLOR,
+            weight: 2,
+            dashArray: zone.enabled ? null : '4, 6',
+            fillOpacity: zone.enabled ? 0.08 : 0.03
+        };
+
+        let layer = zoneLayers[zone.id];
+        if (!layer) {
+            layer = L.polygon(latlngs, { ...style, interactive: false }).addTo(layerGroup);
+            zoneLayers[zone.id] = layer;
+        } else {
+            layer.setLatLngs(latlngs);
+            if (!flashTimers[zone.id]) {
+                layer.setStyle(style);
+            }
+        }
+        layer.unbindTooltip();
+        layer.bindTooltip(escapeHtml(zone.name), {
+            permanent: true,
+            direction: 'center',
+            className: 'watch-zone-label'
+        });
+    }
+
+    for (const id of Object.keys(zoneLayers)) {
+        if (!visibleIds.has(id)) {
+            zoneLayers[id].remove();
+            delete zoneLayers[id];
+        }
+    }
+}
+
+function flashZone(zoneId) {
+    const layer = zoneLayers[zoneId];
+    if (!layer) return;
+
+    clearTimeout(flashTimers[zoneId]);
+    layer.setStyle({ color: ALERT_COLOR, fillOpacity: 0.25 });
+    flashTimers[zoneId] = setTimeout(() => {
+        delete flashTimers[zoneId];
+        renderZones();
+    }, ALERT_FLASH_MS);
+}
+
+// Helper functions
+
+function toPoint(latlng) {
+    return mapRef.project(latlng, HnHMaxZoom);
+}
+
+function circleLatLngs(center, radius) {
+    const latlngs = [];
+    for (let i = 0; i < CIRCLE_SEGMENTS; i++) {
+        const angle = (2 * Math.PI * i) / CIRCLE_SEGMENTS;
+        latlngs.push(mapRef.unproject([
+            center.x + radius * Math.cos(angle),
+            center.y + radius * Math.sin(angle)
+        ], HnHMaxZoom));
+    }
+    return latlngs;
+}
+
+function containsPoint(zone, position) {
+    if (zone.shape === 'circle') {
+        return Math.hypot(position.x - zone.center.x, position.y - zone.center.y) <= zone.radius;
+    }
+
+    // Ray casting
+    let inside = false;
+    const points = zone.points;
+    for (let i = 0, j = points.length - 1; i < points.length; j = i++) {
+        const a = points[i];
+        const b = points[j];
+        if ((a.y > position.y) !== (b.y > position.y) &&
+            position.x < ((b.x - a.x) * (position.y - a.y)) / (b.y - a.y) + a.x) {
+            inside = !inside;
+        }
+    }
+    return inside;
+}
+
+/**
+ * Kin color index of a character type ('player-N'); anything else counts as white
+ */
+function getKinGroup(type) {
+    const match = typeof type === 'string' ? type.match(/player-([0-7])/) : null;
+    return match ? parseInt(match[1]) : 0;
+}
+
+function forgetZone(zoneId) {
+    const prefix = `${zoneId}:`;
+    for (const key of insideKeys) {
+        if (key.startsWith(prefix)) {
+            insideKeys.delete(key);
+        }
+    }
+}
+
+function normalizeGroups(groups) {
+    return [...new Set(groups.map(Number))]
+        .filter(g => Number.isInteger(g) && g >= 0 && g < GROUP_NAMES.length)
+        .sort((a, b) => a - b);
+}
+
+function clampCooldown(minutes) {
+    const value = Math.round(Number(minutes));
+    if (!Number.isFinite(value)) {
+        return DEFAULT_COOLDOWN_MINUTES;
+    }
+    return Math.min(MAX_COOLDOWN_MINUTES, Math.max(MIN_COOLDOWN_MINUTES, value));
+}
+
+function loadZones() {
+    try {
+        const stored = JSON.parse(localStorage.getItem(ZONES_STORAGE_KEY) || '[]');
+        return Array.isArray(stored) ? stored.filter(isValidZone) : [];
+    } catch {
+        return [];
+    }
+}
+
+function isValidZone(zone) {
+    if (!zone || typeof zone.id !== 'string' || !Number.isInteger(zone.mapId)) return false;
+    zone.groups = normalizeGroups(Array.isArray(zone.groups) ? zone.groups : DEFAULT_GROUPS);
+    zone.cooldownMinutes = clampCooldown(zone.cooldownMinutes);
+    zone.enabled = zone.enabled !== false;
+    if (zone.shape === 'circle') {
+        return Number.isFinite(zone.center?.x) && Number.isFinite(zone.center?.y) && zone.radius > 0;
+    }
+    return zone.shape === 'polygon' && Array.isArray(zone.points) && zone.points.length >= 3;
+}
+
+function saveZones() {
+    try {
+        localStorage.setItem(ZONES_STORAGE_KEY, JSON.stringify(zones));
+    } catch {
+        // Storage unavailable (private mode) - zones still work for this session
+    }
+}
+
+function loadAlertTimes() {
+    try {
+        return { ...alertTimes, ...JSON.parse(localStorage.getItem(ALERTS_STORAGE_KEY) || '{}') };
+    } catch {
+        return { ...alertTimes };
+    }
+}
+
+function saveAlertTimes(alerts) {
+    alertTimes = alerts;
+    try {
+        localStorage.setItem(ALERTS_STORAGE_KEY, JSON.stringify(alerts));
+    } catch {
+        // Storage unavailable - cooldowns then only hold within this tab
+    }
+}
@@ -3,6 +3,8 @@
 // notifications work on every authenticated page (not just /map), survive SPA
 // navigations, and recover from dropped connections with exponential backoff.
 // SSE payloads are camelCase (server serializes with JsonNamingPolicy.CamelCase).
+// Only one tab per browser holds the stream (tab-coordinator.js); it forwards every event to
+// the other tabs and is the only one that plays sounds and shows OS notifications.
 
 window.notificationCenter = {
     dotNetRef: null,
@@ -10,6 +12,14 @@ window.notificationCenter = {
     reconnectAttempts: 0,
     reconnectTimer: null,
     connectCount: 0,
+    externalStream: false,
+    leadership: null,
+    unsubscribeTabs: null,
+
+    TAB_TOPIC: 'notifications',
+
+    // Events shared with the map WebSocket (see handleStreamEvent)
+    STREAM_EVENTS: ['notificationCreated', 'notificationUpdated', 'notificationRead', 'notificationDismissed'],
 
     // Single source of truth for the stream path (dev: Web-side proxy; prod: Caddy @notifsse)
     STREAM_URL: '/api/notifications/stream',
@@ -27,7 +37,51 @@ window.notificationCenter = {
         // the EventSource persists for the life of the browser page.
         this.dotNetRef = dotNetReference;
         console.log('[NotificationCenter] Initialized');
-        this.connect();
+        if (this.leadership) {
+            this.connect();
+        } else {
+            this.joinTabGroup();
+        }
+    },
+
+    /**
+     * Compete for the stream with the other tabs. Until this tab leads, events arrive as copies
+     * from the leader; a tab that takes over from a closed leader heals what it missed.
+     */
+    joinTabGroup: function () {
+        const coordinator = window.tabCoordinator;
+        if (!coordinator) {
+            this.connect();
+            return;
+        }
+
+        if (coordinator.supported) {
+            this.unsubscribeTabs = coordinator.subscribe(this.TAB_TOPIC, (message) => {
+                if (!this.isLeader()) {
+                    this.handleStreamEvent(message.name, message.data, true);
+                }
+            });
+        }
+
+        this.leadership = coordinator.requestLeadership(this.TAB_TOPIC, (takeover) => {
+            if (takeover) {
+                if (this.externalStream) {
+                    this.safeInvoke('OnStreamReconnected');
+                } else {
+                    // The first open then counts as a reconnect
+                    this.connectCount = Math.max(this.connectCount, 1);
+                }
+            }
+            this.connect();
+        });
+    },
+
+    /**
+     * Whether this tab holds the stream (always true without tab coordination)
+     * @returns {boolean}
+     */
+    isLeader: function () {
+        return !this.leadership || this.leadership.isLeader;
     },
 
     /**
@@ -36,6 +90,9 @@ window.notificationCenter = {
      * EventSource instance, so reconnects can never end up listener-less.
      */
     connect: function () {
+        if (this.externalStream || !this.isLeader()) {
+            return;
+        }
         if (this.eventSource && this.eventSource.readyState !== EventSource.CLOSED) {
             return;
         }
@@ -61,50 +118,89 @@ window.notificationCenter = {
             }
         };
 
-        es.addEventListener('notificationCreated', (e) => {
-            try {
-                const notification = JSON.parse(e.data);
-                console.log('[NotificationCenter] Notification created:', notification.id);
-
-                this.safeInvoke('OnNotificationReceived', notification);
-                this.safeInvoke('ShowSnackbarNotification', notification);
-                this.showBrowserNotification(notification);
-                this.playNotificationSound(notification.type);
-            } catch (error) {
-                console.error('[NotificationCenter] Error parsing notification:', error);
-            }
-        });
-
-        // In-place update of a coalesced digest: silent by design — no toast, no
-        // sound, no OS notification. The bell entry just refreshes its content.
-        es.addEventListener('notificationUpdated', (e) => {
-            try {
-                const notification = JSON.parse(e.data);
-                console.log('[NotificationCenter] Notification updated:', notification.id);
+        for (const name of this.STREAM_EVENTS) {
+            es.addEventListener(name, (e) => {
+                try {
+                    this.handleStreamEvent(name, JSON.parse(e.data));
+                } catch (error) {
+                    console.error(`[NotificationCenter] Error parsing ${name} event:`, error);
+                }
+            });
+        }
+    },
 
-                this.safeInvoke('OnNotificationUpdated', notification);
-            } catch (error) {
-                console.error('[NotificationCenter] Error parsing notification update:', error);
+    /**
+     * Apply one notification event, from our own EventSource, from the map
+     * WebSocket (map-updates.js), which carries the same events, or from the leader tab.
+     * @param {string} name - Event name (one of STREAM_EVENTS)
+     * @param {object} data - Parsed payload (camelCase)
+     * @param {boolean} [fromLeader] - A copy from the leader tab, which already played the
+     *   sound and showed the OS notification
+     */
+    handleStreamEvent: function (name, data, fromLeader = false) {
+        if (!fromLeader) {
+            // The map socket of a follower tab: the leader's stream delivers the same event
+            if (!this.isLeader()) {
+                return;
             }
-        });
+            if (this.unsubscribeTabs) {
+                window.tabCoordinator.publish(this.TAB_TOPIC, { name, data });
+            }
+        }
 
-        es.addEventListener('notificationRead', (e) => {
-            try {
-                const data = JSON.parse(e.data);
+        switch (name) {
+            case 'notificationCreated':
+                console.log('[NotificationCenter] Notification created:', data.id);
+                this.safeInvoke('OnNotificationReceived', data);
+                this.safeInvoke('ShowSnackbarNotification', data);
+                if (!fromLeader) {
+                    this.showBrowserNotification(data);
+                    this.playNotificationSound(data.type);
+                }
+                break;
+
+            // In-place update of a coalesced digest: silent by design — no toast, no
+            // sound, no OS notification. The bell entry just refreshes its content.
+            case 'notificationUpdated':
+                console.log('[NotificationCenter] Notification updated:', data.id);
+                this.safeInvoke('OnNotificationUpdated', data);
+                break;
+
+            case 'notificationRead':
                 this.safeInvoke('OnNotificationRead', data.id);
-            } catch (error) {
-                console.error('[NotificationCenter] Error parsing notification read event:', error);
-            }
-        });
+                break;
 
-        es.addEventListener('notificationDismissed', (e) => {
-            try {
-                const data = JSON.parse(e.data);
+            case 'notificationDismissed':
                 this.safeInvoke('OnNotificationDismissed', data.id);
-            } catch (error) {
-                console.error('[NotificationCenter] Error parsing notification dismissed event:', error);
+                break;
+        }
+    },
+
+    /**
+     * Hand the stream over to the map WebSocket while it is open (true), or take it back
+     * (false). Avoids a second long-lived connection on the map page.
+     * @param {boolean} external
+     */
+    useExternalStream: function (external) {
+        if (external === this.externalStream) {
+            return;
+        }
+        this.externalStream = external;
+
+        if (external) {
+            if (this.reconnectTimer) {
+                clearTimeout(this.reconnectTimer);
+                this.reconnectTimer = null;
             }
-        });
+            if (this.eventSource) {
+                this.eventSource.close();
+                this.eventSource = null;
+            }
+            console.log('[NotificationCenter] Using the map socket for notifications');
+        } else {
+            // Anything sent while neither stream was up is healed on reconnect
+            this.connect();
+        }
     },
 
     /**
@@ -149,6 +245,28 @@ window.notificationCenter = {
         }
     },
 
+    /**
+     * Raise an alert that originates in this browser (map watch zones) instead of the server:
+     * toast, sound and OS notification, but no bell entry since there is nothing to mark read.
+     * Not shared with the other tabs - the caller decides which tab raises it.
+     * @param {object} notification - { type, title, message, priority, tag } where tag lets a
+     *   newer OS notification replace an older one for the same subject
+     */
+    notifyLocal: function (notification) {
+        const data = {
+            id: 0,
+            type: notification.type,
+            title: notification.title,
+            message: notification.message || '',
+            priority: notification.priority || 'Normal',
+            createdAt: new Date().toISOString(),
+            tag: notification.tag
+        };
+        this.safeInvoke('ShowSnackbarNotification', data);
+        this.showBrowserNotification(data);
+        this.playNotificationSound(data.type);
+    },
+
     /**
      * Show browser notification (if permission granted)
      * @param {object} notification - Notification data (camelCase)
@@ -163,7 +281,7 @@ window.notificationCenter = {
                 body: notification.message,
                 icon: '/favicon.ico',
                 badge: '/favicon.ico',
-                tag: `notification-${notification.id}`,
+                tag: notification.tag || `notification-${notification.id}`,
                 requireInteraction: notification.priority === 'High',
                 silent: this.SILENT_TYPES.includes(notification.type)
             };
@@ -242,7 +360,7 @@ window.notificationCenter = {
     },
 
     /**
-     * Dispose the .NET reference only. The EventSource intentionally stays open:
+     * Dispose the .NET reference only. The EventSource (and the tab's stream role) intentionally stays open:
      * the component can remount within the same page (AuthorizeView revalidation)
      * and re-init just swaps the ref; page unload closes the stream natively.
      */
@@ -0,0 +1,135 @@
+// Cross-tab coordination
+// One leader tab per role (map updates, notifications) holds the server stream and fans the
+// events out to the other tabs over a BroadcastChannel. Leadership uses the Web Locks API, so
+// it moves to a waiting tab as soon as the leader closes or releases it. Browsers without
+// either API make every tab its own leader (each tab keeps its own streams).
+
+window.tabCoordinator = {
+    // Random per page load; lets tabs ignore their own echoes
+    tabId: Math.random().toString(36).slice(2),
+    channel: null,
+    subscribers: new Map(), // topic -> Set of handlers
+
+    CHANNEL_NAME: 'havenmap-tabs',
+
+    supported: typeof BroadcastChannel === 'function' &&
+        typeof navigator !== 'undefined' && !!navigator.locks,
+
+    /**
+     * Open the channel on first use
+     */
+    init: function () {
+        if (this.channel || !this.supported) {
+            return;
+        }
+        this.channel = new BroadcastChannel(this.CHANNEL_NAME);
+        this.channel.onmessage = (e) => {
+            const message = e.data;
+            if (!message || message.from === this.tabId) {
+                return;
+            }
+            const handlers = this.subscribers.get(message.topic);
+            if (!handlers) {
+                return;
+            }
+            for (const handler of handlers) {
+                try {
+                    handler(message.payload);
+                } catch (error) {
+                    console.error(`[TabCoordinator] ${message.topic} handler failed:`, error);
+                }
+            }
+        };
+    },
+
+    /**
+     * Compete for a role. onLead runs once this tab becomes the leader - right away when no
+     * other tab holds the role, otherwise when the current leader goes away.
+     * @param {string} role - e.g. 'map-updates'
+     * @param {Function} onLead - Receives true when another tab led first (a takeover: events
+     *   sent during the handover may have been missed)
+     * @returns {{ isLeader: boolean, release: Function }} Release gives the role up (or stops waiting)
+     */
+    requestLeadership: function (role, onLead) {
+        const handle = { isLeader: false, released: false, release: null };
+
+        if (!this.supported) {
+            handle.isLeader = true;
+            handle.release = () => {
+                handle.released = true;
+                handle.isLeader = false;
+            };
+            onLead(false);
+            return handle;
+        }
+
+        const name = `havenmap-leader-${role}`;
+        const controller = new AbortController();
+        let releaseLock = null;
+
+        const lead = (waited) => {
+            handle.isLeader = true;
+            console.log(`[TabCoordinator] This tab now leads ${role}`);
+            try {
+                onLead(waited);
+            } catch (error) {
+                console.error(`[TabCoordinator] ${role} leader start failed:`, error);
+            }
+            // Held until release() or the tab closes
+            return new Promise(resolve => { releaseLock = resolve; });
+        };
+
+        // Try without waiting first, so onLead can tell a fresh start from a takeover
+        navigator.locks.request(name, { ifAvailable: true }, (lock) => {
+            if (handle.released) {
+                return undefined;
+            }
+            if (lock) {
+                return lead(false);
+            }
+            navigator.locks.request(name, { signal: controller.signal }, () => {
+                return handle.released ? undefined : lead(true);
+            }).catch(() => {
+                // AbortError: released while still waiting
+            });
+            return undefined;
+        });
+
+        handle.release = () => {
+            handle.released = true;
+            handle.isLeader = false;
+            controller.abort();
+            releaseLock?.();
+        };
+        return handle;
+    },
+
+    /**
+     * Send a message to every other tab
+     * @param {string} topic
+     * @param {any} payload - Must be structured-cloneable
+     */
+    publish: function (topic, payload) {
+        this.init();
+        try {
+            this.channel?.postMessage({ topic, payload, from: this.tabId });
+        } catch (error) {
+            console.warn('[TabCoordinator] Publish failed:', error);
+        }
+    },
+
+    /**
+     * Receive messages other tabs publish on a topic
+     * @param {string} topic
+     * @param {Function} handler - Receives the payload
+     * @returns {Function} Unsubscribe
+     */
+    subscribe: function (topic, handler) {
+        this.init();
+        if (!this.subscribers.has(topic)) {
+            this.subscribers.set(topic, new Set());
+        }
+        this.subscribers.get(topic).add(handler);
+        return () => this.subscribers.get(topic)?.delete(handler);
+    }
+};
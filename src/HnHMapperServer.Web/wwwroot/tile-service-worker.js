@@ -0,0 +1,464 @@
+// Tile Service Worker
+// Persists /map/tiles/{map}/{z}/{x}_{y}.webp responses in Cache Storage so maps survive reloads
+// and keep rendering when the server is unreachable. Registered by js/map/tile-store.js.
+//
+// Storage layout:
+// - Cache Storage (TILE_CACHE_NAME): tile bodies keyed by the tile URL WITHOUT the ?v= revision,
+//   so each tile has exactly one stored copy (the newest revision we have seen).
+// - IndexedDB (TILE_DB_NAME): one metadata record per tile { key, url, mapId, z, x, y, revision,
+//   size, lastAccess } used for revision checks, the size budget and LRU eviction, plus pinned
+//   tile ranges of areas downloaded for offline use (never evicted until the area is removed).
+//
+// Strategy:
+// - Stored revision matches the requested ?v= → serve from the store without touching the network.
+// - Otherwise → network; successful image responses replace the stored copy.
+// - Network failure or 5xx → serve the stored copy of ANY revision (stale beats blank when offline).
+//
+// Lives at the site root because a service worker can only intercept requests below its own path.
+
+const TILE_CACHE_NAME = 'hnh-tiles-v1';
+const TILE_DB_NAME = 'hnh-tile-store';
+const TILE_DB_VERSION = 2;
+const TILE_STORE = 'tiles';
+const SETTINGS_STORE = 'settings';
+const PIN_STORE = 'pins';
+
+const DEFAULT_BUDGET_BYTES = 256 * 1024 * 1024; // 256 MB
+const EVICTION_TARGET_RATIO = 0.9;              // Evict down to 90% of the budget to avoid thrashing
+const EVICTION_CHECK_INTERVAL = 50;             // Check the budget every N stored tiles
+const TOUCH_FLUSH_SIZE = 200;                   // Flush lastAccess updates in batches
+const TOUCH_FLUSH_DELAY = 2000;
+
+const TILE_PATH_PATTERN = /^\/map\/tiles\/(\d+)\/(-?\d+)\/(-?\d+)_(-?\d+)\.webp$/;
+
+let dbPromise = null;
+let storesSinceEvictionCheck = 0;
+let pendingTouches = new Map(); // key -> lastAccess
+let touchFlushTimer = null;
+
+// ============ Lifecycle ============
+
+self.addEventListener('install', () => {
+    self.skipWaiting();
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil((async () => {
+        await self.clients.claim();
+        await enforceBudget();
+    })());
+});
+
+// ============ Fetch ============
+
+self.addEventListener('fetch', (event) => {
+    const request = event.request;
+    if (request.method !== 'GET') return;
+
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+
+    const match = TILE_PATH_PATTERN.exec(url.pathname);
+    if (!match) return;
+
+    const tile = {
+        key: `${match[1]}:${match[2]}:${match[3]}:${match[4]}`,
+        url: `${url.origin}${url.pathname}`,
+        mapId: Number(match[1]),
+        z: Number(match[2]),
+        x: Number(match[3]),
+        y: Number(match[4]),
+        revision: Number(url.searchParams.get('v')) || 0
+    };
+
+    event.respondWith(handleTileRequest(event, request, tile));
+});
+
+async function handleTileRequest(event, request, tile) {
+    let meta = null;
+    try {
+        meta = await getMeta(tile.key);
+    } catch (e) {
+        console.warn('[TileStore] Metadata lookup failed:', e);
+    }
+
+    // Fresh copy in the store - no network needed
+    if (meta && tile.revision > 0 && meta.revision === tile.revision) {
+        const cached = await matchStored(tile.url);
+        if (cached) {
+            touch(event, tile.key);
+            return cached;
+        }
+    }
+
+    let response;
+    try {
+        response = await fetch(request);
+    } catch (e) {
+        // Offline / server unreachable
+        const cached = await matchStored(tile.url);
+        if (cached) {
+            touch(event, tile.key);
+            return cached;
+        }
+        throw e;
+    }
+
+    if (response.status >= 500) {
+        const cached = await matchStored(tile.url);
+        if (cached) {
+            touch(event, tile.key);
+            return cached;
+        }
+        return response;
+    }
+
+    if (isStorable(response)) {
+        event.waitUntil(storeTile(tile, response.clone()));
+    }
+
+    return response;
+}
+
+/**
+ * Only persist real tile images (not login redirects, 404s or opaque responses)
+ */
+function isStorable(response) {
+    if (!response.ok || response.redirected || response.type === 'opaque') return false;
+    const contentType = response.headers.get('Content-Type') || '';
+    return contentType.startsWith('image/');
+}
+
+async function matchStored(url) {
+    try {
+        const cache = await caches.open(TILE_CACHE_NAME);
+        return await cache.match(url) || null;
+    } catch {
+        return null;
+    }
+}
+
+async function storeTile(tile, response) {
+    try {
+        const blob = await response.blob();
+        const cache = await caches.open(TILE_CACHE_NAME);
+        await cache.put(tile.url, new Response(blob, {
+            status: 200,
+            headers: { 'Content-Type': response.headers.get('Content-Type') || 'image/webp' }
+        }));
+
+        await putMeta({
+            key: tile.key,
+            url: tile.url,
+            mapId: tile.mapId,
+            z: tile.z,
+            x: tile.x,
+            y: tile.y,
+            revision: tile.revision,
+            size: blob.size,
+            lastAccess: Date.now()
+        });
+
+        storesSinceEvictionCheck++;
+        if (storesSinceEvictionCheck >= EVICTION_CHECK_INTERVAL) {
+            storesSinceEvictionCheck = 0;
+            await enforceBudget();
+        }
+    } catch (e) {
+        // Quota errors land here - evict and carry on, the response was already served
+        console.warn('[TileStore] Failed to store tile', tile.key, e);
+        if (e?.name === 'QuotaExceededError') {
+            await enforceBudget(true);
+        }
+    }
+}
+
+// ============ IndexedDB ============
+
+function openDb() {
+    if (dbPromise) return dbPromise;
+
+    dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(TILE_DB_NAME, TILE_DB_VERSION);
+        request.onupgradeneeded = () => {
+            const db = request.result;
+            if (!db.objectStoreNames.contains(TILE_STORE)) {
+                const store = db.createObjectStore(TILE_STORE, { keyPath: 'key' });
+                store.createIndex('mapId', 'mapId', { unique: false });
+                store.createIndex('lastAccess', 'lastAccess', { unique: false });
+            }
+            if (!db.objectStoreNames.contains(SETTINGS_STORE)) {
+                db.createObjectStore(SETTINGS_STORE);
+            }
+            if (!db.objectStoreNames.contains(PIN_STORE)) {
+                const pins = db.createObjectStore(PIN_STORE, { keyPath: 'id' });
+                pins.createIndex('mapId', 'mapId', { unique: false });
+            }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => {
+            dbPromise = null;
+            reject(request.error);
+        };
+    });
+
+    return dbPromise;
+}
+
+function promisifyRequest(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+function promisifyTransaction(tx) {
+    return new Promise((resolve, reject) => {
+        tx.oncomplete = () => resolve();
+        tx.onerror = () => reject(tx.error);
+        tx.onabort = () => reject(tx.error);
+    });
+}
+
+async function getMeta(key) {
+    const db = await openDb();
+    return promisifyRequest(db.transaction(TILE_STORE).objectStore(TILE_STORE).get(key));
+}
+
+async function putMeta(record) {
+    const db = await openDb();
+    const tx = db.transaction(TILE_STORE, 'readwrite');
+    tx.objectStore(TILE_STORE).put(record);
+    return promisifyTransaction(tx);
+}
+
+async function getBudget() {
+    const db = await openDb();
+    const value = await promisifyRequest(db.transaction(SETTINGS_STORE).objectStore(SETTINGS_STORE).get('budgetBytes'));
+    return Number.isFinite(value) && value > 0 ? value : DEFAULT_BUDGET_BYTES;
+}
+
+async function setBudget(bytes) {
+    const db = await openDb();
+    const tx = db.transaction(SETTINGS_STORE, 'readwrite');
+    tx.objectStore(SETTINGS_STORE).put(bytes, 'budgetBytes');
+    await promisifyTransaction(tx);
+}
+
+// ============ LRU bookkeeping ============
+
+/**
+ * Record a cache hit. Hits are batched so a full-screen redraw doesn't issue hundreds of writes.
+ */
+function touch(event, key) {
+    pendingTouches.set(key, Date.now());
+
+    if (pendingTouches.size >= TOUCH_FLUSH_SIZE) {
+        event.waitUntil(flushTouches());
+    } else if (!touchFlushTimer) {
+        touchFlushTimer = setTimeout(() => {
+            touchFlushTimer = null;
+            flushTouches();
+        }, TOUCH_FLUSH_DELAY);
+    }
+}
+
+async function flushTouches() {
+    if (pendingTouches.size === 0) return;
+
+    const touches = pendingTouches;
+    pendingTouches = new Map();
+
+    try {
+        const db = await openDb();
+        const tx = db.transaction(TILE_STORE, 'readwrite');
+        const store = tx.objectStore(TILE_STORE);
+        for (const [key, lastAccess] of touches) {
+            const request = store.get(key);
+            request.onsuccess = () => {
+                if (request.result) {
+                    request.result.lastAccess = lastAccess;
+                    store.put(request.result);
+                }
+            };
+        }
+        await promisifyTransaction(tx);
+    } catch (e) {
+        console.warn('[TileStore] Failed to record tile access:', e);
+    }
+}
+
+/**
+ * Evict least recently used tiles until the store fits the budget
+ * @param {boolean} force - Evict down to the target even if under budget (after a quota error)
+ */
+async function enforceBudget(force = false) {
+    try {
+        await flushTouches();
+
+        const budget = await getBudget();
+        const db = await openDb();
+        const records = await promisifyRequest(db.transaction(TILE_STORE).objectStore(TILE_STORE).getAll());
+
+        let totalBytes = records.reduce((sum, r) => sum + (r.size || 0), 0);
+        if (!force && totalBytes <= budget) return;
+
+        // Pinned tiles still count towards the total but are never evicted
+        const pins = await promisifyRequest(db.transaction(PIN_STORE).objectStore(PIN_STORE).getAll());
+        const target = budget * EVICTION_TARGET_RATIO;
+        const candidates = records
+            .filter(r => !isPinned(r, pins))
+            .sort((a, b) => a.lastAccess - b.lastAccess);
+
+        const evicted = [];
+        for (const record of candidates) {
+            if (totalBytes <= target) break;
+            evicted.push(record);
+            totalBytes -= record.size || 0;
+        }
+
+        await deleteRecords(evicted);
+        console.log(`[TileStore] Evicted ${evicted.length} tiles (${Math.round(totalBytes / 1024 / 1024)} MB remaining)`);
+    } catch (e) {
+        console.warn('[TileStore] Eviction failed:', e);
+    }
+}
+
+/**
+ * Check whether a tile record falls inside any pinned range
+ * @param {object} record - Tile metadata record
+ * @param {Array} pins - [{ id, mapId, ranges: [{ z, minX, maxX, minY, maxY }] }]
+ */
+function isPinned(record, pins) {
+    for (const pin of pins) {
+        if (pin.mapId !== record.mapId) continue;
+        for (const range of pin.ranges) {
+            if (range.z === record.z &&
+                record.x >= range.minX && record.x <= range.maxX &&
+                record.y >= range.minY && record.y <= range.maxY) {
+                return true;
+            }
+        }
+    }
+    return false;
+}
+
+async function deleteRecords(records) {
+    if (records.length === 0) return;
+
+    const cache = await caches.open(TILE_CACHE_NAME);
+    await Promise.all(records.map(r => cache.delete(r.url)));
+
+    const db = await openDb();
+    const tx = db.transaction(TILE_STORE, 'readwrite');
+    const store = tx.objectStore(TILE_STORE);
+    for (const record of records) {
+        store.delete(record.key);
+    }
+    await promisifyTransaction(tx);
+}
+
+// ============ Purge / stats ============
+
+async function purgeMap(mapId) {
+    await flushTouches();
+
+    const db = await openDb();
+    const records = await promisifyRequest(
+        db.transaction(TILE_STORE).objectStore(TILE_STORE).index('mapId').getAll(mapId));
+    await deleteRecords(records);
+
+    // Sweep bodies that lost their metadata (e.g. a write interrupted between the two stores)
+    const cache = await caches.open(TILE_CACHE_NAME);
+    const prefix = `/map/tiles/${mapId}/`;
+    const orphans = (await cache.keys()).filter(req => new URL(req.url).pathname.startsWith(prefix));
+    await Promise.all(orphans.map(req => cache.delete(req)));
+
+    const pinTx = db.transaction(PIN_STORE, 'readwrite');
+    const pinStore = pinTx.objectStore(PIN_STORE);
+    const pinKeys = await promisifyRequest(pinStore.index('mapId').getAllKeys(mapId));
+    pinKeys.forEach(key => pinStore.delete(key));
+    await promisifyTransaction(pinTx);
+
+    return records.length;
+}
+
+async function pinRanges(id, mapId, ranges) {
+    const db = await openDb();
+    const tx = db.transaction(PIN_STORE, 'readwrite');
+    tx.objectStore(PIN_STORE).put({ id, mapId, ranges });
+    await promisifyTransaction(tx);
+}
+
+async function unpinRanges(id) {
+    const db = await openDb();
+    const tx = db.transaction(PIN_STORE, 'readwrite');
+    tx.objectStore(PIN_STORE).delete(id);
+    await promisifyTransaction(tx);
+    await enforceBudget();
+}
+
+async function clearAll() {
+    pendingTouches.clear();
+    await caches.delete(TILE_CACHE_NAME);
+
+    const db = await openDb();
+    const tx = db.transaction([TILE_STORE, PIN_STORE], 'readwrite');
+    tx.objectStore(TILE_STORE).clear();
+    tx.objectStore(PIN_STORE).clear();
+    await promisifyTransaction(tx);
+}
+
+async function getStats() {
+    const budget = await getBudget();
+    const db = await openDb();
+    const records = await promisifyRequest(db.transaction(TILE_STORE).objectStore(TILE_STORE).getAll());
+
+    const maps = {};
+    let totalBytes = 0;
+    for (const record of records) {
+        totalBytes += record.size || 0;
+        const entry = maps[record.mapId] || (maps[record.mapId] = { tiles: 0, bytes: 0 });
+        entry.tiles++;
+        entry.bytes += record.size || 0;
+    }
+
+    return { tiles: records.length, totalBytes, budgetBytes: budget, maps };
+}
+
+const messageHandlers = {
+    purgeMap: ({ mapId }) => purgeMap(Number(mapId)),
+    clearAll: () => clearAll(),
+    getStats: () => getStats(),
+    pin: ({ id, mapId, ranges }) => pinRanges(String(id), Number(mapId), ranges || []),
+    unpin: ({ id }) => unpinRanges(String(id)),
+    setBudget: async ({ bytes }) => {
+        if (!Number.isFinite(bytes) || bytes <= 0) {
+            throw new Error(`Invalid budget: ${bytes}`);
+        }
+        await setBudget(bytes);
+        await enforceBudget();
+    }
+};
+
+// Messages come from tile-store.js with a MessageChannel port for the reply
+self.addEventListener('message', (event) => {
+    const { type, ...payload } = event.data || {};
+    const port = event.ports?.[0];
+    const handler = messageHandlers[type];
+
+    if (!handler) {
+        port?.postMessage({ error: `Unknown message type: ${type}` });
+        return;
+    }
+
+    event.waitUntil((async () => {
+        try {
+            const result = await handler(payload);
+            port?.postMessage({ result });
+        } catch (e) {
+            console.error('[TileStore] Error handling', type, e);
+            port?.postMessage({ error: e?.message || String(e) });
+        }
+    })());
+});